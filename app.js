@@ -149,8 +149,8 @@ if (process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'dev') {
   // 生产环境：使用Winston结构化日志器，支持日志轮转和持久化存储
   app.use(requestLogger()); // 使用Winston的requestLogger
 }
-// 启用CORS跨域资源共享，允许前端应用访问API
-app.use(cors());
+// 启用CORS跨域资源共享，允许前端应用访问API；暴露 ETag 响应头，供前端在更新时回传 If-Match
+app.use(cors({ exposedHeaders: ['ETag', 'Content-Disposition'] }));
 // 启用Express内置JSON解析中间件，解析application/json请求体
 app.use(express.json());
 // 启用Express内置URL编码解析中间件，解析application/x-www-form-urlencoded请求体
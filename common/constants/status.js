@@ -41,6 +41,12 @@ const USER_ROLE = {
   MODERATOR: 3    // 版主
 };
 
+// 用户类型常量（区分普通用户与商户用户）
+const USER_TYPE = {
+  USER: 'user',           // 普通用户
+  MERCHANT: 'merchant'    // 商户用户
+};
+
 // 商户相关状态常量
 const MERCHANT_STATUS = {
   DISABLED: 0,    // 禁用
@@ -50,6 +56,13 @@ const MERCHANT_STATUS = {
   SUSPENDED: 4    // 暂停营业
 };
 
+// 商户入驻申请状态常量
+const MERCHANT_APPLICATION_STATUS = {
+  PENDING: 'pending',       // 待审核
+  APPROVED: 'approved',     // 审核通过
+  REJECTED: 'rejected'      // 审核拒绝
+};
+
 // 店铺状态常量
 const SHOP_STATUS = {
   DISABLED: 0,    // 禁用
@@ -66,6 +79,65 @@ const PRODUCT_STATUS = {
   DISCONTINUED: 3 // 停产
 };
 
+// 订单状态常量
+const ORDER_STATUS = {
+  PENDING: 0,     // 待支付
+  PAID: 1,        // 已支付
+  SHIPPED: 2,     // 已发货
+  COMPLETED: 3,   // 已完成
+  CANCELLED: 4,   // 已取消
+  REFUNDED: 5     // 已退款
+};
+
+// 订单状态流转规则：当前状态 => 允许流转到的目标状态
+const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.COMPLETED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.COMPLETED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: []
+};
+
+// 库存变动类型常量（库存流水）
+const STOCK_MOVEMENT_TYPE = {
+  INBOUND: 'inbound',       // 入库
+  SALE: 'sale',             // 销售出库
+  ADJUSTMENT: 'adjustment', // 盘点调整
+  RETURN: 'return'          // 退货入库（订单取消/退款回补）
+};
+
+// 价格变动来源常量
+const PRICE_CHANGE_SOURCE = {
+  CREATE: 'create',                   // 新建商品
+  MANUAL: 'manual',                   // 商户修改
+  SCHEDULE_APPLY: 'schedule_apply',   // 定时调价生效
+  SCHEDULE_REVERT: 'schedule_revert', // 定时调价结束恢复
+  VARIANT_SYNC: 'variant_sync'        // 规格价格变动后同步商品最低价
+};
+
+// 定时调价状态常量
+const PRICE_SCHEDULE_STATUS = {
+  PENDING: 'pending',       // 待生效
+  ACTIVE: 'active',         // 生效中
+  COMPLETED: 'completed',   // 已结束
+  CANCELLED: 'cancelled'    // 已取消
+};
+
+// 评价状态常量（只有展示中的评价计入商品和店铺评分）
+const REVIEW_STATUS = {
+  HIDDEN: 0,      // 已隐藏（管理员审核屏蔽）
+  VISIBLE: 1      // 展示中
+};
+
+// 导入任务状态常量（任务状态保存在 Redis 中）
+const IMPORT_JOB_STATUS = {
+  PENDING: 'pending',       // 排队中
+  RUNNING: 'running',       // 执行中
+  COMPLETED: 'completed',   // 已完成（可能包含部分失败行）
+  FAILED: 'failed'          // 执行异常中断
+};
+
 // 注册配置常量
 const REGISTER_CONFIG = {
   // 验证开关
@@ -121,9 +193,18 @@ module.exports = {
   COMMON_STATUS,
   USER_STATUS,
   USER_ROLE,
+  USER_TYPE,
   MERCHANT_STATUS,
+  MERCHANT_APPLICATION_STATUS,
   SHOP_STATUS,
   PRODUCT_STATUS,
+  ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  STOCK_MOVEMENT_TYPE,
+  PRICE_CHANGE_SOURCE,
+  PRICE_SCHEDULE_STATUS,
+  REVIEW_STATUS,
+  IMPORT_JOB_STATUS,
   REGISTER_CONFIG,
   AUTH_STATUS,
   PERMISSION_LEVEL,
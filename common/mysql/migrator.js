@@ -0,0 +1,371 @@
+/**
+ * 数据库迁移执行器
+ * 功能：按时间戳顺序执行 migrations 目录下的迁移文件，并在 SequelizeMeta 表中记录执行状态
+ * 迁移文件格式：YYYYMMDDHHmmss-描述.js，导出 up(queryInterface, Sequelize) 和 down(queryInterface, Sequelize)
+ * 演练模式（dryRun）：只打印迁移将要执行的变更SQL，不修改数据库
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, QueryTypes } = require('sequelize');
+
+// 迁移记录表名，与 sequelize-cli 保持一致，便于两者互相识别
+const META_TABLE = 'SequelizeMeta';
+// 迁移文件名格式：14位时间戳 + 连字符 + 描述
+const MIGRATION_FILE_PATTERN = /^\d{14}-[\w-]+\.js$/;
+// 演练模式下允许真实执行的只读查询类型（部分 queryInterface 方法需要先查询表结构）
+const READ_ONLY_QUERY_TYPES = [
+  QueryTypes.SELECT,
+  QueryTypes.SHOWTABLES,
+  QueryTypes.SHOWINDEXES,
+  QueryTypes.DESCRIBE,
+  QueryTypes.FOREIGNKEYS
+];
+
+class Migrator {
+  /**
+   * @param {Object} sequelize - Sequelize实例（仅新建迁移文件时可为空）
+   * @param {Object} options - 配置项
+   * @param {string} options.migrationsPath - 迁移文件目录
+   * @param {Function} options.log - 输出函数，默认 console.log
+   */
+  constructor(sequelize, options = {}) {
+    this.sequelize = sequelize;
+    this.queryInterface = sequelize ? sequelize.getQueryInterface() : null;
+    this.migrationsPath = options.migrationsPath || path.resolve(__dirname, '../../migrations');
+    this.log = options.log || console.log;
+  }
+
+  /**
+   * 确保迁移记录表存在
+   */
+  async ensureMetaTable() {
+    await this.queryInterface.createTable(META_TABLE, {
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        primaryKey: true,
+        comment: '迁移文件名'
+      },
+      executed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '执行时间'
+      }
+    });
+  }
+
+  /**
+   * 获取迁移目录下的全部迁移文件（按文件名排序，即按时间戳排序）
+   * @returns {Array<string>} 迁移文件名列表
+   */
+  getMigrationFiles() {
+    if (!fs.existsSync(this.migrationsPath)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.migrationsPath)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file))
+      .sort();
+  }
+
+  /**
+   * 判断迁移记录表是否存在
+   * @returns {Promise<boolean>} 是否存在
+   */
+  async hasMetaTable() {
+    const rows = await this.sequelize.query(
+      'SHOW TABLES LIKE ?',
+      { replacements: [META_TABLE], type: QueryTypes.SELECT }
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * 获取已执行的迁移
+   * 记录表不存在时视为没有执行过任何迁移（演练模式下不建表）
+   * @returns {Promise<Array<string>>} 已执行的迁移文件名列表（按执行顺序）
+   */
+  async getExecutedMigrations() {
+    if (!await this.hasMetaTable()) {
+      return [];
+    }
+
+    const rows = await this.sequelize.query(
+      `SELECT name FROM \`${META_TABLE}\` ORDER BY name ASC`,
+      { type: QueryTypes.SELECT }
+    );
+
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * 获取迁移状态
+   * @returns {Promise<Object>} { executed, pending, missing }
+   */
+  async getStatus() {
+    const files = this.getMigrationFiles();
+    const executed = await this.getExecutedMigrations();
+
+    return {
+      executed: executed.filter(name => files.includes(name)),
+      pending: files.filter(name => !executed.includes(name)),
+      // 数据库中有记录但文件已不存在的迁移
+      missing: executed.filter(name => !files.includes(name))
+    };
+  }
+
+  /**
+   * 执行待执行的迁移
+   * @param {Object} options - 选项
+   * @param {string} options.to - 执行到指定迁移为止（包含）
+   * @param {boolean} options.dryRun - 演练模式
+   * @returns {Promise<Array<string>>} 本次执行的迁移
+   */
+  async up(options = {}) {
+    const { pending } = await this.getStatus();
+    let targets = pending;
+
+    if (options.to) {
+      const index = pending.findIndex(name => name.startsWith(options.to));
+      if (index === -1) {
+        throw new Error(`待执行迁移中不存在: ${options.to}`);
+      }
+      targets = pending.slice(0, index + 1);
+    }
+
+    for (const name of targets) {
+      await this.runMigration(name, 'up', options.dryRun);
+    }
+
+    return targets;
+  }
+
+  /**
+   * 回滚已执行的迁移
+   * @param {Object} options - 选项
+   * @param {number} options.step - 回滚的迁移数量，默认1
+   * @param {string} options.to - 回滚到指定迁移为止（包含该迁移）
+   * @param {boolean} options.dryRun - 演练模式
+   * @returns {Promise<Array<string>>} 本次回滚的迁移
+   */
+  async down(options = {}) {
+    const { executed, missing } = await this.getStatus();
+    if (missing.length > 0) {
+      throw new Error(`以下已执行的迁移文件不存在，无法回滚: ${missing.join(', ')}`);
+    }
+
+    const reversed = [...executed].reverse();
+    let targets;
+
+    if (options.to) {
+      const index = reversed.findIndex(name => name.startsWith(options.to));
+      if (index === -1) {
+        throw new Error(`已执行迁移中不存在: ${options.to}`);
+      }
+      targets = reversed.slice(0, index + 1);
+    } else {
+      const step = Math.max(1, parseInt(options.step) || 1);
+      targets = reversed.slice(0, step);
+    }
+
+    for (const name of targets) {
+      await this.runMigration(name, 'down', options.dryRun);
+    }
+
+    return targets;
+  }
+
+  /**
+   * 将待执行的迁移标记为已执行但不真正执行
+   * 用于迁移系统引入前已通过 sequelize.sync 建好表的数据库
+   * @param {Object} options - 选项 { to: 标记到指定迁移为止（包含） }
+   * @returns {Promise<Array<string>>} 本次标记的迁移
+   */
+  async baseline(options = {}) {
+    const { pending } = await this.getStatus();
+    let targets = pending;
+
+    if (options.to) {
+      const index = pending.findIndex(name => name.startsWith(options.to));
+      if (index === -1) {
+        throw new Error(`待执行迁移中不存在: ${options.to}`);
+      }
+      targets = pending.slice(0, index + 1);
+    }
+
+    for (const name of targets) {
+      await this.markExecuted(name);
+      this.log(`已标记为执行: ${name}`);
+    }
+
+    return targets;
+  }
+
+  /**
+   * 执行单个迁移
+   * DDL 在 MySQL 中会隐式提交，无法整体回滚，因此迁移逐个执行并在成功后立即记录
+   * @param {string} name - 迁移文件名
+   * @param {string} direction - 方向 up/down
+   * @param {boolean} dryRun - 演练模式
+   */
+  async runMigration(name, direction, dryRun = false) {
+    const migration = this.loadMigration(name);
+    if (typeof migration[direction] !== 'function') {
+      throw new Error(`迁移 ${name} 未实现 ${direction} 方法`);
+    }
+
+    this.log(`${dryRun ? '[演练] ' : ''}${direction === 'up' ? '执行' : '回滚'}迁移: ${name}`);
+
+    if (dryRun) {
+      const statements = await this.captureSql(() => migration[direction](this.queryInterface, Sequelize));
+      statements.forEach(sql => this.log(`  ${sql.endsWith(';') ? sql : sql + ';'}`));
+      if (statements.length === 0) {
+        this.log('  -- 没有需要执行的SQL');
+      }
+      return;
+    }
+
+    const startTime = Date.now();
+    await migration[direction](this.queryInterface, Sequelize);
+
+    if (direction === 'up') {
+      await this.markExecuted(name);
+    } else {
+      await this.unmarkExecuted(name);
+    }
+
+    this.log(`完成: ${name} (${Date.now() - startTime}ms)`);
+  }
+
+  /**
+   * 捕获迁移将要执行的SQL而不修改数据库
+   * 临时替换 sequelize.query：只读查询照常执行，其余语句仅记录
+   * @param {Function} fn - 迁移函数
+   * @returns {Promise<Array<string>>} SQL语句列表
+   */
+  async captureSql(fn) {
+    const statements = [];
+    const originalQuery = this.sequelize.query;
+
+    this.sequelize.query = async (sql, options = {}) => {
+      if (READ_ONLY_QUERY_TYPES.includes(options.type)) {
+        return originalQuery.call(this.sequelize, sql, options);
+      }
+
+      const text = typeof sql === 'object' && sql.query ? sql.query : String(sql);
+      statements.push(this.interpolate(text, options));
+      return [[], 0];
+    };
+
+    try {
+      await fn();
+    } finally {
+      this.sequelize.query = originalQuery;
+    }
+
+    return statements;
+  }
+
+  /**
+   * 将参数替换进SQL，便于演练输出可直接阅读
+   * @param {string} sql - SQL语句
+   * @param {Object} options - 查询选项（replacements/bind）
+   * @returns {string} 替换后的SQL
+   */
+  interpolate(sql, options) {
+    const escape = value => this.sequelize.escape(value);
+
+    if (Array.isArray(options.bind)) {
+      return sql.replace(/\$(\d+)/g, (match, index) => escape(options.bind[index - 1]));
+    }
+    if (Array.isArray(options.replacements)) {
+      let index = 0;
+      return sql.replace(/\?/g, () => escape(options.replacements[index++]));
+    }
+    return sql;
+  }
+
+  /**
+   * 加载迁移文件
+   * @param {string} name - 迁移文件名
+   * @returns {Object} 迁移模块
+   */
+  loadMigration(name) {
+    const filePath = path.join(this.migrationsPath, name);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`迁移文件不存在: ${name}`);
+    }
+    return require(filePath);
+  }
+
+  /**
+   * 记录迁移已执行
+   * @param {string} name - 迁移文件名
+   */
+  async markExecuted(name) {
+    await this.ensureMetaTable();
+    await this.sequelize.query(
+      `INSERT INTO \`${META_TABLE}\` (name, executed_at) VALUES (?, NOW())`,
+      { replacements: [name], type: QueryTypes.INSERT }
+    );
+  }
+
+  /**
+   * 删除迁移执行记录
+   * @param {string} name - 迁移文件名
+   */
+  async unmarkExecuted(name) {
+    await this.sequelize.query(
+      `DELETE FROM \`${META_TABLE}\` WHERE name = ?`,
+      { replacements: [name], type: QueryTypes.DELETE }
+    );
+  }
+
+  /**
+   * 创建新的迁移文件
+   * @param {string} description - 迁移描述（如 add-product-variants）
+   * @returns {string} 新建的迁移文件路径
+   */
+  create(description) {
+    const slug = String(description || '')
+      .trim()
+      .replace(/[^\w-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase();
+
+    if (!slug) {
+      throw new Error('迁移描述不能为空，只能包含字母、数字、下划线和连字符');
+    }
+
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const fileName = `${timestamp}-${slug}.js`;
+    const filePath = path.join(this.migrationsPath, fileName);
+
+    if (!fs.existsSync(this.migrationsPath)) {
+      fs.mkdirSync(this.migrationsPath, { recursive: true });
+    }
+
+    fs.writeFileSync(filePath, MIGRATION_TEMPLATE.replace('{{description}}', slug));
+    return filePath;
+  }
+}
+
+// 新建迁移文件模板
+const MIGRATION_TEMPLATE = `/**
+ * {{description}}
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 例：await queryInterface.addColumn('table_name', 'column_name', { type: Sequelize.STRING(50), allowNull: true, comment: '说明' });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // 例：await queryInterface.removeColumn('table_name', 'column_name');
+  }
+};
+`;
+
+module.exports = Migrator;
@@ -59,7 +59,14 @@ const PREFIX = {
   USER: 'user:',
   CONFIG: 'config:',
   STATS: 'stats:',
-  TOKEN: 'token:'
+  TOKEN: 'token:',
+  CART: 'cart:',
+  STOCK: 'stock:',
+  LOCK: 'lock:',
+  CATEGORY: 'category:',
+  JOB: 'job:',
+  UPLOAD: 'upload:',
+  VERIFY: 'verify:'
 };
 
 /**
@@ -1,5 +1,42 @@
 // 定时任务
+const crypto = require('crypto');
 const cron = require('node-cron');
+const { redis, PREFIX, generateKey } = require('../redis');
+
+// 只删除自己持有的锁：锁过期后被其他进程获取时，不会误删对方的锁
+const UNLOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * 在分布式锁内执行任务，集群模式下多个进程只有一个会真正执行
+ * 获取锁、执行任务和释放锁的错误都只记录日志，不会产生未处理的 Promise 拒绝
+ * @param {string} name - 任务名称（作为锁键）
+ * @param {number} ttl - 锁的过期时间（秒），应大于任务最长执行时间
+ * @param {Function} task - 任务函数
+ */
+async function runWithLock(name, ttl, task) {
+  const key = generateKey(PREFIX.LOCK, `schedule:${name}`);
+  const token = crypto.randomBytes(16).toString('hex');
+  let acquired = false;
+
+  try {
+    acquired = await redis.set(key, token, 'EX', ttl, 'NX');
+    if (!acquired) {
+      return;
+    }
+    await task();
+  } catch (error) {
+    console.error(`定时任务执行失败 [${name}]:`, error.message);
+  } finally {
+    if (acquired) {
+      await redis.eval(UNLOCK_SCRIPT, 1, key, token).catch(() => {});
+    }
+  }
+}
 
 // 每分钟执行一次
 cron.schedule('* * * * *', () => {
@@ -11,6 +48,35 @@ cron.schedule('0 0 * * *', () => {
   console.log('每天凌晨执行的任务');
 });
 
+// 每天凌晨3:30彻底删除超过保留期的软删除数据（用户、店铺、商品）
+// 设置 SOFT_DELETE_PURGE_ENABLED=false 可关闭
+if (process.env.SOFT_DELETE_PURGE_ENABLED !== 'false') {
+  cron.schedule('30 3 * * *', () => runWithLock('soft-delete-purge', 3600, async () => {
+    // 延迟加载，避免与模型、服务模块产生循环依赖
+    const { sequelize } = require('../../models');
+    const AdminTrashService = require('../../services/admin/AdminTrashService');
+
+    const summary = await new AdminTrashService().purgeExpired(sequelize);
+    console.log('软删除数据清理完成:', JSON.stringify(summary));
+  }));
+}
+
+// 每分钟应用到达生效时间的定时调价，并恢复到达结束时间的定时调价
+// 设置 PRICE_SCHEDULE_ENABLED=false 可关闭
+if (process.env.PRICE_SCHEDULE_ENABLED !== 'false') {
+  cron.schedule('* * * * *', () => runWithLock('price-schedule', 300, async () => {
+    // 延迟加载，避免与模型、服务模块产生循环依赖
+    const { sequelize } = require('../../models');
+    const PriceService = require('../../services/common/PriceService');
+
+    const summary = await new PriceService().processDueSchedules(sequelize);
+    if (summary.applied || summary.reverted || summary.failed) {
+      console.log('定时调价处理完成:', JSON.stringify(summary));
+    }
+  }));
+}
+
 module.exports = {
-    cron
-}
\ No newline at end of file
+    cron,
+    runWithLock
+}
@@ -0,0 +1,116 @@
+/**
+ * 短信通道模块
+ * 统一管理短信发送通道，业务代码只依赖通道接口，通过 SMS_PROVIDER 环境变量切换具体实现
+ *
+ * 通道接口：
+ *   name: string                                   通道名称
+ *   send({ phone, content, scene }): Promise<{ messageId }>  发送一条短信，失败时抛出错误
+ *
+ * 内置通道：console（写入日志）、file（追加到本地文件），接入真实短信服务商时实现同样的接口并调用 registerSmsProvider 注册
+ * 内置通道会把验证码明文写入日志或文件，仅用于开发和测试，生产环境创建这两个通道（即实际发送短信）时报错
+ * SMS_PROVIDER 显式配置为空时表示未接入短信服务商，发送短信时报错；未配置该变量时非生产环境默认使用 console
+ */
+
+const ConsoleSmsProvider = require('./providers/console');
+const FileSmsProvider = require('./providers/file');
+
+// 已注册的通道工厂
+const providerFactories = {
+  console: (options) => new ConsoleSmsProvider(options),
+  file: (options) => new FileSmsProvider(options)
+};
+
+// 仅限开发、测试环境使用的通道（不真正发送短信，且会记录验证码明文）
+const DEV_ONLY_PROVIDERS = ['console', 'file'];
+
+// 当前使用的通道实例
+let currentProvider = null;
+
+/**
+ * 注册短信通道
+ * @param {string} name - 通道名称
+ * @param {Function} factory - 通道工厂函数 (options) => provider
+ */
+function registerSmsProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`短信通道 ${name} 的工厂必须是函数`);
+  }
+  providerFactories[name] = factory;
+
+  // 当前通道被重新注册时，下次获取使用新的实现
+  if (currentProvider && currentProvider.name === name) {
+    currentProvider = null;
+  }
+}
+
+/**
+ * 是否为生产环境
+ * @returns {boolean}
+ */
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+/**
+ * 获取配置的通道名称
+ * @returns {string} 通道名称，未接入短信服务商时为空字符串
+ */
+function getConfiguredProviderName() {
+  if (process.env.SMS_PROVIDER !== undefined) {
+    return process.env.SMS_PROVIDER.trim();
+  }
+  return isProduction() ? '' : 'console';
+}
+
+/**
+ * 创建短信通道实例
+ * @param {string} name - 通道名称，默认读取 SMS_PROVIDER
+ * @param {Object} options - 通道配置
+ * @returns {Object} 短信通道
+ */
+function createSmsProvider(name = getConfiguredProviderName(), options = {}) {
+  if (!name) {
+    throw new Error('未配置短信通道，请设置 SMS_PROVIDER 并注册对应的服务商通道');
+  }
+  if (isProduction() && DEV_ONLY_PROVIDERS.includes(name)) {
+    throw new Error(`短信通道 ${name} 仅限开发、测试环境使用，生产环境请接入真实短信服务商`);
+  }
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`不支持的短信通道: ${name}`);
+  }
+
+  const provider = factory(options);
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`短信通道 ${name} 未实现 send 方法`);
+  }
+
+  return provider;
+}
+
+/**
+ * 获取当前短信通道（单例）
+ * @returns {Object} 短信通道
+ */
+function getSmsProvider() {
+  if (!currentProvider) {
+    currentProvider = createSmsProvider();
+  }
+  return currentProvider;
+}
+
+/**
+ * 替换当前短信通道，主要用于测试
+ * @param {Object} provider - 短信通道实例，传 null 时恢复为按配置创建
+ */
+function setSmsProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = {
+  registerSmsProvider,
+  createSmsProvider,
+  getSmsProvider,
+  setSmsProvider
+};
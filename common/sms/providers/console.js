@@ -0,0 +1,33 @@
+/**
+ * 控制台短信通道（开发环境）
+ * 不真正发送短信，只把短信内容写入应用日志，便于本地调试时直接查看验证码
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../../logger');
+
+class ConsoleSmsProvider {
+  constructor() {
+    this.name = 'console';
+  }
+
+  /**
+   * 发送短信（写入日志）
+   * @param {Object} message - 短信内容 { phone, content, scene }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    const messageId = crypto.randomUUID();
+
+    logger.info('[SMS] 短信已发送（控制台通道）', {
+      messageId,
+      phone: message.phone,
+      scene: message.scene,
+      content: message.content
+    });
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
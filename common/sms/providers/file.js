@@ -0,0 +1,42 @@
+/**
+ * 文件短信通道（开发和测试环境）
+ * 不真正发送短信，每条短信以一行JSON追加到本地文件，自动化测试可以从文件中读取验证码
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class FileSmsProvider {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.filePath - 短信记录文件路径，默认 logs/sms.log
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(process.cwd(), options.filePath || process.env.SMS_FILE_PATH || 'logs/sms.log');
+  }
+
+  /**
+   * 发送短信（追加到文件）
+   * @param {Object} message - 短信内容 { phone, content, scene }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const record = {
+      messageId,
+      phone: message.phone,
+      scene: message.scene,
+      content: message.content,
+      sentAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+
+    return { messageId };
+  }
+}
+
+module.exports = FileSmsProvider;
@@ -0,0 +1,377 @@
+/**
+ * 店铺营业时间工具
+ * 功能：校验营业时间配置，并按店铺时区计算当前是否营业（isOpenNow）和下次开门时间（nextOpenAt）
+ * 说明：时区换算基于 Intl.DateTimeFormat，不依赖第三方日期库
+ *
+ * 营业时间结构（Shop.businessHours）：
+ * {
+ *   weekly: { mon: [{ open: '09:00', close: '21:00' }], ..., sun: [] },  // 未配置或为空数组的日期不营业；close 不晚于 open 表示跨零点营业
+ *   holidays: [{ date: '2026-10-01', closed: true, name: '国庆' }, { date: '2026-10-02', ranges: [{ open: '10:00', close: '16:00' }] }],
+ *   temporaryClosures: [{ start: '2026-10-20T14:00:00+08:00', end: '2026-10-20T18:00:00+08:00', reason: '设备检修' }]
+ * }
+ * 节假日配置按日期整体覆盖当天的每周营业时间；临时停业按绝对时间段从营业时间中扣除
+ */
+
+const { SHOP_STATUS } = require('../constants/status');
+
+// 每周营业时间的日期键，顺序与 Date.getUTCDay() 一致（0 为周日）
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 营业状态原因
+const OPEN_STATUS_REASON = {
+  OPEN: 'open',                           // 营业中
+  CLOSED: 'closed',                       // 非营业时间
+  HOLIDAY: 'holiday',                     // 节假日休息
+  TEMPORARY_CLOSURE: 'temporary_closure', // 临时停业
+  MAINTENANCE: 'maintenance',             // 店铺维护中
+  INACTIVE: 'inactive',                   // 店铺已禁用或已关闭
+  NO_SCHEDULE: 'no_schedule'              // 未配置营业时间，视为全天营业
+};
+
+const DEFAULT_TIMEZONE = process.env.SHOP_DEFAULT_TIMEZONE || 'Asia/Shanghai';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// 各时区的格式化器缓存，避免重复创建
+const formatterCache = new Map();
+
+class BusinessHoursHelper {
+  /**
+   * 计算店铺营业状态
+   * 店铺状态不是启用（维护中、禁用、已关闭）时一律不营业，且无法预估下次开门时间
+   * @param {Object} shop - 店铺（需包含 status、businessHours、timezone）
+   * @param {Date} now - 当前时间，默认为系统当前时间
+   * @returns {Object} { isOpenNow, nextOpenAt, closesAt, reason, timezone }
+   */
+  static getOpenStatus(shop, now = new Date()) {
+    const timezone = shop.timezone || DEFAULT_TIMEZONE;
+    const result = { isOpenNow: false, nextOpenAt: null, closesAt: null, reason: OPEN_STATUS_REASON.CLOSED, timezone };
+
+    if (shop.status === SHOP_STATUS.MAINTENANCE) {
+      return { ...result, reason: OPEN_STATUS_REASON.MAINTENANCE };
+    }
+    if (shop.status !== SHOP_STATUS.ACTIVE) {
+      return { ...result, reason: OPEN_STATUS_REASON.INACTIVE };
+    }
+
+    const hours = shop.businessHours;
+    if (!hours || !hours.weekly) {
+      return { ...result, isOpenNow: true, reason: OPEN_STATUS_REASON.NO_SCHEDULE };
+    }
+
+    const nowTs = now.getTime();
+    const closures = (hours.temporaryClosures || []).map(closure => ({
+      start: new Date(closure.start).getTime(),
+      end: new Date(closure.end).getTime()
+    }));
+    const intervals = this.subtractIntervals(this.buildIntervals(hours, timezone, nowTs), closures);
+
+    const current = intervals.find(interval => interval.start <= nowTs && nowTs < interval.end);
+    if (current) {
+      return { ...result, isOpenNow: true, closesAt: new Date(current.end), reason: OPEN_STATUS_REASON.OPEN };
+    }
+
+    const next = intervals.find(interval => interval.start > nowTs);
+    result.nextOpenAt = next ? new Date(next.start) : null;
+
+    if (closures.some(closure => closure.start <= nowTs && nowTs < closure.end)) {
+      result.reason = OPEN_STATUS_REASON.TEMPORARY_CLOSURE;
+    } else {
+      const today = this.formatDate(this.getZonedParts(nowTs, timezone));
+      const holiday = (hours.holidays || []).find(item => item.date === today);
+      if (holiday && holiday.closed) {
+        result.reason = OPEN_STATUS_REASON.HOLIDAY;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 为店铺数据附加营业状态字段
+   * @param {Object} shop - 店铺模型实例或普通对象
+   * @param {Date} now - 当前时间
+   * @returns {Object} 附加 isOpenNow、nextOpenAt、closesAt、openReason 后的店铺数据
+   */
+  static attachOpenStatus(shop, now = new Date()) {
+    const data = typeof shop.toJSON === 'function' ? shop.toJSON() : shop;
+    const { isOpenNow, nextOpenAt, closesAt, reason } = this.getOpenStatus(data, now);
+
+    return { ...data, isOpenNow, nextOpenAt, closesAt, openReason: reason };
+  }
+
+  /**
+   * 生成从前一天到之后14天的营业时间段（绝对时间，按开始时间排序）
+   * 包含前一天是为了覆盖跨零点营业延续到今天的时间段
+   * @param {Object} hours - 营业时间配置
+   * @param {string} timezone - 店铺时区
+   * @param {number} nowTs - 当前时间戳
+   * @returns {Array} [{ start, end }]
+   */
+  static buildIntervals(hours, timezone, nowTs) {
+    const today = this.getZonedParts(nowTs, timezone);
+    const holidays = new Map((hours.holidays || []).map(item => [item.date, item]));
+    const intervals = [];
+
+    for (let offset = -1; offset <= 14; offset++) {
+      const date = this.addDays(today, offset);
+      const holiday = holidays.get(this.formatDate(date));
+      const ranges = holiday
+        ? (holiday.closed ? [] : holiday.ranges || [])
+        : hours.weekly[WEEKDAYS[date.weekday]] || [];
+
+      for (const range of ranges) {
+        const openMinutes = this.toMinutes(range.open);
+        const closeMinutes = this.toMinutes(range.close);
+        // 结束时间不晚于开始时间表示跨零点，营业到次日
+        const endDate = closeMinutes <= openMinutes ? this.addDays(date, 1) : date;
+
+        intervals.push({
+          start: this.zonedTimeToUtc(date, openMinutes, timezone),
+          end: this.zonedTimeToUtc(endDate, closeMinutes, timezone)
+        });
+      }
+    }
+
+    return intervals.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 从营业时间段中扣除临时停业时间段
+   * @param {Array} intervals - 营业时间段
+   * @param {Array} closures - 停业时间段
+   * @returns {Array} 扣除后的营业时间段
+   */
+  static subtractIntervals(intervals, closures) {
+    let result = intervals;
+
+    for (const closure of closures) {
+      result = result.flatMap(interval => {
+        if (closure.end <= interval.start || closure.start >= interval.end) {
+          return [interval];
+        }
+        const parts = [];
+        if (closure.start > interval.start) parts.push({ start: interval.start, end: closure.start });
+        if (closure.end < interval.end) parts.push({ start: closure.end, end: interval.end });
+        return parts;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 校验营业时间配置
+   * @param {Object} hours - 营业时间配置，为null表示不限营业时间
+   * @throws {Error} 校验失败时抛出“营业时间验证失败”错误
+   */
+  static validate(hours) {
+    if (hours === null) {
+      return;
+    }
+    if (typeof hours !== 'object' || Array.isArray(hours)) {
+      throw new Error('营业时间验证失败: 格式不正确');
+    }
+
+    const { weekly, holidays = [], temporaryClosures = [] } = hours;
+
+    if (!weekly || typeof weekly !== 'object' || Array.isArray(weekly)) {
+      throw new Error('营业时间验证失败: 缺少每周营业时间');
+    }
+    for (const [day, ranges] of Object.entries(weekly)) {
+      if (!WEEKDAYS.includes(day)) {
+        throw new Error(`营业时间验证失败: 无效的星期 ${day}`);
+      }
+      this.validateRanges(ranges, day);
+    }
+
+    if (!Array.isArray(holidays) || holidays.length > 100) {
+      throw new Error('营业时间验证失败: 节假日配置必须为数组且不超过100条');
+    }
+    const dates = new Set();
+    for (const holiday of holidays) {
+      if (!holiday || !DATE_PATTERN.test(holiday.date) || isNaN(Date.parse(holiday.date))) {
+        throw new Error('营业时间验证失败: 节假日日期格式应为 YYYY-MM-DD');
+      }
+      if (dates.has(holiday.date)) {
+        throw new Error(`营业时间验证失败: 节假日日期重复 ${holiday.date}`);
+      }
+      dates.add(holiday.date);
+      if (!holiday.closed) {
+        this.validateRanges(holiday.ranges, holiday.date);
+      }
+    }
+
+    if (!Array.isArray(temporaryClosures) || temporaryClosures.length > 20) {
+      throw new Error('营业时间验证失败: 临时停业配置必须为数组且不超过20条');
+    }
+    for (const closure of temporaryClosures) {
+      const start = closure ? Date.parse(closure.start) : NaN;
+      const end = closure ? Date.parse(closure.end) : NaN;
+      if (isNaN(start) || isNaN(end) || start >= end) {
+        throw new Error('营业时间验证失败: 临时停业的开始时间必须早于结束时间');
+      }
+      if (closure.reason !== undefined && String(closure.reason).length > 100) {
+        throw new Error('营业时间验证失败: 临时停业原因不能超过100个字符');
+      }
+    }
+  }
+
+  /**
+   * 校验一天内的营业时间段：格式正确且互不重叠
+   * @param {Array} ranges - 营业时间段
+   * @param {string} label - 日期标识，用于错误提示
+   */
+  static validateRanges(ranges, label) {
+    if (!Array.isArray(ranges) || ranges.length > 4) {
+      throw new Error(`营业时间验证失败: ${label} 的营业时间段必须为数组且不超过4段`);
+    }
+
+    const spans = ranges.map(range => {
+      if (!range || !TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close) || range.open === '24:00') {
+        throw new Error(`营业时间验证失败: ${label} 的时间格式应为 HH:mm`);
+      }
+      const open = this.toMinutes(range.open);
+      const close = this.toMinutes(range.close);
+      return { open, close: close <= open ? close + 24 * 60 : close };
+    }).sort((a, b) => a.open - b.open);
+
+    for (let i = 1; i < spans.length; i++) {
+      if (spans[i].open < spans[i - 1].close) {
+        throw new Error(`营业时间验证失败: ${label} 的营业时间段存在重叠`);
+      }
+    }
+  }
+
+  /**
+   * 校验时区名称（IANA 时区，如 Asia/Shanghai）
+   * @param {string} timezone - 时区
+   * @returns {boolean} 是否有效
+   */
+  static isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+    try {
+      this.getFormatter(timezone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 获取时间戳在指定时区的本地日期时间
+   * @param {number} timestamp - 时间戳
+   * @param {string} timezone - 时区
+   * @returns {Object} { year, month, day, hour, minute, weekday }
+   */
+  static getZonedParts(timestamp, timezone) {
+    const parts = {};
+    for (const { type, value } of this.getFormatter(timezone).formatToParts(new Date(timestamp))) {
+      parts[type] = value;
+    }
+
+    const date = {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour) % 24,
+      minute: Number(parts.minute)
+    };
+    date.weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+    return date;
+  }
+
+  /**
+   * 将店铺时区的本地时间换算为UTC时间戳（处理夏令时偏移变化）
+   * @param {Object} date - 本地日期 { year, month, day }
+   * @param {number} minutes - 当天的分钟数（0-1440）
+   * @param {string} timezone - 时区
+   * @returns {number} 时间戳
+   */
+  static zonedTimeToUtc(date, minutes, timezone) {
+    const wallTime = Date.UTC(date.year, date.month - 1, date.day) + minutes * MINUTE;
+    const offset = this.getOffset(wallTime, timezone);
+    const guess = wallTime - offset;
+    const correctedOffset = this.getOffset(guess, timezone);
+
+    return correctedOffset === offset ? guess : wallTime - correctedOffset;
+  }
+
+  /**
+   * 获取时区在指定时刻相对UTC的偏移（毫秒）
+   * @param {number} timestamp - 时间戳
+   * @param {string} timezone - 时区
+   * @returns {number} 偏移毫秒数
+   */
+  static getOffset(timestamp, timezone) {
+    const parts = this.getZonedParts(timestamp, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUtc - Math.floor(timestamp / MINUTE) * MINUTE;
+  }
+
+  /**
+   * 获取指定时区的日期格式化器
+   * @param {string} timezone - 时区
+   * @returns {Intl.DateTimeFormat} 格式化器
+   */
+  static getFormatter(timezone) {
+    if (!formatterCache.has(timezone)) {
+      formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }));
+    }
+    return formatterCache.get(timezone);
+  }
+
+  /**
+   * 本地日期加减天数
+   * @param {Object} date - 本地日期 { year, month, day }
+   * @param {number} days - 天数
+   * @returns {Object} { year, month, day, weekday }
+   */
+  static addDays(date, days) {
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * DAY);
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      weekday: shifted.getUTCDay()
+    };
+  }
+
+  /**
+   * 格式化本地日期为 YYYY-MM-DD
+   * @param {Object} date - 本地日期 { year, month, day }
+   * @returns {string} 日期字符串
+   */
+  static formatDate(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * 将 HH:mm 转换为当天的分钟数
+   * @param {string} time - 时间
+   * @returns {number} 分钟数
+   */
+  static toMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  }
+}
+
+module.exports = {
+  BusinessHoursHelper,
+  WEEKDAYS,
+  OPEN_STATUS_REASON,
+  DEFAULT_TIMEZONE
+};
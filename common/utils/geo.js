@@ -0,0 +1,197 @@
+/**
+ * 地理位置工具
+ * 功能：坐标校验、geohash 编解码、球面距离计算，以及生成 MySQL 空间查询使用的几何对象
+ * 说明：坐标统一使用 { lat, lng }（WGS84），空间列使用 SRID 4326，写入时显式指定经度在前的轴顺序
+ */
+
+// 空间参考系：WGS84
+const SRID = 4326;
+// WKT 中坐标的轴顺序：经度在前、纬度在后（MySQL 对 SRID 4326 默认为纬度在前，这里显式指定）
+const AXIS_ORDER = 'axis-order=long-lat';
+// 未设置坐标的店铺写入的占位点（空间索引要求列非空），查询时通过 coordinates IS NOT NULL 排除
+const EMPTY_POINT = { lat: 0, lng: 0 };
+// 地球平均半径（米），与 MySQL ST_Distance_Sphere 默认值一致
+const EARTH_RADIUS = 6370986;
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+class GeoHelper {
+  /**
+   * 校验坐标
+   * @param {Object} coordinates - { lat, lng }
+   * @returns {boolean} 是否为有效坐标
+   */
+  static isValidCoordinates(coordinates) {
+    if (!coordinates || typeof coordinates !== 'object') {
+      return false;
+    }
+
+    const { lat, lng } = coordinates;
+    return typeof lat === 'number' && typeof lng === 'number' &&
+      Number.isFinite(lat) && Number.isFinite(lng) &&
+      lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+  }
+
+  /**
+   * 校验店铺坐标，null 表示清除坐标
+   * @param {Object|null} coordinates - { lat, lng }
+   */
+  static validate(coordinates) {
+    if (coordinates === null) {
+      return;
+    }
+    if (!this.isValidCoordinates(coordinates)) {
+      throw new Error('店铺坐标验证失败: 坐标格式应为 { lat, lng }，纬度范围 -90~90，经度范围 -180~180');
+    }
+  }
+
+  /**
+   * 生成可直接写入空间列的点（Sequelize 的 GEOMETRY 类型写入时不带 SRID，这里用函数显式指定）
+   * @param {Object|null} coordinates - { lat, lng }，为空时返回占位点
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} sequelize.fn 表达式
+   */
+  static toPoint(coordinates, sequelize) {
+    const { lat, lng } = coordinates || EMPTY_POINT;
+    return this.fromText(`POINT(${Number(lng)} ${Number(lat)})`, sequelize);
+  }
+
+  /**
+   * 生成查询范围的外接矩形，用于命中空间索引（跨越180度经线时返回 null，仅按距离过滤）
+   * @param {number} lat - 纬度
+   * @param {number} lng - 经度
+   * @param {number} radius - 半径（米）
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object|null} sequelize.fn 表达式
+   */
+  static toBoundingBox(lat, lng, radius, sequelize) {
+    const latDelta = this.toDegrees(radius / EARTH_RADIUS);
+    const minLat = Math.max(lat - latDelta, -90);
+    const maxLat = Math.min(lat + latDelta, 90);
+
+    // 靠近两极时经度跨度失真，不再使用外接矩形
+    if (minLat === -90 || maxLat === 90) {
+      return null;
+    }
+
+    const lngDelta = this.toDegrees(radius / (EARTH_RADIUS * Math.cos(this.toRadians(lat))));
+    const minLng = lng - lngDelta;
+    const maxLng = lng + lngDelta;
+
+    if (minLng < -180 || maxLng > 180) {
+      return null;
+    }
+
+    const ring = [
+      [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+    ].map(([x, y]) => `${x} ${y}`).join(', ');
+
+    return this.fromText(`POLYGON((${ring}))`, sequelize);
+  }
+
+  /**
+   * 由 WKT 生成 SRID 4326 的几何对象
+   * @param {string} wkt - WKT 文本
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} sequelize.fn 表达式
+   */
+  static fromText(wkt, sequelize) {
+    return sequelize.fn('ST_GeomFromText', wkt, SRID, AXIS_ORDER);
+  }
+
+  /**
+   * 计算两点之间的球面距离（米）
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number} 距离
+   */
+  static distance(from, to) {
+    const dLat = this.toRadians(to.lat - from.lat);
+    const dLng = this.toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(this.toRadians(from.lat)) * Math.cos(this.toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * geohash 编码
+   * @param {number} lat - 纬度
+   * @param {number} lng - 经度
+   * @param {number} precision - 字符长度
+   * @returns {string} geohash
+   */
+  static encodeGeohash(lat, lng, precision) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let isLng = true;
+
+    while (hash.length < precision) {
+      const range = isLng ? lngRange : latRange;
+      const value = isLng ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+
+      bits <<= 1;
+      if (value >= mid) {
+        bits |= 1;
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+
+      isLng = !isLng;
+      if (++bitCount === 5) {
+        hash += GEOHASH_BASE32[bits];
+        bits = 0;
+        bitCount = 0;
+      }
+    }
+
+    return hash;
+  }
+
+  /**
+   * geohash 解码为网格中心点
+   * @param {string} hash - geohash
+   * @returns {Object} { lat, lng }
+   */
+  static decodeGeohash(hash) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let isLng = true;
+
+    for (const char of hash) {
+      const value = GEOHASH_BASE32.indexOf(char);
+      for (let bit = 4; bit >= 0; bit--) {
+        const range = isLng ? lngRange : latRange;
+        const mid = (range[0] + range[1]) / 2;
+        if ((value >> bit) & 1) {
+          range[0] = mid;
+        } else {
+          range[1] = mid;
+        }
+        isLng = !isLng;
+      }
+    }
+
+    return {
+      lat: (latRange[0] + latRange[1]) / 2,
+      lng: (lngRange[0] + lngRange[1]) / 2
+    };
+  }
+
+  static toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  }
+
+  static toDegrees(radians) {
+    return radians * 180 / Math.PI;
+  }
+}
+
+module.exports = {
+  GeoHelper,
+  SRID
+};
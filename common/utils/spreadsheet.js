@@ -0,0 +1,230 @@
+/**
+ * 表格文件工具
+ * 功能：CSV / XLSX 文件与二维字符串数组之间的相互转换，用于批量导入导出
+ * 说明：读取时所有单元格统一转为去除首尾空白的字符串，由调用方按字段解析；
+ *       写出时对以 = + - @ 开头的文本加单引号前缀，防止在表格软件中被当作公式执行，读取时再去掉该前缀
+ */
+
+const ExcelJS = require('exceljs');
+
+// 支持的文件格式及响应类型
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+// UTF-8 BOM，Excel 打开 CSV 时据此识别编码
+const BOM = '\uFEFF';
+// 可能被表格软件解释为公式的开头字符
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class SpreadsheetHelper {
+  /**
+   * 根据文件名判断格式
+   * @param {string} filename - 文件名
+   * @returns {string|null} csv、xlsx 或 null（不支持）
+   */
+  static detectFormat(filename) {
+    const ext = String(filename || '').split('.').pop().toLowerCase();
+    return FORMATS[ext] ? ext : null;
+  }
+
+  /**
+   * 获取格式对应的 Content-Type
+   * @param {string} format - csv 或 xlsx
+   * @returns {string} Content-Type
+   */
+  static getContentType(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * 读取表格文件
+   * @param {Buffer} buffer - 文件内容
+   * @param {string} format - csv 或 xlsx
+   * @returns {Promise<Array<Array<string>>>} 行数组（第一个工作表），每行为单元格字符串数组
+   */
+  static async read(buffer, format) {
+    const rows = format === 'xlsx'
+      ? await SpreadsheetHelper.readXlsx(buffer)
+      : SpreadsheetHelper.parseCsv(buffer.toString('utf8'));
+
+    return rows.map(row => row.map(value => SpreadsheetHelper.unescapeText(value)));
+  }
+
+  /**
+   * 生成表格文件
+   * @param {Array<Array<*>>} rows - 行数组，第一行通常为表头
+   * @param {string} format - csv 或 xlsx
+   * @param {string} sheetName - 工作表名称（仅 xlsx）
+   * @returns {Promise<Buffer>} 文件内容
+   */
+  static async write(rows, format, sheetName = 'Sheet1') {
+    const escaped = rows.map(row => row.map(value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      return typeof value === 'string' ? SpreadsheetHelper.escapeText(value) : value;
+    }));
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet(sheetName);
+      escaped.forEach(row => worksheet.addRow(row));
+      return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    return Buffer.from(BOM + SpreadsheetHelper.stringifyCsv(escaped), 'utf8');
+  }
+
+  /**
+   * 解析 CSV 文本（RFC 4180：双引号包裹的字段可包含逗号、换行，"" 表示一个双引号）
+   * @param {string} text - CSV 文本
+   * @returns {Array<Array<string>>} 行数组，已去除空行
+   */
+  static parseCsv(text) {
+    const input = text.startsWith(BOM) ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"') {
+          if (input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            quoted = false;
+          }
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows
+      .map(cells => cells.map(cell => cell.trim()))
+      .filter(cells => cells.some(cell => cell !== ''));
+  }
+
+  /**
+   * 生成 CSV 文本，含逗号、双引号、换行的字段使用双引号包裹
+   * @param {Array<Array<*>>} rows - 行数组
+   * @returns {string} CSV 文本
+   */
+  static stringifyCsv(rows) {
+    return rows.map(row => row.map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 读取 XLSX 第一个工作表
+   * @param {Buffer} buffer - 文件内容
+   * @returns {Promise<Array<Array<string>>>} 行数组，已去除空行
+   */
+  static async readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return [];
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let col = 1; col <= row.cellCount; col++) {
+        cells.push(SpreadsheetHelper.cellToString(row.getCell(col).value));
+      }
+      if (cells.some(cell => cell !== '')) {
+        rows.push(cells);
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * 将 XLSX 单元格值转为字符串（富文本、超链接、公式取显示文本或计算结果）
+   * @param {*} value - 单元格值
+   * @returns {string} 字符串
+   */
+  static cellToString(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'object') {
+      if (Array.isArray(value.richText)) {
+        return value.richText.map(part => part.text).join('').trim();
+      }
+      if (value.text !== undefined) {
+        return SpreadsheetHelper.cellToString(value.text);
+      }
+      if (value.result !== undefined) {
+        return SpreadsheetHelper.cellToString(value.result);
+      }
+      return '';
+    }
+    return String(value).trim();
+  }
+
+  /**
+   * 转义可能被当作公式的文本
+   * @param {string} text - 原文本
+   * @returns {string} 转义后的文本
+   */
+  static escapeText(text) {
+    return FORMULA_PREFIX.test(text) && !SpreadsheetHelper.isNumeric(text) ? `'${text}` : text;
+  }
+
+  /**
+   * 还原 escapeText 转义的文本
+   * @param {string} text - 单元格文本
+   * @returns {string} 原文本
+   */
+  static unescapeText(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+  }
+
+  /**
+   * 判断文本是否为数字（负数不需要转义）
+   * @param {string} text - 文本
+   * @returns {boolean} 是否为数字
+   */
+  static isNumeric(text) {
+    return /^[+-]?\d+(\.\d+)?$/.test(text);
+  }
+}
+
+module.exports = {
+  SpreadsheetHelper
+};
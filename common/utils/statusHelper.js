@@ -9,8 +9,15 @@ const {
   USER_STATUS,
   USER_ROLE,
   MERCHANT_STATUS,
+  MERCHANT_APPLICATION_STATUS,
   SHOP_STATUS,
   PRODUCT_STATUS,
+  ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  STOCK_MOVEMENT_TYPE,
+  PRICE_CHANGE_SOURCE,
+  PRICE_SCHEDULE_STATUS,
+  REVIEW_STATUS,
   REGISTER_CONFIG,
   AUTH_STATUS,
   PERMISSION_LEVEL,
@@ -47,6 +54,13 @@ const STATUS_DESCRIPTIONS = {
     [MERCHANT_STATUS.REJECTED]: '审核拒绝',
     [MERCHANT_STATUS.SUSPENDED]: '暂停营业'
   },
+
+  // 商户入驻申请状态描述
+  MERCHANT_APPLICATION_STATUS: {
+    [MERCHANT_APPLICATION_STATUS.PENDING]: '待审核',
+    [MERCHANT_APPLICATION_STATUS.APPROVED]: '审核通过',
+    [MERCHANT_APPLICATION_STATUS.REJECTED]: '审核拒绝'
+  },
   
   // 店铺状态描述
   SHOP_STATUS: {
@@ -62,6 +76,47 @@ const STATUS_DESCRIPTIONS = {
     [PRODUCT_STATUS.ONLINE]: '上架',
     [PRODUCT_STATUS.OUT_OF_STOCK]: '缺货',
     [PRODUCT_STATUS.DISCONTINUED]: '停产'
+  },
+  
+  // 订单状态描述
+  ORDER_STATUS: {
+    [ORDER_STATUS.PENDING]: '待支付',
+    [ORDER_STATUS.PAID]: '已支付',
+    [ORDER_STATUS.SHIPPED]: '已发货',
+    [ORDER_STATUS.COMPLETED]: '已完成',
+    [ORDER_STATUS.CANCELLED]: '已取消',
+    [ORDER_STATUS.REFUNDED]: '已退款'
+  },
+
+  // 库存变动类型描述
+  STOCK_MOVEMENT_TYPE: {
+    [STOCK_MOVEMENT_TYPE.INBOUND]: '入库',
+    [STOCK_MOVEMENT_TYPE.SALE]: '销售出库',
+    [STOCK_MOVEMENT_TYPE.ADJUSTMENT]: '盘点调整',
+    [STOCK_MOVEMENT_TYPE.RETURN]: '退货入库'
+  },
+
+  // 价格变动来源描述
+  PRICE_CHANGE_SOURCE: {
+    [PRICE_CHANGE_SOURCE.CREATE]: '新建商品',
+    [PRICE_CHANGE_SOURCE.MANUAL]: '商户修改',
+    [PRICE_CHANGE_SOURCE.SCHEDULE_APPLY]: '定时调价生效',
+    [PRICE_CHANGE_SOURCE.SCHEDULE_REVERT]: '定时调价结束恢复',
+    [PRICE_CHANGE_SOURCE.VARIANT_SYNC]: '规格价格同步'
+  },
+
+  // 定时调价状态描述
+  PRICE_SCHEDULE_STATUS: {
+    [PRICE_SCHEDULE_STATUS.PENDING]: '待生效',
+    [PRICE_SCHEDULE_STATUS.ACTIVE]: '生效中',
+    [PRICE_SCHEDULE_STATUS.COMPLETED]: '已结束',
+    [PRICE_SCHEDULE_STATUS.CANCELLED]: '已取消'
+  },
+
+  // 评价状态描述
+  REVIEW_STATUS: {
+    [REVIEW_STATUS.HIDDEN]: '已隐藏',
+    [REVIEW_STATUS.VISIBLE]: '展示中'
   }
 };
 
@@ -159,6 +214,27 @@ class StatusHelper {
   static isMerchantActive(status) {
     return status === MERCHANT_STATUS.ACTIVE;
   }
+
+  /**
+   * 检查商户是否可以登录
+   * 审核中和审核拒绝的商户可以登录以提交或修改入驻资料，但不能进行店铺、商品等经营操作
+   * @param {number} status - 商户状态
+   * @returns {boolean} 是否可以登录
+   */
+  static canMerchantLogin(status) {
+    return [MERCHANT_STATUS.ACTIVE, MERCHANT_STATUS.PENDING, MERCHANT_STATUS.REJECTED].includes(status);
+  }
+  
+  /**
+   * 检查订单状态是否允许流转
+   * @param {number} fromStatus - 当前订单状态
+   * @param {number} toStatus - 目标订单状态
+   * @returns {boolean} 是否允许流转
+   */
+  static canTransitionOrder(fromStatus, toStatus) {
+    const allowed = ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+    return allowed.includes(toStatus);
+  }
   
   /**
    * 将boolean值转换为数字
@@ -0,0 +1,28 @@
+/**
+ * 令牌工具
+ * 功能：判断JWT令牌是否因用户修改或重置密码而失效
+ * 说明：令牌本身无状态，修改密码时记录 password_updated_at，签发时间（iat）早于该时间的令牌一律视为失效，
+ *       从而在不逐个拉黑令牌的情况下注销用户的所有会话
+ */
+
+class TokenHelper {
+  /**
+   * 令牌是否签发于最近一次修改密码之前
+   * iat 精确到秒，与修改时间按秒比较，避免重置密码后同一秒内签发的新令牌被误判失效
+   * @param {Object} decoded - 解码后的令牌数据（含 iat）
+   * @param {Object} user - 用户对象或缓存中的用户数据（含 password_updated_at）
+   * @returns {boolean} 是否已失效
+   */
+  static isIssuedBeforePasswordChange(decoded, user) {
+    if (!decoded || !user || !user.password_updated_at || !decoded.iat) {
+      return false;
+    }
+
+    const changedAt = Math.floor(new Date(user.password_updated_at).getTime() / 1000);
+    return decoded.iat < changedAt;
+  }
+}
+
+module.exports = {
+  TokenHelper
+};
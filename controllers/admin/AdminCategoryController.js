@@ -0,0 +1,171 @@
+/**
+ * 管理员商品分类控制器
+ * 处理分类树的查看、创建、更新（含移动和排序）和删除请求
+ */
+
+const BaseController = require('../base/BaseController');
+const CategoryService = require('../../services/common/CategoryService');
+
+class AdminCategoryController extends BaseController {
+  constructor() {
+    super();
+    this.categoryService = new CategoryService();
+  }
+
+  /**
+   * 获取完整分类树（包含禁用分类）
+   * GET /api/admin/categories
+   */
+  getCategoryTree = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取分类树请求', req);
+
+      const tree = await this.categoryService.getFullTree(res.sequelize);
+
+      return this.sendSuccess(res, '获取分类树成功', { categories: tree });
+
+    } catch (error) {
+      this.logError('获取分类树失败', error, req);
+      return this.handleCategoryError(res, error, '获取分类树失败');
+    }
+  });
+
+  /**
+   * 获取分类详情
+   * GET /api/admin/categories/:id
+   */
+  getCategoryDetail = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('获取分类详情请求', req, { categoryId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const category = await this.categoryService.getCategoryById(parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '获取分类详情成功', { category });
+
+    } catch (error) {
+      this.logError('获取分类详情失败', error, req);
+      return this.handleCategoryError(res, error, '获取分类详情失败');
+    }
+  });
+
+  /**
+   * 创建分类
+   * POST /api/admin/categories
+   */
+  createCategory = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('创建分类请求', req, { name: req.body.name, parentId: req.body.parentId });
+
+      const validationErrors = this.validateRequiredFields(req, ['name']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const category = await this.categoryService.createCategory(this.buildCategoryData(req.body), res.sequelize);
+
+      return this.sendSuccess(res, '创建分类成功', { category }, 201);
+
+    } catch (error) {
+      this.logError('创建分类失败', error, req);
+      return this.handleCategoryError(res, error, '创建分类失败');
+    }
+  });
+
+  /**
+   * 更新分类（修改 parentId 即移动分类，修改 sortOrder 即调整同级排序）
+   * PUT /api/admin/categories/:id
+   */
+  updateCategory = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('更新分类请求', req, { categoryId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const updateData = this.buildCategoryData(req.body);
+      if (Object.keys(updateData).length === 0) {
+        return this.sendError(res, '没有提供需要更新的数据', 400);
+      }
+
+      const category = await this.categoryService.updateCategory(parseInt(id), updateData, res.sequelize);
+
+      return this.sendSuccess(res, '更新分类成功', { category });
+
+    } catch (error) {
+      this.logError('更新分类失败', error, req);
+      return this.handleCategoryError(res, error, '更新分类失败');
+    }
+  });
+
+  /**
+   * 删除分类（存在子分类或商品时不允许删除）
+   * DELETE /api/admin/categories/:id
+   */
+  deleteCategory = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('删除分类请求', req, { categoryId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      await this.categoryService.deleteCategory(parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '删除分类成功');
+
+    } catch (error) {
+      this.logError('删除分类失败', error, req);
+      return this.handleCategoryError(res, error, '删除分类失败');
+    }
+  });
+
+  /**
+   * 从请求体提取分类数据，只包含提供的字段并转换数值类型
+   * @param {Object} body - 请求体
+   * @returns {Object} 分类数据
+   */
+  buildCategoryData(body) {
+    const { name, parentId, description, icon, sortOrder, status } = body;
+    const data = {};
+
+    if (name !== undefined) data.name = typeof name === 'string' ? name.trim() : name;
+    if (parentId !== undefined) data.parentId = parentId === null || parentId === '' || Number(parentId) === 0 ? null : Number(parentId);
+    if (description !== undefined) data.description = description;
+    if (icon !== undefined) data.icon = icon;
+    if (sortOrder !== undefined) data.sortOrder = Number(sortOrder);
+    if (status !== undefined) data.status = Number(status);
+
+    return data;
+  }
+
+  /**
+   * 处理分类操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleCategoryError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('已存在') || error.message.includes('无法删除')) {
+      return this.sendError(res, error.message, 409);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = AdminCategoryController;
@@ -0,0 +1,336 @@
+/**
+ * 管理员商户控制器
+ * 处理商户管理请求：商户列表、详情、暂停和恢复营业，查看商户的店铺和商品，
+ * 以及商户入驻申请的查看和审核（通过、拒绝），审核结果会同步商户状态并通知商户
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminMerchantService = require('../../services/admin/AdminMerchantService');
+const AdminShopService = require('../../services/admin/AdminShopService');
+const AdminProductService = require('../../services/admin/AdminProductService');
+const MerchantOnboardingService = require('../../services/common/MerchantOnboardingService');
+
+class AdminMerchantController extends BaseController {
+  constructor() {
+    super();
+    this.adminMerchantService = new AdminMerchantService();
+    this.adminShopService = new AdminShopService();
+    this.adminProductService = new AdminProductService();
+    this.onboardingService = new MerchantOnboardingService();
+  }
+
+  /**
+   * 获取商户列表
+   * GET /api/admin/merchants?merchantStatus=&status=&businessType=&search=&createdAfter=&createdBefore=
+   */
+  getMerchantList = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取商户列表请求', req);
+
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req, 'created_at', 'DESC');
+
+      const { businessType, search, createdAfter, createdBefore } = req.query;
+      const filters = {
+        merchantStatus: this.getIntegerQuery(req, 'merchantStatus'),
+        status: this.getIntegerQuery(req, 'status'),
+        businessType,
+        search,
+        createdAfter,
+        createdBefore
+      };
+
+      const result = await this.adminMerchantService.getMerchantList(filters, pagination, sort, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.merchants, result.pagination, '获取商户列表成功');
+
+    } catch (error) {
+      this.logError('获取商户列表失败', error, req);
+      return this.handleMerchantError(res, error, '获取商户列表失败');
+    }
+  });
+
+  /**
+   * 获取商户详情（含店铺列表、商品统计和最近一次入驻申请）
+   * GET /api/admin/merchants/:merchantId
+   */
+  getMerchantDetail = this.asyncHandler(async (req, res) => {
+    try {
+      const { merchantId } = req.params;
+
+      this.logAction('获取商户详情请求', req, { merchantId });
+
+      if (!merchantId || isNaN(parseInt(merchantId))) {
+        return this.sendError(res, '商户ID格式不正确', 400);
+      }
+
+      const result = await this.adminMerchantService.getMerchantDetail(parseInt(merchantId), res.sequelize);
+
+      return this.sendSuccess(res, '获取商户详情成功', result);
+
+    } catch (error) {
+      this.logError('获取商户详情失败', error, req);
+      return this.handleMerchantError(res, error, '获取商户详情失败');
+    }
+  });
+
+  /**
+   * 更新商户状态：暂停营业、禁用或恢复正常，暂停和禁用时必须填写原因
+   * PATCH /api/admin/merchants/:merchantId/status
+   */
+  updateMerchantStatus = this.asyncHandler(async (req, res) => {
+    try {
+      const { merchantId } = req.params;
+      const { status, reason } = req.body;
+
+      this.logAction('更新商户状态请求', req, { merchantId, status });
+
+      if (!merchantId || isNaN(parseInt(merchantId))) {
+        return this.sendError(res, '商户ID格式不正确', 400);
+      }
+
+      if (status === undefined || status === null || isNaN(parseInt(status))) {
+        return this.sendError(res, '状态参数不能为空', 400);
+      }
+
+      const result = await this.adminMerchantService.updateMerchantStatus(
+        parseInt(merchantId),
+        parseInt(status),
+        reason,
+        req.user?.id,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '商户状态更新成功', result);
+
+    } catch (error) {
+      this.logError('更新商户状态失败', error, req);
+      return this.handleMerchantError(res, error, '更新商户状态失败');
+    }
+  });
+
+  /**
+   * 获取商户的店铺列表
+   * GET /api/admin/merchants/:merchantId/shops?status=&search=
+   */
+  getMerchantShops = this.asyncHandler(async (req, res) => {
+    try {
+      const { merchantId } = req.params;
+
+      this.logAction('获取商户店铺列表请求', req, { merchantId });
+
+      if (!merchantId || isNaN(parseInt(merchantId))) {
+        return this.sendError(res, '商户ID格式不正确', 400);
+      }
+
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req, 'createdAt', 'DESC');
+      const result = await this.adminShopService.getShopList({
+        merchantId: parseInt(merchantId),
+        status: this.getIntegerQuery(req, 'status'),
+        search: req.query.search
+      }, pagination, sort, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.shops, result.pagination, '获取商户店铺列表成功');
+
+    } catch (error) {
+      this.logError('获取商户店铺列表失败', error, req);
+      return this.handleMerchantError(res, error, '获取商户店铺列表失败');
+    }
+  });
+
+  /**
+   * 获取商户的商品列表
+   * GET /api/admin/merchants/:merchantId/products?shopId=&status=&search=
+   */
+  getMerchantProducts = this.asyncHandler(async (req, res) => {
+    try {
+      const { merchantId } = req.params;
+
+      this.logAction('获取商户商品列表请求', req, { merchantId });
+
+      if (!merchantId || isNaN(parseInt(merchantId))) {
+        return this.sendError(res, '商户ID格式不正确', 400);
+      }
+
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req, 'createdAt', 'DESC');
+      const result = await this.adminProductService.getProductList({
+        merchantId: parseInt(merchantId),
+        shopId: this.getIntegerQuery(req, 'shopId'),
+        status: this.getIntegerQuery(req, 'status'),
+        search: req.query.search
+      }, pagination, sort, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.products, result.pagination, '获取商户商品列表成功');
+
+    } catch (error) {
+      this.logError('获取商户商品列表失败', error, req);
+      return this.handleMerchantError(res, error, '获取商户商品列表失败');
+    }
+  });
+
+  /**
+   * 获取入驻申请列表
+   * GET /api/admin/merchants/applications?status=&merchantId=&keyword=
+   */
+  getApplications = this.asyncHandler(async (req, res) => {
+    try {
+      const { status, merchantId, keyword } = req.query;
+
+      this.logAction('获取商户入驻申请列表请求', req, { status, merchantId, keyword });
+
+      const pagination = this.getPaginationParams(req);
+
+      const result = await this.onboardingService.getApplications({
+        status: status || undefined,
+        merchantId: merchantId ? parseInt(merchantId) : undefined,
+        keyword
+      }, pagination, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.items, { ...pagination, total: result.total }, '获取入驻申请列表成功');
+
+    } catch (error) {
+      this.logError('获取商户入驻申请列表失败', error, req);
+      return this.handleMerchantError(res, error, '获取入驻申请列表失败');
+    }
+  });
+
+  /**
+   * 获取入驻申请详情（含该商户的历史申请）
+   * GET /api/admin/merchants/applications/:id
+   */
+  getApplication = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('获取商户入驻申请详情请求', req, { applicationId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const result = await this.onboardingService.getApplication(parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '获取入驻申请详情成功', result);
+
+    } catch (error) {
+      this.logError('获取商户入驻申请详情失败', error, req);
+      return this.handleMerchantError(res, error, '获取入驻申请详情失败');
+    }
+  });
+
+  /**
+   * 查看入驻申请中的证明材料
+   * GET /api/admin/merchants/applications/:id/documents/:filename
+   */
+  getApplicationDocument = this.asyncHandler(async (req, res) => {
+    try {
+      const { id, filename } = req.params;
+
+      this.logAction('查看商户入驻证明材料请求', req, { applicationId: id, filename });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const document = await this.onboardingService.getApplicationDocument(parseInt(id), filename, res.sequelize);
+
+      // 以内联方式返回，便于在审核页面直接预览图片和PDF
+      return res.sendFile(document.filePath, {
+        headers: { 'Content-Disposition': `inline; filename="${encodeURIComponent(document.originalname)}"` }
+      }, (err) => {
+        if (err && !res.headersSent) {
+          this.sendError(res, '证明材料文件不存在', 404);
+        }
+      });
+
+    } catch (error) {
+      this.logError('查看商户入驻证明材料失败', error, req);
+      return this.handleMerchantError(res, error, '查看证明材料失败');
+    }
+  });
+
+  /**
+   * 审核通过入驻申请
+   * POST /api/admin/merchants/applications/:id/approve
+   */
+  approveApplication = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('审核通过商户入驻申请请求', req, { applicationId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const application = await this.onboardingService.approveApplication(
+        parseInt(id),
+        req.user?.id,
+        req.body.remark,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '入驻申请已审核通过', { application });
+
+    } catch (error) {
+      this.logError('审核通过商户入驻申请失败', error, req);
+      return this.handleMerchantError(res, error, '审核入驻申请失败');
+    }
+  });
+
+  /**
+   * 拒绝入驻申请，必须填写拒绝原因
+   * POST /api/admin/merchants/applications/:id/reject
+   */
+  rejectApplication = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('拒绝商户入驻申请请求', req, { applicationId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const validationErrors = this.validateRequiredFields(req, ['reason']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const application = await this.onboardingService.rejectApplication(
+        parseInt(id),
+        req.user?.id,
+        req.body.reason,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '入驻申请已拒绝', { application });
+
+    } catch (error) {
+      this.logError('拒绝商户入驻申请失败', error, req);
+      return this.handleMerchantError(res, error, '审核入驻申请失败');
+    }
+  });
+
+  /**
+   * 处理商户管理操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleMerchantError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('状态已变化')) {
+      return this.sendError(res, error.message, 409);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = AdminMerchantController;
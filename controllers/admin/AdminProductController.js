@@ -0,0 +1,123 @@
+/**
+ * 管理员商品控制器
+ * 处理管理端商品管理相关的HTTP请求：跨商户的商品列表、商品详情和商品状态管理
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminProductService = require('../../services/admin/AdminProductService');
+
+class AdminProductController extends BaseController {
+  constructor() {
+    super();
+    this.adminProductService = new AdminProductService();
+  }
+
+  /**
+   * 获取商品列表
+   * GET /api/admin/products?merchantId=&shopId=&categoryId=&status=&search=&minPrice=&maxPrice=
+   */
+  getProductList = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取商品列表请求', req);
+
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req, 'createdAt', 'DESC');
+
+      const { search, minPrice, maxPrice } = req.query;
+      const filters = {
+        merchantId: this.getIntegerQuery(req, 'merchantId'),
+        shopId: this.getIntegerQuery(req, 'shopId'),
+        categoryId: this.getIntegerQuery(req, 'categoryId'),
+        status: this.getIntegerQuery(req, 'status'),
+        search,
+        minPrice: minPrice && !isNaN(parseFloat(minPrice)) ? parseFloat(minPrice) : undefined,
+        maxPrice: maxPrice && !isNaN(parseFloat(maxPrice)) ? parseFloat(maxPrice) : undefined
+      };
+
+      const result = await this.adminProductService.getProductList(filters, pagination, sort, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.products, result.pagination, '获取商品列表成功');
+
+    } catch (error) {
+      this.logError('获取商品列表失败', error, req);
+      return this.handleProductError(res, error, '获取商品列表失败');
+    }
+  });
+
+  /**
+   * 获取商品详情（含所属店铺、分类和商户）
+   * GET /api/admin/products/:id
+   */
+  getProductDetail = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('获取商品详情请求', req, { productId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, '商品ID格式不正确', 400);
+      }
+
+      const result = await this.adminProductService.getProductDetail(parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '获取商品详情成功', result);
+
+    } catch (error) {
+      this.logError('获取商品详情失败', error, req);
+      return this.handleProductError(res, error, '获取商品详情失败');
+    }
+  });
+
+  /**
+   * 更新商品状态（如强制下架违规商品）
+   * PATCH /api/admin/products/:id/status
+   */
+  updateProductStatus = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, reason } = req.body;
+
+      this.logAction('更新商品状态请求', req, { productId: id, status });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, '商品ID格式不正确', 400);
+      }
+
+      if (status === undefined || status === null || isNaN(parseInt(status))) {
+        return this.sendError(res, '状态参数不能为空', 400);
+      }
+
+      const result = await this.adminProductService.updateProductStatus(
+        parseInt(id),
+        parseInt(status),
+        reason,
+        req.user?.id,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '商品状态更新成功', result);
+
+    } catch (error) {
+      this.logError('更新商品状态失败', error, req);
+      return this.handleProductError(res, error, '更新商品状态失败');
+    }
+  });
+
+  /**
+   * 处理商品管理操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleProductError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = AdminProductController;
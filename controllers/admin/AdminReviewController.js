@@ -0,0 +1,96 @@
+/**
+ * 管理员评价控制器
+ * 处理评价的查看和审核（隐藏、恢复展示）请求，审核会同步调整商品和店铺评分
+ */
+
+const BaseController = require('../base/BaseController');
+const ReviewService = require('../../services/common/ReviewService');
+
+class AdminReviewController extends BaseController {
+  constructor() {
+    super();
+    this.reviewService = new ReviewService();
+  }
+
+  /**
+   * 获取评价列表
+   * GET /api/admin/reviews?status=&shopId=&productId=&userId=&rating=&sort=
+   */
+  getReviews = this.asyncHandler(async (req, res) => {
+    try {
+      const { status, shopId, productId, userId, rating, sort } = req.query;
+
+      this.logAction('获取评价列表请求', req, { status, shopId, productId });
+
+      const pagination = this.getPaginationParams(req);
+
+      const result = await this.reviewService.getReviews({
+        status: status !== undefined ? parseInt(status) : undefined,
+        shopId: shopId ? parseInt(shopId) : undefined,
+        productId: productId ? parseInt(productId) : undefined,
+        userId: userId ? parseInt(userId) : undefined,
+        rating: rating ? parseInt(rating) : undefined,
+        sort
+      }, pagination, res.sequelize, { scope: 'admin' });
+
+      return this.sendPaginatedResponse(res, result.items, { ...pagination, total: result.total }, '获取评价列表成功');
+
+    } catch (error) {
+      this.logError('获取评价列表失败', error, req);
+      return this.handleReviewError(res, error, '获取评价列表失败');
+    }
+  });
+
+  /**
+   * 审核评价：status=0 隐藏，status=1 恢复展示
+   * PUT /api/admin/reviews/:id/status
+   */
+  moderateReview = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('审核评价请求', req, { reviewId: id, status: req.body.status });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const validationErrors = this.validateRequiredFields(req, ['status']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const review = await this.reviewService.moderateReview(
+        parseInt(id),
+        Number(req.body.status),
+        req.body.reason,
+        req.user?.id,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '审核评价成功', { review });
+
+    } catch (error) {
+      this.logError('审核评价失败', error, req);
+      return this.handleReviewError(res, error, '审核评价失败');
+    }
+  });
+
+  /**
+   * 处理评价操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleReviewError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = AdminReviewController;
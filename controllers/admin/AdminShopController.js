@@ -0,0 +1,120 @@
+/**
+ * 管理员店铺控制器
+ * 处理管理端店铺管理相关的HTTP请求：跨商户的店铺列表、店铺详情和店铺状态管理
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminShopService = require('../../services/admin/AdminShopService');
+
+class AdminShopController extends BaseController {
+  constructor() {
+    super();
+    this.adminShopService = new AdminShopService();
+  }
+
+  /**
+   * 获取店铺列表
+   * GET /api/admin/shops?merchantId=&status=&search=&createdAfter=&createdBefore=
+   */
+  getShopList = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取店铺列表请求', req);
+
+      const pagination = this.getPaginationParams(req);
+      const sort = this.getSortParams(req, 'createdAt', 'DESC');
+
+      const filters = {
+        merchantId: this.getIntegerQuery(req, 'merchantId'),
+        status: this.getIntegerQuery(req, 'status'),
+        search: req.query.search,
+        createdAfter: req.query.createdAfter,
+        createdBefore: req.query.createdBefore
+      };
+
+      const result = await this.adminShopService.getShopList(filters, pagination, sort, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.shops, result.pagination, '获取店铺列表成功');
+
+    } catch (error) {
+      this.logError('获取店铺列表失败', error, req);
+      return this.handleShopError(res, error, '获取店铺列表失败');
+    }
+  });
+
+  /**
+   * 获取店铺详情（含所属商户和商品统计）
+   * GET /api/admin/shops/:id
+   */
+  getShopDetail = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('获取店铺详情请求', req, { shopId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, '店铺ID格式不正确', 400);
+      }
+
+      const result = await this.adminShopService.getShopDetail(parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '获取店铺详情成功', result);
+
+    } catch (error) {
+      this.logError('获取店铺详情失败', error, req);
+      return this.handleShopError(res, error, '获取店铺详情失败');
+    }
+  });
+
+  /**
+   * 更新店铺状态
+   * PATCH /api/admin/shops/:id/status
+   */
+  updateShopStatus = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, reason } = req.body;
+
+      this.logAction('更新店铺状态请求', req, { shopId: id, status });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, '店铺ID格式不正确', 400);
+      }
+
+      if (status === undefined || status === null || isNaN(parseInt(status))) {
+        return this.sendError(res, '状态参数不能为空', 400);
+      }
+
+      const result = await this.adminShopService.updateShopStatus(
+        parseInt(id),
+        parseInt(status),
+        reason,
+        req.user?.id,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '店铺状态更新成功', result);
+
+    } catch (error) {
+      this.logError('更新店铺状态失败', error, req);
+      return this.handleShopError(res, error, '更新店铺状态失败');
+    }
+  });
+
+  /**
+   * 处理店铺管理操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleShopError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = AdminShopController;
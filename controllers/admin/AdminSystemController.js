@@ -5,11 +5,13 @@
 
 const BaseController = require('../base/BaseController');
 const AdminSystemService = require('../../services/admin/AdminSystemService');
+const RegisterConfigService = require('../../services/common/RegisterConfigService');
 
 class AdminSystemController extends BaseController {
   constructor() {
     super();
     this.adminSystemService = new AdminSystemService();
+    this.registerConfigService = new RegisterConfigService();
   }
 
   /**
@@ -176,6 +178,54 @@ class AdminSystemController extends BaseController {
     }
   });
 
+  /**
+   * 获取注册配置（应用密钥脱敏显示）
+   * GET /api/admin/system/register-config
+   */
+  getRegisterConfig = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取注册配置请求', req);
+
+      const config = await this.registerConfigService.getAdminRegisterConfig(res.sequelize);
+
+      return this.sendSuccess(res, '获取注册配置成功', { config });
+
+    } catch (error) {
+      this.logError('获取注册配置失败', error, req);
+      return this.sendError(res, '获取注册配置失败', 500);
+    }
+  });
+
+  /**
+   * 更新注册配置，只更新提交的字段；应用密钥提交 ****** 表示保持不变
+   * PUT /api/admin/system/register-config
+   */
+  updateRegisterConfig = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('更新注册配置请求', req);
+
+      const configData = req.body;
+
+      // 检查是否有配置数据
+      if (!configData || Object.keys(configData).length === 0) {
+        return this.sendError(res, '没有提供配置数据', 400);
+      }
+
+      const config = await this.registerConfigService.updateRegisterConfig(configData, req.user?.id, res.sequelize);
+
+      return this.sendSuccess(res, '注册配置更新成功', { config });
+
+    } catch (error) {
+      this.logError('更新注册配置失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      } else {
+        return this.sendError(res, '更新注册配置失败', 500);
+      }
+    }
+  });
+
   /**
    * 获取系统统计信息
    * GET /api/admin/system/statistics
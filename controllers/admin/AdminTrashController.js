@@ -0,0 +1,103 @@
+/**
+ * 管理员回收站控制器
+ * 处理已软删除的用户、店铺、商品的查看、恢复和彻底删除请求
+ */
+
+const BaseController = require('../base/BaseController');
+const AdminTrashService = require('../../services/admin/AdminTrashService');
+
+class AdminTrashController extends BaseController {
+  constructor() {
+    super();
+    this.adminTrashService = new AdminTrashService();
+  }
+
+  /**
+   * 获取回收站列表
+   * GET /api/admin/trash/:resource
+   */
+  getDeletedList = this.asyncHandler(async (req, res) => {
+    try {
+      const { resource } = req.params;
+
+      this.logAction('获取回收站列表请求', req, { resource });
+
+      const pagination = this.getPaginationParams(req);
+      const result = await this.adminTrashService.getDeletedList(resource, pagination, res.sequelize);
+
+      return this.sendSuccess(res, '获取回收站列表成功', result);
+
+    } catch (error) {
+      this.logError('获取回收站列表失败', error, req);
+      return this.handleTrashError(res, error, '获取回收站列表失败');
+    }
+  });
+
+  /**
+   * 恢复已删除的记录
+   * POST /api/admin/trash/:resource/:id/restore
+   */
+  restore = this.asyncHandler(async (req, res) => {
+    try {
+      const { resource, id } = req.params;
+
+      this.logAction('恢复已删除数据请求', req, { resource, targetId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const record = await this.adminTrashService.restore(resource, parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '恢复成功', { item: record });
+
+    } catch (error) {
+      this.logError('恢复已删除数据失败', error, req);
+      return this.handleTrashError(res, error, '恢复失败');
+    }
+  });
+
+  /**
+   * 彻底删除记录
+   * DELETE /api/admin/trash/:resource/:id
+   */
+  purge = this.asyncHandler(async (req, res) => {
+    try {
+      const { resource, id } = req.params;
+
+      this.logAction('彻底删除数据请求', req, { resource, targetId: id });
+
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      await this.adminTrashService.purge(resource, parseInt(id), res.sequelize);
+
+      return this.sendSuccess(res, '彻底删除成功');
+
+    } catch (error) {
+      this.logError('彻底删除数据失败', error, req);
+      return this.handleTrashError(res, error, '彻底删除失败');
+    }
+  });
+
+  /**
+   * 处理回收站操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleTrashError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('无法彻底删除') || error.message.includes('请先恢复')) {
+      return this.sendError(res, error.message, 409);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = AdminTrashController;
@@ -92,6 +92,57 @@ class AdminUserController extends BaseController {
     }
   });
 
+  /**
+   * 获取用户登录历史
+   * GET /api/admin/users/:id/login-history
+   */
+  getUserLoginHistory = this.asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      this.logAction('获取用户登录历史请求', req, { targetUserId: id });
+
+      // 验证用户ID
+      if (!id || isNaN(parseInt(id))) {
+        return this.sendError(res, '用户ID格式不正确', 400);
+      }
+
+      const pagination = this.getPaginationParams(req);
+      const filters = {};
+      if (req.query.success !== undefined) {
+        // 只接受 0（失败）或 1（成功）
+        if (req.query.success !== '0' && req.query.success !== '1') {
+          return this.sendError(res, '登录结果参数无效，只能为0或1', 400);
+        }
+        filters.success = parseInt(req.query.success);
+      }
+      if (req.query.userType) filters.user_type = req.query.userType;
+
+      const result = await this.adminUserService.getUserLoginHistory(
+        parseInt(id),
+        filters,
+        pagination,
+        res.sequelize
+      );
+
+      return this.sendPaginatedResponse(
+        res,
+        result.logs,
+        result.pagination,
+        '获取用户登录历史成功'
+      );
+
+    } catch (error) {
+      this.logError('获取用户登录历史失败', error, req);
+
+      if (error.message.includes('用户不存在')) {
+        return this.sendError(res, '用户不存在', 404);
+      } else {
+        return this.sendError(res, '获取用户登录历史失败', 500);
+      }
+    }
+  });
+
   /**
    * 创建用户
    * POST /api/admin/users
@@ -170,6 +170,19 @@ class BaseController {
     };
   }
 
+  /**
+   * 获取整数查询参数方法：从查询字符串中提取可选的整数过滤条件
+   * 功能：统一处理状态、ID等数字过滤参数，参数缺失或格式无效时视为未筛选
+   * @param {Object} req - Express请求对象
+   * @param {string} name - 查询参数名
+   * @returns {number|undefined} 整数值，无效时返回undefined
+   */
+  getIntegerQuery(req, name) {
+    // 查询参数为字符串，转换失败（包括空字符串）时忽略该过滤条件
+    const value = parseInt(req.query[name]);
+    return isNaN(value) ? undefined : value;
+  }
+
   /**
    * 记录操作日志方法：记录控制器中的重要操作
    * 功能：统一记录用户操作，便于审计和问题追踪
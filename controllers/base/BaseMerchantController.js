@@ -7,6 +7,8 @@
 
 // 引入基础控制器类，提供通用的控制器功能
 const BaseController = require('./BaseController');
+// 引入Sequelize操作符，用于构建查询条件
+const { Op } = require('sequelize');
 const { MERCHANT_STATUS, COMMON_STATUS } = require('../../common/constants/status');
 const { StatusHelper } = require('../../common/utils/statusHelper');
 
@@ -26,11 +28,44 @@ class BaseMerchantController extends BaseController {
 
   /**
    * 验证商户身份
-   * 确保当前用户具有商户身份
+   * 确保当前用户具有商户身份，且商户已通过入驻审核、状态正常
    * @param {Object} req - Express请求对象
    * @returns {Object|null} 返回验证错误信息或null（验证通过）
    */
   validateMerchantAuth(req) {
+    const identityError = this.validateMerchantIdentity(req);
+    if (identityError) {
+      return identityError;
+    }
+
+    // 审核中和审核拒绝的商户只能完成入驻，不能进行经营操作
+    if (req.user.merchantStatus === MERCHANT_STATUS.PENDING || req.user.merchantStatus === MERCHANT_STATUS.REJECTED) {
+      return {
+        status: 403,
+        message: '商户尚未通过入驻审核，请先提交入驻资料并等待审核',
+        code: 'MERCHANT_NOT_APPROVED'
+      };
+    }
+
+    // 检查商户状态是否正常
+    if (req.user.merchantStatus !== undefined && !StatusHelper.isMerchantActive(req.user.merchantStatus)) {
+      return {
+        status: 403,
+        message: '商户账户状态异常，请联系管理员',
+        code: 'MERCHANT_STATUS_ABNORMAL'
+      };
+    }
+
+    return null; // 验证通过
+  }
+
+  /**
+   * 验证商户账户身份
+   * 只确保当前用户已登录且具有商户身份，不检查入驻审核状态，用于查看账户信息、提交入驻资料等操作
+   * @param {Object} req - Express请求对象
+   * @returns {Object|null} 返回验证错误信息或null（验证通过）
+   */
+  validateMerchantIdentity(req) {
     // 检查用户是否已认证
     if (!req.user) {
       return {
@@ -49,15 +84,6 @@ class BaseMerchantController extends BaseController {
       };
     }
 
-    // 检查商户状态是否正常
-    if (req.user.merchantStatus !== undefined && !StatusHelper.isMerchantActive(req.user.merchantStatus)) {
-      return {
-        status: 403,
-        message: '商户账户状态异常，请联系管理员',
-        code: 'MERCHANT_STATUS_ABNORMAL'
-      };
-    }
-
     return null; // 验证通过
   }
 
@@ -186,7 +212,7 @@ class BaseMerchantController extends BaseController {
       query.shopId = shopId;
     } else if (shopIds.length > 0) {
       // 限制在商户拥有的店铺范围内
-      query.shopId = { $in: shopIds };
+      query.shopId = { [Op.in]: shopIds };
     }
 
     return query;
@@ -262,6 +288,56 @@ class BaseMerchantController extends BaseController {
     return this.sendError(res, message, status, errors);
   }
 
+  /**
+   * 解析 If-Match 请求头中的版本号（乐观锁）
+   * 支持 "3"、W/"3" 和 *；未提供或为 * 时返回 null，表示不校验版本
+   * @param {Object} req - Express请求对象
+   * @returns {number|null} 版本号
+   */
+  getIfMatchVersion(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+      return null;
+    }
+
+    const match = /^\s*(?:W\/)?"(\d+)"\s*$/.exec(header);
+    if (!match) {
+      throw new Error('请求头验证失败: If-Match 格式不正确，应为 ETag 值，如 "3"');
+    }
+
+    return parseInt(match[1]);
+  }
+
+  /**
+   * 按数据版本号设置 ETag 响应头
+   * @param {Object} res - Express响应对象
+   * @param {Object} entity - 带 version 字段的数据对象
+   */
+  setEntityTag(res, entity) {
+    if (entity && entity.version != null) {
+      res.set('ETag', `"${entity.version}"`);
+    }
+  }
+
+  /**
+   * 发送版本冲突响应（409），附带当前数据和最新 ETag，客户端可据此合并后重试
+   * @param {Object} res - Express响应对象
+   * @param {string} message - 错误消息
+   * @param {Object} data - 当前数据，如 { product }
+   * @param {Object} entity - 当前数据对象，用于生成 ETag
+   */
+  sendVersionConflict(res, message, data, entity) {
+    this.setEntityTag(res, entity);
+
+    return res.status(409).json({
+      success: COMMON_STATUS.FAILED,
+      message,
+      code: 'VERSION_CONFLICT',
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * 处理分页参数（商户端专用）
    * 为商户端接口处理分页参数，设置合理的默认值和限制
@@ -7,15 +7,34 @@
 // 引入用户端控制器：处理面向普通用户的业务逻辑
 const UserAuthController = require('./user/UserAuthController');         // 用户认证控制器
 const UserProfileController = require('./user/UserProfileController');   // 用户资料控制器
+const UserOrderController = require('./user/UserOrderController');       // 用户订单控制器
+const UserCartController = require('./user/UserCartController');         // 用户购物车控制器
+const UserSearchController = require('./user/UserSearchController');     // 用户搜索控制器
+const UserShopController = require('./user/UserShopController');         // 用户店铺控制器
+const UserReviewController = require('./user/UserReviewController');     // 用户评价控制器
 
 // 引入管理端控制器：处理面向管理员的业务逻辑
 const AdminUserController = require('./admin/AdminUserController');       // 管理端用户管理控制器
 const AdminSystemController = require('./admin/AdminSystemController');   // 管理端系统管理控制器
+const AdminTrashController = require('./admin/AdminTrashController');     // 管理端回收站控制器
+const AdminCategoryController = require('./admin/AdminCategoryController'); // 管理端商品分类控制器
+const AdminReviewController = require('./admin/AdminReviewController');   // 管理端评价审核控制器
+const AdminMerchantController = require('./admin/AdminMerchantController'); // 管理端商户管理控制器
+const AdminShopController = require('./admin/AdminShopController');       // 管理端店铺管理控制器
+const AdminProductController = require('./admin/AdminProductController'); // 管理端商品管理控制器
 
 // 引入商户端控制器：处理面向商户用户的业务逻辑
 const MerchantAuthController = require('./merchant/MerchantAuthController');         // 商户认证控制器
 const MerchantShopController = require('./merchant/MerchantShopController');         // 商户店铺管理控制器
 const MerchantProductController = require('./merchant/MerchantProductController');   // 商户商品管理控制器
+const MerchantOrderController = require('./merchant/MerchantOrderController');       // 商户订单管理控制器
+const MerchantProductVariantController = require('./merchant/MerchantProductVariantController'); // 商户商品规格控制器
+const MerchantInventoryController = require('./merchant/MerchantInventoryController');   // 商户库存控制器
+const MerchantCategoryController = require('./merchant/MerchantCategoryController');     // 商户商品分类控制器
+const MerchantReviewController = require('./merchant/MerchantReviewController');         // 商户评价控制器
+const MerchantProductImportController = require('./merchant/MerchantProductImportController'); // 商户商品导入导出控制器
+const MerchantPriceController = require('./merchant/MerchantPriceController');           // 商户价格控制器
+const MerchantOnboardingController = require('./merchant/MerchantOnboardingController'); // 商户入驻控制器
 
 // 引入基础控制器：提供通用的控制器基类和公共方法
 const BaseController = require('./base/BaseController');
@@ -30,13 +49,32 @@ module.exports = {
   // 用户端控制器：处理用户相关的HTTP请求
   UserAuthController,      // 用户认证：登录、注册、令牌管理
   UserProfileController,   // 用户资料：个人信息管理、头像上传
+  UserOrderController,     // 用户订单：下单、订单查询、支付、取消、确认收货
+  UserCartController,      // 用户购物车：添加、修改、删除、清空、重新计算
+  UserSearchController,    // 用户搜索：商品和店铺关键词搜索、高亮、筛选
+  UserShopController,      // 用户店铺：附近店铺查询
+  UserReviewController,    // 用户评价：发表评价、评价列表、有用投票
 
   // 管理端控制器：处理管理员相关的HTTP请求
   AdminUserController,     // 用户管理：用户CRUD、状态管理、权限控制
   AdminSystemController,   // 系统管理：系统信息、日志、配置、性能监控
+  AdminTrashController,    // 回收站：软删除数据查看、恢复、彻底删除
+  AdminCategoryController, // 商品分类：分类树维护、移动排序、启用禁用
+  AdminReviewController,   // 评价审核：评价查看、隐藏和恢复展示
+  AdminMerchantController, // 商户管理：商户列表详情、暂停和恢复营业、入驻申请审核
+  AdminShopController,     // 店铺管理：跨商户店铺列表、详情、状态管理
+  AdminProductController,  // 商品管理：跨商户商品列表、详情、状态管理
 
   // 商户端控制器：处理商户相关的HTTP请求
   MerchantAuthController,     // 商户认证：登录、注册、令牌管理
   MerchantShopController,     // 店铺管理：店铺CRUD、状态管理
-  MerchantProductController   // 商品管理：商品CRUD、库存管理、批量操作
+  MerchantProductController,  // 商品管理：商品CRUD、库存管理、批量操作
+  MerchantOrderController,    // 订单管理：订单查询、发货、退款
+  MerchantProductVariantController, // 商品规格：规格定义、规格SKU管理、规格矩阵生成
+  MerchantInventoryController, // 库存管理：库存流水查询、入库和盘点调整
+  MerchantCategoryController, // 商品分类：只读分类树
+  MerchantReviewController,   // 评价管理：查看店铺评价、回复评价
+  MerchantProductImportController, // 商品导入导出：CSV/XLSX 批量导入预览、后台导入任务、商品导出
+  MerchantPriceController,    // 价格管理：价格历史查询、定时调价
+  MerchantOnboardingController // 商户入驻：上传证明材料、提交入驻资料、查询审核进度
 };
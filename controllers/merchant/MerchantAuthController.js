@@ -41,8 +41,11 @@ class MerchantAuthController extends BaseMerchantController {
         return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
       }
 
-      // 调用服务层处理登录逻辑，传入数据库连接
-      const result = await this.merchantAuthService.login(username, password, res.sequelize);
+      // 调用服务层处理登录逻辑，传入数据库连接和客户端信息（用于登录日志）
+      const result = await this.merchantAuthService.login(username, password, res.sequelize, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
       // 返回成功响应，包含商户信息和令牌
       return this.sendMerchantSuccess(res, '商户登录成功', {
@@ -80,7 +83,10 @@ class MerchantAuthController extends BaseMerchantController {
       this.logMerchantAction('商户注册请求', req);
 
       // 从请求体中提取注册信息
-      const { username, email, password, confirmPassword, businessName, businessType } = req.body;
+      const {
+        username, email, password, confirmPassword, businessName, businessType,
+        contactPerson, contactPhone, address, description
+      } = req.body;
 
       // 验证所有必需参数是否存在
       const validationErrors = this.validateRequiredFields(req, [
@@ -101,11 +107,15 @@ class MerchantAuthController extends BaseMerchantController {
         email,         // 邮箱地址
         password,      // 密码（将在服务层进行加密）
         businessName,  // 商户名称
-        businessType   // 商户类型
+        businessType,  // 商户类型
+        contactPerson, // 联系人姓名
+        contactPhone,  // 联系电话
+        address,       // 商户地址
+        description    // 商户描述
       }, res.sequelize);
 
-      // 返回成功响应，状态码201表示资源已创建
-      return this.sendMerchantSuccess(res, '商户注册成功', {
+      // 返回成功响应，状态码201表示资源已创建；新商户需提交入驻资料并通过审核后才能创建店铺
+      return this.sendMerchantSuccess(res, '商户注册成功，请提交入驻资料等待审核', {
         merchant: result.merchant,                    // 新创建的商户信息
         token: result.tokens.accessToken,            // 访问令牌
         refreshToken: result.tokens.refreshToken,    // 刷新令牌
@@ -200,15 +210,15 @@ class MerchantAuthController extends BaseMerchantController {
       const merchantId = this.getMerchantId(req);
       this.logMerchantAction('获取当前商户信息', req, { merchantId });
 
-      // 验证商户身份
-      const authError = this.validateMerchantAuth(req);
+      // 验证商户身份（审核中的商户也可以查看账户信息和修改密码）
+      const authError = this.validateMerchantIdentity(req);
       if (authError) {
         return this.sendMerchantError(res, authError.message, authError.status);
       }
 
-      // 返回当前商户信息（已经在中间件中处理了敏感信息）
+      // 返回当前商户信息（移除密码等敏感信息）
       return this.sendMerchantSuccess(res, '获取商户信息成功', {
-        merchant: req.user
+        merchant: this.merchantAuthService.sanitizeMerchantInfo(req.user)
       });
 
     } catch (error) {
@@ -217,6 +227,72 @@ class MerchantAuthController extends BaseMerchantController {
     }
   });
 
+  /**
+   * 商户找回密码
+   * POST /api/merchant/auth/forgot-password
+   * 向商户邮箱发送重置密码链接，无论邮箱是否已注册都返回相同结果
+   */
+  forgotPassword = this.asyncHandler(async (req, res) => {
+    try {
+      this.logMerchantAction('商户找回密码请求', req);
+
+      const validationErrors = this.validateRequiredFields(req, ['email']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const result = await this.merchantAuthService.forgotPassword(req.body.email, res.sequelize);
+
+      return this.sendMerchantSuccess(res, '如果该邮箱已注册，重置密码邮件已发送', result);
+
+    } catch (error) {
+      this.logMerchantError('商户找回密码失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendMerchantError(res, error.message, 400);
+      } else if (error.message.includes('过于频繁')) {
+        return this.sendMerchantError(res, error.message, 429);
+      } else {
+        return this.sendMerchantError(res, '找回密码失败，请稍后重试', 500);
+      }
+    }
+  });
+
+  /**
+   * 商户重置密码
+   * POST /api/merchant/auth/reset-password
+   * 使用重置邮件中的令牌设置新密码，令牌只能使用一次，重置后所有已登录会话失效
+   */
+  resetPassword = this.asyncHandler(async (req, res) => {
+    try {
+      this.logMerchantAction('商户重置密码请求', req);
+
+      const { token, newPassword, confirmPassword } = req.body;
+
+      const validationErrors = this.validateRequiredFields(req, ['token', 'newPassword', 'confirmPassword']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      if (newPassword !== confirmPassword) {
+        return this.sendMerchantError(res, '两次输入的新密码不一致', 400);
+      }
+
+      await this.merchantAuthService.resetPassword(token, newPassword, res.sequelize);
+
+      return this.sendMerchantSuccess(res, '密码重置成功，请使用新密码登录');
+
+    } catch (error) {
+      this.logMerchantError('商户重置密码失败', error, req);
+
+      if (error.message.includes('验证失败') || error.message.includes('无效或已过期')) {
+        return this.sendMerchantError(res, error.message, 400);
+      } else {
+        return this.sendMerchantError(res, '重置密码失败，请稍后重试', 500);
+      }
+    }
+  });
+
   /**
    * 修改密码
    * PUT /api/merchant/auth/password
@@ -239,8 +315,8 @@ class MerchantAuthController extends BaseMerchantController {
         return this.sendMerchantError(res, '两次输入的新密码不一致', 400);
       }
 
-      // 验证商户身份
-      const authError = this.validateMerchantAuth(req);
+      // 验证商户身份（审核中的商户也可以查看账户信息和修改密码）
+      const authError = this.validateMerchantIdentity(req);
       if (authError) {
         return this.sendMerchantError(res, authError.message, authError.status);
       }
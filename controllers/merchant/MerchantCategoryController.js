@@ -0,0 +1,50 @@
+/**
+ * 商户商品分类控制器类
+ * 功能：为商户提供只读的商品分类树，用于发布商品时选择分类和按分类筛选商品
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：调用服务层获取缓存的分类树、返回标准化响应
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入商品分类服务类，处理分类树的查询和缓存
+const CategoryService = require('../../services/common/CategoryService');
+
+class MerchantCategoryController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户商品分类控制器
+   * 调用父类构造函数并创建分类服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建商品分类服务实例，用于处理业务逻辑
+    this.categoryService = new CategoryService();
+  }
+
+  /**
+   * 获取商品分类树
+   * 路由：GET /api/merchant/categories
+   * 功能：返回启用状态的分类树（已缓存），禁用分类及其子分类不返回
+   */
+  getCategoryTree = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('获取商品分类树', req, { merchantId });
+
+      // 调用服务层获取分类树
+      const tree = await this.categoryService.getTree(res.sequelize);
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '获取商品分类成功', { categories: tree });
+
+    } catch (error) {
+      this.logMerchantError('获取商品分类树失败', error, req);
+      return this.sendMerchantError(res, '获取商品分类失败', 500);
+    }
+  });
+}
+
+// 导出商户商品分类控制器类，供路由模块使用
+module.exports = MerchantCategoryController;
@@ -0,0 +1,152 @@
+/**
+ * 商户库存控制器类
+ * 功能：处理商户端库存相关的HTTP请求，包括库存流水查询和手动登记库存变动
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：验证请求参数、调用服务层、返回标准化响应、确保数据隔离
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入库存服务类，处理具体的库存业务逻辑
+const InventoryService = require('../../services/common/InventoryService');
+
+class MerchantInventoryController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户库存控制器
+   * 调用父类构造函数并创建库存服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建库存服务实例，用于处理业务逻辑
+    this.inventoryService = new InventoryService();
+  }
+
+  /**
+   * 获取商品库存流水
+   * 路由：GET /api/merchant/products/:productId/stock-history
+   * 功能：分页返回商品的库存变动记录，支持按变动类型、规格和时间范围筛选
+   */
+  getStockHistory = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('获取商品库存流水', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 处理分页参数
+      const pagination = this.handleMerchantPagination(req);
+
+      // 处理筛选参数
+      const { type, variantId, startDate, endDate } = req.query;
+      const filters = {};
+      if (type) filters.type = type;
+      if (variantId !== undefined) filters.variantId = parseInt(variantId);
+      if (startDate) filters.startDate = startDate;
+      if (endDate) filters.endDate = endDate;
+
+      // 调用服务层获取库存流水
+      const result = await this.inventoryService.getStockHistory(
+        parseInt(productId),
+        merchantId,
+        filters,
+        pagination,
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '获取库存流水成功', {
+        movements: result.movements,
+        currentStock: result.currentStock,
+        reservedStock: result.reservedStock,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        }
+      });
+
+    } catch (error) {
+      this.logMerchantError('获取商品库存流水失败', error, req);
+      return this.handleInventoryError(res, error, '获取库存流水失败');
+    }
+  });
+
+  /**
+   * 登记库存变动
+   * 路由：POST /api/merchant/products/:productId/stock-movements
+   * 功能：手动登记入库、盘点调整或退货入库，盘点调整数量可为负数
+   */
+  createStockMovement = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('登记库存变动', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['type', 'quantity']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const { type, quantity, variantId, remark } = req.body;
+
+      // 调用服务层登记库存变动
+      const movement = await this.inventoryService.adjustStock(
+        parseInt(productId),
+        merchantId,
+        {
+          type,
+          quantity: Number(quantity),
+          variantId: variantId ? parseInt(variantId) : null,
+          remark
+        },
+        req.user?.id,
+        res.sequelize
+      );
+
+      // 返回成功响应，状态码201表示资源已创建
+      return this.sendMerchantSuccess(res, '库存变动登记成功', { movement }, 201);
+
+    } catch (error) {
+      this.logMerchantError('登记库存变动失败', error, req);
+      return this.handleInventoryError(res, error, '库存变动登记失败');
+    }
+  });
+
+  /**
+   * 处理库存操作错误
+   * 根据错误类型返回相应的HTTP状态码
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误消息
+   */
+  handleInventoryError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendMerchantError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendMerchantError(res, error.message, 404);
+    } else if (error.message.includes('库存不足')) {
+      return this.sendMerchantError(res, error.message, 409);
+    } else {
+      return this.sendMerchantError(res, defaultMessage, 500);
+    }
+  }
+}
+
+// 导出商户库存控制器类，供路由模块使用
+module.exports = MerchantInventoryController;
@@ -0,0 +1,161 @@
+/**
+ * 商户入驻控制器类
+ * 功能：处理商户端入驻审核相关的HTTP请求，包括上传证明材料、提交入驻资料和查询审核进度
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 说明：审核中和审核拒绝的商户也可以访问这些接口，因此只验证商户账户身份，不要求商户状态正常
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入商户入驻服务类，处理入驻资料校验和审核流程
+const MerchantOnboardingService = require('../../services/common/MerchantOnboardingService');
+
+class MerchantOnboardingController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户入驻控制器
+   * 调用父类构造函数并创建入驻服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建商户入驻服务实例，用于处理业务逻辑
+    this.onboardingService = new MerchantOnboardingService();
+  }
+
+  /**
+   * 获取入驻状态
+   * 路由：GET /api/merchant/onboarding
+   * 功能：返回商户状态、是否可以提交申请、最近一次入驻申请（含拒绝原因）以及可上传的材料类型
+   */
+  getOnboardingStatus = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      this.logMerchantAction('获取商户入驻状态', req, { merchantId });
+
+      // 验证商户账户身份
+      const authError = this.validateMerchantIdentity(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      const result = await this.onboardingService.getOnboardingStatus(merchantId, res.sequelize);
+
+      return this.sendMerchantSuccess(res, '获取入驻状态成功', result);
+
+    } catch (error) {
+      this.logMerchantError('获取商户入驻状态失败', error, req);
+      return this.handleOnboardingError(res, error, '获取入驻状态失败');
+    }
+  });
+
+  /**
+   * 上传证明材料
+   * 路由：POST /api/merchant/onboarding/documents（multipart/form-data，文件字段 file，材料类型字段 type）
+   * 功能：保存营业执照、身份证等证明材料，返回的 filename 在提交入驻申请时引用
+   */
+  uploadDocument = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      this.logMerchantAction('上传入驻证明材料', req, {
+        merchantId,
+        type: req.body.type,
+        filename: req.file?.originalname
+      });
+
+      // 验证商户账户身份
+      const authError = this.validateMerchantIdentity(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['type']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const document = await this.onboardingService.uploadDocument(merchantId, req.file, req.body.type);
+
+      // 返回成功响应，状态码201表示资源已创建
+      return this.sendMerchantSuccess(res, '证明材料上传成功', { document }, 201);
+
+    } catch (error) {
+      this.logMerchantError('上传入驻证明材料失败', error, req);
+      return this.handleOnboardingError(res, error, '证明材料上传失败');
+    }
+  });
+
+  /**
+   * 提交入驻申请
+   * 路由：POST /api/merchant/onboarding
+   * 功能：提交企业资质信息和已上传的证明材料，申请进入待审核状态，审核结果通过站内信和邮件通知
+   */
+  submitApplication = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      this.logMerchantAction('提交商户入驻申请', req, { merchantId });
+
+      // 验证商户账户身份
+      const authError = this.validateMerchantIdentity(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, [
+        'businessName', 'contactPerson', 'contactPhone', 'businessLicense', 'documents'
+      ]);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const {
+        businessName, businessType, contactPerson, contactPhone,
+        businessLicense, taxNumber, bankAccount, address, documents
+      } = req.body;
+
+      const application = await this.onboardingService.submitApplication(merchantId, {
+        businessName,
+        businessType,
+        contactPerson,
+        contactPhone,
+        businessLicense,
+        taxNumber,
+        bankAccount,
+        address,
+        documents
+      }, res.sequelize);
+
+      // 返回成功响应，状态码201表示资源已创建
+      return this.sendMerchantSuccess(res, '入驻申请已提交，请等待审核', { application }, 201);
+
+    } catch (error) {
+      this.logMerchantError('提交商户入驻申请失败', error, req);
+      return this.handleOnboardingError(res, error, '入驻申请提交失败');
+    }
+  });
+
+  /**
+   * 处理入驻操作错误
+   * 根据错误类型返回相应的HTTP状态码
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误消息
+   */
+  handleOnboardingError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendMerchantError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendMerchantError(res, error.message, 404);
+    } else if (error.message.includes('审核中') || error.message.includes('无需重复提交')) {
+      return this.sendMerchantError(res, error.message, 409);
+    } else if (error.message.includes('状态异常')) {
+      return this.sendMerchantError(res, error.message, 403);
+    } else {
+      return this.sendMerchantError(res, defaultMessage, 500);
+    }
+  }
+}
+
+// 导出商户入驻控制器类，供路由模块使用
+module.exports = MerchantOnboardingController;
@@ -0,0 +1,228 @@
+/**
+ * 商户订单控制器类
+ * 功能：处理商户端订单管理相关的HTTP请求，包括订单查询、发货、退款等
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：验证请求参数、调用服务层、返回标准化响应、确保数据隔离
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入商户订单服务类，处理具体的订单管理业务逻辑
+const MerchantOrderService = require('../../services/merchant/MerchantOrderService');
+
+class MerchantOrderController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户订单控制器
+   * 调用父类构造函数并创建订单服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建商户订单服务实例，用于处理业务逻辑
+    this.merchantOrderService = new MerchantOrderService();
+  }
+
+  /**
+   * 获取商户订单列表
+   * 路由：GET /api/merchant/orders
+   * 功能：获取当前商户店铺的订单，支持按店铺和状态筛选、分页
+   */
+  getOrders = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      this.logMerchantAction('获取商户订单列表', req, { merchantId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 处理分页参数
+      const pagination = this.handleMerchantPagination(req);
+
+      // 处理筛选参数
+      const { shopId, status } = req.query;
+      const filters = {};
+
+      if (shopId !== undefined) {
+        // 验证店铺访问权限
+        const shopAccessError = this.validateShopAccess(req, shopId);
+        if (shopAccessError) {
+          return this.sendMerchantError(res, shopAccessError.message, shopAccessError.status);
+        }
+      }
+
+      if (status !== undefined) filters.status = parseInt(status);
+
+      // 构建查询条件（包含商户和店铺数据隔离）
+      const queryConditions = this.buildShopQuery(req, filters, shopId ? parseInt(shopId) : null);
+
+      // 调用服务层获取订单列表
+      const result = await this.merchantOrderService.getOrders(
+        queryConditions,
+        pagination,
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '获取订单列表成功', {
+        orders: result.orders,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        }
+      });
+
+    } catch (error) {
+      this.logMerchantError('获取商户订单列表失败', error, req);
+      return this.sendMerchantError(res, '获取订单列表失败', 500);
+    }
+  });
+
+  /**
+   * 获取订单详情
+   * 路由：GET /api/merchant/orders/:orderId
+   * 功能：获取指定订单的详细信息，包括订单明细
+   */
+  getOrderById = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('获取订单详情', req, { merchantId, orderId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 调用服务层获取订单详情
+      const order = await this.merchantOrderService.getOrderById(
+        orderId,
+        merchantId,
+        res.sequelize
+      );
+
+      if (!order) {
+        return this.sendMerchantError(res, '订单不存在', 404);
+      }
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '获取订单详情成功', {
+        order: order
+      });
+
+    } catch (error) {
+      this.logMerchantError('获取订单详情失败', error, req);
+      return this.sendMerchantError(res, '获取订单详情失败', 500);
+    }
+  });
+
+  /**
+   * 订单发货
+   * 路由：PUT /api/merchant/orders/:orderId/ship
+   * 功能：为已支付订单填写物流信息并标记为已发货
+   */
+  shipOrder = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('订单发货', req, { merchantId, orderId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['shippingCompany', 'trackingNumber']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const { shippingCompany, trackingNumber } = req.body;
+
+      // 调用服务层处理发货
+      const order = await this.merchantOrderService.shipOrder(
+        orderId,
+        merchantId,
+        { shippingCompany, trackingNumber },
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '订单发货成功', {
+        order: order
+      });
+
+    } catch (error) {
+      this.logMerchantError('订单发货失败', error, req);
+      return this.handleOrderStatusError(res, error, '订单发货失败');
+    }
+  });
+
+  /**
+   * 订单退款
+   * 路由：PUT /api/merchant/orders/:orderId/refund
+   * 功能：对已支付或已发货订单执行退款，并回补商品库存
+   */
+  refundOrder = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('订单退款', req, { merchantId, orderId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 调用服务层处理退款
+      const order = await this.merchantOrderService.refundOrder(
+        orderId,
+        merchantId,
+        req.body.reason,
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '订单退款成功', {
+        order: order
+      });
+
+    } catch (error) {
+      this.logMerchantError('订单退款失败', error, req);
+      return this.handleOrderStatusError(res, error, '订单退款失败');
+    }
+  });
+
+  /**
+   * 处理订单状态变更错误
+   * 根据错误类型返回相应的HTTP状态码
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误消息
+   */
+  handleOrderStatusError(res, error, defaultMessage) {
+    if (error.message.includes('不存在')) {
+      return this.sendMerchantError(res, '订单不存在', 404);
+    } else if (error.message.includes('流转无效')) {
+      return this.sendMerchantError(res, error.message, 409);
+    } else if (error.message.includes('不能为空')) {
+      return this.sendMerchantError(res, error.message, 400);
+    } else {
+      return this.sendMerchantError(res, defaultMessage, 500);
+    }
+  }
+}
+
+// 导出商户订单控制器类，供路由模块使用
+module.exports = MerchantOrderController;
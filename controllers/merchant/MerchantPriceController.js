@@ -0,0 +1,216 @@
+/**
+ * 商户价格控制器类
+ * 功能：处理商户端商品价格历史查询和定时调价（创建、查看、取消）相关的HTTP请求
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：验证请求参数、调用服务层、返回标准化响应、确保数据隔离
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入价格服务类，处理价格历史和定时调价业务逻辑
+const PriceService = require('../../services/common/PriceService');
+
+class MerchantPriceController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户价格控制器
+   * 调用父类构造函数并创建价格服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建价格服务实例，用于处理业务逻辑
+    this.priceService = new PriceService();
+  }
+
+  /**
+   * 获取商品价格历史
+   * 路由：GET /api/merchant/products/:productId/price-history
+   * 功能：分页返回商品的价格变动记录（操作人、时间、变动前后价格），支持按来源和时间范围筛选，并附带未结束的定时调价
+   */
+  getPriceHistory = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('获取商品价格历史', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 处理分页参数
+      const pagination = this.handleMerchantPagination(req);
+
+      // 处理筛选参数
+      const { source, startDate, endDate } = req.query;
+      const filters = {};
+      if (source) filters.source = source;
+      if (startDate) filters.startDate = startDate;
+      if (endDate) filters.endDate = endDate;
+
+      // 调用服务层获取价格历史
+      const result = await this.priceService.getPriceHistory(
+        parseInt(productId),
+        merchantId,
+        filters,
+        pagination,
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '获取价格历史成功', {
+        history: result.history,
+        currentPrice: result.currentPrice,
+        currentOriginalPrice: result.currentOriginalPrice,
+        schedules: result.schedules,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        }
+      });
+
+    } catch (error) {
+      this.logMerchantError('获取商品价格历史失败', error, req);
+      return this.handlePriceError(res, error, '获取价格历史失败');
+    }
+  });
+
+  /**
+   * 获取商品定时调价列表
+   * 路由：GET /api/merchant/products/:productId/price-schedules?status=
+   */
+  getSchedules = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('获取定时调价列表', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      const filters = {};
+      if (req.query.status) filters.status = req.query.status;
+
+      const schedules = await this.priceService.getSchedules(
+        parseInt(productId),
+        merchantId,
+        filters,
+        res.sequelize
+      );
+
+      return this.sendMerchantSuccess(res, '获取定时调价列表成功', { schedules });
+
+    } catch (error) {
+      this.logMerchantError('获取定时调价列表失败', error, req);
+      return this.handlePriceError(res, error, '获取定时调价列表失败');
+    }
+  });
+
+  /**
+   * 创建定时调价
+   * 路由：POST /api/merchant/products/:productId/price-schedules
+   * 功能：在 startAt 将价格改为 price（可同时修改原价），到 endAt 恢复生效前的价格；
+   *       不传 startAt 或已到生效时间时立即生效，不传 endAt 表示永久调价
+   */
+  createSchedule = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('创建定时调价', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['price']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const { price, originalPrice, startAt, endAt, remark } = req.body;
+
+      const schedule = await this.priceService.createSchedule(
+        parseInt(productId),
+        merchantId,
+        { price, originalPrice, startAt, endAt, remark },
+        req.user?.id,
+        res.sequelize
+      );
+
+      // 返回成功响应，状态码201表示资源已创建
+      return this.sendMerchantSuccess(res, '定时调价创建成功', { schedule }, 201);
+
+    } catch (error) {
+      this.logMerchantError('创建定时调价失败', error, req);
+      return this.handlePriceError(res, error, '定时调价创建失败');
+    }
+  });
+
+  /**
+   * 取消定时调价
+   * 路由：DELETE /api/merchant/products/:productId/price-schedules/:scheduleId
+   * 功能：取消待生效的调价；生效中的调价立即结束并恢复生效前的价格
+   */
+  cancelSchedule = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId, scheduleId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('取消定时调价', req, { merchantId, productId, scheduleId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      const schedule = await this.priceService.cancelSchedule(
+        parseInt(scheduleId),
+        parseInt(productId),
+        merchantId,
+        req.user?.id,
+        res.sequelize
+      );
+
+      return this.sendMerchantSuccess(res, '定时调价已取消', { schedule });
+
+    } catch (error) {
+      this.logMerchantError('取消定时调价失败', error, req);
+      return this.handlePriceError(res, error, '取消定时调价失败');
+    }
+  });
+
+  /**
+   * 处理价格操作错误
+   * 根据错误类型返回相应的HTTP状态码
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误消息
+   */
+  handlePriceError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendMerchantError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendMerchantError(res, error.message, 404);
+    } else if (error.message.includes('状态已变化')) {
+      return this.sendMerchantError(res, error.message, 409);
+    } else {
+      return this.sendMerchantError(res, defaultMessage, 500);
+    }
+  }
+}
+
+// 导出商户价格控制器类，供路由模块使用
+module.exports = MerchantPriceController;
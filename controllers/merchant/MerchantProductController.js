@@ -85,6 +85,72 @@ class MerchantProductController extends BaseMerchantController {
     }
   });
 
+  /**
+   * 搜索商户商品
+   * 路由：GET /api/merchant/products/search
+   * 功能：按关键词相关度检索当前商户的商品，返回高亮结果，支持价格区间、分类、店铺和状态筛选
+   */
+  searchProducts = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      this.logMerchantAction('搜索商户商品', req, { merchantId, keyword: req.query.q });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 处理分页参数
+      const pagination = this.handleMerchantPagination(req);
+
+      // 处理搜索和筛选参数
+      const { q, sort, minPrice, maxPrice, categoryId, shopId, status } = req.query;
+      const params = { keyword: q, sort };
+
+      if (shopId !== undefined) {
+        // 验证店铺访问权限
+        const shopAccessError = this.validateShopAccess(req, shopId);
+        if (shopAccessError) {
+          return this.sendMerchantError(res, shopAccessError.message, shopAccessError.status);
+        }
+        params.shopId = parseInt(shopId);
+      }
+
+      if (minPrice !== undefined) params.minPrice = parseFloat(minPrice);
+      if (maxPrice !== undefined) params.maxPrice = parseFloat(maxPrice);
+      if (categoryId !== undefined) params.categoryId = parseInt(categoryId);
+      if (status !== undefined) params.status = parseInt(status);
+
+      // 调用服务层搜索商品
+      const result = await this.merchantProductService.searchProducts(
+        merchantId,
+        params,
+        pagination,
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '搜索商品成功', {
+        products: result.products,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        }
+      });
+
+    } catch (error) {
+      this.logMerchantError('搜索商户商品失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendMerchantError(res, error.message, 400);
+      }
+      return this.sendMerchantError(res, '搜索商品失败', 500);
+    }
+  });
+
   /**
    * 获取商品详情
    * 路由：GET /api/merchant/products/:productId
@@ -114,7 +180,8 @@ class MerchantProductController extends BaseMerchantController {
         return this.sendMerchantError(res, '商品不存在', 404);
       }
 
-      // 返回成功响应
+      // 返回成功响应，ETag 为商品版本号，更新时通过 If-Match 回传
+      this.setEntityTag(res, product);
       return this.sendMerchantSuccess(res, '获取商品详情成功', {
         product: product
       });
@@ -184,7 +251,9 @@ class MerchantProductController extends BaseMerchantController {
       };
 
       // 调用服务层创建商品
-      const product = await this.merchantProductService.createProduct(productData, res.sequelize);
+      const product = await this.merchantProductService.createProduct(productData, res.sequelize, {
+        operatorId: req.user?.id
+      });
 
       // 返回成功响应，状态码201表示资源已创建
       return this.sendMerchantSuccess(res, '商品创建成功', {
@@ -207,7 +276,7 @@ class MerchantProductController extends BaseMerchantController {
   /**
    * 更新商品信息
    * 路由：PUT /api/merchant/products/:productId
-   * 功能：更新指定商品的信息
+   * 功能：更新指定商品的信息（库存不能在此修改，通过 POST /api/merchant/products/:productId/stock-movements 登记变动）
    */
   updateProduct = this.asyncHandler(async (req, res) => {
     try {
@@ -224,10 +293,15 @@ class MerchantProductController extends BaseMerchantController {
 
       // 从请求体中提取更新数据
       const { 
-        name, description, price, originalPrice, stock, 
+        name, description, price, originalPrice, 
         status, categoryId, images 
       } = req.body;
 
+      // 库存会被订单并发扣减，整体覆盖会抵消期间的销售，只能按差额登记库存变动
+      if (req.body.stock !== undefined) {
+        return this.sendMerchantError(res, '不能通过编辑商品修改库存，请使用 POST /api/merchant/products/:productId/stock-movements 登记库存变动', 400);
+      }
+
       // 准备更新数据（只包含提供的字段）
       const updateData = {};
       if (name !== undefined) updateData.name = name;
@@ -240,13 +314,6 @@ class MerchantProductController extends BaseMerchantController {
         updateData.price = parsedPrice;
       }
       if (originalPrice !== undefined) updateData.originalPrice = parseFloat(originalPrice);
-      if (stock !== undefined) {
-        const parsedStock = parseInt(stock);
-        if (parsedStock < 0) {
-          return this.sendMerchantError(res, '商品库存不能为负数', 400);
-        }
-        updateData.stock = parsedStock;
-      }
       if (status !== undefined) updateData.status = parseInt(status);
       if (categoryId !== undefined) updateData.categoryId = parseInt(categoryId);
       if (images !== undefined) updateData.images = images;
@@ -256,19 +323,24 @@ class MerchantProductController extends BaseMerchantController {
         return this.sendMerchantError(res, '没有提供需要更新的数据', 400);
       }
 
+      // 乐观锁：If-Match 携带读取时的 ETag（版本号），版本已变化时拒绝更新
+      const expectedVersion = this.getIfMatchVersion(req);
+
       // 调用服务层更新商品
       const updatedProduct = await this.merchantProductService.updateProduct(
         productId,
         merchantId,
         updateData,
-        res.sequelize
+        res.sequelize,
+        { operatorId: req.user?.id, expectedVersion }
       );
 
       if (!updatedProduct) {
         return this.sendMerchantError(res, '商品不存在或更新失败', 404);
       }
 
-      // 返回成功响应
+      // 返回成功响应，附带新的 ETag
+      this.setEntityTag(res, updatedProduct);
       return this.sendMerchantSuccess(res, '商品更新成功', {
         product: updatedProduct
       });
@@ -276,7 +348,15 @@ class MerchantProductController extends BaseMerchantController {
     } catch (error) {
       this.logMerchantError('更新商品信息失败', error, req);
       
-      if (error.message.includes('验证失败')) {
+      if (error.message.includes('版本冲突')) {
+        // 返回当前商品数据，便于客户端合并后重试
+        const current = await this.merchantProductService.getProductById(
+          req.params.productId,
+          this.getMerchantId(req),
+          res.sequelize
+        );
+        return this.sendVersionConflict(res, error.message, { product: current }, current);
+      } else if (error.message.includes('验证失败')) {
         return this.sendMerchantError(res, error.message, 400);
       } else {
         return this.sendMerchantError(res, '商品更新失败', 500);
@@ -0,0 +1,183 @@
+/**
+ * 商户商品导入导出控制器类
+ * 功能：处理商户端商品批量导入（CSV / XLSX，支持预览）、导入任务进度查询和商品导出的HTTP请求
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：验证请求参数、调用服务层、返回标准化响应、确保数据隔离
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入商户商品导入导出服务类，处理文件解析、校验和后台导入任务
+const MerchantProductImportService = require('../../services/merchant/MerchantProductImportService');
+
+class MerchantProductImportController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户商品导入导出控制器
+   * 调用父类构造函数并创建导入导出服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建商品导入导出服务实例，用于处理业务逻辑
+    this.productImportService = new MerchantProductImportService();
+  }
+
+  /**
+   * 导入商品
+   * 路由：POST /api/merchant/products/import（multipart/form-data，文件字段 file）
+   * 功能：逐行校验文件中的商品数据；dryRun=true 时只返回校验报告和预览，
+   *       否则创建后台导入任务并返回任务ID。默认存在错误行时拒绝导入，skipInvalid=true 时只导入通过校验的行
+   */
+  importProducts = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      const dryRun = this.isTruthy(req.query.dryRun ?? req.body.dryRun);
+      const skipInvalid = this.isTruthy(req.query.skipInvalid ?? req.body.skipInvalid);
+
+      this.logMerchantAction('导入商品', req, {
+        merchantId,
+        filename: req.file?.originalname,
+        dryRun,
+        skipInvalid
+      });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 解析并校验文件
+      const { report, items } = await this.productImportService.analyzeImport(merchantId, req.file, res.sequelize);
+
+      if (dryRun) {
+        return this.sendMerchantSuccess(res, '导入预览成功', { report });
+      }
+
+      if (report.invalidCount > 0 && !skipInvalid) {
+        return this.sendMerchantError(res, '商品导入数据验证失败，请修正后重新上传', 400, report.errors);
+      }
+
+      if (items.length === 0) {
+        return this.sendMerchantSuccess(res, '没有需要导入的商品', { report });
+      }
+
+      // 创建后台导入任务
+      const job = await this.productImportService.startImportJob(merchantId, items, res.sequelize, {
+        operatorId: req.user?.id
+      });
+
+      // 返回202，表示任务已受理，通过任务ID查询进度
+      return this.sendMerchantSuccess(res, '商品导入任务已创建', { job, report }, 202);
+
+    } catch (error) {
+      this.logMerchantError('导入商品失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendMerchantError(res, error.message, 400);
+      } else if (error.message.includes('进行中')) {
+        return this.sendMerchantError(res, error.message, 409);
+      } else {
+        return this.sendMerchantError(res, '商品导入失败', 500);
+      }
+    }
+  });
+
+  /**
+   * 查询导入任务进度
+   * 路由：GET /api/merchant/products/import/:jobId
+   * 功能：返回任务状态、已处理行数、创建和更新数量以及失败行的错误信息
+   */
+  getImportJob = this.asyncHandler(async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('查询商品导入任务', req, { merchantId, jobId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      const job = await this.productImportService.getImportJob(jobId, merchantId);
+
+      return this.sendMerchantSuccess(res, '获取导入任务成功', { job });
+
+    } catch (error) {
+      this.logMerchantError('查询商品导入任务失败', error, req);
+
+      if (error.message.includes('不存在')) {
+        return this.sendMerchantError(res, error.message, 404);
+      }
+      return this.sendMerchantError(res, '获取导入任务失败', 500);
+    }
+  });
+
+  /**
+   * 导出商品
+   * 路由：GET /api/merchant/products/export?format=csv|xlsx&shopId=&status=&categoryId=
+   * 功能：按导入模板的列导出当前商户的商品，导出文件修改后可直接重新导入
+   */
+  exportProducts = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      const { format = 'xlsx', shopId, status, categoryId } = req.query;
+
+      this.logMerchantAction('导出商品', req, { merchantId, format, shopId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      if (shopId !== undefined) {
+        // 验证店铺访问权限
+        const shopAccessError = this.validateShopAccess(req, shopId);
+        if (shopAccessError) {
+          return this.sendMerchantError(res, shopAccessError.message, shopAccessError.status);
+        }
+      }
+
+      // 处理筛选参数
+      const filters = {};
+      if (status !== undefined) filters.status = parseInt(status);
+      if (categoryId !== undefined) filters.categoryId = parseInt(categoryId);
+
+      // 构建查询条件（包含商户和店铺数据隔离）
+      const queryConditions = this.buildShopQuery(req, filters, shopId ? parseInt(shopId) : null);
+
+      const result = await this.productImportService.exportProducts(
+        queryConditions,
+        String(format).toLowerCase(),
+        res.sequelize
+      );
+
+      res.attachment(result.filename);
+      res.set('Content-Type', result.contentType);
+      return res.send(result.buffer);
+
+    } catch (error) {
+      this.logMerchantError('导出商品失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendMerchantError(res, error.message, 400);
+      }
+      return this.sendMerchantError(res, '商品导出失败', 500);
+    }
+  });
+
+  /**
+   * 解析布尔类型的查询或表单参数
+   * @param {*} value - 参数值
+   * @returns {boolean} 是否为真
+   */
+  isTruthy(value) {
+    return value === true || value === '1' || value === 'true';
+  }
+}
+
+// 导出商户商品导入导出控制器类，供路由模块使用
+module.exports = MerchantProductImportController;
@@ -0,0 +1,311 @@
+/**
+ * 商户商品规格控制器类
+ * 功能：处理商户端商品规格相关的HTTP请求，包括规格定义设置、规格SKU的增删改查和规格矩阵生成
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：验证请求参数、调用服务层、返回标准化响应、确保数据隔离
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入商户商品规格服务类，处理具体的规格管理业务逻辑
+const MerchantProductVariantService = require('../../services/merchant/MerchantProductVariantService');
+
+class MerchantProductVariantController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户商品规格控制器
+   * 调用父类构造函数并创建规格服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建商户商品规格服务实例，用于处理业务逻辑
+    this.merchantProductVariantService = new MerchantProductVariantService();
+  }
+
+  /**
+   * 获取商品规格定义和规格列表
+   * 路由：GET /api/merchant/products/:productId/variants
+   * 功能：返回规格定义、全部规格SKU以及价格区间和总库存汇总
+   */
+  getVariants = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('获取商品规格列表', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 调用服务层获取规格数据
+      const result = await this.merchantProductVariantService.getVariants(
+        parseInt(productId),
+        merchantId,
+        res.sequelize
+      );
+
+      return this.sendMerchantSuccess(res, '获取商品规格成功', result);
+
+    } catch (error) {
+      this.logMerchantError('获取商品规格列表失败', error, req);
+      return this.handleVariantError(res, error, '获取商品规格失败');
+    }
+  });
+
+  /**
+   * 设置商品规格定义
+   * 路由：PUT /api/merchant/products/:productId/variants/options
+   * 功能：整体替换商品的规格定义，如 [{ name: '颜色', values: ['红色', '蓝色'] }]
+   */
+  setOptions = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('设置商品规格定义', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['options']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      // 调用服务层设置规格定义
+      const options = await this.merchantProductVariantService.setOptions(
+        parseInt(productId),
+        merchantId,
+        req.body.options,
+        res.sequelize
+      );
+
+      return this.sendMerchantSuccess(res, '商品规格设置成功', { options });
+
+    } catch (error) {
+      this.logMerchantError('设置商品规格定义失败', error, req);
+      return this.handleVariantError(res, error, '商品规格设置失败');
+    }
+  });
+
+  /**
+   * 创建规格SKU
+   * 路由：POST /api/merchant/products/:productId/variants
+   * 功能：为商品新增一个规格组合
+   */
+  createVariant = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('创建商品规格', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 验证必需参数（库存允许为0，由服务层校验）
+      const validationErrors = this.validateRequiredFields(req, ['sku', 'options', 'price']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      // 准备规格数据
+      const variantData = this.buildVariantData(req.body);
+
+      // 调用服务层创建规格
+      const variant = await this.merchantProductVariantService.createVariant(
+        parseInt(productId),
+        merchantId,
+        variantData,
+        res.sequelize,
+        { operatorId: req.user?.id }
+      );
+
+      // 返回成功响应，状态码201表示资源已创建
+      return this.sendMerchantSuccess(res, '商品规格创建成功', { variant }, 201);
+
+    } catch (error) {
+      this.logMerchantError('创建商品规格失败', error, req);
+      return this.handleVariantError(res, error, '商品规格创建失败');
+    }
+  });
+
+  /**
+   * 生成规格矩阵
+   * 路由：POST /api/merchant/products/:productId/variants/generate
+   * 功能：按规格定义生成尚未存在的全部规格组合，使用统一的默认价格和库存
+   */
+  generateVariants = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('生成商品规格矩阵', req, { merchantId, productId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 验证必需参数（库存允许为0，由服务层校验）
+      const validationErrors = this.validateRequiredFields(req, ['price']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const { price, originalPrice, stock } = this.buildVariantData(req.body);
+
+      // 调用服务层生成规格
+      const result = await this.merchantProductVariantService.generateVariants(
+        parseInt(productId),
+        merchantId,
+        { price, originalPrice, stock },
+        res.sequelize,
+        { operatorId: req.user?.id }
+      );
+
+      return this.sendMerchantSuccess(res, '商品规格生成成功', {
+        variants: result.created,
+        createdCount: result.created.length,
+        skippedCount: result.skipped
+      }, 201);
+
+    } catch (error) {
+      this.logMerchantError('生成商品规格矩阵失败', error, req);
+      return this.handleVariantError(res, error, '商品规格生成失败');
+    }
+  });
+
+  /**
+   * 更新规格SKU
+   * 路由：PUT /api/merchant/products/:productId/variants/:variantId
+   * 功能：更新规格的SKU、组合、价格、库存、条码、图片或状态
+   */
+  updateVariant = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId, variantId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('更新商品规格', req, { merchantId, productId, variantId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 准备更新数据（只包含提供的字段）
+      const updateData = this.buildVariantData(req.body);
+
+      // 检查是否有数据需要更新
+      if (Object.keys(updateData).length === 0) {
+        return this.sendMerchantError(res, '没有提供需要更新的数据', 400);
+      }
+
+      // 调用服务层更新规格
+      const variant = await this.merchantProductVariantService.updateVariant(
+        parseInt(productId),
+        parseInt(variantId),
+        merchantId,
+        updateData,
+        res.sequelize,
+        { operatorId: req.user?.id }
+      );
+
+      return this.sendMerchantSuccess(res, '商品规格更新成功', { variant });
+
+    } catch (error) {
+      this.logMerchantError('更新商品规格失败', error, req);
+      return this.handleVariantError(res, error, '商品规格更新失败');
+    }
+  });
+
+  /**
+   * 删除规格SKU
+   * 路由：DELETE /api/merchant/products/:productId/variants/:variantId
+   * 功能：删除指定规格（软删除），其库存移出商品库存，并重新汇总商品价格
+   */
+  deleteVariant = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId, variantId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('删除商品规格', req, { merchantId, productId, variantId });
+
+      // 验证商品访问权限
+      const accessError = this.validateProductAccess(req, productId);
+      if (accessError) {
+        return this.sendMerchantError(res, accessError.message, accessError.status);
+      }
+
+      // 调用服务层删除规格
+      await this.merchantProductVariantService.deleteVariant(
+        parseInt(productId),
+        parseInt(variantId),
+        merchantId,
+        res.sequelize,
+        { operatorId: req.user?.id }
+      );
+
+      return this.sendMerchantSuccess(res, '商品规格删除成功');
+
+    } catch (error) {
+      this.logMerchantError('删除商品规格失败', error, req);
+      return this.handleVariantError(res, error, '商品规格删除失败');
+    }
+  });
+
+  /**
+   * 从请求体提取规格数据，只包含提供的字段并转换数值类型
+   * @param {Object} body - 请求体
+   * @returns {Object} 规格数据
+   */
+  buildVariantData(body) {
+    const { sku, options, price, originalPrice, stock, barcode, image, status } = body;
+    const data = {};
+
+    if (sku !== undefined) data.sku = String(sku);
+    if (options !== undefined) data.options = options;
+    if (price !== undefined) data.price = parseFloat(price);
+    if (originalPrice !== undefined) data.originalPrice = originalPrice === null ? null : parseFloat(originalPrice);
+    if (stock !== undefined) data.stock = Number(stock);
+    if (barcode !== undefined) data.barcode = barcode;
+    if (image !== undefined) data.image = image;
+    if (status !== undefined) data.status = parseInt(status);
+
+    return data;
+  }
+
+  /**
+   * 处理规格操作错误
+   * 根据错误类型返回相应的HTTP状态码
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误消息
+   */
+  handleVariantError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendMerchantError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendMerchantError(res, error.message, 404);
+    } else if (error.message.includes('已存在')) {
+      return this.sendMerchantError(res, error.message, 409);
+    } else {
+      return this.sendMerchantError(res, defaultMessage, 500);
+    }
+  }
+}
+
+// 导出商户商品规格控制器类，供路由模块使用
+module.exports = MerchantProductVariantController;
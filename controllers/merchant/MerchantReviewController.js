@@ -0,0 +1,146 @@
+/**
+ * 商户评价控制器类
+ * 功能：处理商户端评价管理相关的HTTP请求，包括查看店铺商品评价和回复评价
+ * 继承：BaseMerchantController，获得商户端特有的功能和验证逻辑
+ * 职责：验证请求参数、调用服务层、返回标准化响应、确保数据隔离
+ */
+
+// 引入商户端基础控制器类，提供商户端通用功能
+const BaseMerchantController = require('../base/BaseMerchantController');
+// 引入评价通用服务类，处理评价查询和回复
+const ReviewService = require('../../services/common/ReviewService');
+
+class MerchantReviewController extends BaseMerchantController {
+  /**
+   * 构造函数：初始化商户评价控制器
+   * 调用父类构造函数并创建评价服务实例
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+    // 创建评价服务实例，用于处理业务逻辑
+    this.reviewService = new ReviewService();
+  }
+
+  /**
+   * 获取商户评价列表
+   * 路由：GET /api/merchant/reviews
+   * 功能：获取当前商户店铺的评价（包含已隐藏评价），支持按店铺、商品、星级、是否已回复筛选，按时间或有用数排序
+   */
+  getReviews = this.asyncHandler(async (req, res) => {
+    try {
+      const merchantId = this.getMerchantId(req);
+      this.logMerchantAction('获取商户评价列表', req, { merchantId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 处理分页参数
+      const pagination = this.handleMerchantPagination(req);
+
+      // 处理筛选参数
+      const { shopId, productId, rating, status, replied, sort } = req.query;
+      const filters = {};
+
+      if (shopId !== undefined) {
+        // 验证店铺访问权限
+        const shopAccessError = this.validateShopAccess(req, shopId);
+        if (shopAccessError) {
+          return this.sendMerchantError(res, shopAccessError.message, shopAccessError.status);
+        }
+      }
+
+      if (productId !== undefined) filters.productId = parseInt(productId);
+      if (rating !== undefined) filters.rating = parseInt(rating);
+      if (status !== undefined) filters.status = parseInt(status);
+      if (replied !== undefined) filters.replied = replied === '1' || replied === 'true';
+      if (sort !== undefined) filters.sort = sort;
+
+      // 构建查询条件（包含商户和店铺数据隔离）
+      const queryConditions = this.buildShopQuery(req, filters, shopId ? parseInt(shopId) : null);
+
+      // 调用服务层获取评价列表
+      const result = await this.reviewService.getReviews(
+        queryConditions,
+        pagination,
+        res.sequelize,
+        { scope: 'merchant' }
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '获取评价列表成功', {
+        reviews: result.items,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        }
+      });
+
+    } catch (error) {
+      this.logMerchantError('获取商户评价列表失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendMerchantError(res, error.message, 400);
+      }
+      return this.sendMerchantError(res, '获取评价列表失败', 500);
+    }
+  });
+
+  /**
+   * 回复评价
+   * 路由：PUT /api/merchant/reviews/:reviewId/reply
+   * 功能：商户回复自己店铺商品的评价，再次回复会覆盖原回复
+   */
+  replyReview = this.asyncHandler(async (req, res) => {
+    try {
+      const { reviewId } = req.params;
+      const merchantId = this.getMerchantId(req);
+
+      this.logMerchantAction('回复评价', req, { merchantId, reviewId });
+
+      // 验证商户身份
+      const authError = this.validateMerchantAuth(req);
+      if (authError) {
+        return this.sendMerchantError(res, authError.message, authError.status);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['reply']);
+      if (validationErrors) {
+        return this.sendMerchantError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      // 调用服务层回复评价
+      const review = await this.reviewService.replyReview(
+        parseInt(reviewId),
+        merchantId,
+        req.body.reply,
+        res.sequelize
+      );
+
+      // 返回成功响应
+      return this.sendMerchantSuccess(res, '回复评价成功', {
+        review: review
+      });
+
+    } catch (error) {
+      this.logMerchantError('回复评价失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendMerchantError(res, error.message, 400);
+      } else if (error.message.includes('不存在')) {
+        return this.sendMerchantError(res, error.message, 404);
+      } else {
+        return this.sendMerchantError(res, '回复评价失败', 500);
+      }
+    }
+  });
+}
+
+// 导出商户评价控制器类，供路由模块使用
+module.exports = MerchantReviewController;
@@ -104,7 +104,8 @@ class MerchantShopController extends BaseMerchantController {
         return this.sendMerchantError(res, '店铺不存在', 404);
       }
 
-      // 返回成功响应
+      // 返回成功响应，ETag 为店铺版本号，更新时通过 If-Match 回传
+      this.setEntityTag(res, shop);
       return this.sendMerchantSuccess(res, '获取店铺详情成功', {
         shop: shop
       });
@@ -132,7 +133,7 @@ class MerchantShopController extends BaseMerchantController {
       }
 
       // 从请求体中提取店铺信息
-      const { name, description, address, phone } = req.body;
+      const { name, description, address, phone, businessHours, timezone, coordinates } = req.body;
 
       // 验证必需参数
       const validationErrors = this.validateRequiredFields(req, ['name', 'address', 'phone']);
@@ -149,6 +150,9 @@ class MerchantShopController extends BaseMerchantController {
         merchantId: merchantId,
         status: 1 // 默认启用状态
       };
+      if (businessHours !== undefined) shopData.businessHours = businessHours;
+      if (timezone !== undefined) shopData.timezone = timezone;
+      if (coordinates !== undefined) shopData.coordinates = coordinates;
 
       // 调用服务层创建店铺
       const shop = await this.merchantShopService.createShop(shopData, res.sequelize);
@@ -163,6 +167,8 @@ class MerchantShopController extends BaseMerchantController {
       
       if (error.message.includes('已存在')) {
         return this.sendMerchantError(res, error.message, 409);
+      } else if (error.message.includes('未通过入驻审核')) {
+        return this.sendMerchantError(res, error.message, 403);
       } else if (error.message.includes('验证失败')) {
         return this.sendMerchantError(res, error.message, 400);
       } else {
@@ -190,7 +196,7 @@ class MerchantShopController extends BaseMerchantController {
       }
 
       // 从请求体中提取更新数据
-      const { name, description, address, phone, status } = req.body;
+      const { name, description, address, phone, status, businessHours, timezone, coordinates } = req.body;
 
       // 准备更新数据（只包含提供的字段）
       const updateData = {};
@@ -199,25 +205,33 @@ class MerchantShopController extends BaseMerchantController {
       if (address !== undefined) updateData.address = address;
       if (phone !== undefined) updateData.phone = phone;
       if (status !== undefined) updateData.status = parseInt(status);
+      if (businessHours !== undefined) updateData.businessHours = businessHours;
+      if (timezone !== undefined) updateData.timezone = timezone;
+      if (coordinates !== undefined) updateData.coordinates = coordinates;
 
       // 检查是否有数据需要更新
       if (Object.keys(updateData).length === 0) {
         return this.sendMerchantError(res, '没有提供需要更新的数据', 400);
       }
 
+      // 乐观锁：If-Match 携带读取时的 ETag（版本号），版本已变化时拒绝更新
+      const expectedVersion = this.getIfMatchVersion(req);
+
       // 调用服务层更新店铺
       const updatedShop = await this.merchantShopService.updateShop(
         shopId,
         merchantId,
         updateData,
-        res.sequelize
+        res.sequelize,
+        { expectedVersion }
       );
 
       if (!updatedShop) {
         return this.sendMerchantError(res, '店铺不存在或更新失败', 404);
       }
 
-      // 返回成功响应
+      // 返回成功响应，附带新的 ETag
+      this.setEntityTag(res, updatedShop);
       return this.sendMerchantSuccess(res, '店铺更新成功', {
         shop: updatedShop
       });
@@ -225,7 +239,15 @@ class MerchantShopController extends BaseMerchantController {
     } catch (error) {
       this.logMerchantError('更新店铺信息失败', error, req);
       
-      if (error.message.includes('验证失败')) {
+      if (error.message.includes('版本冲突')) {
+        // 返回当前店铺数据，便于客户端合并后重试
+        const current = await this.merchantShopService.getShopById(
+          req.params.shopId,
+          this.getMerchantId(req),
+          res.sequelize
+        );
+        return this.sendVersionConflict(res, error.message, { shop: current }, current);
+      } else if (error.message.includes('验证失败')) {
         return this.sendMerchantError(res, error.message, 400);
       } else {
         return this.sendMerchantError(res, '店铺更新失败', 500);
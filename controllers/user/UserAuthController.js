@@ -9,7 +9,13 @@
 const BaseController = require('../base/BaseController');
 // 引入用户认证服务类，处理具体的认证业务逻辑
 const UserAuthService = require('../../services/user/UserAuthService');
-const { COMMON_STATUS } = require('../../common/constants/status');
+// 引入注册配置服务类，提供注册表单需要的公开配置
+const RegisterConfigService = require('../../services/common/RegisterConfigService');
+// 引入验证码服务类，生成图形/数字验证码
+const CaptchaService = require('../../services/common/CaptchaService');
+// 引入邮箱验证服务类，处理注册后的邮箱验证
+const UserEmailVerificationService = require('../../services/user/UserEmailVerificationService');
+const { COMMON_STATUS, REGISTER_CONFIG } = require('../../common/constants/status');
 
 class UserAuthController extends BaseController {
   /**
@@ -21,6 +27,12 @@ class UserAuthController extends BaseController {
     super();
     // 创建用户认证服务实例，用于处理业务逻辑
     this.userAuthService = new UserAuthService();
+    // 创建注册配置服务实例，用于返回公开的注册配置
+    this.registerConfigService = new RegisterConfigService();
+    // 创建验证码服务实例，用于生成验证码
+    this.captchaService = new CaptchaService();
+    // 创建邮箱验证服务实例，用于校验邮箱验证码和重发验证邮件
+    this.emailVerificationService = new UserEmailVerificationService();
   }
 
   /**
@@ -42,8 +54,12 @@ class UserAuthController extends BaseController {
         return this.sendError(res, '请求参数不完整', 400, validationErrors);
       }
 
-      // 调用服务层处理登录逻辑，传入数据库连接
-      const result = await this.userAuthService.login(username, password, res.sequelize);
+      // 调用服务层处理登录逻辑，传入数据库连接、客户端信息（登录日志）和游客购物车ID（登录后合并购物车）
+      const result = await this.userAuthService.login(username, password, res.sequelize, {
+        guestCartId: req.headers['x-cart-id'] || req.body.cartId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
       // 返回成功响应，包含用户信息和令牌
       return this.sendSuccess(res, '登录成功', {
@@ -60,6 +76,8 @@ class UserAuthController extends BaseController {
       // 根据不同的错误类型返回相应的HTTP状态码和错误消息
       if (error.message.includes('用户不存在') || error.message.includes('密码错误')) {
         return this.sendError(res, '用户名或密码错误', 401);
+      } else if (error.message.includes('邮箱未验证')) {
+        return this.sendError(res, error.message, 403);
       } else if (error.message.includes('状态异常')) {
         return this.sendError(res, '账户状态异常，请联系管理员', 403);
       } else if (error.message.includes('验证失败')) {
@@ -70,10 +88,96 @@ class UserAuthController extends BaseController {
     }
   });
 
+  /**
+   * 短信验证码登录
+   * 路由：POST /api/user/auth/login/sms
+   * 功能：注册配置开启手机验证码时，使用手机号和短信验证码登录
+   */
+  loginWithSms = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('用户短信登录请求', req);
+
+      const { phone, smsCode } = req.body;
+
+      const validationErrors = this.validateRequiredFields(req, ['phone', 'smsCode']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const result = await this.userAuthService.loginWithSms(phone, smsCode, res.sequelize, {
+        guestCartId: req.headers['x-cart-id'] || req.body.cartId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return this.sendSuccess(res, '登录成功', {
+        user: result.user,
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+        expiresIn: result.tokens.expiresIn
+      });
+
+    } catch (error) {
+      this.logError('用户短信登录失败', error, req);
+
+      if (error.message.includes('验证码')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('用户不存在')) {
+        return this.sendError(res, '手机号或验证码错误', 401);
+      } else if (error.message.includes('邮箱未验证')) {
+        return this.sendError(res, error.message, 403);
+      } else if (error.message.includes('状态异常')) {
+        return this.sendError(res, '账户状态异常，请联系管理员', 403);
+      } else if (error.message.includes('未开启')) {
+        return this.sendError(res, error.message, 403);
+      } else {
+        return this.sendError(res, '登录失败，请稍后重试', 500);
+      }
+    }
+  });
+
+  /**
+   * 发送短信验证码
+   * 路由：POST /api/user/auth/sms-code
+   * 功能：向手机号发送注册或登录验证码，同一手机号有重发冷却时间和每日发送上限
+   */
+  sendSmsCode = this.asyncHandler(async (req, res) => {
+    try {
+      const { phone, scene } = req.body;
+
+      this.logAction('发送短信验证码请求', req, { scene });
+
+      const validationErrors = this.validateRequiredFields(req, ['phone', 'scene']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const result = await this.userAuthService.sendSmsCode(phone, scene, res.sequelize);
+
+      return this.sendSuccess(res, '短信验证码已发送', result);
+
+    } catch (error) {
+      this.logError('发送短信验证码失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('已被注册')) {
+        return this.sendError(res, error.message, 409);
+      } else if (error.message.includes('未开启')) {
+        return this.sendError(res, error.message, 403);
+      } else if (error.message.includes('过于频繁') || error.message.includes('上限')) {
+        return this.sendError(res, error.message, 429);
+      } else {
+        return this.sendError(res, '短信发送失败，请稍后重试', 500);
+      }
+    }
+  });
+
   /**
    * 用户注册方法
    * 路由：POST /api/user/auth/register
    * 功能：创建新用户账户，验证输入数据，生成初始令牌
+   * 说明：真实姓名、手机号和短信验证码是否必填由注册配置决定，图形/数字验证码由路由上的验证码中间件校验
    */
   register = this.asyncHandler(async (req, res) => {
     try {
@@ -81,7 +185,7 @@ class UserAuthController extends BaseController {
       this.logAction('用户注册请求', req);
 
       // 从请求体中提取注册信息
-      const { username, email, password, confirmPassword } = req.body;
+      const { username, email, password, confirmPassword, realName, phone, smsCode } = req.body;
 
       // 验证所有必需参数是否存在
       const validationErrors = this.validateRequiredFields(req, ['username', 'email', 'password', 'confirmPassword']);
@@ -98,9 +202,20 @@ class UserAuthController extends BaseController {
       const result = await this.userAuthService.register({
         username,  // 用户名
         email,     // 邮箱地址
-        password   // 密码（将在服务层进行加密）
+        password,  // 密码（将在服务层进行加密）
+        realName,  // 真实姓名（按注册配置必填）
+        phone,     // 手机号（按注册配置必填）
+        smsCode    // 短信验证码（开启手机验证码或短信验证码类型时必填）
       }, res.sequelize);
 
+      // 要求验证邮箱时不返回令牌，用户完成邮箱验证后再登录
+      if (result.emailVerificationRequired) {
+        return this.sendSuccess(res, '注册成功，验证码已发送至邮箱，请完成邮箱验证后登录', {
+          user: result.user,
+          emailVerificationRequired: true
+        }, 201);
+      }
+
       // 返回成功响应，状态码201表示资源已创建
       return this.sendSuccess(res, '注册成功', {
         user: result.user,                      // 新创建的用户信息
@@ -116,8 +231,8 @@ class UserAuthController extends BaseController {
       // 根据不同的错误类型返回相应的HTTP状态码和错误消息
       if (error.message.includes('已存在') || error.message.includes('已被注册')) {
         return this.sendError(res, error.message, 409);  // 409 Conflict - 资源冲突
-      } else if (error.message.includes('验证失败')) {
-        return this.sendError(res, error.message, 400);  // 400 Bad Request - 请求参数错误
+      } else if (error.message.includes('验证失败') || error.message.includes('验证码')) {
+        return this.sendError(res, error.message, 400);  // 400 Bad Request - 请求参数错误或验证码错误
       } else {
         return this.sendError(res, '注册失败，请稍后重试', 500);  // 500 Internal Server Error - 服务器内部错误
       }
@@ -211,6 +326,72 @@ class UserAuthController extends BaseController {
     }
   });
 
+  /**
+   * 找回密码
+   * 路由：POST /api/user/auth/forgot-password
+   * 功能：向邮箱发送重置密码链接，无论邮箱是否已注册都返回相同结果
+   */
+  forgotPassword = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('找回密码请求', req);
+
+      const validationErrors = this.validateRequiredFields(req, ['email']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const result = await this.userAuthService.forgotPassword(req.body.email, res.sequelize);
+
+      return this.sendSuccess(res, '如果该邮箱已注册，重置密码邮件已发送', result);
+
+    } catch (error) {
+      this.logError('找回密码失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('过于频繁')) {
+        return this.sendError(res, error.message, 429);
+      } else {
+        return this.sendError(res, '找回密码失败，请稍后重试', 500);
+      }
+    }
+  });
+
+  /**
+   * 重置密码
+   * 路由：POST /api/user/auth/reset-password
+   * 功能：使用重置邮件中的令牌设置新密码，令牌只能使用一次，重置后所有已登录会话失效
+   */
+  resetPassword = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('重置密码请求', req);
+
+      const { token, newPassword, confirmPassword } = req.body;
+
+      const validationErrors = this.validateRequiredFields(req, ['token', 'newPassword', 'confirmPassword']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      if (newPassword !== confirmPassword) {
+        return this.sendError(res, '两次输入的新密码不一致', 400);
+      }
+
+      await this.userAuthService.resetPassword(token, newPassword, res.sequelize);
+
+      return this.sendSuccess(res, '密码重置成功，请使用新密码登录');
+
+    } catch (error) {
+      this.logError('重置密码失败', error, req);
+
+      if (error.message.includes('验证失败') || error.message.includes('无效或已过期')) {
+        return this.sendError(res, error.message, 400);
+      } else {
+        return this.sendError(res, '重置密码失败，请稍后重试', 500);
+      }
+    }
+  });
+
   /**
    * 修改密码
    * PUT /api/user/auth/password
@@ -261,6 +442,152 @@ class UserAuthController extends BaseController {
     }
   });
 
+  /**
+   * 验证邮箱
+   * 路由：POST /api/user/auth/verify-email
+   * 功能：校验注册时发送到邮箱的验证码，通过后记录邮箱验证时间并激活账户
+   */
+  verifyEmail = this.asyncHandler(async (req, res) => {
+    try {
+      const { email, code } = req.body;
+
+      this.logAction('邮箱验证请求', req);
+
+      const validationErrors = this.validateRequiredFields(req, ['email', 'code']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const result = await this.emailVerificationService.verifyEmail(email, code, res.sequelize);
+
+      return this.sendSuccess(res, '邮箱验证成功', result);
+
+    } catch (error) {
+      this.logError('邮箱验证失败', error, req);
+
+      if (error.message.includes('验证失败') || error.message.includes('验证码')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('不存在')) {
+        return this.sendError(res, '邮箱验证码错误', 400);
+      } else {
+        return this.sendError(res, '邮箱验证失败，请稍后重试', 500);
+      }
+    }
+  });
+
+  /**
+   * 重新发送邮箱验证码
+   * 路由：POST /api/user/auth/verify-email/resend
+   * 功能：向未验证的邮箱重新发送验证码，无论邮箱是否已注册都返回相同结果
+   */
+  resendVerificationEmail = this.asyncHandler(async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      this.logAction('重新发送邮箱验证码请求', req);
+
+      const validationErrors = this.validateRequiredFields(req, ['email']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const result = await this.emailVerificationService.resendVerificationCode(email, res.sequelize);
+
+      return this.sendSuccess(res, '如果该邮箱已注册且尚未验证，验证码已发送', result);
+
+    } catch (error) {
+      this.logError('重新发送邮箱验证码失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('过于频繁')) {
+        return this.sendError(res, error.message, 429);
+      } else {
+        return this.sendError(res, '验证邮件发送失败，请稍后重试', 500);
+      }
+    }
+  });
+
+  /**
+   * 获取注册配置
+   * 路由：GET /api/user/auth/register-config
+   * 功能：返回注册表单需要的公开配置（必填字段、验证码类型、第三方登录开关），不包含应用密钥
+   */
+  getRegisterConfig = this.asyncHandler(async (req, res) => {
+    try {
+      const config = await this.registerConfigService.getPublicRegisterConfig(res.sequelize);
+
+      return this.sendSuccess(res, '获取注册配置成功', { config });
+
+    } catch (error) {
+      this.logError('获取注册配置失败', error, req);
+      return this.sendError(res, '获取注册配置失败', 500);
+    }
+  });
+
+  /**
+   * 获取验证码
+   * 路由：GET /api/user/auth/captcha?type=image|numeric
+   * 功能：生成验证码并返回SVG图片和验证码ID，提交登录、注册等表单时携带 captchaId 和 captchaCode
+   * 说明：未指定类型时按注册配置的验证码类型生成（数字验证码类型生成数字验证码，否则生成图形验证码）
+   */
+  getCaptcha = this.asyncHandler(async (req, res) => {
+    try {
+      let { type } = req.query;
+
+      if (!type) {
+        const config = await this.registerConfigService.getRegisterConfig(res.sequelize);
+        type = config.captcha_type === REGISTER_CONFIG.CAPTCHA_NUMERIC ? 'numeric' : 'image';
+      }
+
+      const captcha = await this.captchaService.createCaptcha(type);
+
+      return this.sendSuccess(res, '获取验证码成功', captcha);
+
+    } catch (error) {
+      this.logError('获取验证码失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '获取验证码失败', 500);
+    }
+  });
+
+  /**
+   * 获取当前用户登录历史
+   * GET /api/user/auth/login-history
+   */
+  getLoginHistory = this.asyncHandler(async (req, res) => {
+    try {
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const pagination = this.getPaginationParams(req);
+      const filters = {};
+      if (req.query.success !== undefined) filters.success = parseInt(req.query.success);
+
+      const result = await this.userAuthService.getLoginHistory(
+        req.user.id,
+        filters,
+        pagination,
+        res.sequelize
+      );
+
+      return this.sendPaginatedResponse(
+        res,
+        result.logs,
+        { page: pagination.page, limit: pagination.limit, total: result.total },
+        '获取登录历史成功'
+      );
+
+    } catch (error) {
+      this.logError('获取登录历史失败', error, req);
+      return this.sendError(res, '获取登录历史失败', 500);
+    }
+  });
+
   /**
    * 验证令牌有效性
    * GET /api/user/auth/verify
@@ -0,0 +1,269 @@
+/**
+ * 用户购物车控制器
+ * 处理购物车的添加、修改、删除、清空和重新计算相关的HTTP请求
+ * 已登录用户按用户ID归属购物车，未登录用户通过 X-Cart-Id 请求头携带游客购物车ID
+ */
+
+const BaseController = require('../base/BaseController');
+const UserCartService = require('../../services/user/UserCartService');
+
+class UserCartController extends BaseController {
+  constructor() {
+    super();
+    this.userCartService = new UserCartService();
+  }
+
+  /**
+   * 解析购物车归属
+   * @param {Object} req - 请求对象
+   * @param {boolean} createGuest - 游客没有购物车ID时是否生成新ID
+   * @returns {Object|null} 购物车归属 { userId } 或 { guestId }
+   */
+  resolveCartOwner(req, createGuest = false) {
+    if (req.user) {
+      return { userId: req.user.id };
+    }
+
+    const guestId = req.headers['x-cart-id'];
+    if (guestId) {
+      return this.userCartService.isValidGuestId(guestId) ? { guestId } : null;
+    }
+
+    return createGuest ? { guestId: this.userCartService.generateGuestId() } : null;
+  }
+
+  /**
+   * 组装购物车响应数据，游客购物车附带 cartId 供客户端保存
+   * @param {Object} owner - 购物车归属
+   * @param {Object} cart - 购物车详情
+   * @returns {Object} 响应数据
+   */
+  buildCartResponse(owner, cart) {
+    return owner.guestId ? { cartId: owner.guestId, ...cart } : cart;
+  }
+
+  /**
+   * 解析商品ID参数
+   * @param {Object} req - 请求对象
+   * @returns {number|null} 商品ID
+   */
+  parseProductId(req) {
+    const productId = parseInt(req.params.productId || req.body.productId);
+    return productId > 0 ? productId : null;
+  }
+
+  /**
+   * 解析规格ID参数（请求体或查询参数 variantId，未启用规格的商品不传）
+   * @param {Object} req - 请求对象
+   * @returns {number|null|undefined} 规格ID，未传时为null，无效时为undefined
+   */
+  parseVariantId(req) {
+    const value = req.body.variantId !== undefined ? req.body.variantId : req.query.variantId;
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const variantId = Number(value);
+    return Number.isInteger(variantId) && variantId > 0 ? variantId : undefined;
+  }
+
+  /**
+   * 获取购物车
+   * GET /api/user/cart
+   */
+  getCart = this.asyncHandler(async (req, res) => {
+    try {
+      const owner = this.resolveCartOwner(req);
+      if (!owner) {
+        return this.sendSuccess(res, '获取购物车成功', {
+          items: [],
+          summary: { itemCount: 0, totalQuantity: 0, selectedQuantity: 0, totalAmount: 0 }
+        });
+      }
+
+      const cart = await this.userCartService.getCart(owner, res.sequelize);
+
+      return this.sendSuccess(res, '获取购物车成功', this.buildCartResponse(owner, cart));
+
+    } catch (error) {
+      this.logError('获取购物车失败', error, req);
+      return this.sendError(res, '获取购物车失败', 500);
+    }
+  });
+
+  /**
+   * 添加商品到购物车
+   * POST /api/user/cart/items
+   */
+  addItem = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('添加购物车商品请求', req, { productId: req.body.productId, variantId: req.body.variantId });
+
+      const validationErrors = this.validateRequiredFields(req, ['productId']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const productId = this.parseProductId(req);
+      if (!productId) {
+        return this.sendError(res, '商品ID无效', 400);
+      }
+
+      const variantId = this.parseVariantId(req);
+      if (variantId === undefined) {
+        return this.sendError(res, '商品规格ID无效', 400);
+      }
+
+      const owner = this.resolveCartOwner(req, true);
+      if (!owner) {
+        return this.sendError(res, '购物车ID无效', 400);
+      }
+
+      const quantity = req.body.quantity !== undefined ? parseInt(req.body.quantity) : 1;
+      const cart = await this.userCartService.addItem(owner, productId, variantId, quantity, res.sequelize);
+
+      return this.sendSuccess(res, '添加购物车成功', this.buildCartResponse(owner, cart));
+
+    } catch (error) {
+      this.logError('添加购物车商品失败', error, req);
+      return this.handleCartError(res, error, '添加购物车失败');
+    }
+  });
+
+  /**
+   * 更新购物车商品数量或勾选状态
+   * PUT /api/user/cart/items/:productId（规格商品通过 variantId 指定规格）
+   */
+  updateItem = this.asyncHandler(async (req, res) => {
+    try {
+      const productId = this.parseProductId(req);
+      if (!productId) {
+        return this.sendError(res, '商品ID无效', 400);
+      }
+
+      const variantId = this.parseVariantId(req);
+      if (variantId === undefined) {
+        return this.sendError(res, '商品规格ID无效', 400);
+      }
+
+      const owner = this.resolveCartOwner(req);
+      if (!owner) {
+        return this.sendError(res, '购物车商品不存在', 404);
+      }
+
+      const { quantity, selected } = req.body;
+      if (quantity === undefined && selected === undefined) {
+        return this.sendError(res, '没有需要更新的内容', 400);
+      }
+
+      const updateData = {};
+      if (quantity !== undefined) updateData.quantity = parseInt(quantity);
+      if (selected !== undefined) updateData.selected = selected === true || selected === 1 || selected === '1' || selected === 'true';
+
+      const cart = await this.userCartService.updateItem(owner, productId, variantId, updateData, res.sequelize);
+
+      return this.sendSuccess(res, '更新购物车成功', this.buildCartResponse(owner, cart));
+
+    } catch (error) {
+      this.logError('更新购物车商品失败', error, req);
+      return this.handleCartError(res, error, '更新购物车失败');
+    }
+  });
+
+  /**
+   * 从购物车移除商品
+   * DELETE /api/user/cart/items/:productId（规格商品通过查询参数 variantId 指定规格）
+   */
+  removeItem = this.asyncHandler(async (req, res) => {
+    try {
+      const productId = this.parseProductId(req);
+      if (!productId) {
+        return this.sendError(res, '商品ID无效', 400);
+      }
+
+      const variantId = this.parseVariantId(req);
+      if (variantId === undefined) {
+        return this.sendError(res, '商品规格ID无效', 400);
+      }
+
+      const owner = this.resolveCartOwner(req);
+      if (!owner) {
+        return this.sendError(res, '购物车商品不存在', 404);
+      }
+
+      const cart = await this.userCartService.removeItem(owner, productId, variantId, res.sequelize);
+
+      return this.sendSuccess(res, '移除购物车商品成功', this.buildCartResponse(owner, cart));
+
+    } catch (error) {
+      this.logError('移除购物车商品失败', error, req);
+      return this.handleCartError(res, error, '移除购物车商品失败');
+    }
+  });
+
+  /**
+   * 清空购物车
+   * DELETE /api/user/cart
+   */
+  clearCart = this.asyncHandler(async (req, res) => {
+    try {
+      const owner = this.resolveCartOwner(req);
+      if (!owner) {
+        return this.sendSuccess(res, '清空购物车成功');
+      }
+
+      this.logAction('清空购物车请求', req);
+
+      const cart = await this.userCartService.clearCart(owner, res.sequelize);
+
+      return this.sendSuccess(res, '清空购物车成功', this.buildCartResponse(owner, cart));
+
+    } catch (error) {
+      this.logError('清空购物车失败', error, req);
+      return this.sendError(res, '清空购物车失败', 500);
+    }
+  });
+
+  /**
+   * 重新计算购物车价格（移除失效商品、按库存修正数量）
+   * POST /api/user/cart/recalculate
+   */
+  recalculateCart = this.asyncHandler(async (req, res) => {
+    try {
+      const owner = this.resolveCartOwner(req);
+      if (!owner) {
+        return this.sendError(res, '购物车ID无效', 400);
+      }
+
+      const cart = await this.userCartService.recalculateCart(owner, res.sequelize);
+
+      return this.sendSuccess(res, '购物车重新计算成功', this.buildCartResponse(owner, cart));
+
+    } catch (error) {
+      this.logError('重新计算购物车失败', error, req);
+      return this.sendError(res, '重新计算购物车失败', 500);
+    }
+  });
+
+  /**
+   * 处理购物车操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleCartError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('库存不足') || error.message.includes('已下架')) {
+      return this.sendError(res, error.message, 409);
+    } else if (error.message.includes('正在更新')) {
+      return this.sendError(res, error.message, 409);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = UserCartController;
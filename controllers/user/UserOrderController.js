@@ -0,0 +1,286 @@
+/**
+ * 用户订单控制器
+ * 处理用户端下单、订单查询和订单状态操作相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const UserOrderService = require('../../services/user/UserOrderService');
+
+class UserOrderController extends BaseController {
+  constructor() {
+    super();
+    this.userOrderService = new UserOrderService();
+  }
+
+  /**
+   * 创建订单
+   * POST /api/user/orders
+   */
+  createOrder = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('用户下单请求', req, { userId: req.user?.id });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, [
+        'items', 'receiverName', 'receiverPhone', 'shippingAddress'
+      ]);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const { items, receiverName, receiverPhone, shippingAddress, remark, reservationId } = req.body;
+
+      const orders = await this.userOrderService.createOrder(req.user.id, {
+        items,
+        receiverName,
+        receiverPhone,
+        shippingAddress,
+        remark,
+        reservationId
+      }, res.sequelize);
+
+      return this.sendSuccess(res, '下单成功', { orders }, 201);
+
+    } catch (error) {
+      this.logError('用户下单失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('不存在')) {
+        return this.sendError(res, error.message, 404);
+      } else if (error.message.includes('库存不足') || error.message.includes('已下架') || error.message.includes('暂停营业')) {
+        return this.sendError(res, error.message, 409);
+      } else {
+        return this.sendError(res, '下单失败', 500);
+      }
+    }
+  });
+
+  /**
+   * 结算预占库存
+   * POST /api/user/orders/reservations
+   */
+  reserveStock = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('预占库存请求', req, { userId: req.user?.id });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['items']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const reservation = await this.userOrderService.reserveStock(req.user.id, req.body.items, res.sequelize);
+
+      return this.sendSuccess(res, '库存预占成功', reservation, 201);
+
+    } catch (error) {
+      this.logError('预占库存失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      } else if (error.message.includes('不存在')) {
+        return this.sendError(res, error.message, 404);
+      } else if (error.message.includes('库存不足') || error.message.includes('已下架')) {
+        return this.sendError(res, error.message, 409);
+      } else {
+        return this.sendError(res, '库存预占失败', 500);
+      }
+    }
+  });
+
+  /**
+   * 释放库存预占
+   * DELETE /api/user/orders/reservations/:reservationId
+   */
+  releaseReservation = this.asyncHandler(async (req, res) => {
+    try {
+      const { reservationId } = req.params;
+      this.logAction('释放库存预占请求', req, { userId: req.user?.id, reservationId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      await this.userOrderService.releaseReservation(reservationId, req.user.id);
+
+      return this.sendSuccess(res, '库存预占已释放');
+
+    } catch (error) {
+      this.logError('释放库存预占失败', error, req);
+
+      if (error.message.includes('不存在')) {
+        return this.sendError(res, error.message, 404);
+      }
+      return this.sendError(res, '释放库存预占失败', 500);
+    }
+  });
+
+  /**
+   * 获取当前用户订单列表
+   * GET /api/user/orders
+   */
+  getOrders = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取用户订单列表请求', req, { userId: req.user?.id });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const pagination = this.getPaginationParams(req);
+      const filters = {};
+      if (req.query.status !== undefined) filters.status = parseInt(req.query.status);
+
+      const result = await this.userOrderService.getUserOrders(
+        req.user.id,
+        filters,
+        pagination,
+        res.sequelize
+      );
+
+      return this.sendPaginatedResponse(res, result.orders, {
+        ...pagination,
+        total: result.total
+      }, '获取订单列表成功');
+
+    } catch (error) {
+      this.logError('获取用户订单列表失败', error, req);
+      return this.sendError(res, '获取订单列表失败', 500);
+    }
+  });
+
+  /**
+   * 获取订单详情
+   * GET /api/user/orders/:orderId
+   */
+  getOrderById = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      this.logAction('获取用户订单详情请求', req, { userId: req.user?.id, orderId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const order = await this.userOrderService.getUserOrderById(orderId, req.user.id, res.sequelize);
+      if (!order) {
+        return this.sendError(res, '订单不存在', 404);
+      }
+
+      return this.sendSuccess(res, '获取订单详情成功', { order });
+
+    } catch (error) {
+      this.logError('获取用户订单详情失败', error, req);
+      return this.sendError(res, '获取订单详情失败', 500);
+    }
+  });
+
+  /**
+   * 支付订单
+   * PUT /api/user/orders/:orderId/pay
+   */
+  payOrder = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      this.logAction('支付订单请求', req, { userId: req.user?.id, orderId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const order = await this.userOrderService.payOrder(orderId, req.user.id, res.sequelize);
+
+      return this.sendSuccess(res, '订单支付成功', { order });
+
+    } catch (error) {
+      this.logError('支付订单失败', error, req);
+      return this.handleOrderStatusError(res, error, '订单支付失败');
+    }
+  });
+
+  /**
+   * 取消订单
+   * PUT /api/user/orders/:orderId/cancel
+   */
+  cancelOrder = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      this.logAction('取消订单请求', req, { userId: req.user?.id, orderId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const order = await this.userOrderService.cancelOrder(
+        orderId,
+        req.user.id,
+        req.body.reason,
+        res.sequelize
+      );
+
+      return this.sendSuccess(res, '订单取消成功', { order });
+
+    } catch (error) {
+      this.logError('取消订单失败', error, req);
+      return this.handleOrderStatusError(res, error, '订单取消失败');
+    }
+  });
+
+  /**
+   * 确认收货
+   * PUT /api/user/orders/:orderId/confirm
+   */
+  confirmOrder = this.asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      this.logAction('确认收货请求', req, { userId: req.user?.id, orderId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const order = await this.userOrderService.confirmOrder(orderId, req.user.id, res.sequelize);
+
+      return this.sendSuccess(res, '确认收货成功', { order });
+
+    } catch (error) {
+      this.logError('确认收货失败', error, req);
+      return this.handleOrderStatusError(res, error, '确认收货失败');
+    }
+  });
+
+  /**
+   * 处理订单状态变更错误
+   * @param {Object} res - Express响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误消息
+   */
+  handleOrderStatusError(res, error, defaultMessage) {
+    if (error.message.includes('不存在')) {
+      return this.sendError(res, '订单不存在', 404);
+    } else if (error.message.includes('流转无效')) {
+      return this.sendError(res, error.message, 409);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = UserOrderController;
@@ -0,0 +1,190 @@
+/**
+ * 用户评价控制器
+ * 处理评价列表查询、发表评价以及评价有用投票相关的HTTP请求
+ */
+
+const BaseController = require('../base/BaseController');
+const ReviewService = require('../../services/common/ReviewService');
+
+class UserReviewController extends BaseController {
+  constructor() {
+    super();
+    this.reviewService = new ReviewService();
+  }
+
+  /**
+   * 获取商品或店铺的评价列表
+   * GET /api/user/reviews?productId=|shopId=&sort=newest|helpful&rating=&hasImages=1
+   */
+  getReviews = this.asyncHandler(async (req, res) => {
+    try {
+      const { productId, shopId, sort, rating, hasImages } = req.query;
+
+      this.logAction('获取评价列表请求', req, { productId, shopId, sort });
+
+      if (!productId && !shopId) {
+        return this.sendError(res, '请提供商品ID或店铺ID', 400);
+      }
+
+      const pagination = this.getPaginationParams(req);
+
+      const result = await this.reviewService.getReviews({
+        productId: productId ? parseInt(productId) : undefined,
+        shopId: shopId ? parseInt(shopId) : undefined,
+        rating: rating ? parseInt(rating) : undefined,
+        hasImages: hasImages === '1' || hasImages === 'true',
+        sort
+      }, pagination, res.sequelize, { scope: 'user', viewerId: req.user?.id });
+
+      return this.sendPaginatedResponse(res, result.items, { ...pagination, total: result.total }, '获取评价列表成功');
+
+    } catch (error) {
+      this.logError('获取评价列表失败', error, req);
+      return this.handleReviewError(res, error, '获取评价列表失败');
+    }
+  });
+
+  /**
+   * 获取我的评价
+   * GET /api/user/reviews/mine
+   */
+  getMyReviews = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('获取我的评价请求', req, { userId: req.user?.id });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      const pagination = this.getPaginationParams(req);
+
+      const result = await this.reviewService.getReviews(
+        { userId: req.user.id, sort: req.query.sort },
+        pagination,
+        res.sequelize,
+        { scope: 'user', viewerId: req.user.id }
+      );
+
+      return this.sendPaginatedResponse(res, result.items, { ...pagination, total: result.total }, '获取我的评价成功');
+
+    } catch (error) {
+      this.logError('获取我的评价失败', error, req);
+      return this.handleReviewError(res, error, '获取我的评价失败');
+    }
+  });
+
+  /**
+   * 发表评价（订单完成后，每个订单商品评价一次）
+   * POST /api/user/reviews
+   */
+  createReview = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('发表评价请求', req, { userId: req.user?.id, orderItemId: req.body.orderItemId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      // 验证必需参数
+      const validationErrors = this.validateRequiredFields(req, ['orderItemId', 'rating']);
+      if (validationErrors) {
+        return this.sendError(res, '请求参数不完整', 400, validationErrors);
+      }
+
+      const { orderItemId, rating, content, images } = req.body;
+
+      const review = await this.reviewService.createReview(req.user.id, {
+        orderItemId: Number(orderItemId),
+        rating: Number(rating),
+        content,
+        images
+      }, res.sequelize);
+
+      return this.sendSuccess(res, '发表评价成功', { review }, 201);
+
+    } catch (error) {
+      this.logError('发表评价失败', error, req);
+      return this.handleReviewError(res, error, '发表评价失败');
+    }
+  });
+
+  /**
+   * 标记评价有用
+   * POST /api/user/reviews/:reviewId/helpful
+   */
+  voteHelpful = this.asyncHandler(async (req, res) => {
+    try {
+      const { reviewId } = req.params;
+
+      this.logAction('标记评价有用请求', req, { reviewId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      if (!reviewId || isNaN(parseInt(reviewId))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const result = await this.reviewService.voteHelpful(parseInt(reviewId), req.user.id, res.sequelize);
+
+      return this.sendSuccess(res, '标记有用成功', result);
+
+    } catch (error) {
+      this.logError('标记评价有用失败', error, req);
+      return this.handleReviewError(res, error, '标记有用失败');
+    }
+  });
+
+  /**
+   * 取消评价有用标记
+   * DELETE /api/user/reviews/:reviewId/helpful
+   */
+  unvoteHelpful = this.asyncHandler(async (req, res) => {
+    try {
+      const { reviewId } = req.params;
+
+      this.logAction('取消评价有用标记请求', req, { reviewId });
+
+      // 检查用户是否已认证
+      if (!req.user) {
+        return this.sendError(res, '用户未认证', 401);
+      }
+
+      if (!reviewId || isNaN(parseInt(reviewId))) {
+        return this.sendError(res, 'ID格式不正确', 400);
+      }
+
+      const result = await this.reviewService.unvoteHelpful(parseInt(reviewId), req.user.id, res.sequelize);
+
+      return this.sendSuccess(res, '取消标记成功', result);
+
+    } catch (error) {
+      this.logError('取消评价有用标记失败', error, req);
+      return this.handleReviewError(res, error, '取消标记失败');
+    }
+  });
+
+  /**
+   * 处理评价操作错误
+   * @param {Object} res - 响应对象
+   * @param {Error} error - 错误对象
+   * @param {string} defaultMessage - 默认错误信息
+   */
+  handleReviewError(res, error, defaultMessage) {
+    if (error.message.includes('验证失败')) {
+      return this.sendError(res, error.message, 400);
+    } else if (error.message.includes('不存在')) {
+      return this.sendError(res, error.message, 404);
+    } else if (error.message.includes('已存在')) {
+      return this.sendError(res, error.message, 409);
+    } else {
+      return this.sendError(res, defaultMessage, 500);
+    }
+  }
+}
+
+module.exports = UserReviewController;
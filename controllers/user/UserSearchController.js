@@ -0,0 +1,56 @@
+/**
+ * 用户搜索控制器
+ * 处理商品和店铺的关键词搜索请求，支持相关度排序、关键词高亮以及价格、分类、店铺、状态筛选
+ */
+
+const BaseController = require('../base/BaseController');
+const SearchService = require('../../services/common/SearchService');
+
+class UserSearchController extends BaseController {
+  constructor() {
+    super();
+    this.searchService = new SearchService();
+  }
+
+  /**
+   * 搜索商品或店铺
+   * GET /api/user/search?q=关键词&type=product|shop
+   */
+  search = this.asyncHandler(async (req, res) => {
+    try {
+      const { q, type = 'product', sort, minPrice, maxPrice, categoryId, shopId, status } = req.query;
+
+      this.logAction('搜索请求', req, { keyword: q, type });
+
+      if (!['product', 'shop'].includes(type)) {
+        return this.sendError(res, '搜索类型只能是 product 或 shop', 400);
+      }
+
+      const pagination = this.getPaginationParams(req);
+
+      const result = type === 'shop'
+        ? await this.searchService.searchShops({ keyword: q, sort }, pagination, res.sequelize)
+        : await this.searchService.searchProducts({
+          keyword: q,
+          sort,
+          minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+          maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+          categoryId: categoryId ? parseInt(categoryId) : undefined,
+          shopId: shopId ? parseInt(shopId) : undefined,
+          status: status !== undefined ? parseInt(status) : undefined
+        }, pagination, res.sequelize, { scope: 'user' });
+
+      return this.sendPaginatedResponse(res, result.items, { ...pagination, total: result.total }, '搜索成功');
+
+    } catch (error) {
+      this.logError('搜索失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '搜索失败', 500);
+    }
+  });
+}
+
+module.exports = UserSearchController;
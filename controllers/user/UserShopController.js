@@ -0,0 +1,51 @@
+/**
+ * 用户店铺控制器
+ * 处理附近店铺查询请求，结果按距离排序并附带距离（米）和营业状态
+ */
+
+const BaseController = require('../base/BaseController');
+const UserShopService = require('../../services/user/UserShopService');
+
+class UserShopController extends BaseController {
+  constructor() {
+    super();
+    this.userShopService = new UserShopService();
+  }
+
+  /**
+   * 查询附近店铺
+   * GET /api/user/shops/nearby?lat=纬度&lng=经度&radius=半径(米)
+   */
+  nearby = this.asyncHandler(async (req, res) => {
+    try {
+      this.logAction('附近店铺请求', req, { lat: req.query.lat, lng: req.query.lng, radius: req.query.radius });
+
+      const params = this.userShopService.parseNearbyParams(req.query);
+      const pagination = this.getPaginationParams(req);
+
+      const result = await this.userShopService.getNearbyShops(params, pagination, res.sequelize);
+
+      return this.sendPaginatedResponse(res, result.items, { ...pagination, total: result.total }, '获取附近店铺成功');
+
+    } catch (error) {
+      this.logError('获取附近店铺失败', error, req);
+
+      if (error.message.includes('验证失败')) {
+        return this.sendError(res, error.message, 400);
+      }
+      return this.sendError(res, '获取附近店铺失败', 500);
+    }
+  });
+
+  /**
+   * 附近店铺的缓存键生成函数，供路由缓存中间件使用
+   * 查询点按 geohash 取整，同一网格内的请求共享缓存
+   * @param {Object} req - 请求对象
+   * @returns {string} 缓存键
+   */
+  nearbyCacheKey = (req) => {
+    return this.userShopService.buildNearbyCacheKey(req.query, this.getPaginationParams(req));
+  };
+}
+
+module.exports = UserShopController;
@@ -4,6 +4,7 @@
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { userModel } = require('../../models');
 const CacheManager = require('../../common/redis/cache');
 const { PREFIX, TTL } = require('../../common/redis');
@@ -12,6 +13,7 @@ const { AUTH_CONFIG } = require('../config');
 const { logger } = require('../../common/logger');
 const { USER_STATUS, USER_ROLE, AUTH_STATUS, COMMON_STATUS } = require('../../common/constants/status');
 const { StatusHelper } = require('../../common/utils/statusHelper');
+const { TokenHelper } = require('../../common/utils/tokenHelper');
 
 /**
  * 验证JWT token
@@ -80,8 +82,8 @@ const baseAuth = async (req, res, next) => {
       return next();
     }
 
-    // 检查token缓存
-    const tokenKey = `${token.substring(0, 10)}`;
+    // 检查token缓存（使用完整token的摘要作为键，避免不同用户的token共用同一缓存）
+    const tokenKey = crypto.createHash('sha256').update(token).digest('hex');
     const cachedTokenData = await CacheManager.get(PREFIX.TOKEN, tokenKey);
 
     let decoded;
@@ -120,6 +122,13 @@ const baseAuth = async (req, res, next) => {
       return next();
     }
 
+    // 修改或重置密码前签发的令牌已失效
+    if (TokenHelper.isIssuedBeforePasswordChange(decoded, user)) {
+      req.user = null;
+      req.isAuthenticated = AUTH_STATUS.TOKEN_INVALID;
+      return next();
+    }
+
     req.user = user;
     req.isAuthenticated = AUTH_STATUS.AUTHENTICATED;
     next();
@@ -147,7 +156,7 @@ const requireAuth = async (req, res, next) => {
         return res.sendUnauthorized('需要登录才能访问此接口');
       }
 
-      if (req.user.status !== 'active') {
+      if (!StatusHelper.isUserActive(req.user.status)) {
         return res.sendUnauthorized('用户状态异常');
       }
 
@@ -173,7 +182,7 @@ const requireAuth = async (req, res, next) => {
 const requireAdmin = async (req, res, next) => {
   try {
     await requireAuth(req, res, () => {
-      if (req.user.role !== 'admin') {
+      if (!StatusHelper.isAdmin(req.user.role)) {
         return res.sendUnauthorized('权限不足，需要管理员权限');
       }
 
@@ -199,7 +208,7 @@ const requireAdmin = async (req, res, next) => {
 const requireSuperAdmin = async (req, res, next) => {
   try {
     await requireAdmin(req, res, () => {
-      if (req.user.role !== 'super_admin' && req.user.level !== 'super') {
+      if (!StatusHelper.isSuperAdmin(req.user.role)) {
         logger.security('非超级管理员尝试访问超级管理员接口', {
           adminId: req.user.id,
           role: req.user.role,
@@ -244,7 +253,7 @@ function requirePermissions(permissions, options = {}) {
         }
 
         // 检查用户状态
-        if (req.user.status !== 'active') {
+        if (!StatusHelper.isUserActive(req.user.status)) {
           return res.sendUnauthorized('用户状态异常，无法访问');
         }
 
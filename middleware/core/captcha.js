@@ -0,0 +1,112 @@
+/**
+ * 核心验证码中间件
+ * 校验请求体中的 captchaId / captchaCode，可用于登录、注册和找回密码等接口
+ * 支持三种启用方式：始终要求验证码、按注册配置的验证码类型要求、登录失败次数达到阈值后自动要求
+ */
+
+const { logger } = require('../../common/logger');
+const { COMMON_STATUS } = require('../../common/constants/status');
+const CaptchaService = require('../../services/common/CaptchaService');
+const RegisterConfigService = require('../../services/common/RegisterConfigService');
+
+const captchaService = new CaptchaService();
+const registerConfigService = new RegisterConfigService();
+
+/**
+ * 验证码启用方式
+ * always: 始终需要验证码（如找回密码）
+ * register: 注册配置的验证码类型为图形或数字验证码时需要
+ * login: 同一账号或IP登录失败次数达到阈值后需要
+ */
+const CAPTCHA_MODES = ['always', 'register', 'login'];
+
+/**
+ * 返回验证码错误响应
+ * @param {Object} res - 响应对象
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ */
+const sendCaptchaError = (res, message, code) => {
+  return res.status(400).json({
+    success: COMMON_STATUS.FAILED,
+    message,
+    code,
+    captchaRequired: true
+  });
+};
+
+/**
+ * 判断当前请求是否需要验证码
+ * @param {string} mode - 启用方式
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {string} accountField - 登录账号字段名
+ * @returns {Promise<boolean>} 是否需要验证码
+ */
+const isCaptchaRequired = async (mode, req, res, accountField) => {
+  if (mode === 'register') {
+    const config = await registerConfigService.getRegisterConfig(res.sequelize);
+    return registerConfigService.getVerificationRules(config).requireCaptcha;
+  }
+
+  if (mode === 'login') {
+    return captchaService.isLoginCaptchaRequired(req.body?.[accountField], req.ip);
+  }
+
+  return true;
+};
+
+/**
+ * 创建验证码校验中间件
+ * 需要验证码时校验并消费 req.body 中的 captchaId 和 captchaCode，不需要时直接放行
+ * @param {Object} options - 配置选项
+ * @param {string} options.mode - 启用方式（always/register/login），默认 always
+ * @param {string} options.accountField - login 模式下用于统计失败次数的账号字段，默认 username
+ * @returns {Function} 中间件函数
+ */
+const createCaptchaMiddleware = (options = {}) => {
+  const { mode = 'always', accountField = 'username' } = options;
+
+  if (!CAPTCHA_MODES.includes(mode)) {
+    throw new Error(`不支持的验证码启用方式: ${mode}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const required = await isCaptchaRequired(mode, req, res, accountField);
+      if (!required) {
+        return next();
+      }
+
+      const { captchaId, captchaCode } = req.body || {};
+      if (!captchaId || !captchaCode) {
+        return sendCaptchaError(res, '请输入验证码', 'CAPTCHA_REQUIRED');
+      }
+
+      const result = await captchaService.verifyCaptcha(captchaId, captchaCode);
+      if (!result.valid) {
+        logger.warn('验证码校验失败', { path: req.path, ip: req.ip, expired: result.expired });
+        return result.expired
+          ? sendCaptchaError(res, '验证码已过期，请重新获取', 'CAPTCHA_EXPIRED')
+          : sendCaptchaError(res, '验证码错误', 'CAPTCHA_INVALID');
+      }
+
+      next();
+    } catch (error) {
+      logger.error('验证码校验异常', { path: req.path, error: error.message });
+      next(error);
+    }
+  };
+};
+
+// 预定义的验证码中间件
+const loginCaptcha = createCaptchaMiddleware({ mode: 'login' });
+const registerCaptcha = createCaptchaMiddleware({ mode: 'register' });
+const requireCaptcha = createCaptchaMiddleware({ mode: 'always' });
+
+module.exports = {
+  createCaptchaMiddleware,
+  loginCaptcha,
+  registerCaptcha,
+  requireCaptcha
+};
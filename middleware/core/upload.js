@@ -0,0 +1,82 @@
+/**
+ * 核心文件上传中间件
+ * 基于 multer 内存存储接收单个上传文件，统一校验文件大小和扩展名，错误以 JSON 格式返回
+ */
+
+const path = require('path');
+const multer = require('multer');
+const { logger } = require('../../common/logger');
+const { COMMON_STATUS } = require('../../common/constants/status');
+
+/**
+ * 创建单文件上传中间件
+ * 文件保存在内存中，通过 req.file.buffer 访问，适合导入类的小文件
+ * @param {Object} options - 配置选项
+ * @param {string} options.field - 表单字段名，默认 file
+ * @param {number} options.maxSize - 文件大小上限（字节），默认 5MB
+ * @param {Array<string>} options.extensions - 允许的扩展名（小写，不含点），为空表示不限制
+ * @param {boolean} options.required - 是否必须上传文件，默认 true
+ * @returns {Function} 中间件函数
+ */
+const createUploadMiddleware = (options = {}) => {
+  const {
+    field = 'file',
+    maxSize = 5 * 1024 * 1024,
+    extensions = [],
+    required = true
+  } = options;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname || '').slice(1).toLowerCase();
+      if (extensions.length > 0 && !extensions.includes(ext)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        let message = '文件上传失败';
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          message = `文件大小不能超过${Math.floor(maxSize / 1024 / 1024)}MB`;
+        } else if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          message = extensions.length > 0
+            ? `仅支持上传 ${extensions.join('、')} 格式的文件，字段名为 ${field}`
+            : `文件字段名应为 ${field}`;
+        }
+
+        logger.warn('文件上传失败', {
+          path: req.path,
+          code: err.code,
+          error: err.message,
+          ip: req.ip
+        });
+
+        return res.status(400).json({
+          success: COMMON_STATUS.FAILED,
+          message,
+          code: 'UPLOAD_FAILED'
+        });
+      }
+
+      if (required && !req.file) {
+        return res.status(400).json({
+          success: COMMON_STATUS.FAILED,
+          message: `请通过 ${field} 字段上传文件`,
+          code: 'UPLOAD_FILE_REQUIRED'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  createUploadMiddleware
+};
@@ -9,6 +9,8 @@ const rateLimit = require('./core/rateLimit');
 const cache = require('./core/cache');
 const validator = require('./core/validator');
 const errorHandler = require('./core/errorHandler');
+const upload = require('./core/upload');
+const captcha = require('./core/captcha');
 
 // 监控中间件
 const performance = require('./monitoring/performance');
@@ -35,7 +37,9 @@ const core = {
   rateLimit,
   cache,
   validator,
-  errorHandler
+  errorHandler,
+  upload,
+  captcha
 };
 
 /**
@@ -92,6 +96,11 @@ const quick = {
   validate: validator.validate,
   rules: validator.rules,
   commonValidations: validator.commonValidations,
+
+  // 验证码相关
+  loginCaptcha: captcha.loginCaptcha,
+  registerCaptcha: captcha.registerCaptcha,
+  requireCaptcha: captcha.requireCaptcha,
   
   // 错误处理
   errorHandler: errorHandler.errorHandler,
@@ -195,6 +204,8 @@ const factories = {
   createCache: cache.createCacheMiddleware,
   createValidator: validator.validate,
   createErrorHandler: errorHandler.createErrorHandler,
+  createUpload: upload.createUploadMiddleware,
+  createCaptcha: captcha.createCaptchaMiddleware,
   createApiType: apiType.createApiTypeMiddleware,
   createAudit: audit.sensitiveOperationAudit
 };
@@ -0,0 +1,720 @@
+/**
+ * 初始数据库结构
+ * 创建迁移系统引入前已有的全部数据表，作为后续迁移的基线
+ * 已通过 sequelize.sync 建表的环境可执行 `npm run migrate -- baseline --to 20261019000000` 直接标记为已执行
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 用户表（普通用户与商户共用）
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      password: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING
+      },
+      role: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '用户角色(0:普通用户,1:管理员,2:超级管理员,3:版主)'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        defaultValue: 1,
+        comment: '用户状态(0:未激活,1:已激活,2:已暂停,3:已封禁,4:已删除)'
+      },
+      last_login: {
+        type: Sequelize.DATE
+      },
+      userType: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'user',
+        comment: '用户类型(user:普通用户,merchant:商户)'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        unique: true,
+        comment: '商户ID(仅商户用户)'
+      },
+      merchantStatus: {
+        type: Sequelize.INTEGER,
+        comment: '商户状态(0:禁用,1:正常,2:审核中,3:审核拒绝,4:暂停营业)'
+      },
+      shopIds: {
+        type: Sequelize.JSON,
+        comment: '商户拥有的店铺ID列表'
+      },
+      businessName: {
+        type: Sequelize.STRING(200),
+        comment: '商户名称/企业名称'
+      },
+      businessType: {
+        type: Sequelize.STRING(50),
+        comment: '商户类型(个人/企业/其他)'
+      },
+      contactPerson: {
+        type: Sequelize.STRING(50),
+        comment: '联系人姓名'
+      },
+      contactPhone: {
+        type: Sequelize.STRING(20),
+        comment: '联系电话'
+      },
+      businessLicense: {
+        type: Sequelize.STRING(50),
+        comment: '营业执照号码'
+      },
+      taxNumber: {
+        type: Sequelize.STRING(50),
+        comment: '税务登记号'
+      },
+      bankAccount: {
+        type: Sequelize.STRING(100),
+        comment: '银行账户信息'
+      },
+      address: {
+        type: Sequelize.STRING(500),
+        comment: '商户地址'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        comment: '商户描述'
+      },
+      avatar: {
+        type: Sequelize.STRING,
+        comment: '头像/商户Logo'
+      },
+      verifiedAt: {
+        type: Sequelize.DATE,
+        comment: '商户认证时间'
+      },
+      lastLoginAt: {
+        type: Sequelize.DATE,
+        comment: '商户最后登录时间'
+      },
+      lastLoginIp: {
+        type: Sequelize.STRING(45),
+        comment: '商户最后登录IP'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await queryInterface.addIndex('users', ['merchantId'], { name: 'idx_user_merchant_id' });
+    await queryInterface.addIndex('users', ['userType', 'status'], { name: 'idx_user_type_status' });
+    await queryInterface.addIndex('users', ['merchantStatus'], { name: 'idx_user_merchant_status' });
+
+    // 注册配置表
+    await queryInterface.createTable('register_configs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      real_name_verification: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '真实姓名验证开启状态(0:关闭,1:开启)'
+      },
+      real_name_required: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '真实姓名是否必填(0:否,1:是)'
+      },
+      phone_verification: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '手机验证开启状态(0:关闭,1:开启)'
+      },
+      phone_required: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '手机是否必填(0:否,1:是)'
+      },
+      phone_verification_code: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '是否开启手机验证码(0:否,1:是)'
+      },
+      captcha_type: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '验证码类型(0:无,1:图形验证码,2:数字验证码,3:短信验证码)'
+      },
+      google_auth_enabled: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '谷歌授权开启状态(0:关闭,1:开启)'
+      },
+      google_appId: {
+        type: Sequelize.STRING,
+        comment: '谷歌应用ID'
+      },
+      google_secret: {
+        type: Sequelize.STRING,
+        comment: '谷歌应用密钥'
+      },
+      facebook_auth_enabled: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: 'Facebook授权开启状态(0:关闭,1:开启)'
+      },
+      facebook_appId: {
+        type: Sequelize.STRING,
+        comment: 'Facebook应用ID'
+      },
+      facebook_secret: {
+        type: Sequelize.STRING,
+        comment: 'Facebook应用密钥'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // 登录日志表
+    await queryInterface.createTable('login_logs', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        comment: '用户ID(账号不存在时为空)'
+      },
+      user_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'user',
+        comment: '登录端(user:用户端,merchant:商户端)'
+      },
+      username: {
+        type: Sequelize.STRING(100),
+        comment: '登录时提交的用户名或邮箱'
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        comment: '登录IP地址'
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        comment: '客户端User-Agent'
+      },
+      success: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '是否登录成功(0:失败,1:成功)'
+      },
+      failure_reason: {
+        type: Sequelize.STRING(200),
+        comment: '登录失败原因'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '登录时间'
+      }
+    });
+    await queryInterface.addIndex('login_logs', ['user_id', 'created_at'], { name: 'idx_login_log_user_created' });
+    await queryInterface.addIndex('login_logs', ['ip'], { name: 'idx_login_log_ip' });
+    await queryInterface.addIndex('login_logs', ['created_at'], { name: 'idx_login_log_created_at' });
+
+    // 店铺表
+    await queryInterface.createTable('shops', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: '店铺名称'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        comment: '店铺描述'
+      },
+      address: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: '店铺地址'
+      },
+      phone: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: '联系电话'
+      },
+      email: {
+        type: Sequelize.STRING,
+        comment: '联系邮箱'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '店铺状态(0:禁用,1:启用,2:维护中,3:已关闭)'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      logo: {
+        type: Sequelize.STRING,
+        comment: '店铺Logo'
+      },
+      banner: {
+        type: Sequelize.STRING,
+        comment: '店铺横幅'
+      },
+      businessHours: {
+        type: Sequelize.JSON,
+        comment: '营业时间'
+      },
+      coordinates: {
+        type: Sequelize.JSON,
+        comment: '地理坐标'
+      },
+      rating: {
+        type: Sequelize.DECIMAL(3, 2),
+        defaultValue: 0,
+        comment: '店铺评分'
+      },
+      reviewCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '评价数量'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      },
+      deletedAt: {
+        type: Sequelize.DATE,
+        comment: '删除时间(软删除)'
+      }
+    });
+    await queryInterface.addIndex('shops', ['merchantId'], { name: 'idx_shop_merchant_id' });
+    await queryInterface.addIndex('shops', ['status'], { name: 'idx_shop_status' });
+    await queryInterface.addIndex('shops', ['createdAt'], { name: 'idx_shop_created_at' });
+
+    // 商品表
+    await queryInterface.createTable('products', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+        comment: '商品名称'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        comment: '商品描述'
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: '商品价格'
+      },
+      originalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '商品原价'
+      },
+      stock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '库存数量'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '商品状态(0:下架,1:上架,2:缺货,3:停产)'
+      },
+      categoryId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '分类ID'
+      },
+      shopId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属店铺ID'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      sku: {
+        type: Sequelize.STRING(64),
+        comment: '商品SKU'
+      },
+      barcode: {
+        type: Sequelize.STRING(64),
+        comment: '商品条码'
+      },
+      weight: {
+        type: Sequelize.DECIMAL(10, 3),
+        comment: '商品重量'
+      },
+      dimensions: {
+        type: Sequelize.JSON,
+        comment: '商品尺寸'
+      },
+      images: {
+        type: Sequelize.JSON,
+        comment: '商品图片列表'
+      },
+      attributes: {
+        type: Sequelize.JSON,
+        comment: '商品属性'
+      },
+      tags: {
+        type: Sequelize.JSON,
+        comment: '商品标签'
+      },
+      saleCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '销售数量'
+      },
+      viewCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '浏览次数'
+      },
+      rating: {
+        type: Sequelize.DECIMAL(3, 2),
+        defaultValue: 0,
+        comment: '商品评分'
+      },
+      reviewCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '评价数量'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      },
+      deletedAt: {
+        type: Sequelize.DATE,
+        comment: '删除时间(软删除)'
+      }
+    });
+    await queryInterface.addIndex('products', ['merchantId'], { name: 'idx_product_merchant_id' });
+    await queryInterface.addIndex('products', ['shopId'], { name: 'idx_product_shop_id' });
+    await queryInterface.addIndex('products', ['categoryId'], { name: 'idx_product_category_id' });
+    await queryInterface.addIndex('products', ['status'], { name: 'idx_product_status' });
+    await queryInterface.addIndex('products', ['createdAt'], { name: 'idx_product_created_at' });
+    await queryInterface.addIndex('products', ['name'], { name: 'idx_product_name' });
+
+    // 商品分类表
+    await queryInterface.createTable('categories', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: '分类名称'
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        comment: '分类描述'
+      },
+      icon: {
+        type: Sequelize.STRING,
+        comment: '分类图标'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '分类状态(0:禁用,1:启用)'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      }
+    });
+    await queryInterface.addIndex('categories', ['status'], { name: 'idx_category_status' });
+
+    // 订单表
+    await queryInterface.createTable('orders', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      orderNo: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true,
+        comment: '订单编号'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '下单用户ID'
+      },
+      shopId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属店铺ID'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '订单状态(0:待支付,1:已支付,2:已发货,3:已完成,4:已取消,5:已退款)'
+      },
+      totalAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        comment: '订单总金额'
+      },
+      itemCount: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '商品总件数'
+      },
+      receiverName: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: '收货人姓名'
+      },
+      receiverPhone: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: '收货人电话'
+      },
+      shippingAddress: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: '收货地址'
+      },
+      remark: {
+        type: Sequelize.STRING(500),
+        comment: '订单备注'
+      },
+      shippingCompany: {
+        type: Sequelize.STRING(50),
+        comment: '物流公司'
+      },
+      trackingNumber: {
+        type: Sequelize.STRING(64),
+        comment: '物流单号'
+      },
+      cancelReason: {
+        type: Sequelize.STRING(500),
+        comment: '取消/退款原因'
+      },
+      paidAt: {
+        type: Sequelize.DATE,
+        comment: '支付时间'
+      },
+      shippedAt: {
+        type: Sequelize.DATE,
+        comment: '发货时间'
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        comment: '完成时间'
+      },
+      cancelledAt: {
+        type: Sequelize.DATE,
+        comment: '取消时间'
+      },
+      refundedAt: {
+        type: Sequelize.DATE,
+        comment: '退款时间'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      },
+      deletedAt: {
+        type: Sequelize.DATE,
+        comment: '删除时间(软删除)'
+      }
+    });
+    await queryInterface.addIndex('orders', ['userId'], { name: 'idx_order_user_id' });
+    await queryInterface.addIndex('orders', ['shopId', 'status'], { name: 'idx_order_shop_status' });
+    await queryInterface.addIndex('orders', ['merchantId'], { name: 'idx_order_merchant_id' });
+    await queryInterface.addIndex('orders', ['createdAt'], { name: 'idx_order_created_at' });
+
+    // 订单明细表
+    await queryInterface.createTable('order_items', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属订单ID'
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '商品ID'
+      },
+      productName: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+        comment: '商品名称(下单时快照)'
+      },
+      productImage: {
+        type: Sequelize.STRING,
+        comment: '商品图片(下单时快照)'
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: '成交单价'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '购买数量'
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        comment: '小计金额'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      }
+    });
+    await queryInterface.addIndex('order_items', ['orderId'], { name: 'idx_order_item_order_id' });
+    await queryInterface.addIndex('order_items', ['productId'], { name: 'idx_order_item_product_id' });
+
+    // 购物车表
+    await queryInterface.createTable('carts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属用户ID'
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '商品ID'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '购买数量'
+      },
+      selected: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '是否勾选结算(0:否,1:是)'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      },
+      deletedAt: {
+        type: Sequelize.DATE,
+        comment: '删除时间(软删除)'
+      }
+    });
+    await queryInterface.addIndex('carts', ['userId', 'productId'], { name: 'uk_cart_user_product', unique: true });
+    await queryInterface.addIndex('carts', ['productId'], { name: 'idx_cart_product_id' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('carts');
+    await queryInterface.dropTable('order_items');
+    await queryInterface.dropTable('orders');
+    await queryInterface.dropTable('categories');
+    await queryInterface.dropTable('products');
+    await queryInterface.dropTable('shops');
+    await queryInterface.dropTable('login_logs');
+    await queryInterface.dropTable('register_configs');
+    await queryInterface.dropTable('users');
+  }
+};
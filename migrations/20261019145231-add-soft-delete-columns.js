@@ -0,0 +1,25 @@
+/**
+ * 软删除支持
+ * 用户表新增 deleted_at 字段；用户、店铺、商品的删除时间字段增加索引，便于默认过滤和定期清理
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
+    });
+
+    await queryInterface.addIndex('users', ['deleted_at'], { name: 'idx_user_deleted_at' });
+    await queryInterface.addIndex('shops', ['deletedAt'], { name: 'idx_shop_deleted_at' });
+    await queryInterface.addIndex('products', ['deletedAt'], { name: 'idx_product_deleted_at' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('products', 'idx_product_deleted_at');
+    await queryInterface.removeIndex('shops', 'idx_shop_deleted_at');
+    await queryInterface.removeIndex('users', 'idx_user_deleted_at');
+    await queryInterface.removeColumn('users', 'deleted_at');
+  }
+};
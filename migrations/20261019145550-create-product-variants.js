@@ -0,0 +1,135 @@
+/**
+ * 商品规格
+ * 新增规格定义表 product_options 和规格SKU表 product_variants
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 商品规格定义表
+    await queryInterface.createTable('product_options', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属商品ID'
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: '规格名称(如颜色、尺码)'
+      },
+      values: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: '规格可选值列表(如["红色","蓝色"])'
+      },
+      sortOrder: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '排序(越小越靠前)'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      }
+    });
+    await queryInterface.addIndex('product_options', ['productId', 'name'], { name: 'uk_product_option_name', unique: true });
+
+    // 商品规格SKU表
+    await queryInterface.createTable('product_variants', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属商品ID'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      sku: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: '规格SKU'
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: '规格组合(如{"颜色":"红色","尺码":"M"})'
+      },
+      optionKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: '规格组合标识(按规格排序拼接，用于判重)'
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: '规格价格'
+      },
+      originalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '规格原价'
+      },
+      stock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '规格库存'
+      },
+      barcode: {
+        type: Sequelize.STRING(64),
+        comment: '规格条码'
+      },
+      image: {
+        type: Sequelize.STRING(500),
+        comment: '规格图片'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '规格状态(0:停用,1:启用)'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      },
+      deletedAt: {
+        type: Sequelize.DATE,
+        comment: '删除时间(软删除)'
+      }
+    });
+    await queryInterface.addIndex('product_variants', ['productId'], { name: 'idx_variant_product_id' });
+    await queryInterface.addIndex('product_variants', ['merchantId', 'sku'], { name: 'idx_variant_merchant_sku' });
+    await queryInterface.addIndex('product_variants', ['barcode'], { name: 'idx_variant_barcode' });
+
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('product_variants');
+    await queryInterface.dropTable('product_options');
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * 库存流水
+ * 新增只追加的库存变动流水表 stock_movements（入库、销售出库、盘点调整、退货入库）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stock_movements', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '商品ID'
+      },
+      variantId: {
+        type: Sequelize.INTEGER,
+        comment: '规格ID(规格库存变动时记录)'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: '变动类型(inbound:入库,sale:销售出库,adjustment:盘点调整,return:退货入库)'
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '变动数量(正数增加，负数减少)'
+      },
+      beforeStock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '变动前库存'
+      },
+      afterStock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '变动后库存'
+      },
+      referenceType: {
+        type: Sequelize.STRING(30),
+        comment: '关联单据类型(如order)'
+      },
+      referenceId: {
+        type: Sequelize.STRING(64),
+        comment: '关联单据ID'
+      },
+      operatorId: {
+        type: Sequelize.INTEGER,
+        comment: '操作人用户ID'
+      },
+      remark: {
+        type: Sequelize.STRING,
+        comment: '备注'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      }
+    });
+    await queryInterface.addIndex('stock_movements', ['productId', 'createdAt'], { name: 'idx_stock_movement_product_created' });
+    await queryInterface.addIndex('stock_movements', ['variantId'], { name: 'idx_stock_movement_variant_id' });
+    await queryInterface.addIndex('stock_movements', ['referenceType', 'referenceId'], { name: 'idx_stock_movement_reference' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('stock_movements');
+  }
+};
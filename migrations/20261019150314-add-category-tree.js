@@ -0,0 +1,47 @@
+/**
+ * 分类树
+ * 分类表新增父分类、物化路径、层级和排序字段；分类名称由全局唯一改为同一父分类下唯一（由服务层校验）
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('categories', 'parentId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: '父分类ID(顶级分类为空)'
+    });
+    await queryInterface.addColumn('categories', 'path', {
+      type: Sequelize.STRING(255),
+      allowNull: false,
+      defaultValue: '/',
+      comment: '祖先路径(物化路径，如 /1/5/，顶级分类为 /)'
+    });
+    await queryInterface.addColumn('categories', 'level', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '分类层级(顶级为1)'
+    });
+    await queryInterface.addColumn('categories', 'sortOrder', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '排序(同级按升序排列)'
+    });
+
+    // 建表时 name 字段的唯一约束在 MySQL 中生成名为 name 的唯一索引
+    await queryInterface.removeIndex('categories', 'name');
+    await queryInterface.addIndex('categories', ['parentId', 'sortOrder'], { name: 'idx_category_parent_sort' });
+    await queryInterface.addIndex('categories', ['path'], { name: 'idx_category_path' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('categories', 'idx_category_path');
+    await queryInterface.removeIndex('categories', 'idx_category_parent_sort');
+    await queryInterface.addIndex('categories', ['name'], { name: 'name', unique: true });
+    await queryInterface.removeColumn('categories', 'sortOrder');
+    await queryInterface.removeColumn('categories', 'level');
+    await queryInterface.removeColumn('categories', 'path');
+    await queryInterface.removeColumn('categories', 'parentId');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * 全文检索
+ * 商品（名称、描述）和店铺（名称、描述）新增 FULLTEXT 索引，使用 MySQL 内置 ngram 分词器以支持中文检索
+ */
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.addIndex('products', ['name', 'description'], {
+      name: 'ft_product_search',
+      type: 'FULLTEXT',
+      parser: 'ngram'
+    });
+    await queryInterface.addIndex('shops', ['name', 'description'], {
+      name: 'ft_shop_search',
+      type: 'FULLTEXT',
+      parser: 'ngram'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('shops', 'ft_shop_search');
+    await queryInterface.removeIndex('products', 'ft_product_search');
+  }
+};
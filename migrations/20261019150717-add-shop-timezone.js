@@ -0,0 +1,19 @@
+/**
+ * 店铺时区
+ * 店铺表新增 timezone 字段，营业时间按店铺所在时区计算是否营业和下次开门时间
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('shops', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'Asia/Shanghai',
+      comment: '店铺时区(IANA时区名，用于计算营业状态)'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('shops', 'timezone');
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * 店铺地理位置
+ * 店铺表新增 location 空间列（POINT，SRID 4326）并建立空间索引，用于附近店铺查询
+ * 空间索引要求列非空：已有坐标的店铺按 coordinates 回填，未设置坐标的店铺写入占位点 POINT(0 0)
+ */
+
+module.exports = {
+  async up(queryInterface) {
+    const { sequelize } = queryInterface;
+
+    // Sequelize 的 GEOMETRY 类型不支持声明 SRID，使用原生 SQL 添加列
+    await sequelize.query(
+      "ALTER TABLE `shops` ADD COLUMN `location` POINT SRID 4326 NULL COMMENT '地理位置(由 coordinates 同步，用于附近店铺查询)' AFTER `coordinates`"
+    );
+
+    // 格式无效的坐标无法参与附近查询，先清空
+    await sequelize.query(`
+      UPDATE \`shops\`
+      SET \`coordinates\` = NULL
+      WHERE \`coordinates\` IS NOT NULL AND NOT (
+        JSON_TYPE(JSON_EXTRACT(\`coordinates\`, '$.lat')) IN ('INTEGER', 'DOUBLE', 'DECIMAL')
+        AND JSON_TYPE(JSON_EXTRACT(\`coordinates\`, '$.lng')) IN ('INTEGER', 'DOUBLE', 'DECIMAL')
+        AND JSON_EXTRACT(\`coordinates\`, '$.lat') BETWEEN -90 AND 90
+        AND JSON_EXTRACT(\`coordinates\`, '$.lng') BETWEEN -180 AND 180
+      )
+    `);
+
+    await sequelize.query(`
+      UPDATE \`shops\`
+      SET \`location\` = ST_GeomFromText(
+        IF(\`coordinates\` IS NULL, 'POINT(0 0)',
+          CONCAT('POINT(', JSON_EXTRACT(\`coordinates\`, '$.lng'), ' ', JSON_EXTRACT(\`coordinates\`, '$.lat'), ')')),
+        4326, 'axis-order=long-lat'
+      )
+    `);
+
+    await sequelize.query(
+      "ALTER TABLE `shops` MODIFY COLUMN `location` POINT SRID 4326 NOT NULL COMMENT '地理位置(由 coordinates 同步，用于附近店铺查询)'"
+    );
+
+    await queryInterface.addIndex('shops', ['location'], {
+      name: 'sp_shop_location',
+      type: 'SPATIAL'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('shops', 'sp_shop_location');
+    await queryInterface.removeColumn('shops', 'location');
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * 商品评价
+ * 新增评价表 reviews 和评价“有用”投票表 review_votes
+ * 商品表和店铺表新增 ratingTotal（展示中评价的星级之和），评分按 ratingTotal / reviewCount 增量维护
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('reviews', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '所属订单ID'
+      },
+      orderItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '订单明细ID(每个订单明细只能评价一次)'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '评价用户ID'
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '商品ID'
+      },
+      shopId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '店铺ID'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      rating: {
+        type: Sequelize.TINYINT,
+        allowNull: false,
+        comment: '评分(1-5星)'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        comment: '评价内容'
+      },
+      images: {
+        type: Sequelize.JSON,
+        comment: '评价图片URL列表'
+      },
+      status: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '评价状态(0:已隐藏,1:展示中)'
+      },
+      helpfulCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: '有用数'
+      },
+      reply: {
+        type: Sequelize.TEXT,
+        comment: '商户回复'
+      },
+      repliedAt: {
+        type: Sequelize.DATE,
+        comment: '回复时间'
+      },
+      moderationReason: {
+        type: Sequelize.STRING(500),
+        comment: '审核原因(隐藏或恢复评价时填写)'
+      },
+      moderatedBy: {
+        type: Sequelize.INTEGER,
+        comment: '审核管理员ID'
+      },
+      moderatedAt: {
+        type: Sequelize.DATE,
+        comment: '审核时间'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      }
+    });
+    await queryInterface.addIndex('reviews', ['orderItemId'], { name: 'uk_review_order_item', unique: true });
+    await queryInterface.addIndex('reviews', ['productId', 'status', 'createdAt'], { name: 'idx_review_product_status_created' });
+    await queryInterface.addIndex('reviews', ['shopId', 'status', 'createdAt'], { name: 'idx_review_shop_status_created' });
+    await queryInterface.addIndex('reviews', ['merchantId'], { name: 'idx_review_merchant_id' });
+    await queryInterface.addIndex('reviews', ['userId'], { name: 'idx_review_user_id' });
+
+    await queryInterface.createTable('review_votes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      reviewId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '评价ID'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '投票用户ID'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      }
+    });
+    await queryInterface.addIndex('review_votes', ['reviewId', 'userId'], { name: 'uk_review_vote_review_user', unique: true });
+    await queryInterface.addIndex('review_votes', ['userId'], { name: 'idx_review_vote_user_id' });
+
+    for (const table of ['products', 'shops']) {
+      await queryInterface.addColumn(table, 'ratingTotal', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '评分总和(展示中评价的星级之和，rating = ratingTotal / reviewCount)'
+      });
+      // 按已有评分和评价数回填，保证后续增量计算结果与原评分一致
+      await queryInterface.sequelize.query(
+        `UPDATE \`${table}\` SET \`ratingTotal\` = ROUND(\`rating\` * \`reviewCount\`)`
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('shops', 'ratingTotal');
+    await queryInterface.removeColumn('products', 'ratingTotal');
+    await queryInterface.dropTable('review_votes');
+    await queryInterface.dropTable('reviews');
+  }
+};
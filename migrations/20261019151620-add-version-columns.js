@@ -0,0 +1,22 @@
+/**
+ * 乐观锁版本号
+ * 商品表和店铺表新增 version 字段，商户编辑时递增，通过 ETag / If-Match 防止并发编辑互相覆盖
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of ['products', 'shops']) {
+      await queryInterface.addColumn(table, 'version', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: '数据版本号(乐观锁，每次商户编辑加1，对应 ETag)'
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('shops', 'version');
+    await queryInterface.removeColumn('products', 'version');
+  }
+};
@@ -0,0 +1,160 @@
+/**
+ * 价格历史与定时调价
+ * 新增只追加的价格变动历史表 price_histories 和定时调价表 price_schedules，
+ * 并为现有商品补记一条当前价格作为价格历史的起点
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('price_histories', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '商品ID'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      oldPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '变动前价格(新建商品时为空)'
+      },
+      newPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: '变动后价格'
+      },
+      oldOriginalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '变动前原价'
+      },
+      newOriginalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '变动后原价'
+      },
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: '变动来源(create:新建商品,manual:商户修改,schedule_apply:定时调价生效,schedule_revert:定时调价结束恢复)'
+      },
+      scheduleId: {
+        type: Sequelize.BIGINT,
+        comment: '关联的定时调价ID'
+      },
+      operatorId: {
+        type: Sequelize.INTEGER,
+        comment: '操作人用户ID(定时任务执行时为空)'
+      },
+      remark: {
+        type: Sequelize.STRING,
+        comment: '备注'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      }
+    });
+    await queryInterface.addIndex('price_histories', ['productId', 'createdAt'], { name: 'idx_price_history_product_created' });
+    await queryInterface.addIndex('price_histories', ['scheduleId'], { name: 'idx_price_history_schedule_id' });
+
+    await queryInterface.createTable('price_schedules', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '商品ID'
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '所属商户ID'
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        comment: '计划价格'
+      },
+      originalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '计划原价(为空表示不修改原价)'
+      },
+      startAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: '生效时间'
+      },
+      endAt: {
+        type: Sequelize.DATE,
+        comment: '结束时间(到期恢复生效前的价格，为空表示永久调价)'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: '状态(pending:待生效,active:生效中,completed:已结束,cancelled:已取消)'
+      },
+      previousPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '生效前价格(结束时据此恢复)'
+      },
+      previousOriginalPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        comment: '生效前原价'
+      },
+      appliedAt: {
+        type: Sequelize.DATE,
+        comment: '实际生效时间'
+      },
+      finishedAt: {
+        type: Sequelize.DATE,
+        comment: '结束或取消时间'
+      },
+      createdBy: {
+        type: Sequelize.INTEGER,
+        comment: '创建人用户ID'
+      },
+      remark: {
+        type: Sequelize.STRING,
+        comment: '备注(如促销活动名称)'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '创建时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      }
+    });
+    await queryInterface.addIndex('price_schedules', ['productId', 'status'], { name: 'idx_price_schedule_product_status' });
+    await queryInterface.addIndex('price_schedules', ['status', 'startAt'], { name: 'idx_price_schedule_status_start' });
+    await queryInterface.addIndex('price_schedules', ['status', 'endAt'], { name: 'idx_price_schedule_status_end' });
+
+    // 现有商品补记当前价格，作为后续变动的起点
+    await queryInterface.sequelize.query(`
+      INSERT INTO price_histories (productId, merchantId, oldPrice, newPrice, oldOriginalPrice, newOriginalPrice, source, remark, createdAt)
+      SELECT id, merchantId, NULL, price, NULL, originalPrice, 'create', '历史价格初始化', createdAt
+      FROM products
+      WHERE deletedAt IS NULL
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('price_schedules');
+    await queryInterface.dropTable('price_histories');
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * 商户入驻审核
+ * 新增商户入驻申请表 merchant_applications，记录每次提交的资质资料、证明材料和审核结果
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('merchant_applications', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      merchantId: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        comment: '申请商户ID'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: '申请商户的用户ID'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: '申请状态(pending:待审核,approved:审核通过,rejected:审核拒绝)'
+      },
+      businessName: {
+        type: Sequelize.STRING(200),
+        allowNull: false,
+        comment: '商户名称/企业名称'
+      },
+      businessType: {
+        type: Sequelize.STRING(50),
+        comment: '商户类型(个人/企业/其他)'
+      },
+      contactPerson: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: '联系人姓名'
+      },
+      contactPhone: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: '联系电话'
+      },
+      businessLicense: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: '营业执照号码'
+      },
+      taxNumber: {
+        type: Sequelize.STRING(50),
+        comment: '税务登记号'
+      },
+      bankAccount: {
+        type: Sequelize.STRING(100),
+        comment: '银行账户信息'
+      },
+      address: {
+        type: Sequelize.STRING(500),
+        comment: '商户地址'
+      },
+      documents: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: '证明材料列表[{type, filename, originalname, mimetype, size}]'
+      },
+      rejectReason: {
+        type: Sequelize.STRING(500),
+        comment: '拒绝原因'
+      },
+      reviewRemark: {
+        type: Sequelize.STRING(500),
+        comment: '审核备注'
+      },
+      reviewedBy: {
+        type: Sequelize.INTEGER,
+        comment: '审核管理员ID'
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        comment: '审核时间'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '提交时间'
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: '更新时间'
+      }
+    });
+
+    await queryInterface.addIndex('merchant_applications', ['merchantId', 'createdAt'], { name: 'idx_merchant_application_merchant_created' });
+    await queryInterface.addIndex('merchant_applications', ['status', 'createdAt'], { name: 'idx_merchant_application_status_created' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('merchant_applications');
+  }
+};
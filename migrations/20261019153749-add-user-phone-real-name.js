@@ -0,0 +1,26 @@
+/**
+ * 用户手机号和真实姓名
+ * 用户表新增 phone、realName 字段，用户注册时按注册配置（register_configs）要求填写和校验
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'phone', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: '手机号(用户注册时按注册配置填写)'
+    });
+    await queryInterface.addColumn('users', 'realName', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: '真实姓名'
+    });
+    await queryInterface.addIndex('users', ['phone'], { name: 'idx_user_phone' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('users', 'idx_user_phone');
+    await queryInterface.removeColumn('users', 'realName');
+    await queryInterface.removeColumn('users', 'phone');
+  }
+};
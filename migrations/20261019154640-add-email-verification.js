@@ -0,0 +1,28 @@
+/**
+ * 邮箱验证
+ * 用户表新增 emailVerifiedAt 字段记录邮箱验证时间，已有用户视为已验证；
+ * 注册配置表新增 email_verification 开关，开启后新用户需验证邮箱才能登录
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'emailVerifiedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: '邮箱验证时间'
+    });
+    // 已有用户在上线邮箱验证前注册，不要求补验证
+    await queryInterface.sequelize.query('UPDATE users SET emailVerifiedAt = created_at WHERE emailVerifiedAt IS NULL');
+
+    await queryInterface.addColumn('register_configs', 'email_verification', {
+      type: Sequelize.INTEGER,
+      defaultValue: 1,
+      comment: '是否要求验证邮箱后才能登录(0:否,1:是)'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('register_configs', 'email_verification');
+    await queryInterface.removeColumn('users', 'emailVerifiedAt');
+  }
+};
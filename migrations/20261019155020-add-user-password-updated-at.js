@@ -0,0 +1,19 @@
+/**
+ * 用户密码修改时间
+ * 用户表新增 password_updated_at 字段，修改或重置密码时写入；
+ * 签发时间早于该时间的访问令牌和刷新令牌视为失效，用于重置密码后注销所有已登录会话
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'password_updated_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: '密码最后修改时间(早于该时间签发的令牌失效)'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'password_updated_at');
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * 购物车和订单明细关联商品规格
+ * carts 新增 variantId（0 表示商品未启用规格），唯一键改为 (userId, productId, variantId)，同一商品的不同规格分别加购；
+ * order_items 新增 variantId 和规格快照，下单按规格价格计价并扣减规格库存
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('carts', 'variantId', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '商品规格ID(0:未启用规格)'
+    });
+    await queryInterface.removeIndex('carts', 'uk_cart_user_product');
+    await queryInterface.addIndex('carts', ['userId', 'productId', 'variantId'], { name: 'uk_cart_user_product_variant', unique: true });
+
+    await queryInterface.addColumn('order_items', 'variantId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: '商品规格ID(未启用规格时为空)'
+    });
+    await queryInterface.addColumn('order_items', 'variantSku', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: '规格SKU(下单时快照)'
+    });
+    await queryInterface.addColumn('order_items', 'variantOptions', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: '规格组合(下单时快照)'
+    });
+    await queryInterface.addIndex('order_items', ['variantId'], { name: 'idx_order_item_variant_id' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('order_items', 'idx_order_item_variant_id');
+    await queryInterface.removeColumn('order_items', 'variantOptions');
+    await queryInterface.removeColumn('order_items', 'variantSku');
+    await queryInterface.removeColumn('order_items', 'variantId');
+
+    // 回滚前同一商品的多个规格只保留一条，否则无法恢复原唯一键
+    await queryInterface.sequelize.query(
+      'DELETE c1 FROM carts c1 JOIN carts c2 ON c1.userId = c2.userId AND c1.productId = c2.productId AND c1.id > c2.id'
+    );
+    await queryInterface.removeIndex('carts', 'uk_cart_user_product_variant');
+    await queryInterface.addIndex('carts', ['userId', 'productId'], { name: 'uk_cart_user_product', unique: true });
+    await queryInterface.removeColumn('carts', 'variantId');
+  }
+};
@@ -1,13 +1,148 @@
 const { sequelize } = require('../common/index');
 const userModel = require('./users/user');
 const registerConfigModel = require('./users/registerConfig');
+const loginLogModel = require('./users/loginLog');
+const shopModel = require('./merchants/shop');
+const productModel = require('./merchants/product');
+const productOptionModel = require('./merchants/productOption');
+const productVariantModel = require('./merchants/productVariant');
+const stockMovementModel = require('./merchants/stockMovement');
+const priceHistoryModel = require('./merchants/priceHistory');
+const priceScheduleModel = require('./merchants/priceSchedule');
+const categoryModel = require('./merchants/category');
+const merchantApplicationModel = require('./merchants/merchantApplication');
+const orderModel = require('./orders/order');
+const orderItemModel = require('./orders/orderItem');
+const cartModel = require('./orders/cart');
+const reviewModel = require('./orders/review');
+const reviewVoteModel = require('./orders/reviewVote');
 
 // 初始化模型
 const models = {
   userModel: userModel(sequelize),
   registerConfigModel: registerConfigModel(sequelize),
+  loginLogModel: loginLogModel(sequelize),
+  shopModel: shopModel(sequelize),
+  productModel: productModel(sequelize),
+  productOptionModel: productOptionModel(sequelize),
+  productVariantModel: productVariantModel(sequelize),
+  stockMovementModel: stockMovementModel(sequelize),
+  priceHistoryModel: priceHistoryModel(sequelize),
+  priceScheduleModel: priceScheduleModel(sequelize),
+  categoryModel: categoryModel(sequelize),
+  merchantApplicationModel: merchantApplicationModel(sequelize),
+  orderModel: orderModel(sequelize),
+  orderItemModel: orderItemModel(sequelize),
+  cartModel: cartModel(sequelize),
+  reviewModel: reviewModel(sequelize),
+  reviewVoteModel: reviewVoteModel(sequelize),
 };
 
+// 建立模型关联关系：User 1:N Shop 1:N Product N:1 Category
+const { userModel: User, shopModel: Shop, productModel: Product, categoryModel: Category } = models;
+
+User.hasMany(Shop, { foreignKey: 'merchantId', sourceKey: 'merchantId', as: 'shops', constraints: false });
+Shop.belongsTo(User, { foreignKey: 'merchantId', targetKey: 'merchantId', as: 'merchant', constraints: false });
+
+Shop.hasMany(Product, { foreignKey: 'shopId', as: 'products' });
+Product.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+
+Category.hasMany(Product, { foreignKey: 'categoryId', as: 'products' });
+Product.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
+
+// 分类树自关联：Category 1:N Category（子分类），层级查询使用物化路径 path
+Category.hasMany(Category, { foreignKey: 'parentId', as: 'children', constraints: false });
+Category.belongsTo(Category, { foreignKey: 'parentId', as: 'parent', constraints: false });
+
+// 商品规格关联关系：Product 1:N ProductOption（规格定义），Product 1:N ProductVariant（规格SKU）
+const { productOptionModel: ProductOption, productVariantModel: ProductVariant } = models;
+
+Product.hasMany(ProductOption, { foreignKey: 'productId', as: 'options' });
+ProductOption.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variants' });
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+// 库存流水关联关系：Product 1:N StockMovement，ProductVariant 1:N StockMovement
+const { stockMovementModel: StockMovement } = models;
+
+Product.hasMany(StockMovement, { foreignKey: 'productId', as: 'stockMovements' });
+StockMovement.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+ProductVariant.hasMany(StockMovement, { foreignKey: 'variantId', as: 'stockMovements', constraints: false });
+StockMovement.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant', constraints: false });
+
+// 价格关联关系：Product 1:N PriceHistory，Product 1:N PriceSchedule 1:N PriceHistory
+const { priceHistoryModel: PriceHistory, priceScheduleModel: PriceSchedule } = models;
+
+Product.hasMany(PriceHistory, { foreignKey: 'productId', as: 'priceHistories' });
+PriceHistory.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+Product.hasMany(PriceSchedule, { foreignKey: 'productId', as: 'priceSchedules' });
+PriceSchedule.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+PriceSchedule.hasMany(PriceHistory, { foreignKey: 'scheduleId', as: 'histories', constraints: false });
+PriceHistory.belongsTo(PriceSchedule, { foreignKey: 'scheduleId', as: 'schedule', constraints: false });
+
+// 订单关联关系：User 1:N Order，Shop 1:N Order，Order 1:N OrderItem N:1 Product
+const { orderModel: Order, orderItemModel: OrderItem } = models;
+
+User.hasMany(Order, { foreignKey: 'userId', as: 'orders' });
+Order.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Shop.hasMany(Order, { foreignKey: 'shopId', as: 'orders' });
+Order.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+
+Order.hasMany(OrderItem, { foreignKey: 'orderId', as: 'items' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+Product.hasMany(OrderItem, { foreignKey: 'productId', as: 'orderItems' });
+OrderItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+// 订单明细记录购买的规格（规格删除后订单仍保留规格快照）
+ProductVariant.hasMany(OrderItem, { foreignKey: 'variantId', as: 'orderItems', constraints: false });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant', constraints: false });
+
+// 购物车关联关系：User 1:N Cart N:1 Product
+const { cartModel: Cart } = models;
+
+User.hasMany(Cart, { foreignKey: 'userId', as: 'cartItems' });
+Cart.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Product.hasMany(Cart, { foreignKey: 'productId', as: 'cartItems' });
+Cart.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+// 评价关联关系：OrderItem 1:1 Review，Product/Shop/User 1:N Review，Review 1:N ReviewVote
+const { reviewModel: Review, reviewVoteModel: ReviewVote } = models;
+
+OrderItem.hasOne(Review, { foreignKey: 'orderItemId', as: 'review' });
+Review.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+
+Product.hasMany(Review, { foreignKey: 'productId', as: 'reviews' });
+Review.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+Shop.hasMany(Review, { foreignKey: 'shopId', as: 'reviews' });
+Review.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+
+User.hasMany(Review, { foreignKey: 'userId', as: 'reviews' });
+Review.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Review.hasMany(ReviewVote, { foreignKey: 'reviewId', as: 'votes' });
+ReviewVote.belongsTo(Review, { foreignKey: 'reviewId', as: 'review' });
+
+// 商户入驻申请关联关系：User（商户）1:N MerchantApplication，审核人为管理员用户
+const { merchantApplicationModel: MerchantApplication } = models;
+
+User.hasMany(MerchantApplication, { foreignKey: 'merchantId', sourceKey: 'merchantId', as: 'merchantApplications', constraints: false });
+MerchantApplication.belongsTo(User, { foreignKey: 'merchantId', targetKey: 'merchantId', as: 'merchant', constraints: false });
+MerchantApplication.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer', constraints: false });
+
+// 登录日志关联关系：User 1:N LoginLog
+const { loginLogModel: LoginLog } = models;
+
+User.hasMany(LoginLog, { foreignKey: 'user_id', as: 'loginLogs', constraints: false });
+LoginLog.belongsTo(User, { foreignKey: 'user_id', as: 'user', constraints: false });
+
 // 导出模型和 Sequelize 实例
 module.exports = {
   ...models,
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { COMMON_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Category = sequelize.define('Category', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: '分类名称(同一父分类下唯一)'
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '父分类ID(顶级分类为空)'
+    },
+    path: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      defaultValue: '/',
+      comment: '祖先路径(物化路径，如 /1/5/，顶级分类为 /)'
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '分类层级(顶级为1)'
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '排序(同级按升序排列)'
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '分类描述'
+    },
+    icon: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '分类图标'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.ENABLED,
+      allowNull: false,
+      comment: '分类状态(0:禁用,1:启用)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    }
+  }, {
+    tableName: 'categories',
+    timestamps: false,
+    indexes: [
+      { name: 'idx_category_status', fields: ['status'] },
+      { name: 'idx_category_parent_sort', fields: ['parentId', 'sortOrder'] },
+      { name: 'idx_category_path', fields: ['path'] }
+    ]
+  });
+
+  return Category;
+};
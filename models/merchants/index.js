@@ -43,9 +43,13 @@
  * - logo: string (店铺Logo)
  * - banner: string (店铺横幅)
  * - businessHours: json (营业时间)
- * - coordinates: json (地理坐标)
+ * - timezone: string (店铺时区)
+ * - coordinates: json (地理坐标，{ lat, lng })
+ * - location: point (地理位置，由 coordinates 同步，空间索引)
  * - rating: decimal (店铺评分)
  * - reviewCount: number (评价数量)
+ * - ratingTotal: number (评分总和，用于增量维护 rating)
+ * - version: number (数据版本号，乐观锁)
  * - createdAt: date (创建时间)
  * - updatedAt: date (更新时间)
  * - deletedAt: date (删除时间，软删除)
@@ -76,6 +80,8 @@
  * - viewCount: number (浏览次数)
  * - rating: decimal (商品评分)
  * - reviewCount: number (评价数量)
+ * - ratingTotal: number (评分总和，用于增量维护 rating)
+ * - version: number (数据版本号，乐观锁)
  * - createdAt: date (创建时间)
  * - updatedAt: date (更新时间)
  * - deletedAt: date (删除时间，软删除)
@@ -99,6 +105,15 @@
  * 4. Product (商品) N:1 Category (分类)
  *    - 多个商品属于一个分类
  *    - 通过categoryId关联
+ * 
+ * 5. Category (分类) 1:N Category (子分类)
+ *    - 分类为树形结构，通过parentId关联父分类
+ *    - path 保存祖先ID路径（如 /1/5/），按前缀匹配即可查询全部子孙分类
+ * 
+ * 6. User (商户用户) 1:N MerchantApplication (入驻申请)
+ *    - 商户注册后为审核中状态，提交入驻资料和证明材料后由管理员审核
+ *    - 审核通过后 merchantStatus 变为正常并记录 verifiedAt，才能创建店铺
+ *    - 通过merchantId关联，保留每次提交和审核的记录
  */
 
 /**
@@ -163,7 +178,7 @@
 
 /**
  * 导出商户端模型配置
- * 注意：实际的模型定义应该在对应的模型文件中
+ * 注意：实际的模型定义位于 shop.js、product.js、category.js，并在 models/index.js 中注册
  * 这里主要提供配置和说明信息
  */
 module.exports = {
@@ -172,7 +187,8 @@ module.exports = {
     User: 'User',           // 商户用户（复用现有User模型）
     Shop: 'Shop',           // 店铺模型
     Product: 'Product',     // 商品模型
-    Category: 'Category'    // 分类模型（如果需要）
+    Category: 'Category',   // 分类模型（如果需要）
+    MerchantApplication: 'MerchantApplication' // 商户入驻申请模型
   },
 
   // 商户端字段配置
@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const { MERCHANT_APPLICATION_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const MerchantApplication = sequelize.define('MerchantApplication', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '申请商户ID'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '申请商户的用户ID'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: MERCHANT_APPLICATION_STATUS.PENDING,
+      comment: '申请状态(pending:待审核,approved:审核通过,rejected:审核拒绝)'
+    },
+    businessName: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      comment: '商户名称/企业名称'
+    },
+    businessType: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '商户类型(个人/企业/其他)'
+    },
+    contactPerson: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '联系人姓名'
+    },
+    contactPhone: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '联系电话'
+    },
+    businessLicense: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '营业执照号码'
+    },
+    taxNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '税务登记号'
+    },
+    bankAccount: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '银行账户信息'
+    },
+    address: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '商户地址'
+    },
+    documents: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: '证明材料列表[{type, filename, originalname, mimetype, size}]'
+    },
+    rejectReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '拒绝原因'
+    },
+    reviewRemark: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '审核备注'
+    },
+    reviewedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '审核管理员ID'
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '审核时间'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '提交时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'merchant_applications',
+    timestamps: true,
+    indexes: [
+      { name: 'idx_merchant_application_merchant_created', fields: ['merchantId', 'createdAt'] },
+      { name: 'idx_merchant_application_status_created', fields: ['status', 'createdAt'] }
+    ]
+  });
+
+  return MerchantApplication;
+};
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PriceHistory = sequelize.define('PriceHistory', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '商品ID'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    oldPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '变动前价格(新建商品时为空)'
+    },
+    newPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '变动后价格'
+    },
+    oldOriginalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '变动前原价'
+    },
+    newOriginalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '变动后原价'
+    },
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '变动来源(create:新建商品,manual:商户修改,schedule_apply:定时调价生效,schedule_revert:定时调价结束恢复,variant_sync:规格价格同步)'
+    },
+    scheduleId: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: '关联的定时调价ID'
+    },
+    operatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '操作人用户ID(定时任务执行时为空)'
+    },
+    remark: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '备注'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    }
+  }, {
+    tableName: 'price_histories',
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      { name: 'idx_price_history_product_created', fields: ['productId', 'createdAt'] },
+      { name: 'idx_price_history_schedule_id', fields: ['scheduleId'] }
+    ],
+    // 价格历史只允许追加，禁止修改和删除
+    hooks: {
+      beforeUpdate: () => {
+        throw new Error('价格历史不允许修改');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('价格历史不允许修改');
+      },
+      beforeDestroy: () => {
+        throw new Error('价格历史不允许删除');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('价格历史不允许删除');
+      }
+    }
+  });
+
+  return PriceHistory;
+};
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { PRICE_SCHEDULE_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const PriceSchedule = sequelize.define('PriceSchedule', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '商品ID'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '计划价格'
+    },
+    originalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '计划原价(为空表示不修改原价)'
+    },
+    startAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: '生效时间'
+    },
+    endAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '结束时间(到期恢复生效前的价格，为空表示永久调价)'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: PRICE_SCHEDULE_STATUS.PENDING,
+      comment: '状态(pending:待生效,active:生效中,completed:已结束,cancelled:已取消)'
+    },
+    previousPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '生效前价格(结束时据此恢复)'
+    },
+    previousOriginalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '生效前原价'
+    },
+    appliedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '实际生效时间'
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '结束或取消时间'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '创建人用户ID'
+    },
+    remark: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '备注(如促销活动名称)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    }
+  }, {
+    tableName: 'price_schedules',
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { name: 'idx_price_schedule_product_status', fields: ['productId', 'status'] },
+      { name: 'idx_price_schedule_status_start', fields: ['status', 'startAt'] },
+      { name: 'idx_price_schedule_status_end', fields: ['status', 'endAt'] }
+    ]
+  });
+
+  return PriceSchedule;
+};
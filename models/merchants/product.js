@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+const { PRODUCT_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Product = sequelize.define('Product', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      comment: '商品名称'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '商品描述'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '商品价格'
+    },
+    originalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '商品原价'
+    },
+    stock: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '库存数量'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: PRODUCT_STATUS.OFFLINE,
+      allowNull: false,
+      comment: '商品状态(0:下架,1:上架,2:缺货,3:停产)'
+    },
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '分类ID'
+    },
+    shopId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属店铺ID'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '商品SKU'
+    },
+    barcode: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '商品条码'
+    },
+    weight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true,
+      comment: '商品重量'
+    },
+    dimensions: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '商品尺寸'
+    },
+    images: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '商品图片列表'
+    },
+    attributes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '商品属性'
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '商品标签'
+    },
+    saleCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '销售数量'
+    },
+    viewCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '浏览次数'
+    },
+    rating: {
+      type: DataTypes.DECIMAL(3, 2),
+      defaultValue: 0,
+      comment: '商品评分'
+    },
+    reviewCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '评价数量'
+    },
+    ratingTotal: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '评分总和(展示中评价的星级之和，rating = ratingTotal / reviewCount)'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '数据版本号(乐观锁，每次商户编辑加1，对应 ETag)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
+    }
+  }, {
+    tableName: 'products',
+    // 启用软删除：destroy() 只写入 deletedAt，默认查询自动排除已删除记录
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    deletedAt: 'deletedAt',
+    paranoid: true,
+    indexes: [
+      { name: 'idx_product_merchant_id', fields: ['merchantId'] },
+      { name: 'idx_product_shop_id', fields: ['shopId'] },
+      { name: 'idx_product_category_id', fields: ['categoryId'] },
+      { name: 'idx_product_status', fields: ['status'] },
+      { name: 'idx_product_created_at', fields: ['createdAt'] },
+      { name: 'idx_product_deleted_at', fields: ['deletedAt'] },
+      { name: 'idx_product_name', fields: ['name'] },
+      // 全文索引：使用 ngram 分词器，支持中文及中英文混合检索
+      { name: 'ft_product_search', type: 'FULLTEXT', fields: ['name', 'description'], parser: 'ngram' }
+    ]
+  });
+
+  return Product;
+};
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProductOption = sequelize.define('ProductOption', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属商品ID'
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '规格名称(如颜色、尺码)'
+    },
+    values: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: '规格可选值列表(如["红色","蓝色"])'
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '排序(越小越靠前)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    }
+  }, {
+    tableName: 'product_options',
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { name: 'uk_product_option_name', unique: true, fields: ['productId', 'name'] }
+    ]
+  });
+
+  return ProductOption;
+};
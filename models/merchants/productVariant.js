@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { COMMON_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const ProductVariant = sequelize.define('ProductVariant', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属商品ID'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: '规格SKU'
+    },
+    options: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: '规格组合(如{"颜色":"红色","尺码":"M"})'
+    },
+    optionKey: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: '规格组合标识(按规格排序拼接，用于判重)'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '规格价格'
+    },
+    originalPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: '规格原价'
+    },
+    stock: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '规格库存'
+    },
+    barcode: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '规格条码'
+    },
+    image: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '规格图片'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.ENABLED,
+      allowNull: false,
+      comment: '规格状态(0:停用,1:启用)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
+    }
+  }, {
+    tableName: 'product_variants',
+    // 启用软删除：已删除的规格保留历史记录，默认查询自动排除
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    deletedAt: 'deletedAt',
+    paranoid: true,
+    indexes: [
+      { name: 'idx_variant_product_id', fields: ['productId'] },
+      { name: 'idx_variant_merchant_sku', fields: ['merchantId', 'sku'] },
+      { name: 'idx_variant_barcode', fields: ['barcode'] }
+    ]
+  });
+
+  return ProductVariant;
+};
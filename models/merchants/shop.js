@@ -0,0 +1,155 @@
+const { DataTypes } = require('sequelize');
+const { SHOP_STATUS } = require('../../common/constants/status');
+const { GeoHelper, SRID } = require('../../common/utils/geo');
+
+module.exports = (sequelize) => {
+  const Shop = sequelize.define('Shop', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: '店铺名称'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '店铺描述'
+    },
+    address: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      comment: '店铺地址'
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '联系电话'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      },
+      comment: '联系邮箱'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: SHOP_STATUS.ACTIVE,
+      allowNull: false,
+      comment: '店铺状态(0:禁用,1:启用,2:维护中,3:已关闭)'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    logo: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '店铺Logo'
+    },
+    banner: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '店铺横幅'
+    },
+    businessHours: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '营业时间(每周营业时间、节假日、临时停业，为空表示不限营业时间)'
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'Asia/Shanghai',
+      comment: '店铺时区(IANA时区名，用于计算营业状态)'
+    },
+    coordinates: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '地理坐标({ lat, lng })'
+    },
+    location: {
+      type: DataTypes.GEOMETRY('POINT', SRID),
+      allowNull: false,
+      // 空间索引要求列非空，未设置坐标时写入占位点；由 coordinates 同步，不直接赋值
+      comment: '地理位置(由 coordinates 同步，用于附近店铺查询)'
+    },
+    rating: {
+      type: DataTypes.DECIMAL(3, 2),
+      defaultValue: 0,
+      comment: '店铺评分'
+    },
+    reviewCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '评价数量'
+    },
+    ratingTotal: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '评分总和(展示中评价的星级之和，rating = ratingTotal / reviewCount)'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '数据版本号(乐观锁，每次商户编辑加1，对应 ETag)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
+    }
+  }, {
+    tableName: 'shops',
+    // 启用软删除：destroy() 只写入 deletedAt，默认查询自动排除已删除记录
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    deletedAt: 'deletedAt',
+    paranoid: true,
+    indexes: [
+      { name: 'idx_shop_merchant_id', fields: ['merchantId'] },
+      { name: 'idx_shop_status', fields: ['status'] },
+      { name: 'idx_shop_created_at', fields: ['createdAt'] },
+      { name: 'idx_shop_deleted_at', fields: ['deletedAt'] },
+      // 全文索引：使用 ngram 分词器，支持中文及中英文混合检索
+      { name: 'ft_shop_search', type: 'FULLTEXT', fields: ['name', 'description'], parser: 'ngram' },
+      // 空间索引：附近店铺查询按外接矩形过滤
+      { name: 'sp_shop_location', type: 'SPATIAL', fields: ['location'] }
+    ],
+    // 新建或通过实例修改坐标时同步 location（批量 update 由服务层显式同步）
+    hooks: {
+      beforeValidate: (shop) => {
+        if (shop.isNewRecord || shop.changed('coordinates')) {
+          shop.location = GeoHelper.toPoint(shop.coordinates, sequelize);
+        }
+      }
+    }
+  });
+
+  // location 仅用于空间查询，对外统一返回 coordinates
+  Shop.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.location;
+    return values;
+  };
+
+  return Shop;
+};
@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const StockMovement = sequelize.define('StockMovement', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '商品ID'
+    },
+    variantId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '规格ID(规格库存变动时记录)'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '变动类型(inbound:入库,sale:销售出库,adjustment:盘点调整,return:退货入库)'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '变动数量(正数增加，负数减少)'
+    },
+    beforeStock: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '变动前库存'
+    },
+    afterStock: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '变动后库存'
+    },
+    referenceType: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: '关联单据类型(如order)'
+    },
+    referenceId: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '关联单据ID'
+    },
+    operatorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '操作人用户ID'
+    },
+    remark: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '备注'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    }
+  }, {
+    tableName: 'stock_movements',
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      { name: 'idx_stock_movement_product_created', fields: ['productId', 'createdAt'] },
+      { name: 'idx_stock_movement_variant_id', fields: ['variantId'] },
+      { name: 'idx_stock_movement_reference', fields: ['referenceType', 'referenceId'] }
+    ],
+    // 库存流水只允许追加，禁止修改和删除
+    hooks: {
+      beforeUpdate: () => {
+        throw new Error('库存流水不允许修改');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('库存流水不允许修改');
+      },
+      beforeDestroy: () => {
+        throw new Error('库存流水不允许删除');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('库存流水不允许删除');
+      }
+    }
+  });
+
+  return StockMovement;
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { COMMON_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Cart = sequelize.define('Cart', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属用户ID'
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '商品ID'
+    },
+    variantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '商品规格ID(0:未启用规格)'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '购买数量'
+    },
+    selected: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: COMMON_STATUS.YES,
+      comment: '是否勾选结算(0:否,1:是)'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
+    }
+  }, {
+    tableName: 'carts',
+    timestamps: false,
+    indexes: [
+      { name: 'uk_cart_user_product_variant', unique: true, fields: ['userId', 'productId', 'variantId'] },
+      { name: 'idx_cart_product_id', fields: ['productId'] }
+    ]
+  });
+
+  return Cart;
+};
@@ -0,0 +1,135 @@
+const { DataTypes } = require('sequelize');
+const { ORDER_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Order = sequelize.define('Order', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderNo: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: '订单编号'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '下单用户ID'
+    },
+    shopId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属店铺ID'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: ORDER_STATUS.PENDING,
+      allowNull: false,
+      comment: '订单状态(0:待支付,1:已支付,2:已发货,3:已完成,4:已取消,5:已退款)'
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: '订单总金额'
+    },
+    itemCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: '商品总件数'
+    },
+    receiverName: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '收货人姓名'
+    },
+    receiverPhone: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: '收货人电话'
+    },
+    shippingAddress: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      comment: '收货地址'
+    },
+    remark: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '订单备注'
+    },
+    shippingCompany: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '物流公司'
+    },
+    trackingNumber: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '物流单号'
+    },
+    cancelReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '取消/退款原因'
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '支付时间'
+    },
+    shippedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '发货时间'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '完成时间'
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '取消时间'
+    },
+    refundedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '退款时间'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
+    }
+  }, {
+    tableName: 'orders',
+    timestamps: false,
+    indexes: [
+      { name: 'idx_order_user_id', fields: ['userId'] },
+      { name: 'idx_order_shop_status', fields: ['shopId', 'status'] },
+      { name: 'idx_order_merchant_id', fields: ['merchantId'] },
+      { name: 'idx_order_created_at', fields: ['createdAt'] }
+    ]
+  });
+
+  return Order;
+};
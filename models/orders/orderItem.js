@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderItem = sequelize.define('OrderItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属订单ID'
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '商品ID'
+    },
+    variantId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '商品规格ID(未启用规格时为空)'
+    },
+    productName: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      comment: '商品名称(下单时快照)'
+    },
+    productImage: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '商品图片(下单时快照)'
+    },
+    variantSku: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: '规格SKU(下单时快照)'
+    },
+    variantOptions: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '规格组合(下单时快照)'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: '成交单价'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '购买数量'
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: '小计金额'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    }
+  }, {
+    tableName: 'order_items',
+    timestamps: false,
+    indexes: [
+      { name: 'idx_order_item_order_id', fields: ['orderId'] },
+      { name: 'idx_order_item_product_id', fields: ['productId'] },
+      { name: 'idx_order_item_variant_id', fields: ['variantId'] }
+    ]
+  });
+
+  return OrderItem;
+};
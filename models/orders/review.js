@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const { REVIEW_STATUS } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const Review = sequelize.define('Review', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '所属订单ID'
+    },
+    orderItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '订单明细ID(每个订单明细只能评价一次)'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '评价用户ID'
+    },
+    productId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '商品ID'
+    },
+    shopId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '店铺ID'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '所属商户ID'
+    },
+    rating: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      comment: '评分(1-5星)'
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '评价内容'
+    },
+    images: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '评价图片URL列表'
+    },
+    status: {
+      type: DataTypes.INTEGER,
+      defaultValue: REVIEW_STATUS.VISIBLE,
+      allowNull: false,
+      comment: '评价状态(0:已隐藏,1:展示中)'
+    },
+    helpfulCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '有用数'
+    },
+    reply: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '商户回复'
+    },
+    repliedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '回复时间'
+    },
+    moderationReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '审核原因(隐藏或恢复评价时填写)'
+    },
+    moderatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '审核管理员ID'
+    },
+    moderatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '审核时间'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '更新时间'
+    }
+  }, {
+    tableName: 'reviews',
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    indexes: [
+      { name: 'uk_review_order_item', unique: true, fields: ['orderItemId'] },
+      { name: 'idx_review_product_status_created', fields: ['productId', 'status', 'createdAt'] },
+      { name: 'idx_review_shop_status_created', fields: ['shopId', 'status', 'createdAt'] },
+      { name: 'idx_review_merchant_id', fields: ['merchantId'] },
+      { name: 'idx_review_user_id', fields: ['userId'] }
+    ]
+  });
+
+  return Review;
+};
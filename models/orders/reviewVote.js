@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ReviewVote = sequelize.define('ReviewVote', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    reviewId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '评价ID'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '投票用户ID'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '创建时间'
+    }
+  }, {
+    tableName: 'review_votes',
+    timestamps: true,
+    createdAt: 'createdAt',
+    updatedAt: false,
+    indexes: [
+      // 每个用户对同一评价只能投一次“有用”
+      { name: 'uk_review_vote_review_user', unique: true, fields: ['reviewId', 'userId'] },
+      { name: 'idx_review_vote_user_id', fields: ['userId'] }
+    ]
+  });
+
+  return ReviewVote;
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { COMMON_STATUS, USER_TYPE } = require('../../common/constants/status');
+
+module.exports = (sequelize) => {
+  const LoginLog = sequelize.define('LoginLog', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '用户ID(账号不存在时为空)'
+    },
+    user_type: {
+      type: DataTypes.STRING(20),
+      defaultValue: USER_TYPE.USER,
+      allowNull: false,
+      comment: '登录端(user:用户端,merchant:商户端)'
+    },
+    username: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '登录时提交的用户名或邮箱'
+    },
+    ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: '登录IP地址'
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '客户端User-Agent'
+    },
+    success: {
+      type: DataTypes.INTEGER,
+      defaultValue: COMMON_STATUS.FAILED,
+      allowNull: false,
+      comment: '是否登录成功(0:失败,1:成功)'
+    },
+    failure_reason: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: '登录失败原因'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      comment: '登录时间'
+    }
+  }, {
+    tableName: 'login_logs',
+    timestamps: false,
+    indexes: [
+      { name: 'idx_login_log_user_created', fields: ['user_id', 'created_at'] },
+      { name: 'idx_login_log_ip', fields: ['ip'] },
+      { name: 'idx_login_log_created_at', fields: ['created_at'] }
+    ]
+  });
+
+  return LoginLog;
+};
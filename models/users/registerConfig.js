@@ -33,6 +33,11 @@ module.exports = (sequelize) => {
       defaultValue: REGISTER_CONFIG.VERIFICATION_OFF,
       comment: '是否开启手机验证码(0:否,1:是)'
     },
+    email_verification: {
+      type: DataTypes.INTEGER,
+      defaultValue: REGISTER_CONFIG.VERIFICATION_ON,
+      comment: '是否要求验证邮箱后才能登录(0:否,1:是)'
+    },
     captcha_type: {
       type: DataTypes.INTEGER,
       defaultValue: REGISTER_CONFIG.CAPTCHA_NONE,
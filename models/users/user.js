@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const { USER_ROLE, USER_STATUS } = require('../../common/constants/status');
+const { USER_ROLE, USER_STATUS, USER_TYPE } = require('../../common/constants/status');
 
 module.exports = (sequelize) => {
   const User = sequelize.define('User', {
@@ -38,6 +38,113 @@ module.exports = (sequelize) => {
     last_login: {
       type: DataTypes.DATE
     },
+    userType: {
+      type: DataTypes.STRING(20),
+      defaultValue: USER_TYPE.USER,
+      allowNull: false,
+      comment: '用户类型(user:普通用户,merchant:商户)'
+    },
+    merchantId: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      unique: true,
+      comment: '商户ID(仅商户用户)'
+    },
+    merchantStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '商户状态(0:禁用,1:正常,2:审核中,3:审核拒绝,4:暂停营业)'
+    },
+    shopIds: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: '商户拥有的店铺ID列表'
+    },
+    businessName: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: '商户名称/企业名称'
+    },
+    businessType: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '商户类型(个人/企业/其他)'
+    },
+    contactPerson: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '联系人姓名'
+    },
+    contactPhone: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: '联系电话'
+    },
+    businessLicense: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '营业执照号码'
+    },
+    taxNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '税务登记号'
+    },
+    bankAccount: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: '银行账户信息'
+    },
+    address: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: '商户地址'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: '商户描述'
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: '手机号(用户注册时按注册配置填写)'
+    },
+    realName: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: '真实姓名'
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '邮箱验证时间(为空表示未验证)'
+    },
+    password_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '密码最后修改时间(早于该时间签发的令牌失效)'
+    },
+    avatar: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '头像/商户Logo'
+    },
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '商户认证时间'
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '商户最后登录时间'
+    },
+    lastLoginIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: '商户最后登录IP'
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -45,10 +152,27 @@ module.exports = (sequelize) => {
     updated_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '删除时间(软删除)'
     }
   }, {
     tableName: 'users',
-    timestamps: false
+    // 启用软删除：destroy() 只写入 deleted_at，默认查询自动排除已删除用户
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    deletedAt: 'deleted_at',
+    paranoid: true,
+    indexes: [
+      { name: 'idx_user_merchant_id', fields: ['merchantId'] },
+      { name: 'idx_user_type_status', fields: ['userType', 'status'] },
+      { name: 'idx_user_merchant_status', fields: ['merchantStatus'] },
+      { name: 'idx_user_phone', fields: ['phone'] },
+      { name: 'idx_user_deleted_at', fields: ['deleted_at'] }
+    ]
   });
 
   return User;
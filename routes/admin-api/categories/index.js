@@ -0,0 +1,29 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理管理端商品分类相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { stacks, factories } = require('../../../middleware');
+// 从控制器模块引入管理端商品分类控制器类
+const { AdminCategoryController } = require('../../../controllers');
+
+// 创建管理端商品分类控制器实例，用于处理具体的分类管理业务逻辑
+const adminCategoryController = new AdminCategoryController();
+
+// 获取分类树路由：需要分类读取权限，返回包含禁用分类在内的完整分类树
+router.get('/', factories.createAdminPermissionStack(['category:read']), adminCategoryController.getCategoryTree);
+
+// 获取分类详情路由：需要分类读取权限，返回父分类、直接子分类和商品数量
+router.get('/:id', factories.createAdminPermissionStack(['category:read']), adminCategoryController.getCategoryDetail);
+
+// 创建分类路由：需要分类写入权限，parentId 为空时创建顶级分类
+router.post('/', factories.createAdminPermissionStack(['category:write']), adminCategoryController.createCategory);
+
+// 更新分类路由：需要分类写入权限，可修改名称、排序、状态，修改 parentId 即移动分类
+router.put('/:id', factories.createAdminPermissionStack(['category:write']), adminCategoryController.updateCategory);
+
+// 删除分类路由：需要敏感操作权限，存在子分类或商品的分类不能删除
+router.delete('/:id', stacks.admin.sensitive, adminCategoryController.deleteCategory);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
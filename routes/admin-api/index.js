@@ -13,7 +13,13 @@ router.get('/', function(req, res) {
       // 列出所有可用的管理端API端点
       availableEndpoints: [
         '/api/admin/users',   // 用户管理相关接口
-        '/api/admin/system'   // 系统管理相关接口
+        '/api/admin/system',  // 系统管理相关接口
+        '/api/admin/trash',   // 回收站（软删除数据恢复与清理）接口
+        '/api/admin/categories', // 商品分类管理接口
+        '/api/admin/reviews',  // 评价审核接口
+        '/api/admin/merchants', // 商户管理（商户状态、入驻审核）接口
+        '/api/admin/shops',    // 店铺管理接口
+        '/api/admin/products'  // 商品管理接口
       ]
     }
   });
@@ -28,10 +34,22 @@ router.use(adminApi);
 // 引入管理端子路由模块
 const usersRouter = require('./users');    // 用户管理路由
 const systemRouter = require('./system');  // 系统管理路由
+const trashRouter = require('./trash');    // 回收站路由
+const categoriesRouter = require('./categories'); // 商品分类管理路由
+const reviewsRouter = require('./reviews');   // 评价审核路由
+const merchantsRouter = require('./merchants'); // 商户管理路由
+const shopsRouter = require('./shops');         // 店铺管理路由
+const productsRouter = require('./products');   // 商品管理路由
 
 // 注册子路由到对应的路径
 router.use('/users', usersRouter);   // 注册用户管理路由，路径为/api/admin/users
 router.use('/system', systemRouter); // 注册系统管理路由，路径为/api/admin/system
+router.use('/trash', trashRouter);   // 注册回收站路由，路径为/api/admin/trash
+router.use('/categories', categoriesRouter); // 注册商品分类管理路由，路径为/api/admin/categories
+router.use('/reviews', reviewsRouter);       // 注册评价审核路由，路径为/api/admin/reviews
+router.use('/merchants', merchantsRouter);   // 注册商户管理路由，路径为/api/admin/merchants
+router.use('/shops', shopsRouter);           // 注册店铺管理路由，路径为/api/admin/shops
+router.use('/products', productsRouter);     // 注册商品管理路由，路径为/api/admin/products
 
 // 导出路由器，供上级路由使用
 module.exports = router;
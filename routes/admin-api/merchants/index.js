@@ -0,0 +1,46 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理管理端商户管理相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { factories } = require('../../../middleware');
+// 从控制器模块引入管理端商户控制器类
+const { AdminMerchantController } = require('../../../controllers');
+
+// 创建管理端商户控制器实例，用于处理具体的商户管理业务逻辑
+const adminMerchantController = new AdminMerchantController();
+
+// 获取入驻申请列表路由：需要商户读取权限，支持按状态、商户和关键词筛选
+router.get('/applications', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getApplications);
+
+// 获取入驻申请详情路由：需要商户读取权限，包含该商户的历史申请
+router.get('/applications/:id', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getApplication);
+
+// 查看证明材料路由：需要商户读取权限，只能读取申请中登记的材料文件
+router.get('/applications/:id/documents/:filename', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getApplicationDocument);
+
+// 审核通过路由：需要商户审核权限，商户状态变为正常并通知商户
+router.post('/applications/:id/approve', factories.createAdminPermissionStack(['merchant:review']), adminMerchantController.approveApplication);
+
+// 审核拒绝路由：需要商户审核权限，必须填写拒绝原因并通知商户
+router.post('/applications/:id/reject', factories.createAdminPermissionStack(['merchant:review']), adminMerchantController.rejectApplication);
+
+// 商户路由放在入驻申请路由之后，避免 /applications 被当作商户ID匹配
+
+// 获取商户列表路由：需要商户读取权限，支持按商户状态、账户状态、关键词和注册时间筛选
+router.get('/', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getMerchantList);
+
+// 获取商户详情路由：需要商户读取权限，包含店铺列表、商品统计和最近一次入驻申请
+router.get('/:merchantId', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getMerchantDetail);
+
+// 获取商户店铺列表路由：需要商户读取权限
+router.get('/:merchantId/shops', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getMerchantShops);
+
+// 获取商户商品列表路由：需要商户读取权限，支持按店铺和状态筛选
+router.get('/:merchantId/products', factories.createAdminPermissionStack(['merchant:read']), adminMerchantController.getMerchantProducts);
+
+// 更新商户状态路由：需要商户写入权限，用于暂停营业、禁用和恢复正常，并通知商户
+router.patch('/:merchantId/status', factories.createAdminPermissionStack(['merchant:write']), adminMerchantController.updateMerchantStatus);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -0,0 +1,23 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理管理端商品管理相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { factories } = require('../../../middleware');
+// 从控制器模块引入管理端商品控制器类
+const { AdminProductController } = require('../../../controllers');
+
+// 创建管理端商品控制器实例，用于处理具体的商品管理业务逻辑
+const adminProductController = new AdminProductController();
+
+// 获取商品列表路由：需要商品读取权限，支持按商户、店铺、分类、状态、关键词和价格区间筛选
+router.get('/', factories.createAdminPermissionStack(['product:read']), adminProductController.getProductList);
+
+// 获取商品详情路由：需要商品读取权限，包含所属店铺、分类和商户
+router.get('/:id', factories.createAdminPermissionStack(['product:read']), adminProductController.getProductDetail);
+
+// 更新商品状态路由：需要商品写入权限，状态取值见 PRODUCT_STATUS，可用于强制下架违规商品
+router.patch('/:id/status', factories.createAdminPermissionStack(['product:write']), adminProductController.updateProductStatus);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
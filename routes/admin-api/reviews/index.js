@@ -0,0 +1,20 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理管理端评价审核相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { factories } = require('../../../middleware');
+// 从控制器模块引入管理端评价控制器类
+const { AdminReviewController } = require('../../../controllers');
+
+// 创建管理端评价控制器实例，用于处理具体的评价审核业务逻辑
+const adminReviewController = new AdminReviewController();
+
+// 获取评价列表路由：需要评价读取权限，包含已隐藏的评价
+router.get('/', factories.createAdminPermissionStack(['review:read']), adminReviewController.getReviews);
+
+// 审核评价路由：需要评价审核权限，status=0 隐藏、status=1 恢复展示，并同步调整评分
+router.put('/:id/status', factories.createAdminPermissionStack(['review:moderate']), adminReviewController.moderateReview);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -0,0 +1,23 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理管理端店铺管理相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { factories } = require('../../../middleware');
+// 从控制器模块引入管理端店铺控制器类
+const { AdminShopController } = require('../../../controllers');
+
+// 创建管理端店铺控制器实例，用于处理具体的店铺管理业务逻辑
+const adminShopController = new AdminShopController();
+
+// 获取店铺列表路由：需要店铺读取权限，支持按商户、状态、关键词和创建时间筛选
+router.get('/', factories.createAdminPermissionStack(['shop:read']), adminShopController.getShopList);
+
+// 获取店铺详情路由：需要店铺读取权限，包含所属商户和商品统计
+router.get('/:id', factories.createAdminPermissionStack(['shop:read']), adminShopController.getShopDetail);
+
+// 更新店铺状态路由：需要店铺写入权限，状态取值见 SHOP_STATUS
+router.patch('/:id/status', factories.createAdminPermissionStack(['shop:write']), adminShopController.updateShopStatus);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -28,6 +28,10 @@ router.get('/health', factories.createAdminPermissionStack(['system:read']), adm
 router.get('/config', factories.createAdminPermissionStack(['system:read']), adminSystemController.getSystemConfig);
 // 更新系统配置路由：需要敏感操作权限，允许修改系统配置参数
 router.put('/config', stacks.admin.sensitive, adminSystemController.updateSystemConfig);
+// 获取注册配置路由：需要系统读取权限，返回注册必填项、验证码类型和第三方授权配置（应用密钥脱敏）
+router.get('/register-config', factories.createAdminPermissionStack(['system:read']), adminSystemController.getRegisterConfig);
+// 更新注册配置路由：需要敏感操作权限，更新后清除注册配置缓存立即生效
+router.put('/register-config', stacks.admin.sensitive, adminSystemController.updateRegisterConfig);
 // 重启应用路由：需要超级管理员权限，重启整个应用服务（极危险操作）
 router.post('/restart', stacks.admin.superAdmin, adminSystemController.restartApplication);
 // 获取API统计信息路由：需要系统读取权限，返回API调用统计和性能数据
@@ -0,0 +1,25 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理管理端回收站相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { stacks, factories } = require('../../../middleware');
+// 从控制器模块引入管理端回收站控制器类
+const { AdminTrashController } = require('../../../controllers');
+
+// 创建管理端回收站控制器实例，用于处理具体的回收站业务逻辑
+const adminTrashController = new AdminTrashController();
+
+// 资源类型 :resource 可选 users、shops、products
+
+// 获取回收站列表路由：需要系统读取权限，返回指定类型已软删除的记录及保留天数
+router.get('/:resource', factories.createAdminPermissionStack(['system:read']), adminTrashController.getDeletedList);
+
+// 恢复记录路由：需要敏感操作权限，恢复已软删除的用户、店铺或商品
+router.post('/:resource/:id/restore', stacks.admin.sensitive, adminTrashController.restore);
+
+// 彻底删除路由：需要超级管理员权限，永久删除回收站中的记录（不可恢复）
+router.delete('/:resource/:id', stacks.admin.superAdmin, adminTrashController.purge);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
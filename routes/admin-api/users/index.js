@@ -16,6 +16,9 @@ router.get('/', factories.createAdminPermissionStack(['user:read']), adminUserCo
 // 获取用户详情路由：需要用户读取权限，返回指定用户的完整信息
 router.get('/:id', factories.createAdminPermissionStack(['user:read']), adminUserController.getUserDetail);
 
+// 获取用户登录历史路由：需要用户读取权限，返回指定用户的登录记录，用于排查账号被盗等安全问题
+router.get('/:id/login-history', factories.createAdminPermissionStack(['user:read']), adminUserController.getUserLoginHistory);
+
 // 创建用户路由：需要用户创建权限，管理员可以创建新用户账户
 router.post('/', factories.createAdminPermissionStack(['user:create']), adminUserController.createUser);
 
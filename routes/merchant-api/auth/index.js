@@ -3,13 +3,25 @@ const express = require('express');
 // 创建Express路由器实例，专门处理商户认证相关的路由
 const router = express.Router();
 // 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
-const { stacks } = require('../../../middleware');
+const { stacks, factories } = require('../../../middleware');
 // 从控制器模块引入商户认证控制器类
 const { MerchantAuthController } = require('../../../controllers');
 
 // 创建商户认证控制器实例，用于处理具体的认证业务逻辑
 const merchantAuthController = new MerchantAuthController();
 
+// 找回密码限流：每个IP每小时最多请求10次（单个邮箱另有申请间隔）
+const passwordResetRateLimit = factories.createRateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: '找回密码请求过于频繁，请稍后再试',
+    error: 'Too many password reset requests'
+  },
+  type: 'merchant-password-reset'
+});
+
 // 商户登录路由：处理商户登录请求，验证凭据并返回JWT令牌
 router.post('/login', stacks.merchant.login, merchantAuthController.login);
 
@@ -22,6 +34,12 @@ router.post('/refresh', merchantAuthController.refreshToken);
 // 商户注册路由：处理新商户注册请求，创建商户账户
 router.post('/register', stacks.merchant.public, merchantAuthController.register);
 
+// 商户找回密码路由：向商户邮箱发送重置链接，不暴露邮箱是否已注册
+router.post('/forgot-password', stacks.merchant.public, passwordResetRateLimit, merchantAuthController.forgotPassword);
+
+// 商户重置密码路由：使用重置邮件中的一次性令牌设置新密码，重置后所有已登录会话失效
+router.post('/reset-password', stacks.merchant.public, passwordResetRateLimit, merchantAuthController.resetPassword);
+
 // 获取当前商户信息路由：需要认证，返回当前登录商户的详细信息
 router.get('/me', stacks.merchant.authenticated, merchantAuthController.getCurrentMerchant);
 
@@ -0,0 +1,17 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理商户端商品分类相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入商户商品分类控制器类
+const { MerchantCategoryController } = require('../../../controllers');
+
+// 创建商户商品分类控制器实例，用于处理具体的分类查询逻辑
+const merchantCategoryController = new MerchantCategoryController();
+
+// 获取商品分类树路由：需要商户认证，只读，返回启用的分类树（已缓存）
+router.get('/', stacks.merchant.authenticated, merchantCategoryController.getCategoryTree);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -13,28 +13,37 @@ router.get('/', function(req, res) {
       // 列出所有可用的商户端API端点
       availableEndpoints: [
         '/api/merchant/auth',     // 商户认证相关接口
+        '/api/merchant/onboarding', // 商户入驻审核接口
         '/api/merchant/shop',     // 店铺管理相关接口
-        '/api/merchant/products'  // 商品管理相关接口
+        '/api/merchant/products', // 商品管理相关接口
+        '/api/merchant/orders',   // 订单管理相关接口
+        '/api/merchant/categories', // 商品分类（只读）接口
+        '/api/merchant/reviews'   // 评价管理相关接口
       ]
     }
   });
 });
 
-// 从中间件模块引入商户端专用中间件
-const { merchantApi } = require('../../middleware');
-
-// 将商户端基础中间件应用到所有子路由，包括认证、权限验证等
-router.use(merchantApi);
+// 注意：不在此处统一挂载商户认证中间件（merchantApi），
+// 否则登录、注册等公开接口也会被要求商户身份；各子路由按需声明自己的中间件栈
 
 // 引入商户端子路由模块
 const authRouter = require('./auth');        // 商户认证路由
+const onboardingRouter = require('./onboarding'); // 商户入驻路由
 const shopRouter = require('./shop');        // 店铺管理路由
 const productsRouter = require('./products'); // 商品管理路由
+const ordersRouter = require('./orders');     // 订单管理路由
+const categoriesRouter = require('./categories'); // 商品分类路由
+const reviewsRouter = require('./reviews');   // 评价管理路由
 
 // 注册子路由到对应的路径
 router.use('/auth', authRouter);      // 注册认证路由，路径为/api/merchant/auth
+router.use('/onboarding', onboardingRouter); // 注册入驻路由，路径为/api/merchant/onboarding
 router.use('/shop', shopRouter);      // 注册店铺路由，路径为/api/merchant/shop
 router.use('/products', productsRouter); // 注册商品路由，路径为/api/merchant/products
+router.use('/orders', ordersRouter);     // 注册订单路由，路径为/api/merchant/orders
+router.use('/categories', categoriesRouter); // 注册商品分类路由，路径为/api/merchant/categories
+router.use('/reviews', reviewsRouter);     // 注册评价管理路由，路径为/api/merchant/reviews
 
 // 导出路由器，供上级路由使用
 module.exports = router;
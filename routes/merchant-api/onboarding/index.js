@@ -0,0 +1,30 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理商户入驻相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂函数
+const { stacks, factories } = require('../../../middleware');
+// 从控制器模块引入商户入驻控制器类
+const { MerchantOnboardingController } = require('../../../controllers');
+
+// 创建商户入驻控制器实例，用于处理具体的入驻业务逻辑
+const merchantOnboardingController = new MerchantOnboardingController();
+
+// 证明材料上传中间件：仅接收图片和PDF，文件保存在内存中，由服务层写入上传目录
+const documentUpload = factories.createUpload({
+  field: 'file',
+  maxSize: parseInt(process.env.MERCHANT_DOCUMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024,
+  extensions: ['jpg', 'jpeg', 'png', 'pdf']
+});
+
+// 获取入驻状态路由：需要商户认证（审核中和审核拒绝的商户也可访问），返回最近一次申请和审核结果
+router.get('/', stacks.merchant.authenticated, merchantOnboardingController.getOnboardingStatus);
+
+// 上传证明材料路由：敏感操作，需要商户认证，返回的文件名在提交申请时引用
+router.post('/documents', stacks.merchant.sensitive, documentUpload, merchantOnboardingController.uploadDocument);
+
+// 提交入驻申请路由：敏感操作，需要商户认证，申请进入待审核状态
+router.post('/', stacks.merchant.sensitive, merchantOnboardingController.submitApplication);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
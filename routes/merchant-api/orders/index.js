@@ -0,0 +1,26 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理商户订单管理相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入商户订单控制器类
+const { MerchantOrderController } = require('../../../controllers');
+
+// 创建商户订单控制器实例，用于处理具体的订单管理业务逻辑
+const merchantOrderController = new MerchantOrderController();
+
+// 获取商户订单列表路由：需要商户认证，支持按店铺和状态筛选
+router.get('/', stacks.merchant.shopAccess, merchantOrderController.getOrders);
+
+// 获取订单详情路由：需要商户认证
+router.get('/:orderId', stacks.merchant.authenticated, merchantOrderController.getOrderById);
+
+// 订单发货路由：需要商户认证，填写物流信息
+router.put('/:orderId/ship', stacks.merchant.authenticated, merchantOrderController.shipOrder);
+
+// 订单退款路由：需要敏感操作审计
+router.put('/:orderId/refund', stacks.merchant.sensitive, merchantOrderController.refundOrder);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
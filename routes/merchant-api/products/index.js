@@ -3,18 +3,50 @@ const express = require('express');
 // 创建Express路由器实例，专门处理商户商品管理相关的路由
 const router = express.Router();
 // 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
-const { stacks } = require('../../../middleware');
+const { stacks, factories } = require('../../../middleware');
 // 从控制器模块引入商户商品控制器类
-const { MerchantProductController } = require('../../../controllers');
+const {
+  MerchantProductController,
+  MerchantInventoryController,
+  MerchantProductImportController,
+  MerchantPriceController
+} = require('../../../controllers');
+// 引入商品规格子路由
+const variantsRouter = require('./variants');
 
 // 创建商户商品控制器实例，用于处理具体的商品管理业务逻辑
 const merchantProductController = new MerchantProductController();
+// 创建商户库存控制器实例，用于处理库存流水相关的业务逻辑
+const merchantInventoryController = new MerchantInventoryController();
+// 创建商户商品导入导出控制器实例，用于处理批量导入和导出
+const merchantProductImportController = new MerchantProductImportController();
+// 创建商户价格控制器实例，用于处理价格历史和定时调价
+const merchantPriceController = new MerchantPriceController();
+
+// 导入文件上传中间件：仅接收 CSV / XLSX，文件保存在内存中
+const importUpload = factories.createUpload({
+  field: 'file',
+  maxSize: parseInt(process.env.PRODUCT_IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024,
+  extensions: ['csv', 'xlsx']
+});
 
 // 获取商户商品列表路由：使用商品专用中间件栈，包含缓存
 router.get('/', stacks.merchant.product, merchantProductController.getProducts);
 
-// 获取商品详情路由：需要商户认证和缓存
-router.get('/:productId', stacks.merchant.cached, merchantProductController.getProductById);
+// 搜索商品路由：需要商户认证，按关键词相关度检索并高亮（需在 /:productId 之前注册）
+router.get('/search', stacks.merchant.authenticated, merchantProductController.searchProducts);
+
+// 导出商品路由：需要商户认证（不缓存，需在 /:productId 之前注册）
+router.get('/export', stacks.merchant.authenticated, merchantProductImportController.exportProducts);
+
+// 导入商品路由：需要敏感操作审计，dryRun=true 时只返回校验报告和预览
+router.post('/import', stacks.merchant.sensitive, importUpload, merchantProductImportController.importProducts);
+
+// 查询导入任务进度路由：需要商户认证（不缓存，保证进度实时）
+router.get('/import/:jobId', stacks.merchant.authenticated, merchantProductImportController.getImportJob);
+
+// 获取商品详情路由：需要商户认证（不缓存，保证返回的 ETag 和版本号与更新时的 If-Match 校验一致）
+router.get('/:productId', stacks.merchant.authenticated, merchantProductController.getProductById);
 
 // 创建商品路由：使用商品专用中间件栈
 router.post('/', stacks.merchant.product, merchantProductController.createProduct);
@@ -28,5 +60,26 @@ router.delete('/:productId', stacks.merchant.sensitive, merchantProductControlle
 // 批量更新商品状态路由：需要敏感操作审计
 router.put('/batch', stacks.merchant.sensitive, merchantProductController.batchUpdateStatus);
 
+// 获取商品库存流水路由：需要商户认证（不缓存，保证流水实时）
+router.get('/:productId/stock-history', stacks.merchant.authenticated, merchantInventoryController.getStockHistory);
+
+// 登记库存变动路由：需要敏感操作审计（入库、盘点调整、退货入库）
+router.post('/:productId/stock-movements', stacks.merchant.sensitive, merchantInventoryController.createStockMovement);
+
+// 获取商品价格历史路由：需要商户认证（不缓存，保证历史实时）
+router.get('/:productId/price-history', stacks.merchant.authenticated, merchantPriceController.getPriceHistory);
+
+// 获取商品定时调价列表路由：需要商户认证
+router.get('/:productId/price-schedules', stacks.merchant.authenticated, merchantPriceController.getSchedules);
+
+// 创建定时调价路由：需要敏感操作审计
+router.post('/:productId/price-schedules', stacks.merchant.sensitive, merchantPriceController.createSchedule);
+
+// 取消定时调价路由：需要敏感操作审计（生效中的调价会立即恢复原价）
+router.delete('/:productId/price-schedules/:scheduleId', stacks.merchant.sensitive, merchantPriceController.cancelSchedule);
+
+// 商品规格子路由：/api/merchant/products/:productId/variants
+router.use('/:productId/variants', variantsRouter);
+
 // 导出路由器，供上级路由使用
 module.exports = router;
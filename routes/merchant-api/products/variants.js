@@ -0,0 +1,33 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理商品规格相关的路由
+// mergeParams 使子路由可以读取上级路由的 :productId 参数
+const router = express.Router({ mergeParams: true });
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入商户商品规格控制器类
+const { MerchantProductVariantController } = require('../../../controllers');
+
+// 创建商户商品规格控制器实例，用于处理具体的规格管理业务逻辑
+const merchantProductVariantController = new MerchantProductVariantController();
+
+// 获取规格定义和规格列表路由：需要商户认证（不缓存，保证库存实时）
+router.get('/', stacks.merchant.authenticated, merchantProductVariantController.getVariants);
+
+// 设置规格定义路由：使用商品专用中间件栈
+router.put('/options', stacks.merchant.product, merchantProductVariantController.setOptions);
+
+// 生成规格矩阵路由：使用商品专用中间件栈
+router.post('/generate', stacks.merchant.product, merchantProductVariantController.generateVariants);
+
+// 创建规格路由：使用商品专用中间件栈
+router.post('/', stacks.merchant.product, merchantProductVariantController.createVariant);
+
+// 更新规格路由：使用商品专用中间件栈
+router.put('/:variantId', stacks.merchant.product, merchantProductVariantController.updateVariant);
+
+// 删除规格路由：需要敏感操作审计
+router.delete('/:variantId', stacks.merchant.sensitive, merchantProductVariantController.deleteVariant);
+
+// 导出路由器，供商品路由挂载使用
+module.exports = router;
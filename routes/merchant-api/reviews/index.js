@@ -0,0 +1,20 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理商户评价管理相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入商户评价控制器类
+const { MerchantReviewController } = require('../../../controllers');
+
+// 创建商户评价控制器实例，用于处理具体的评价管理业务逻辑
+const merchantReviewController = new MerchantReviewController();
+
+// 获取商户评价列表路由：需要商户认证，支持按店铺、商品、星级、是否已回复筛选
+router.get('/', stacks.merchant.shopAccess, merchantReviewController.getReviews);
+
+// 回复评价路由：需要商户认证，再次回复会覆盖原回复
+router.put('/:reviewId/reply', stacks.merchant.authenticated, merchantReviewController.replyReview);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
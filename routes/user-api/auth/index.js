@@ -3,15 +3,72 @@ const express = require('express');
 // 创建Express路由器实例，专门处理用户认证相关的路由
 const router = express.Router();
 // 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
-const { stacks } = require('../../../middleware');
+const { stacks, quick, factories } = require('../../../middleware');
 // 从控制器模块引入用户认证控制器类
 const { UserAuthController } = require('../../../controllers');
 
 // 创建用户认证控制器实例，用于处理具体的认证业务逻辑
 const userAuthController = new UserAuthController();
 
-// 用户登录路由：处理用户登录请求，验证凭据并返回JWT令牌
-router.post('/login', userAuthController.login);
+// 验证码获取限流：每个IP每分钟最多获取30次验证码
+const captchaRateLimit = factories.createRateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: {
+    success: false,
+    message: '获取验证码过于频繁，请稍后再试',
+    error: 'Too many captcha requests'
+  },
+  type: 'captcha'
+});
+
+// 短信验证码发送限流：每个IP每小时最多请求20次（单个手机号另有冷却时间和每日上限）
+const smsCodeRateLimit = factories.createRateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: {
+    success: false,
+    message: '短信验证码请求过于频繁，请稍后再试',
+    error: 'Too many sms code requests'
+  },
+  type: 'sms'
+});
+
+// 邮箱验证码重发限流：每个IP每小时最多请求10次（单个邮箱另有冷却时间）
+const emailResendRateLimit = factories.createRateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: '验证邮件请求过于频繁，请稍后再试',
+    error: 'Too many verification email requests'
+  },
+  type: 'email-verify'
+});
+
+// 找回密码限流：每个IP每小时最多请求10次（单个邮箱另有申请间隔）
+const passwordResetRateLimit = factories.createRateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: '找回密码请求过于频繁，请稍后再试',
+    error: 'Too many password reset requests'
+  },
+  type: 'password-reset'
+});
+
+// 获取验证码路由：公开接口，返回图形或数字验证码图片和验证码ID
+router.get('/captcha', captchaRateLimit, userAuthController.getCaptcha);
+
+// 用户登录路由：同一账号或IP连续登录失败后需要提交验证码，验证凭据并返回JWT令牌
+router.post('/login', quick.loginCaptcha, userAuthController.login);
+
+// 短信验证码登录路由：注册配置开启手机验证码时，使用手机号和短信验证码登录
+router.post('/login/sms', userAuthController.loginWithSms);
+
+// 发送短信验证码路由：公开接口，发送注册或登录验证码（scene: register/login）
+router.post('/sms-code', smsCodeRateLimit, userAuthController.sendSmsCode);
 
 // 用户登出路由：需要认证中间件验证，处理用户登出并使令牌失效
 router.post('/logout', stacks.user.authenticated, userAuthController.logout);
@@ -19,8 +76,23 @@ router.post('/logout', stacks.user.authenticated, userAuthController.logout);
 // 刷新令牌路由：使用刷新令牌获取新的访问令牌，延长用户会话
 router.post('/refresh', userAuthController.refreshToken);
 
-// 用户注册路由：处理新用户注册请求，创建用户账户
-router.post('/register', userAuthController.register);
+// 用户注册路由：注册配置启用图形或数字验证码时需要提交验证码，创建用户账户
+router.post('/register', quick.registerCaptcha, userAuthController.register);
+
+// 邮箱验证路由：提交注册时发送到邮箱的验证码，验证通过后激活账户
+router.post('/verify-email', userAuthController.verifyEmail);
+
+// 重发邮箱验证码路由：限流，且不暴露邮箱是否已注册
+router.post('/verify-email/resend', emailResendRateLimit, userAuthController.resendVerificationEmail);
+
+// 获取注册配置路由：公开接口，返回注册表单的必填字段、验证码类型和第三方登录开关
+router.get('/register-config', userAuthController.getRegisterConfig);
+
+// 找回密码路由：需要验证码，向邮箱发送重置链接，不暴露邮箱是否已注册
+router.post('/forgot-password', passwordResetRateLimit, quick.requireCaptcha, userAuthController.forgotPassword);
+
+// 重置密码路由：使用重置邮件中的一次性令牌设置新密码，重置后所有已登录会话失效
+router.post('/reset-password', passwordResetRateLimit, userAuthController.resetPassword);
 
 // 获取当前用户信息路由：需要认证，返回当前登录用户的详细信息
 router.get('/me', stacks.user.authenticated, userAuthController.getCurrentUser);
@@ -28,6 +100,9 @@ router.get('/me', stacks.user.authenticated, userAuthController.getCurrentUser);
 // 修改密码路由：需要认证，允许用户修改自己的登录密码
 router.put('/password', stacks.user.authenticated, userAuthController.changePassword);
 
+// 获取登录历史路由：需要认证，返回当前用户的登录记录（IP、设备、成功与否），便于发现异常登录
+router.get('/login-history', stacks.user.authenticated, userAuthController.getLoginHistory);
+
 // 验证令牌路由：验证JWT令牌的有效性，用于客户端令牌状态检查
 router.get('/verify', userAuthController.verifyToken);
 
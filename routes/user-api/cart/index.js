@@ -0,0 +1,29 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理用户购物车相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入用户购物车控制器类
+const { UserCartController } = require('../../../controllers');
+
+// 创建用户购物车控制器实例，用于处理具体的购物车业务逻辑
+const userCartController = new UserCartController();
+
+// 购物车接口均使用可选认证：已登录用户使用用户购物车，未登录用户通过 X-Cart-Id 请求头使用游客购物车
+
+// 获取购物车路由：返回购物车商品、最新价格和汇总金额
+router.get('/', stacks.user.optionalAuth, userCartController.getCart);
+// 添加购物车商品路由：启用规格的商品需传 variantId，游客首次添加时生成并返回 cartId
+router.post('/items', stacks.user.optionalAuth, userCartController.addItem);
+// 更新购物车商品路由：修改商品数量或勾选状态，规格商品通过 variantId 指定规格
+router.put('/items/:productId', stacks.user.optionalAuth, userCartController.updateItem);
+// 移除购物车商品路由：从购物车删除指定商品，规格商品通过查询参数 variantId 指定规格
+router.delete('/items/:productId', stacks.user.optionalAuth, userCartController.removeItem);
+// 清空购物车路由：删除购物车中的所有商品
+router.delete('/', stacks.user.optionalAuth, userCartController.clearCart);
+// 重新计算购物车路由：移除失效商品并按库存修正数量
+router.post('/recalculate', stacks.user.optionalAuth, userCartController.recalculateCart);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -13,25 +13,37 @@ router.get('/', function(req, res) {
       // 列出所有可用的用户端API端点
       availableEndpoints: [
         '/api/user/auth',     // 用户认证相关接口
-        '/api/user/profile'   // 用户资料相关接口
+        '/api/user/profile',  // 用户资料相关接口
+        '/api/user/orders',   // 用户订单相关接口
+        '/api/user/cart',     // 用户购物车相关接口
+        '/api/user/search',   // 商品和店铺搜索接口
+        '/api/user/shops',    // 店铺相关接口（附近店铺）
+        '/api/user/reviews'   // 商品评价相关接口
       ]
     }
   });
 });
 
-// 从中间件模块引入用户端专用中间件
-const { userApi } = require('../../middleware');
-
-// 将用户端基础中间件应用到所有子路由，包括认证、权限验证等
-router.use(userApi);
+// 注意：不在此处统一挂载用户认证中间件（userApi），
+// 否则登录、注册等公开接口也会被要求登录；各子路由按需声明自己的中间件栈
 
 // 引入用户端子路由模块
 const authRouter = require('./auth');        // 用户认证路由
 const profileRouter = require('./profile');  // 用户资料路由
+const ordersRouter = require('./orders');    // 用户订单路由
+const cartRouter = require('./cart');        // 用户购物车路由
+const searchRouter = require('./search');    // 搜索路由
+const shopsRouter = require('./shops');      // 店铺路由
+const reviewsRouter = require('./reviews');  // 评价路由
 
 // 注册子路由到对应的路径
 router.use('/auth', authRouter);      // 注册认证路由，路径为/api/user/auth
 router.use('/profile', profileRouter); // 注册资料路由，路径为/api/user/profile
+router.use('/orders', ordersRouter);   // 注册订单路由，路径为/api/user/orders
+router.use('/cart', cartRouter);       // 注册购物车路由，路径为/api/user/cart
+router.use('/search', searchRouter);   // 注册搜索路由，路径为/api/user/search
+router.use('/shops', shopsRouter);     // 注册店铺路由，路径为/api/user/shops
+router.use('/reviews', reviewsRouter); // 注册评价路由，路径为/api/user/reviews
 
 // 导出路由器，供上级路由使用
 module.exports = router;
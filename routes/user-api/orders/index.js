@@ -0,0 +1,31 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理用户订单相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入用户订单控制器类
+const { UserOrderController } = require('../../../controllers');
+
+// 创建用户订单控制器实例，用于处理具体的订单业务逻辑
+const userOrderController = new UserOrderController();
+
+// 创建订单路由：需要敏感操作中间件，按店铺拆单并扣减库存
+router.post('/', stacks.user.sensitive, userOrderController.createOrder);
+// 结算预占库存路由：需要用户认证，预占在有效期内不会被他人下单占用
+router.post('/reservations', stacks.user.authenticated, userOrderController.reserveStock);
+// 释放库存预占路由：需要用户认证，放弃结算时释放预占
+router.delete('/reservations/:reservationId', stacks.user.authenticated, userOrderController.releaseReservation);
+// 获取订单列表路由：需要用户认证，返回当前用户的订单（支持按状态筛选和分页）
+router.get('/', stacks.user.authenticated, userOrderController.getOrders);
+// 获取订单详情路由：需要用户认证，返回订单及订单明细
+router.get('/:orderId', stacks.user.authenticated, userOrderController.getOrderById);
+// 支付订单路由：需要敏感操作中间件，将待支付订单标记为已支付
+router.put('/:orderId/pay', stacks.user.sensitive, userOrderController.payOrder);
+// 取消订单路由：需要用户认证，取消待支付订单并回补库存
+router.put('/:orderId/cancel', stacks.user.authenticated, userOrderController.cancelOrder);
+// 确认收货路由：需要用户认证，将已发货订单标记为已完成
+router.put('/:orderId/confirm', stacks.user.authenticated, userOrderController.confirmOrder);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
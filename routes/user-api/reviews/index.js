@@ -0,0 +1,29 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理用户端评价相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于认证和权限验证
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入用户评价控制器类
+const { UserReviewController } = require('../../../controllers');
+
+// 创建用户评价控制器实例，用于处理具体的评价业务逻辑
+const userReviewController = new UserReviewController();
+
+// 评价列表路由：可选认证，登录用户会返回是否已标记有用；按 productId 或 shopId 查询，sort=newest|helpful
+router.get('/', stacks.user.optionalAuth, userReviewController.getReviews);
+
+// 我的评价路由：需要用户认证
+router.get('/mine', stacks.user.authenticated, userReviewController.getMyReviews);
+
+// 发表评价路由：需要用户认证，只能评价已完成订单中的商品
+router.post('/', stacks.user.authenticated, userReviewController.createReview);
+
+// 标记评价有用路由：需要用户认证，同一评价只计一次
+router.post('/:reviewId/helpful', stacks.user.authenticated, userReviewController.voteHelpful);
+
+// 取消有用标记路由：需要用户认证
+router.delete('/:reviewId/helpful', stacks.user.authenticated, userReviewController.unvoteHelpful);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -0,0 +1,17 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理用户端搜索相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈，用于限流和审计
+const { stacks } = require('../../../middleware');
+// 从控制器模块引入用户搜索控制器类
+const { UserSearchController } = require('../../../controllers');
+
+// 创建用户搜索控制器实例，用于处理具体的搜索业务逻辑
+const userSearchController = new UserSearchController();
+
+// 搜索路由：公开接口，type=product（默认）搜索商品，type=shop 搜索店铺
+router.get('/', stacks.user.public, userSearchController.search);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
@@ -0,0 +1,24 @@
+// 引入Express框架，用于创建路由器
+const express = require('express');
+// 创建Express路由器实例，专门处理用户端店铺相关的路由
+const router = express.Router();
+// 从中间件模块引入预定义的中间件堆栈和工厂方法
+const { stacks, factories } = require('../../../middleware');
+// 从控制器模块引入用户店铺控制器类
+const { UserShopController } = require('../../../controllers');
+
+// 创建用户店铺控制器实例，用于处理具体的店铺业务逻辑
+const userShopController = new UserShopController();
+
+// 附近店铺缓存：按 geohash 网格 + 半径 + 分页生成缓存键，同一网格内的请求共享结果
+const nearbyCache = factories.createCache({
+  ttl: 60,
+  prefix: 'user_nearby',
+  keyGenerator: userShopController.nearbyCacheKey
+});
+
+// 附近店铺路由：公开接口，按距离排序并返回距离（米）和营业状态
+router.get('/nearby', stacks.user.public, nearbyCache, userShopController.nearby);
+
+// 导出路由器，供上级路由使用
+module.exports = router;
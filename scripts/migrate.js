@@ -0,0 +1,133 @@
+/**
+ * 数据库迁移命令行工具
+ * 使用方法：
+ *   node scripts/migrate.js up [--to 迁移名] [--dry-run]      执行待执行的迁移
+ *   node scripts/migrate.js down [--step N | --to 迁移名] [--dry-run]  回滚迁移（默认回滚最近一个）
+ *   node scripts/migrate.js status                         查看迁移状态
+ *   node scripts/migrate.js create <描述>                   新建迁移文件
+ *   node scripts/migrate.js baseline [--to 迁移名]          将已存在的表结构标记为已迁移（不执行SQL）
+ * 演练模式（--dry-run）只打印将要执行的SQL，不修改数据库
+ */
+
+const path = require('path');
+const Migrator = require('../common/mysql/migrator');
+
+const MIGRATIONS_PATH = path.resolve(__dirname, '../migrations');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} { command, args, options }
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to' || arg === '--step') {
+      options[arg.slice(2)] = rest[++i];
+    } else if (arg.startsWith('--to=') || arg.startsWith('--step=')) {
+      const [key, value] = arg.slice(2).split('=');
+      options[key] = value;
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { command, args, options };
+}
+
+/**
+ * 打印使用说明
+ */
+function printUsage() {
+  console.log([
+    '用法: node scripts/migrate.js <命令> [选项]',
+    '',
+    '命令:',
+    '  up        执行全部待执行迁移（--to 执行到指定迁移，--dry-run 只打印SQL）',
+    '  down      回滚最近一个迁移（--step N 回滚N个，--to 回滚到指定迁移，--dry-run 只打印SQL）',
+    '  status    查看已执行和待执行的迁移',
+    '  create    新建迁移文件，例如: create add-product-variants',
+    '  baseline  将待执行迁移标记为已执行（用于已通过 sync 建表的数据库）'
+  ].join('\n'));
+}
+
+/**
+ * 打印迁移状态
+ * @param {Migrator} migrator - 迁移执行器
+ */
+async function printStatus(migrator) {
+  const { executed, pending, missing } = await migrator.getStatus();
+
+  executed.forEach(name => console.log(`  [已执行] ${name}`));
+  pending.forEach(name => console.log(`  [待执行] ${name}`));
+  missing.forEach(name => console.log(`  [文件缺失] ${name}`));
+
+  console.log(`\n已执行 ${executed.length} 个，待执行 ${pending.length} 个${missing.length ? `，文件缺失 ${missing.length} 个` : ''}`);
+}
+
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+
+  if (!command || command === 'help' || command === '--help') {
+    printUsage();
+    return;
+  }
+
+  // 新建迁移文件不需要连接数据库
+  if (command === 'create') {
+    const filePath = new Migrator(null, { migrationsPath: MIGRATIONS_PATH }).create(args.join('-'));
+    console.log(`已创建迁移文件: ${path.relative(process.cwd(), filePath)}`);
+    return;
+  }
+
+  const sequelize = require('../common/mysql');
+  const migrator = new Migrator(sequelize, { migrationsPath: MIGRATIONS_PATH });
+
+  try {
+    await sequelize.authenticate();
+
+    switch (command) {
+      case 'up': {
+        const executed = await migrator.up(options);
+        console.log(executed.length ? `\n${options.dryRun ? '演练' : '执行'}完成，共 ${executed.length} 个迁移` : '没有待执行的迁移');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrator.down(options);
+        console.log(reverted.length ? `\n${options.dryRun ? '演练' : '回滚'}完成，共 ${reverted.length} 个迁移` : '没有可回滚的迁移');
+        break;
+      }
+      case 'status':
+        await printStatus(migrator);
+        break;
+      case 'baseline': {
+        const marked = await migrator.baseline(options);
+        console.log(marked.length ? `\n共标记 ${marked.length} 个迁移` : '没有待执行的迁移');
+        break;
+      }
+      default:
+        printUsage();
+        process.exitCode = 1;
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch(error => {
+      console.error('迁移失败:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,260 @@
+/**
+ * 种子数据导入脚本
+ * 功能：为新环境一次性写入管理员、默认注册配置、分类以及演示商户/店铺/商品
+ * 使用方法：node scripts/seed.js [dev|uat]
+ *   不指定数据集时按 NODE_ENV 选择（dev/development -> dev，uat -> uat），生产环境禁止执行
+ * 幂等：所有记录按自然键查找后更新或创建，可重复执行；账户密码只在首次创建时设置
+ */
+
+const bcrypt = require('bcrypt');
+const path = require('path');
+// 引入模型入口，注册全部模型及关联关系
+const { sequelize } = require('../models');
+
+// 可用的种子数据集
+const SEED_SETS = ['dev', 'uat'];
+// NODE_ENV 与种子数据集的对应关系
+const ENV_SEED_SET = { dev: 'dev', development: 'dev', uat: 'uat' };
+const SALT_ROUNDS = 12;
+
+/**
+ * 按自然键更新或创建记录
+ * @param {Object} Model - 模型
+ * @param {Object} where - 自然键查询条件
+ * @param {Object} values - 需要写入的字段
+ * @param {Object} options - 选项
+ * @param {Object} options.createOnly - 仅在创建时写入的字段（如密码）
+ * @param {Object} options.transaction - 事务对象
+ * @returns {Promise<Array>} [记录, 是否新建]
+ */
+async function upsert(Model, where, values, { createOnly = {}, transaction } = {}) {
+  const existing = await Model.findOne({ where, transaction });
+
+  if (existing) {
+    await existing.update(values, { transaction });
+    return [existing, false];
+  }
+
+  const created = await Model.create({ ...where, ...values, ...createOnly }, { transaction });
+  return [created, true];
+}
+
+/**
+ * 生成仅在创建账户时写入的字段（加密后的密码）
+ * @param {Object} account - 账户种子数据
+ * @param {Object} Model - 用户模型
+ * @param {Object} transaction - 事务对象
+ * @returns {Promise<Object>} 创建专用字段
+ */
+async function buildAccountCreateFields(account, Model, transaction) {
+  const exists = await Model.count({ where: { username: account.username }, transaction });
+  if (exists) {
+    return {};
+  }
+
+  if (!account.password) {
+    throw new Error(`账户 ${account.username} 缺少初始密码，请通过 SEED_*_PASSWORD 环境变量提供`);
+  }
+
+  const now = new Date();
+  return {
+    password: await bcrypt.hash(account.password, SALT_ROUNDS),
+    created_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * 写入用户账户（管理员、普通用户、商户）
+ * @param {Array} accounts - 账户种子数据
+ * @param {Object} transaction - 事务对象
+ * @param {Object} stats - 统计对象
+ * @returns {Promise<Map>} username -> 用户记录
+ */
+async function seedAccounts(accounts, transaction, stats) {
+  const User = sequelize.models.User;
+  const result = new Map();
+
+  for (const account of accounts) {
+    const { password, shops, ...values } = account;
+    const createOnly = await buildAccountCreateFields(account, User, transaction);
+
+    const [user, created] = await upsert(
+      User,
+      { username: account.username },
+      { ...values, updated_at: new Date() },
+      { createOnly, transaction }
+    );
+
+    stats.users[created ? 'created' : 'updated']++;
+    result.set(account.username, user);
+  }
+
+  return result;
+}
+
+/**
+ * 写入默认注册配置（已有配置时不覆盖）
+ * @param {Object} config - 注册配置种子数据
+ * @param {Object} transaction - 事务对象
+ * @param {Object} stats - 统计对象
+ */
+async function seedRegisterConfig(config, transaction, stats) {
+  if (!config) {
+    return;
+  }
+
+  const RegisterConfig = sequelize.models.RegisterConfig;
+  const exists = await RegisterConfig.count({ transaction });
+
+  if (exists === 0) {
+    await RegisterConfig.create({ ...config, created_at: new Date(), updated_at: new Date() }, { transaction });
+    stats.registerConfig = 'created';
+  } else {
+    stats.registerConfig = 'kept';
+  }
+}
+
+/**
+ * 写入商品分类（顶级分类）
+ * @param {Array} categories - 分类种子数据
+ * @param {Object} transaction - 事务对象
+ * @param {Object} stats - 统计对象
+ * @returns {Promise<Map>} 分类名 -> 分类记录
+ */
+async function seedCategories(categories, transaction, stats) {
+  const Category = sequelize.models.Category;
+  const result = new Map();
+
+  for (const { name, ...values } of categories) {
+    const [category, created] = await upsert(
+      Category,
+      { name, parentId: null },
+      { ...values, updatedAt: new Date() },
+      { transaction }
+    );
+
+    stats.categories[created ? 'created' : 'updated']++;
+    result.set(name, category);
+  }
+
+  return result;
+}
+
+/**
+ * 写入商户的店铺和商品，并同步商户的店铺ID列表
+ * @param {Array} merchants - 商户种子数据
+ * @param {Map} merchantUsers - username -> 商户用户记录
+ * @param {Map} categoryMap - 分类名 -> 分类记录
+ * @param {Object} transaction - 事务对象
+ * @param {Object} stats - 统计对象
+ */
+async function seedShopsAndProducts(merchants, merchantUsers, categoryMap, transaction, stats) {
+  const Shop = sequelize.models.Shop;
+  const Product = sequelize.models.Product;
+
+  for (const merchantSeed of merchants) {
+    const merchant = merchantUsers.get(merchantSeed.username);
+    const shopIds = new Set((merchant.shopIds || []).map(id => parseInt(id)));
+
+    for (const { products = [], name, ...shopValues } of merchantSeed.shops || []) {
+      const [shop, shopCreated] = await upsert(
+        Shop,
+        { merchantId: merchant.merchantId, name, deletedAt: null },
+        { ...shopValues, updatedAt: new Date() },
+        { transaction }
+      );
+      stats.shops[shopCreated ? 'created' : 'updated']++;
+      shopIds.add(shop.id);
+
+      for (const { sku, category, ...productValues } of products) {
+        const categoryRecord = category ? categoryMap.get(category) : null;
+        if (category && !categoryRecord) {
+          throw new Error(`商品 ${sku} 引用的分类不存在: ${category}`);
+        }
+
+        const [, productCreated] = await upsert(
+          Product,
+          { shopId: shop.id, sku, deletedAt: null },
+          {
+            ...productValues,
+            merchantId: merchant.merchantId,
+            categoryId: categoryRecord ? categoryRecord.id : null,
+            updatedAt: new Date()
+          },
+          { transaction }
+        );
+        stats.products[productCreated ? 'created' : 'updated']++;
+      }
+    }
+
+    // 复制为新数组，保证 JSON 字段变更能被检测到
+    await merchant.update({ shopIds: [...shopIds] }, { transaction });
+  }
+}
+
+/**
+ * 解析要使用的种子数据集
+ * @returns {string} 数据集名称
+ */
+function resolveSeedSet() {
+  const arg = process.argv[2];
+  if (arg) {
+    if (!SEED_SETS.includes(arg)) {
+      throw new Error(`未知的种子数据集: ${arg}，可选: ${SEED_SETS.join(', ')}`);
+    }
+    return arg;
+  }
+
+  const env = process.env.NODE_ENV || 'dev';
+  if (!ENV_SEED_SET[env]) {
+    throw new Error(`当前环境 ${env} 没有对应的种子数据集，禁止执行`);
+  }
+  return ENV_SEED_SET[env];
+}
+
+async function seed() {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('生产环境禁止导入种子数据');
+    }
+
+    const setName = resolveSeedSet();
+    const data = require(path.join(__dirname, '../seeders', setName));
+    console.log(`开始导入种子数据: ${setName}`);
+
+    const stats = {
+      users: { created: 0, updated: 0 },
+      categories: { created: 0, updated: 0 },
+      shops: { created: 0, updated: 0 },
+      products: { created: 0, updated: 0 },
+      registerConfig: null
+    };
+
+    await sequelize.transaction(async (transaction) => {
+      await seedAccounts([...(data.admins || []), ...(data.users || [])], transaction, stats);
+      const merchantUsers = await seedAccounts(data.merchants || [], transaction, stats);
+      await seedRegisterConfig(data.registerConfig, transaction, stats);
+      const categoryMap = await seedCategories(data.categories || [], transaction, stats);
+      await seedShopsAndProducts(data.merchants || [], merchantUsers, categoryMap, transaction, stats);
+    });
+
+    console.log('种子数据导入完成:');
+    console.log(`  用户: 新建 ${stats.users.created}，更新 ${stats.users.updated}`);
+    console.log(`  注册配置: ${stats.registerConfig === 'created' ? '已创建' : '已存在，未修改'}`);
+    console.log(`  分类: 新建 ${stats.categories.created}，更新 ${stats.categories.updated}`);
+    console.log(`  店铺: 新建 ${stats.shops.created}，更新 ${stats.shops.updated}`);
+    console.log(`  商品: 新建 ${stats.products.created}，更新 ${stats.products.updated}`);
+
+  } catch (error) {
+    console.error('种子数据导入失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // 关闭数据库连接
+    await sequelize.close();
+    process.exit(process.exitCode || 0);
+  }
+}
+
+// 执行导入
+seed();
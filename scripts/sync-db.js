@@ -1,42 +1,39 @@
-const { sequelize } = require('../common/index');
-const userModel = require('../models/user');
-const registerConfigModelDefinition = require('../models/users/registerConfig');
+/**
+ * 开发环境数据库同步脚本
+ * 功能：根据当前全部模型定义建表（sequelize.sync）
+ * 使用方法：node scripts/sync-db.js [--force]
+ *   --force  先删除再重建所有表（会清空数据，仅限本地开发）
+ * 注意：生产和UAT环境的表结构变更请使用迁移（npm run migrate），不要使用本脚本
+ */
+
+// 引入模型入口，注册全部模型及关联关系
+const { sequelize } = require('../models');
 
 async function syncDatabase() {
+  const force = process.argv.includes('--force');
+
   try {
-    // 初始化用户模型
-    const User = userModel(sequelize);
+    if (force && process.env.NODE_ENV === 'production') {
+      throw new Error('生产环境禁止使用 --force 重建数据表');
+    }
 
-    // 同步模型到数据库（创建表）
+    // 同步全部模型到数据库（创建表）
     // force: true 表示如果表已存在则先删除再创建
-    await User.sync({ force: true });
-    console.log('用户表创建成功');
-
-    // 创建一个测试用户
-    const bcrypt = require('bcrypt');
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash('123456', saltRounds);
-
-    await User.create({
-      username: 'admin',
-      password: hashedPassword,
-      email: 'admin@example.com',
-      status: 'active',
-      created_at: new Date(),
-      updated_at: new Date()
-    });
+    await sequelize.sync({ force });
+    console.log(`数据表同步成功: ${Object.keys(sequelize.models).join(', ')}`);
 
-    console.log('测试用户创建成功');
-    console.log('用户名: admin');
-    console.log('密码: 123456');
+    // 管理员、注册配置和演示数据由种子脚本统一导入
+    console.log('如需初始数据，请执行: npm run db:seed');
 
   } catch (error) {
     console.error('数据库同步失败:', error);
+    process.exitCode = 1;
   } finally {
     // 关闭数据库连接
     await sequelize.close();
+    process.exit(process.exitCode || 0);
   }
 }
 
 // 执行同步
-syncDatabase(); 
\ No newline at end of file
+syncDatabase();
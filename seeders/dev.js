@@ -0,0 +1,158 @@
+/**
+ * 开发环境种子数据
+ * 包含管理员、默认注册配置、商品分类以及若干演示商户、店铺和商品
+ * 所有记录按自然键幂等写入：用户按 username，分类按 name，店铺按 商户+店铺名，商品按 店铺+SKU
+ */
+
+const {
+  USER_ROLE, USER_STATUS, USER_TYPE, MERCHANT_STATUS,
+  SHOP_STATUS, PRODUCT_STATUS, COMMON_STATUS, REGISTER_CONFIG
+} = require('../common/constants/status');
+
+module.exports = {
+  // 管理员账户（密码仅在首次创建时设置，不会覆盖已有密码）
+  admins: [
+    {
+      username: 'admin',
+      email: 'admin@example.com',
+      password: process.env.SEED_ADMIN_PASSWORD || '123456',
+      role: USER_ROLE.SUPER_ADMIN,
+      status: USER_STATUS.ACTIVE
+    }
+  ],
+
+  // 默认注册配置（仅在表中没有配置时写入，不覆盖管理员已修改的配置）
+  registerConfig: {
+    real_name_verification: REGISTER_CONFIG.VERIFICATION_OFF,
+    real_name_required: REGISTER_CONFIG.NOT_REQUIRED,
+    phone_verification: REGISTER_CONFIG.VERIFICATION_OFF,
+    phone_required: REGISTER_CONFIG.NOT_REQUIRED,
+    phone_verification_code: REGISTER_CONFIG.VERIFICATION_OFF,
+    captcha_type: REGISTER_CONFIG.CAPTCHA_NONE
+  },
+
+  // 商品分类
+  categories: [
+    { name: '数码电子', description: '手机、电脑、耳机等数码产品', status: COMMON_STATUS.ENABLED },
+    { name: '食品饮料', description: '零食、茶饮、生鲜等', status: COMMON_STATUS.ENABLED },
+    { name: '服饰鞋包', description: '男女服装、鞋靴、箱包', status: COMMON_STATUS.ENABLED }
+  ],
+
+  // 演示商户及其店铺、商品
+  merchants: [
+    {
+      username: 'demo_merchant',
+      email: 'merchant@example.com',
+      password: process.env.SEED_MERCHANT_PASSWORD || '123456',
+      userType: USER_TYPE.MERCHANT,
+      status: USER_STATUS.ACTIVE,
+      merchantId: 900000000001,
+      merchantStatus: MERCHANT_STATUS.ACTIVE,
+      businessName: '演示数码专营店',
+      businessType: '企业',
+      contactPerson: '张三',
+      contactPhone: '13800000001',
+      address: '上海市浦东新区演示路1号',
+      shops: [
+        {
+          name: '演示数码旗舰店',
+          description: '开发环境演示店铺',
+          address: '上海市浦东新区演示路1号',
+          phone: '021-00000001',
+          email: 'shop1@example.com',
+          status: SHOP_STATUS.ACTIVE,
+          products: [
+            {
+              sku: 'DEMO-PHONE-001',
+              name: '演示智能手机 128G',
+              description: '开发环境演示商品',
+              category: '数码电子',
+              price: 2999.00,
+              originalPrice: 3299.00,
+              stock: 100,
+              status: PRODUCT_STATUS.ONLINE,
+              tags: ['手机', '热销']
+            },
+            {
+              sku: 'DEMO-EARPHONE-001',
+              name: '演示无线耳机',
+              description: '开发环境演示商品',
+              category: '数码电子',
+              price: 399.00,
+              originalPrice: 499.00,
+              stock: 200,
+              status: PRODUCT_STATUS.ONLINE,
+              tags: ['耳机']
+            },
+            {
+              sku: 'DEMO-CABLE-001',
+              name: '演示数据线（已下架）',
+              description: '用于测试下架商品的展示',
+              category: '数码电子',
+              price: 29.90,
+              stock: 0,
+              status: PRODUCT_STATUS.OFFLINE
+            }
+          ]
+        }
+      ]
+    },
+    {
+      username: 'demo_food',
+      email: 'food@example.com',
+      password: process.env.SEED_MERCHANT_PASSWORD || '123456',
+      userType: USER_TYPE.MERCHANT,
+      status: USER_STATUS.ACTIVE,
+      merchantId: 900000000002,
+      merchantStatus: MERCHANT_STATUS.ACTIVE,
+      businessName: '演示食品店',
+      businessType: '个人',
+      contactPerson: '李四',
+      contactPhone: '13800000002',
+      address: '北京市朝阳区演示街2号',
+      shops: [
+        {
+          name: '演示零食小铺',
+          description: '开发环境演示店铺',
+          address: '北京市朝阳区演示街2号',
+          phone: '010-00000002',
+          status: SHOP_STATUS.ACTIVE,
+          products: [
+            {
+              sku: 'DEMO-SNACK-001',
+              name: '演示坚果礼盒',
+              description: '开发环境演示商品',
+              category: '食品饮料',
+              price: 88.00,
+              originalPrice: 108.00,
+              stock: 500,
+              status: PRODUCT_STATUS.ONLINE,
+              tags: ['坚果', '礼盒']
+            },
+            {
+              sku: 'DEMO-TEA-001',
+              name: '演示乌龙茶 250g',
+              description: '开发环境演示商品',
+              category: '食品饮料',
+              price: 59.00,
+              stock: 300,
+              status: PRODUCT_STATUS.ONLINE,
+              tags: ['茶叶']
+            }
+          ]
+        }
+      ]
+    }
+  ],
+
+  // 演示普通用户
+  users: [
+    {
+      username: 'demo_user',
+      email: 'user@example.com',
+      password: process.env.SEED_USER_PASSWORD || '123456',
+      role: USER_ROLE.USER,
+      status: USER_STATUS.ACTIVE
+    }
+  ]
+};
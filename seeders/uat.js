@@ -0,0 +1,69 @@
+/**
+ * UAT环境种子数据
+ * 只包含验收测试所需的最小数据集，账户密码必须通过环境变量提供
+ * 分类和注册配置复用开发环境的定义
+ */
+
+const dev = require('./dev');
+const {
+  USER_ROLE, USER_STATUS, USER_TYPE, MERCHANT_STATUS, SHOP_STATUS, PRODUCT_STATUS
+} = require('../common/constants/status');
+
+module.exports = {
+  admins: [
+    {
+      username: 'uat_admin',
+      email: 'uat-admin@example.com',
+      password: process.env.SEED_ADMIN_PASSWORD,
+      role: USER_ROLE.SUPER_ADMIN,
+      status: USER_STATUS.ACTIVE
+    }
+  ],
+
+  registerConfig: dev.registerConfig,
+
+  categories: dev.categories,
+
+  merchants: [
+    {
+      username: 'uat_merchant',
+      email: 'uat-merchant@example.com',
+      password: process.env.SEED_MERCHANT_PASSWORD,
+      userType: USER_TYPE.MERCHANT,
+      status: USER_STATUS.ACTIVE,
+      merchantId: 910000000001,
+      merchantStatus: MERCHANT_STATUS.ACTIVE,
+      businessName: 'UAT验收商户',
+      businessType: '企业',
+      contactPerson: 'UAT',
+      contactPhone: '13900000001',
+      shops: [
+        {
+          name: 'UAT验收店铺',
+          description: 'UAT环境验收店铺',
+          status: SHOP_STATUS.ACTIVE,
+          products: [
+            {
+              sku: 'UAT-PRODUCT-001',
+              name: 'UAT验收商品A',
+              category: '数码电子',
+              price: 1.00,
+              stock: 1000,
+              status: PRODUCT_STATUS.ONLINE
+            },
+            {
+              sku: 'UAT-PRODUCT-002',
+              name: 'UAT验收商品B',
+              category: '食品饮料',
+              price: 0.01,
+              stock: 1000,
+              status: PRODUCT_STATUS.ONLINE
+            }
+          ]
+        }
+      ]
+    }
+  ],
+
+  users: []
+};
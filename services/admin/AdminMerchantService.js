@@ -0,0 +1,315 @@
+/**
+ * 管理员商户服务
+ * 处理管理端商户管理相关业务逻辑：商户列表、商户详情（店铺、商品统计）、暂停和恢复营业
+ * 说明：商户以 merchantId 标识；审核中和审核拒绝的商户通过入驻审核流程处理，不能在这里直接修改状态
+ */
+
+const BaseService = require('../base/BaseService');
+const NotificationService = require('../common/NotificationService');
+const { Op, fn, col } = require('sequelize');
+const { PREFIX } = require('../../common/redis');
+const { MERCHANT_STATUS, PRODUCT_STATUS, USER_TYPE } = require('../../common/constants/status');
+const { StatusHelper } = require('../../common/utils/statusHelper');
+
+// 商户列表可排序字段
+const SORTABLE_FIELDS = ['created_at', 'lastLoginAt', 'verifiedAt', 'merchantId', 'businessName'];
+
+// 管理员可直接设置的商户状态：正常（恢复营业）、暂停营业、禁用
+const MANAGEABLE_STATUSES = [MERCHANT_STATUS.ACTIVE, MERCHANT_STATUS.SUSPENDED, MERCHANT_STATUS.DISABLED];
+
+class AdminMerchantService extends BaseService {
+  constructor() {
+    super();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * 获取商户列表
+   * @param {Object} filters - 过滤条件 { merchantStatus, status（账户状态）, businessType, search, createdAfter, createdBefore }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sort - 排序参数 { sortBy, sortOrder }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户列表（附带店铺数和商品数）和分页信息
+   */
+  async getMerchantList(filters, pagination, sort, sequelize) {
+    try {
+      this.logAction('获取商户列表', { filters, pagination, sort });
+
+      const User = sequelize.models.User;
+      const where = this.buildMerchantWhereCondition(filters);
+      const sortBy = SORTABLE_FIELDS.includes(sort.sortBy) ? sort.sortBy : 'created_at';
+
+      const { count, rows } = await User.findAndCountAll({
+        where,
+        order: [[sortBy, sort.sortOrder], ['id', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        attributes: { exclude: ['password'] }
+      });
+
+      // 按商户分组统计当前页商户的店铺数和商品数
+      const merchantIds = rows.map(row => row.merchantId);
+      const [shopCounts, productCounts] = await Promise.all([
+        this.countByMerchant(sequelize.models.Shop, merchantIds),
+        this.countByMerchant(sequelize.models.Product, merchantIds)
+      ]);
+
+      const merchants = rows.map(row => ({
+        ...row.toJSON(),
+        shopCount: shopCounts[row.merchantId] || 0,
+        productCount: productCounts[row.merchantId] || 0
+      }));
+
+      this.logAction('获取商户列表成功', { total: count, returned: rows.length });
+
+      return {
+        merchants,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: count,
+          totalPages: Math.ceil(count / pagination.limit)
+        }
+      };
+
+    } catch (error) {
+      this.logError('获取商户列表失败', error, { filters, pagination });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取商户详情
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { merchant, shops, stats, latestApplication }
+   */
+  async getMerchantDetail(merchantId, sequelize) {
+    try {
+      this.logAction('获取商户详情', { merchantId });
+
+      const { User, Shop, Product, MerchantApplication } = sequelize.models;
+
+      const merchant = await User.findOne({
+        where: { merchantId, userType: USER_TYPE.MERCHANT },
+        attributes: { exclude: ['password'] }
+      });
+
+      if (!merchant) {
+        throw new Error('商户不存在');
+      }
+
+      const [shops, productStatusCounts, latestApplication] = await Promise.all([
+        Shop.findAll({
+          where: { merchantId },
+          attributes: ['id', 'name', 'status', 'address', 'phone', 'rating', 'reviewCount', 'createdAt'],
+          order: [['createdAt', 'ASC']]
+        }),
+        Product.findAll({
+          where: { merchantId },
+          attributes: ['status', [fn('COUNT', col('id')), 'count']],
+          group: ['status'],
+          raw: true
+        }),
+        MerchantApplication.findOne({
+          where: { merchantId },
+          attributes: ['id', 'status', 'rejectReason', 'reviewedAt', 'createdAt'],
+          order: [['createdAt', 'DESC'], ['id', 'DESC']]
+        })
+      ]);
+
+      // 商品按状态统计，未出现的状态补0
+      const productsByStatus = {};
+      Object.values(PRODUCT_STATUS).forEach(status => {
+        productsByStatus[status] = 0;
+      });
+      productStatusCounts.forEach(item => {
+        productsByStatus[item.status] = parseInt(item.count);
+      });
+
+      const stats = {
+        shopCount: shops.length,
+        productCount: Object.values(productsByStatus).reduce((sum, count) => sum + count, 0),
+        productsByStatus
+      };
+
+      this.logAction('获取商户详情成功', { merchantId });
+
+      return {
+        merchant,
+        shops,
+        stats,
+        latestApplication
+      };
+
+    } catch (error) {
+      this.logError('获取商户详情失败', error, { merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新商户状态：暂停营业、禁用或恢复正常
+   * 只有通过入驻审核（有认证时间）的商户才能恢复为正常；店铺和商品状态保持不变，
+   * 商户暂停期间无法登录商户端和进行经营操作，如需下架店铺请通过店铺管理单独处理
+   * @param {number} merchantId - 商户ID
+   * @param {number} status - 新状态
+   * @param {string} reason - 操作原因（暂停和禁用时必填，会通知商户）
+   * @param {number} operatorId - 操作管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateMerchantStatus(merchantId, status, reason, operatorId, sequelize) {
+    try {
+      this.logAction('更新商户状态', { merchantId, status, operatorId });
+
+      if (!MANAGEABLE_STATUSES.includes(status)) {
+        throw new Error('商户状态验证失败: 只能设置为正常、暂停营业或禁用');
+      }
+
+      const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+      if (status !== MERCHANT_STATUS.ACTIVE && !trimmedReason) {
+        throw new Error('商户状态验证失败: 暂停或禁用商户时必须填写原因');
+      }
+      if (trimmedReason.length > 500) {
+        throw new Error('商户状态验证失败: 原因不能超过500个字符');
+      }
+
+      const User = sequelize.models.User;
+
+      const merchant = await User.findOne({
+        where: { merchantId, userType: USER_TYPE.MERCHANT }
+      });
+
+      if (!merchant) {
+        throw new Error('商户不存在');
+      }
+
+      const oldStatus = merchant.merchantStatus;
+
+      if (oldStatus === MERCHANT_STATUS.PENDING || oldStatus === MERCHANT_STATUS.REJECTED) {
+        throw new Error('商户状态验证失败: 商户尚未通过入驻审核，请通过入驻审核处理');
+      }
+      if (status === MERCHANT_STATUS.ACTIVE && !merchant.verifiedAt) {
+        throw new Error('商户状态验证失败: 商户未完成入驻认证，不能恢复为正常');
+      }
+
+      if (oldStatus !== status) {
+        await merchant.update({ merchantStatus: status });
+
+        // 清除认证中间件缓存的商户信息，使新状态立即生效
+        await this.cache.delete(PREFIX.USER, merchant.id);
+
+        await this.notifyStatusChange(merchant, status, trimmedReason);
+      }
+
+      this.logAction('更新商户状态成功', { merchantId, oldStatus, newStatus: status, reason: trimmedReason, operatorId });
+
+      return {
+        merchantId,
+        oldStatus,
+        newStatus: status,
+        statusText: StatusHelper.getDescription('MERCHANT_STATUS', status),
+        updatedAt: new Date()
+      };
+
+    } catch (error) {
+      this.logError('更新商户状态失败', error, { merchantId, status });
+      throw error;
+    }
+  }
+
+  /**
+   * 发送商户状态变更通知（站内信和邮件），通知失败只记录日志
+   * @param {Object} merchant - 商户用户
+   * @param {number} status - 新状态
+   * @param {string} reason - 操作原因
+   */
+  async notifyStatusChange(merchant, status, reason) {
+    try {
+      const templateType = status === MERCHANT_STATUS.ACTIVE ? 'merchantReinstated' : 'merchantSuspended';
+      const { title, content } = this.notificationService.createNotificationFromTemplate(templateType, {
+        businessName: merchant.businessName || merchant.username,
+        reason
+      });
+      const { IN_APP, EMAIL } = this.notificationService.notificationTypes;
+
+      const notifications = [{ type: IN_APP, recipient: String(merchant.id), title, content, subType: 'merchant_status' }];
+      if (merchant.email) {
+        notifications.push({ type: EMAIL, recipient: merchant.email, title, content });
+      }
+
+      await this.notificationService.sendBatchNotifications(notifications);
+
+    } catch (error) {
+      this.logError('发送商户状态通知失败', error, { userId: merchant.id, status });
+    }
+  }
+
+  /**
+   * 按商户分组统计记录数
+   * @param {Object} Model - 模型（Shop 或 Product）
+   * @param {Array<number>} merchantIds - 商户ID列表
+   * @returns {Promise<Object>} { merchantId: count }
+   */
+  async countByMerchant(Model, merchantIds) {
+    if (merchantIds.length === 0) {
+      return {};
+    }
+
+    const rows = await Model.findAll({
+      where: { merchantId: { [Op.in]: merchantIds } },
+      attributes: ['merchantId', [fn('COUNT', col('id')), 'count']],
+      group: ['merchantId'],
+      raw: true
+    });
+
+    const counts = {};
+    rows.forEach(row => {
+      counts[row.merchantId] = parseInt(row.count);
+    });
+    return counts;
+  }
+
+  /**
+   * 构建商户查询条件
+   * @param {Object} filters - 过滤条件
+   * @returns {Object} 查询条件
+   */
+  buildMerchantWhereCondition(filters) {
+    const where = { userType: USER_TYPE.MERCHANT };
+
+    if (filters.merchantStatus !== undefined) {
+      where.merchantStatus = filters.merchantStatus;
+    }
+
+    if (filters.status !== undefined) {
+      where.status = filters.status;
+    }
+
+    if (filters.businessType) {
+      where.businessType = filters.businessType;
+    }
+
+    if (filters.search) {
+      where[Op.or] = [
+        { username: { [Op.like]: `%${filters.search}%` } },
+        { email: { [Op.like]: `%${filters.search}%` } },
+        { businessName: { [Op.like]: `%${filters.search}%` } },
+        { contactPhone: { [Op.like]: `%${filters.search}%` } }
+      ];
+    }
+
+    if (filters.createdAfter) {
+      where.created_at = { [Op.gte]: new Date(filters.createdAfter) };
+    }
+
+    if (filters.createdBefore) {
+      where.created_at = { ...where.created_at, [Op.lte]: new Date(filters.createdBefore) };
+    }
+
+    return where;
+  }
+}
+
+module.exports = AdminMerchantService;
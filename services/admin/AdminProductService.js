@@ -0,0 +1,197 @@
+/**
+ * 管理员商品服务
+ * 处理管理端商品管理相关业务逻辑：跨商户的商品列表、商品详情和商品状态管理（如强制下架违规商品）
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op } = require('sequelize');
+const { StatusHelper } = require('../../common/utils/statusHelper');
+
+// 商品列表可排序字段
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'price', 'stock', 'saleCount', 'rating'];
+
+class AdminProductService extends BaseService {
+  /**
+   * 获取商品列表
+   * @param {Object} filters - 过滤条件 { merchantId, shopId, categoryId, status, search, minPrice, maxPrice }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sort - 排序参数 { sortBy, sortOrder }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商品列表和分页信息
+   */
+  async getProductList(filters, pagination, sort, sequelize) {
+    try {
+      this.logAction('获取商品列表', { filters, pagination, sort });
+
+      const { Product, Shop, Category } = sequelize.models;
+      const where = this.buildProductWhereCondition(filters);
+      const sortBy = SORTABLE_FIELDS.includes(sort.sortBy) ? sort.sortBy : 'createdAt';
+
+      const { count, rows } = await Product.findAndCountAll({
+        where,
+        include: [
+          { model: Shop, as: 'shop', attributes: ['id', 'name', 'status'] },
+          { model: Category, as: 'category', attributes: ['id', 'name'] }
+        ],
+        order: [[sortBy, sort.sortOrder], ['id', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        distinct: true
+      });
+
+      this.logAction('获取商品列表成功', { total: count, returned: rows.length });
+
+      return {
+        products: rows,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: count,
+          totalPages: Math.ceil(count / pagination.limit)
+        }
+      };
+
+    } catch (error) {
+      this.logError('获取商品列表失败', error, { filters, pagination });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取商品详情
+   * @param {number} productId - 商品ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { product, merchant }
+   */
+  async getProductDetail(productId, sequelize) {
+    try {
+      this.logAction('获取商品详情', { productId });
+
+      const { Product, Shop, Category, User } = sequelize.models;
+
+      const product = await Product.findByPk(productId, {
+        include: [
+          { model: Shop, as: 'shop', attributes: ['id', 'name', 'status', 'phone'] },
+          { model: Category, as: 'category', attributes: ['id', 'name', 'path'] }
+        ]
+      });
+
+      if (!product) {
+        throw new Error('商品不存在');
+      }
+
+      const merchant = await User.findOne({
+        where: { merchantId: product.merchantId },
+        attributes: ['id', 'merchantId', 'username', 'businessName', 'merchantStatus']
+      });
+
+      this.logAction('获取商品详情成功', { productId });
+
+      return { product, merchant };
+
+    } catch (error) {
+      this.logError('获取商品详情失败', error, { productId });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新商品状态
+   * 管理员可以下架违规商品或恢复商品状态，更新时同步递增版本号，使商户端持有的旧版本失效
+   * @param {number} productId - 商品ID
+   * @param {number} status - 新状态
+   * @param {string} reason - 操作原因
+   * @param {number} operatorId - 操作管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateProductStatus(productId, status, reason, operatorId, sequelize) {
+    try {
+      this.logAction('更新商品状态', { productId, status, operatorId });
+
+      if (!StatusHelper.isValidStatus('PRODUCT_STATUS', status)) {
+        throw new Error('商品状态验证失败: 无效的商品状态');
+      }
+
+      const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+      if (trimmedReason.length > 500) {
+        throw new Error('商品状态验证失败: 原因不能超过500个字符');
+      }
+
+      const Product = sequelize.models.Product;
+
+      const product = await Product.findByPk(productId, { attributes: ['id', 'merchantId', 'shopId', 'status'] });
+
+      if (!product) {
+        throw new Error('商品不存在');
+      }
+
+      const oldStatus = product.status;
+
+      if (oldStatus !== status) {
+        const updateData = { status };
+        if (Product.rawAttributes.version) {
+          updateData.version = sequelize.literal('version + 1');
+        }
+        await Product.update(updateData, { where: { id: productId } });
+      }
+
+      this.logAction('更新商品状态成功', {
+        productId,
+        merchantId: product.merchantId,
+        shopId: product.shopId,
+        oldStatus,
+        newStatus: status,
+        reason: trimmedReason,
+        operatorId
+      });
+
+      return {
+        productId,
+        oldStatus,
+        newStatus: status,
+        statusText: StatusHelper.getDescription('PRODUCT_STATUS', status),
+        updatedAt: new Date()
+      };
+
+    } catch (error) {
+      this.logError('更新商品状态失败', error, { productId, status });
+      throw error;
+    }
+  }
+
+  /**
+   * 构建商品查询条件
+   * @param {Object} filters - 过滤条件
+   * @returns {Object} 查询条件
+   */
+  buildProductWhereCondition(filters) {
+    const where = {};
+
+    ['merchantId', 'shopId', 'categoryId', 'status'].forEach(field => {
+      if (filters[field] !== undefined) {
+        where[field] = filters[field];
+      }
+    });
+
+    if (filters.search) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${filters.search}%` } },
+        { sku: { [Op.like]: `%${filters.search}%` } },
+        { barcode: { [Op.like]: `%${filters.search}%` } }
+      ];
+    }
+
+    if (filters.minPrice !== undefined) {
+      where.price = { [Op.gte]: filters.minPrice };
+    }
+
+    if (filters.maxPrice !== undefined) {
+      where.price = { ...where.price, [Op.lte]: filters.maxPrice };
+    }
+
+    return where;
+  }
+}
+
+module.exports = AdminProductService;
@@ -0,0 +1,212 @@
+/**
+ * 管理员店铺服务
+ * 处理管理端店铺管理相关业务逻辑：跨商户的店铺列表、店铺详情和店铺状态管理
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op, fn, col } = require('sequelize');
+const { PRODUCT_STATUS } = require('../../common/constants/status');
+const { StatusHelper } = require('../../common/utils/statusHelper');
+
+// 店铺列表可排序字段
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'name', 'rating', 'reviewCount'];
+
+// 店铺关联的商户信息字段
+const MERCHANT_ATTRIBUTES = ['id', 'merchantId', 'username', 'businessName', 'merchantStatus'];
+
+class AdminShopService extends BaseService {
+  /**
+   * 获取店铺列表
+   * @param {Object} filters - 过滤条件 { merchantId, status, search, createdAfter, createdBefore }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sort - 排序参数 { sortBy, sortOrder }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 店铺列表和分页信息
+   */
+  async getShopList(filters, pagination, sort, sequelize) {
+    try {
+      this.logAction('获取店铺列表', { filters, pagination, sort });
+
+      const { Shop, User } = sequelize.models;
+      const where = this.buildShopWhereCondition(filters);
+      const sortBy = SORTABLE_FIELDS.includes(sort.sortBy) ? sort.sortBy : 'createdAt';
+
+      const { count, rows } = await Shop.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'merchant', attributes: MERCHANT_ATTRIBUTES }],
+        order: [[sortBy, sort.sortOrder], ['id', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        distinct: true
+      });
+
+      this.logAction('获取店铺列表成功', { total: count, returned: rows.length });
+
+      return {
+        shops: rows,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: count,
+          totalPages: Math.ceil(count / pagination.limit)
+        }
+      };
+
+    } catch (error) {
+      this.logError('获取店铺列表失败', error, { filters, pagination });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取店铺详情
+   * @param {number} shopId - 店铺ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { shop, stats }
+   */
+  async getShopDetail(shopId, sequelize) {
+    try {
+      this.logAction('获取店铺详情', { shopId });
+
+      const { Shop, User, Product } = sequelize.models;
+
+      const shop = await Shop.findByPk(shopId, {
+        include: [{ model: User, as: 'merchant', attributes: [...MERCHANT_ATTRIBUTES, 'email', 'contactPerson', 'contactPhone'] }]
+      });
+
+      if (!shop) {
+        throw new Error('店铺不存在');
+      }
+
+      const productStatusCounts = await Product.findAll({
+        where: { shopId },
+        attributes: ['status', [fn('COUNT', col('id')), 'count']],
+        group: ['status'],
+        raw: true
+      });
+
+      // 商品按状态统计，未出现的状态补0
+      const productsByStatus = {};
+      Object.values(PRODUCT_STATUS).forEach(status => {
+        productsByStatus[status] = 0;
+      });
+      productStatusCounts.forEach(item => {
+        productsByStatus[item.status] = parseInt(item.count);
+      });
+
+      const stats = {
+        productCount: Object.values(productsByStatus).reduce((sum, count) => sum + count, 0),
+        productsByStatus
+      };
+
+      this.logAction('获取店铺详情成功', { shopId });
+
+      return { shop, stats };
+
+    } catch (error) {
+      this.logError('获取店铺详情失败', error, { shopId });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新店铺状态
+   * 管理员可以禁用、关闭或恢复任意商户的店铺，更新时同步递增版本号，使商户端持有的旧版本失效
+   * @param {number} shopId - 店铺ID
+   * @param {number} status - 新状态
+   * @param {string} reason - 操作原因
+   * @param {number} operatorId - 操作管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateShopStatus(shopId, status, reason, operatorId, sequelize) {
+    try {
+      this.logAction('更新店铺状态', { shopId, status, operatorId });
+
+      if (!StatusHelper.isValidStatus('SHOP_STATUS', status)) {
+        throw new Error('店铺状态验证失败: 无效的店铺状态');
+      }
+
+      const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+      if (trimmedReason.length > 500) {
+        throw new Error('店铺状态验证失败: 原因不能超过500个字符');
+      }
+
+      const Shop = sequelize.models.Shop;
+
+      const shop = await Shop.findByPk(shopId, { attributes: ['id', 'merchantId', 'status'] });
+
+      if (!shop) {
+        throw new Error('店铺不存在');
+      }
+
+      const oldStatus = shop.status;
+
+      if (oldStatus !== status) {
+        const updateData = { status };
+        if (Shop.rawAttributes.version) {
+          updateData.version = sequelize.literal('version + 1');
+        }
+        await Shop.update(updateData, { where: { id: shopId } });
+      }
+
+      this.logAction('更新店铺状态成功', {
+        shopId,
+        merchantId: shop.merchantId,
+        oldStatus,
+        newStatus: status,
+        reason: trimmedReason,
+        operatorId
+      });
+
+      return {
+        shopId,
+        oldStatus,
+        newStatus: status,
+        statusText: StatusHelper.getDescription('SHOP_STATUS', status),
+        updatedAt: new Date()
+      };
+
+    } catch (error) {
+      this.logError('更新店铺状态失败', error, { shopId, status });
+      throw error;
+    }
+  }
+
+  /**
+   * 构建店铺查询条件
+   * @param {Object} filters - 过滤条件
+   * @returns {Object} 查询条件
+   */
+  buildShopWhereCondition(filters) {
+    const where = {};
+
+    if (filters.merchantId !== undefined) {
+      where.merchantId = filters.merchantId;
+    }
+
+    if (filters.status !== undefined) {
+      where.status = filters.status;
+    }
+
+    if (filters.search) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${filters.search}%` } },
+        { address: { [Op.like]: `%${filters.search}%` } },
+        { phone: { [Op.like]: `%${filters.search}%` } }
+      ];
+    }
+
+    if (filters.createdAfter) {
+      where.createdAt = { [Op.gte]: new Date(filters.createdAfter) };
+    }
+
+    if (filters.createdBefore) {
+      where.createdAt = { ...where.createdAt, [Op.lte]: new Date(filters.createdBefore) };
+    }
+
+    return where;
+  }
+}
+
+module.exports = AdminShopService;
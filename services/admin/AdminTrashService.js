@@ -0,0 +1,295 @@
+/**
+ * 管理员回收站服务
+ * 处理已软删除的用户、店铺、商品：查看、恢复、彻底删除，以及超过保留期的定期清理
+ */
+
+const BaseService = require('../base/BaseService');
+const MerchantShopService = require('../merchant/MerchantShopService');
+const { Op } = require('sequelize');
+const { PREFIX } = require('../../common/redis');
+const { USER_TYPE } = require('../../common/constants/status');
+
+class AdminTrashService extends BaseService {
+  constructor() {
+    super();
+    this.merchantShopService = new MerchantShopService();
+    // 软删除数据的保留天数，超过后由定时任务彻底删除
+    this.retentionDays = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+    // 每次定期清理每类数据最多处理的条数
+    this.purgeBatchSize = 500;
+    // 支持回收站操作的资源，按彻底删除的依赖顺序排列（先商品，再店铺，最后用户）
+    this.resources = {
+      products: { model: 'Product', label: '商品' },
+      shops: { model: 'Shop', label: '店铺' },
+      users: { model: 'User', label: '用户' }
+    };
+  }
+
+  /**
+   * 获取资源配置
+   * @param {string} resource - 资源类型（users/shops/products）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Object} { Model, deletedAtField, label }
+   */
+  getResource(resource, sequelize) {
+    const config = this.resources[resource];
+    if (!config) {
+      throw new Error(`回收站参数验证失败: 不支持的资源类型 ${resource}`);
+    }
+
+    const Model = sequelize.models[config.model];
+    return {
+      Model,
+      deletedAtField: Model.options.deletedAt,
+      label: config.label
+    };
+  }
+
+  /**
+   * 获取已删除的记录列表
+   * @param {string} resource - 资源类型
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 记录列表和分页信息
+   */
+  async getDeletedList(resource, pagination, sequelize) {
+    try {
+      this.logAction('获取回收站列表', { resource, pagination });
+
+      const { Model, deletedAtField } = this.getResource(resource, sequelize);
+
+      const { count, rows } = await Model.findAndCountAll({
+        where: { [deletedAtField]: { [Op.ne]: null } },
+        order: [[deletedAtField, 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        paranoid: false,
+        attributes: resource === 'users' ? { exclude: ['password'] } : undefined
+      });
+
+      return {
+        items: rows,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: count,
+          totalPages: Math.ceil(count / pagination.limit)
+        },
+        retentionDays: this.retentionDays
+      };
+
+    } catch (error) {
+      this.logError('获取回收站列表失败', error, { resource });
+      throw error;
+    }
+  }
+
+  /**
+   * 恢复已删除的记录
+   * @param {string} resource - 资源类型
+   * @param {number} id - 记录ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 恢复后的记录
+   */
+  async restore(resource, id, sequelize) {
+    try {
+      this.logAction('恢复已删除数据', { resource, id });
+
+      const { Model, label } = this.getResource(resource, sequelize);
+      const record = await this.findDeleted(Model, id, label);
+
+      if (resource === 'products') {
+        // 所属店铺已删除时不能单独恢复商品
+        const shop = await sequelize.models.Shop.findByPk(record.shopId);
+        if (!shop) {
+          throw new Error('所属店铺已删除，请先恢复店铺');
+        }
+      }
+
+      if (resource === 'shops') {
+        // 所属商户已删除时不能单独恢复店铺
+        const merchant = await sequelize.models.User.findOne({
+          where: { merchantId: record.merchantId, userType: USER_TYPE.MERCHANT }
+        });
+        if (!merchant) {
+          throw new Error('所属商户已删除，请先恢复商户');
+        }
+      }
+
+      await record.restore();
+
+      if (resource === 'shops') {
+        // 恢复后重新加入商户的店铺ID列表
+        await this.merchantShopService.updateMerchantShopIds(record.merchantId, record.id, 'add', sequelize);
+      }
+      if (resource === 'users') {
+        await this.cache.delete(PREFIX.USER, record.id);
+      }
+
+      this.logAction('恢复已删除数据成功', { resource, id });
+
+      return resource === 'users' ? this.sanitizeUser(record) : record;
+
+    } catch (error) {
+      this.logError('恢复已删除数据失败', error, { resource, id });
+      throw error;
+    }
+  }
+
+  /**
+   * 彻底删除记录（只能删除已在回收站中的记录）
+   * @param {string} resource - 资源类型
+   * @param {number} id - 记录ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<number>} 成功状态
+   */
+  async purge(resource, id, sequelize) {
+    try {
+      this.logAction('彻底删除数据', { resource, id });
+
+      const { Model, label } = this.getResource(resource, sequelize);
+      const record = await this.findDeleted(Model, id, label);
+
+      await this.purgeRecord(resource, record, sequelize);
+
+      this.logAction('彻底删除数据成功', { resource, id });
+      return 1;
+
+    } catch (error) {
+      this.logError('彻底删除数据失败', error, { resource, id });
+      throw error;
+    }
+  }
+
+  /**
+   * 清理超过保留期的软删除数据
+   * 存在关联订单等无法彻底删除的记录会被跳过并计数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 各资源的清理结果 { resource: { purged, skipped } }
+   */
+  async purgeExpired(sequelize) {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 3600 * 1000);
+    const summary = {};
+
+    this.logAction('开始清理过期软删除数据', { retentionDays: this.retentionDays, cutoff });
+
+    for (const resource of Object.keys(this.resources)) {
+      const { Model, deletedAtField } = this.getResource(resource, sequelize);
+      const records = await Model.findAll({
+        where: { [deletedAtField]: { [Op.lt]: cutoff } },
+        order: [[deletedAtField, 'ASC']],
+        limit: this.purgeBatchSize,
+        paranoid: false
+      });
+
+      summary[resource] = { purged: 0, skipped: 0 };
+
+      for (const record of records) {
+        try {
+          await this.purgeRecord(resource, record, sequelize);
+          summary[resource].purged++;
+        } catch (error) {
+          summary[resource].skipped++;
+          this.logInfo('跳过无法清理的数据', { resource, id: record.id, reason: error.message });
+        }
+      }
+    }
+
+    this.logAction('清理过期软删除数据完成', summary);
+    return summary;
+  }
+
+  /**
+   * 彻底删除单条记录，删除前检查依赖并清理附属数据
+   * 商品的附属数据（规格、规格定义、库存流水、价格历史、调价计划）在同一事务中一并删除
+   * @param {string} resource - 资源类型
+   * @param {Object} record - 已软删除的记录
+   * @param {Object} sequelize - 数据库实例
+   */
+  async purgeRecord(resource, record, sequelize) {
+    const {
+      Order, OrderItem, Product, Shop, Cart,
+      ProductVariant, ProductOption, StockMovement, PriceHistory, PriceSchedule
+    } = sequelize.models;
+
+    await this.executeTransaction(async (transaction) => {
+      if (resource === 'products') {
+        const orderItemCount = await OrderItem.count({ where: { productId: record.id }, transaction });
+        if (orderItemCount > 0) {
+          throw new Error('商品存在关联订单，无法彻底删除');
+        }
+        await Cart.destroy({ where: { productId: record.id }, transaction });
+
+        // 规格随商品彻底删除（规格是软删除模型，需强制删除）
+        await ProductVariant.destroy({ where: { productId: record.id }, force: true, transaction });
+        await ProductOption.destroy({ where: { productId: record.id }, transaction });
+
+        // 库存流水和价格历史只记录该商品自身的变动，且已确认没有订单引用该商品，
+        // 商品删除后不再有查询入口，随商品一并删除；未执行的调价计划也不能再生效
+        await PriceHistory.destroy({ where: { productId: record.id }, transaction });
+        await PriceSchedule.destroy({ where: { productId: record.id }, transaction });
+        await StockMovement.destroy({ where: { productId: record.id }, transaction });
+      }
+
+      if (resource === 'shops') {
+        const orderCount = await Order.count({ where: { shopId: record.id }, transaction });
+        if (orderCount > 0) {
+          throw new Error('店铺存在关联订单，无法彻底删除');
+        }
+        const productCount = await Product.count({ where: { shopId: record.id }, paranoid: false, transaction });
+        if (productCount > 0) {
+          throw new Error('店铺下仍有商品（含已删除商品），无法彻底删除');
+        }
+      }
+
+      if (resource === 'users') {
+        const orderCount = await Order.count({ where: { userId: record.id }, transaction });
+        if (orderCount > 0) {
+          throw new Error('用户存在关联订单，无法彻底删除');
+        }
+        if (record.merchantId) {
+          const shopCount = await Shop.count({ where: { merchantId: record.merchantId }, paranoid: false, transaction });
+          if (shopCount > 0) {
+            throw new Error('商户下仍有店铺（含已删除店铺），无法彻底删除');
+          }
+        }
+        await Cart.destroy({ where: { userId: record.id }, transaction });
+      }
+
+      await record.destroy({ force: true, transaction });
+    }, sequelize);
+
+    if (resource === 'users') {
+      await this.cache.delete(PREFIX.USER, record.id);
+    }
+  }
+
+  /**
+   * 查找已软删除的记录
+   * @param {Object} Model - 模型
+   * @param {number} id - 记录ID
+   * @param {string} label - 资源名称
+   * @returns {Promise<Object>} 记录
+   */
+  async findDeleted(Model, id, label) {
+    const record = await Model.findByPk(id, { paranoid: false });
+
+    if (!record || !record.isSoftDeleted()) {
+      throw new Error(`回收站中不存在该${label}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * 移除用户敏感信息
+   * @param {Object} user - 用户记录
+   * @returns {Object} 用户信息
+   */
+  sanitizeUser(user) {
+    const { password, ...userInfo } = user.toJSON();
+    return userInfo;
+  }
+}
+
+module.exports = AdminTrashService;
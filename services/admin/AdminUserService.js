@@ -8,11 +8,14 @@ const { Op } = require('sequelize');
 const bcrypt = require('bcrypt');
 const { USER_STATUS, USER_ROLE, COMMON_STATUS } = require('../../common/constants/status');
 const { StatusHelper } = require('../../common/utils/statusHelper');
+const LoginLogService = require('../common/LoginLogService');
+const { PREFIX } = require('../../common/redis');
 
 class AdminUserService extends BaseService {
   constructor() {
     super();
     this.saltRounds = 12;
+    this.loginLogService = new LoginLogService();
   }
 
   /**
@@ -97,6 +100,42 @@ class AdminUserService extends BaseService {
     }
   }
 
+  /**
+   * 获取用户登录历史
+   * @param {number} userId - 用户ID
+   * @param {Object} filters - 筛选条件 { success, user_type }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 登录记录和分页信息
+   */
+  async getUserLoginHistory(userId, filters, pagination, sequelize) {
+    try {
+      this.logAction('获取用户登录历史', { userId, filters });
+
+      const User = sequelize.models.User;
+      const user = await User.findByPk(userId, { attributes: ['id'] });
+      if (!user) {
+        throw new Error('用户不存在');
+      }
+
+      const result = await this.loginLogService.getLoginHistory(userId, filters, pagination, sequelize);
+
+      return {
+        logs: result.logs,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        }
+      };
+
+    } catch (error) {
+      this.logError('获取用户登录历史失败', error, { userId });
+      throw error;
+    }
+  }
+
   /**
    * 创建用户
    * @param {Object} userData - 用户数据
@@ -122,7 +161,8 @@ class AdminUserService extends BaseService {
             { username: userData.username },
             { email: userData.email }
           ]
-        }
+        },
+        paranoid: false // 已软删除的用户仍占用用户名和邮箱
       });
 
       if (existingUser) {
@@ -330,6 +370,9 @@ class AdminUserService extends BaseService {
         updated_at: new Date()
       });
 
+      // 清除认证中间件缓存的用户信息，使重置前签发的令牌立即失效
+      await this.cache.delete(PREFIX.USER, userId);
+
       this.logAction('重置用户密码成功', { userId });
 
       return COMMON_STATUS.SUCCESS;
@@ -357,11 +400,12 @@ class AdminUserService extends BaseService {
         throw new Error('用户不存在');
       }
 
-      // 软删除或硬删除（根据业务需求）
+      // 软删除（写入 deleted_at，可在回收站恢复，超过保留期后由定时任务彻底删除）
       await user.destroy();
 
-      // 清除相关缓存
+      // 清除相关缓存（包括认证中间件缓存的用户信息，使已删除用户立即失去访问权限）
       await this.clearCache([`user_${userId}`, 'user_list', 'user_stats']);
+      await this.cache.delete(PREFIX.USER, userId);
 
       this.logAction('删除用户成功', { userId, username: user.username });
 
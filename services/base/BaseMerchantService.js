@@ -7,6 +7,8 @@
 
 // 引入基础服务类，提供通用的服务功能
 const BaseService = require('./BaseService');
+// 引入Sequelize操作符，用于构建查询条件
+const { Op } = require('sequelize');
 const { MERCHANT_STATUS, COMMON_STATUS } = require('../../common/constants/status');
 
 class BaseMerchantService extends BaseService {
@@ -112,7 +114,7 @@ class BaseMerchantService extends BaseService {
     if (shopIds !== null) {
       if (Array.isArray(shopIds)) {
         if (shopIds.length > 0) {
-          query.shopId = { $in: shopIds };
+          query.shopId = { [Op.in]: shopIds };
         }
       } else {
         query.shopId = shopIds;
@@ -138,7 +140,8 @@ class BaseMerchantService extends BaseService {
         include = [],
         attributes = null,
         order = [['createdAt', 'DESC']],
-        raw = false
+        raw = false,
+        distinct = false
       } = options;
 
       // 获取模型
@@ -162,6 +165,8 @@ class BaseMerchantService extends BaseService {
 
       if (include.length > 0) {
         queryOptions.include = include;
+        // 关联一对多模型时按主键去重计数，避免总数被明细行放大
+        queryOptions.distinct = distinct;
       }
 
       // 执行查询
@@ -232,9 +237,10 @@ class BaseMerchantService extends BaseService {
    * @param {Object} updateData - 更新数据
    * @param {Object} sequelize - 数据库连接对象
    * @param {string} modelName - 模型名称
+   * @param {Object} options - 选项 { expectedVersion: 客户端持有的版本号（来自 If-Match），版本不一致时拒绝更新；transaction: 事务对象（可选） }
    * @returns {Object} 更新后的数据对象
    */
-  async updateMerchantData(dataId, merchantId, updateData, sequelize, modelName) {
+  async updateMerchantData(dataId, merchantId, updateData, sequelize, modelName, options = {}) {
     try {
       if (!dataId || !merchantId) {
         throw new Error('数据ID和商户ID不能为空');
@@ -247,33 +253,51 @@ class BaseMerchantService extends BaseService {
       }
 
       // 先查找数据，确保存在且属于该商户
+      const { expectedVersion, transaction = null } = options;
       const existingData = await Model.findOne({
         where: {
           id: dataId,
           merchantId: merchantId
-        }
+        },
+        transaction
       });
 
       if (!existingData) {
         throw new Error('数据不存在或无权访问');
       }
 
+      // 带版本号的模型使用乐观锁：每次更新版本号加1，指定 expectedVersion 时只在版本一致时更新
+      const versioned = Boolean(Model.rawAttributes.version);
+      if (versioned && expectedVersion != null && existingData.version !== expectedVersion) {
+        throw new Error('数据版本冲突: 数据已被其他人修改，请刷新后重试');
+      }
+
       // 添加更新时间
       const dataWithTimestamp = {
         ...updateData,
         updatedAt: new Date()
       };
+      if (versioned) {
+        dataWithTimestamp.version = sequelize.literal('version + 1');
+      }
 
-      // 执行更新
-      await Model.update(dataWithTimestamp, {
-        where: {
-          id: dataId,
-          merchantId: merchantId
-        }
-      });
+      const where = {
+        id: dataId,
+        merchantId: merchantId
+      };
+      if (versioned && expectedVersion != null) {
+        where.version = expectedVersion;
+      }
+
+      // 执行更新（条件更新，读取与写入之间被其他请求修改时影响行数为0）
+      const [affectedCount] = await Model.update(dataWithTimestamp, { where, transaction });
+
+      if (versioned && expectedVersion != null && affectedCount === 0) {
+        throw new Error('数据版本冲突: 数据已被其他人修改，请刷新后重试');
+      }
 
       // 返回更新后的数据
-      const updatedData = await Model.findByPk(dataId);
+      const updatedData = await Model.findByPk(dataId, { transaction });
       
       this.logInfo(`商户数据更新成功`, { 
         modelName, 
@@ -325,7 +349,16 @@ class BaseMerchantService extends BaseService {
 
       let result;
       if (hardDelete) {
-        // 硬删除
+        // 硬删除（force 跳过软删除，直接删除记录）
+        result = await Model.destroy({
+          where: {
+            id: dataId,
+            merchantId: merchantId
+          },
+          force: true
+        });
+      } else if (Model.options.paranoid) {
+        // 软删除（模型启用 paranoid 时由 Sequelize 写入删除时间，后续查询自动排除）
         result = await Model.destroy({
           where: {
             id: dataId,
@@ -333,7 +366,7 @@ class BaseMerchantService extends BaseService {
           }
         });
       } else {
-        // 软删除（更新删除标记）
+        // 软删除（未启用 paranoid 的模型手动更新删除标记）
         result = await Model.update({
           deletedAt: new Date(),
           updatedAt: new Date()
@@ -389,7 +422,7 @@ class BaseMerchantService extends BaseService {
       // 先查找所有属于该商户的数据
       const existingData = await Model.findAll({
         where: {
-          id: { $in: dataIds },
+          id: { [Op.in]: dataIds },
           merchantId: merchantId
         },
         attributes: ['id']
@@ -406,7 +439,7 @@ class BaseMerchantService extends BaseService {
 
       const [affectedCount] = await Model.update(dataWithTimestamp, {
         where: {
-          id: { $in: existingIds },
+          id: { [Op.in]: existingIds },
           merchantId: merchantId
         }
       });
@@ -90,7 +90,7 @@ class BaseService {
       const keyArray = Array.isArray(keys) ? keys : [keys];
       
       for (const key of keyArray) {
-        await this.cache.del('service', key);
+        await this.cache.delete('service', key);
       }
       
       this.logger.info('缓存清除成功', { keys: keyArray });
@@ -226,6 +226,18 @@ class BaseService {
     });
   }
 
+  /**
+   * 记录服务信息日志
+   * @param {string} message - 日志消息
+   * @param {Object} details - 详细信息
+   */
+  logInfo(message, details = {}) {
+    this.logger.info(message, {
+      service: this.constructor.name,
+      ...details
+    });
+  }
+
   /**
    * 记录服务错误日志
    * @param {string} action - 操作类型
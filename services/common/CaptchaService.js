@@ -0,0 +1,245 @@
+/**
+ * 验证码服务
+ * 生成图形验证码（字母数字）和数字验证码，均以SVG图片返回；验证码保存在Redis中并带有过期时间，只能使用一次
+ * 同时记录登录失败次数：同一账号或同一IP在时间窗口内连续登录失败达到阈值后，登录需要填写验证码
+ * 说明：字符以折线路径绘制而不是 <text> 元素，SVG源码中不包含验证码明文
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const VerificationCodeService = require('./VerificationCodeService');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+
+// 验证码场景，与 VerificationCodeService 中的键空间对应
+const CAPTCHA_SCENE = 'captcha';
+
+// 验证码类型：image 字母数字混合，numeric 纯数字（便于移动端输入）
+const CAPTCHA_TYPES = {
+  IMAGE: 'image',
+  NUMERIC: 'numeric'
+};
+
+// 字符集：去掉容易混淆的 0/O、1/I/L、9/g 等字符
+const CHARSETS = {
+  [CAPTCHA_TYPES.IMAGE]: 'ABCDEFGHKMNPRTUVWXY2345678',
+  [CAPTCHA_TYPES.NUMERIC]: '0123456789'
+};
+
+// 字形定义：10x14 网格中的折线，每个字符由一条或多条折线组成
+const GLYPHS = {
+  0: [[[2, 0], [8, 0], [10, 2], [10, 12], [8, 14], [2, 14], [0, 12], [0, 2], [2, 0]]],
+  1: [[[3, 3], [6, 0], [6, 14]], [[3, 14], [9, 14]]],
+  2: [[[0, 2], [2, 0], [8, 0], [10, 2], [10, 5], [0, 14], [10, 14]]],
+  3: [[[0, 0], [10, 0], [5, 6], [8, 6], [10, 8], [10, 12], [8, 14], [0, 14]]],
+  4: [[[8, 14], [8, 0], [0, 10], [10, 10]]],
+  5: [[[10, 0], [0, 0], [0, 6], [8, 6], [10, 8], [10, 12], [8, 14], [0, 14]]],
+  6: [[[9, 0], [3, 0], [0, 4], [0, 12], [2, 14], [8, 14], [10, 12], [10, 8], [8, 6], [0, 6]]],
+  7: [[[0, 0], [10, 0], [4, 14]]],
+  8: [
+    [[2, 0], [8, 0], [10, 2], [10, 5], [8, 7], [2, 7], [0, 5], [0, 2], [2, 0]],
+    [[2, 7], [0, 9], [0, 12], [2, 14], [8, 14], [10, 12], [10, 9], [8, 7]]
+  ],
+  9: [[[10, 8], [2, 8], [0, 6], [0, 2], [2, 0], [8, 0], [10, 2], [10, 10], [7, 14], [1, 14]]],
+  A: [[[0, 14], [5, 0], [10, 14]], [[2, 9], [8, 9]]],
+  B: [[[0, 0], [0, 14], [8, 14], [10, 12], [10, 9], [8, 7], [0, 7]], [[0, 0], [7, 0], [9, 2], [9, 5], [7, 7]]],
+  C: [[[10, 2], [8, 0], [2, 0], [0, 2], [0, 12], [2, 14], [8, 14], [10, 12]]],
+  D: [[[0, 0], [0, 14], [6, 14], [10, 10], [10, 4], [6, 0], [0, 0]]],
+  E: [[[10, 0], [0, 0], [0, 14], [10, 14]], [[0, 7], [7, 7]]],
+  F: [[[10, 0], [0, 0], [0, 14]], [[0, 7], [7, 7]]],
+  G: [[[10, 2], [8, 0], [2, 0], [0, 2], [0, 12], [2, 14], [8, 14], [10, 12], [10, 8], [5, 8]]],
+  H: [[[0, 0], [0, 14]], [[10, 0], [10, 14]], [[0, 7], [10, 7]]],
+  K: [[[0, 0], [0, 14]], [[10, 0], [0, 8]], [[3, 6], [10, 14]]],
+  M: [[[0, 14], [0, 0], [5, 8], [10, 0], [10, 14]]],
+  N: [[[0, 14], [0, 0], [10, 14], [10, 0]]],
+  P: [[[0, 14], [0, 0], [8, 0], [10, 2], [10, 5], [8, 7], [0, 7]]],
+  R: [[[0, 14], [0, 0], [8, 0], [10, 2], [10, 5], [8, 7], [0, 7]], [[5, 7], [10, 14]]],
+  T: [[[0, 0], [10, 0]], [[5, 0], [5, 14]]],
+  U: [[[0, 0], [0, 12], [2, 14], [8, 14], [10, 12], [10, 0]]],
+  V: [[[0, 0], [5, 14], [10, 0]]],
+  W: [[[0, 0], [2, 14], [5, 6], [8, 14], [10, 0]]],
+  X: [[[0, 0], [10, 14]], [[10, 0], [0, 14]]],
+  Y: [[[0, 0], [5, 7], [10, 0]], [[5, 7], [5, 14]]]
+};
+
+// 图片尺寸
+const WIDTH = 120;
+const HEIGHT = 40;
+
+class CaptchaService extends BaseService {
+  constructor() {
+    super();
+    this.verificationCodeService = new VerificationCodeService();
+    // 验证码长度和有效期（秒）
+    this.length = parseInt(process.env.CAPTCHA_LENGTH) || 4;
+    this.ttl = parseInt(process.env.CAPTCHA_TTL) || 300;
+    // 登录失败多少次后需要验证码，以及失败次数的统计窗口（秒）
+    this.loginFailureThreshold = parseInt(process.env.LOGIN_CAPTCHA_THRESHOLD) || 3;
+    this.loginFailureWindow = parseInt(process.env.LOGIN_FAILURE_WINDOW) || 900;
+  }
+
+  /**
+   * 生成验证码
+   * @param {string} type - 验证码类型（image/numeric），默认 image
+   * @returns {Promise<Object>} { captchaId, type, image（SVG data URI）, expiresIn }
+   */
+  async createCaptcha(type = CAPTCHA_TYPES.IMAGE) {
+    if (!Object.values(CAPTCHA_TYPES).includes(type)) {
+      throw new Error('验证码类型验证失败: 只支持 image 和 numeric');
+    }
+
+    const charset = CHARSETS[type];
+    let code = '';
+    for (let i = 0; i < this.length; i++) {
+      code += charset[crypto.randomInt(charset.length)];
+    }
+
+    const captchaId = crypto.randomUUID();
+    await this.verificationCodeService.saveCode(CAPTCHA_SCENE, captchaId, code, this.ttl);
+
+    this.logAction('生成验证码', { captchaId, type });
+
+    return {
+      captchaId,
+      type,
+      image: `data:image/svg+xml;base64,${Buffer.from(this.renderSvg(code)).toString('base64')}`,
+      expiresIn: this.ttl
+    };
+  }
+
+  /**
+   * 校验验证码，无论校验成功与否验证码都会失效，防止暴力猜测
+   * @param {string} captchaId - 验证码ID
+   * @param {string} captchaCode - 用户输入的验证码（不区分大小写）
+   * @returns {Promise<Object>} { valid, expired }
+   */
+  async verifyCaptcha(captchaId, captchaCode) {
+    const result = await this.verificationCodeService.verifyCode(CAPTCHA_SCENE, captchaId, captchaCode);
+
+    if (!result.valid && captchaId) {
+      await this.verificationCodeService.removeCode(CAPTCHA_SCENE, captchaId);
+    }
+
+    return result;
+  }
+
+  /**
+   * 记录一次登录失败，账号和IP分别计数
+   * @param {string} username - 登录账号（用户名或邮箱）
+   * @param {string} ip - 客户端IP
+   * @returns {Promise<number>} 当前账号和IP中较大的失败次数
+   */
+  async recordLoginFailure(username, ip) {
+    const keys = this.getLoginFailureKeys(username, ip);
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    const pipeline = redis.multi();
+    keys.forEach(key => {
+      pipeline.incr(key);
+      pipeline.expire(key, this.loginFailureWindow);
+    });
+    const results = await pipeline.exec();
+
+    // exec 结果为 [err, value] 数组，INCR 结果位于偶数位置
+    return Math.max(...results.filter((item, index) => index % 2 === 0).map(([, value]) => Number(value) || 0));
+  }
+
+  /**
+   * 登录成功后清除账号的失败次数（IP计数保留到窗口结束，避免通过登录自己的账号重置IP计数）
+   * @param {string} username - 登录账号
+   * @returns {Promise<boolean>} 清除结果
+   */
+  async clearLoginFailures(username) {
+    if (username) {
+      await redis.del(this.getLoginFailureKeys(username, null)[0]);
+    }
+    return true;
+  }
+
+  /**
+   * 判断登录是否需要验证码：账号或IP的失败次数达到阈值
+   * @param {string} username - 登录账号
+   * @param {string} ip - 客户端IP
+   * @returns {Promise<boolean>} 是否需要验证码
+   */
+  async isLoginCaptchaRequired(username, ip) {
+    const keys = this.getLoginFailureKeys(username, ip);
+    if (keys.length === 0) {
+      return false;
+    }
+
+    const counts = await redis.mget(...keys);
+    return counts.some(count => (parseInt(count) || 0) >= this.loginFailureThreshold);
+  }
+
+  /**
+   * 获取登录失败计数键
+   * @param {string} username - 登录账号（统一为小写）
+   * @param {string} ip - 客户端IP
+   * @returns {Array<string>} Redis键列表
+   */
+  getLoginFailureKeys(username, ip) {
+    const keys = [];
+    if (username) {
+      keys.push(generateKey(PREFIX.VERIFY, `login-fail:account:${String(username).trim().toLowerCase()}`));
+    }
+    if (ip) {
+      keys.push(generateKey(PREFIX.VERIFY, `login-fail:ip:${ip}`));
+    }
+    return keys;
+  }
+
+  /**
+   * 绘制验证码SVG：字符随机旋转、缩放和偏移，并叠加干扰曲线和噪点
+   * @param {string} code - 验证码
+   * @returns {string} SVG文本
+   */
+  renderSvg(code) {
+    const random = (min, max) => min + crypto.randomInt(Math.round((max - min) * 100) + 1) / 100;
+    const color = (min, max) => `rgb(${Math.floor(random(min, max))},${Math.floor(random(min, max))},${Math.floor(random(min, max))})`;
+    const elements = [];
+
+    // 背景噪点
+    for (let i = 0; i < 30; i++) {
+      elements.push(`<circle cx="${random(0, WIDTH).toFixed(1)}" cy="${random(0, HEIGHT).toFixed(1)}" r="${random(0.5, 1.5).toFixed(1)}" fill="${color(120, 220)}"/>`);
+    }
+
+    // 字符：按字形折线计算旋转缩放后的坐标
+    const slotWidth = (WIDTH - 16) / code.length;
+    code.split('').forEach((char, index) => {
+      const scale = random(1.6, 2);
+      const angle = random(-25, 25) * Math.PI / 180;
+      const centerX = 8 + slotWidth * (index + 0.5) + random(-3, 3);
+      const centerY = HEIGHT / 2 + random(-3, 3);
+      const stroke = color(20, 120);
+
+      GLYPHS[char].forEach(line => {
+        const points = line.map(([x, y]) => {
+          const dx = (x - 5) * scale;
+          const dy = (y - 7) * scale;
+          const px = centerX + dx * Math.cos(angle) - dy * Math.sin(angle);
+          const py = centerY + dx * Math.sin(angle) + dy * Math.cos(angle);
+          return `${px.toFixed(1)} ${py.toFixed(1)}`;
+        });
+        elements.push(`<path d="M${points.join(' L')}" stroke="${stroke}" stroke-width="${random(2, 2.8).toFixed(1)}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`);
+      });
+    });
+
+    // 干扰曲线
+    for (let i = 0; i < 3; i++) {
+      const points = [
+        [random(0, 10), random(5, HEIGHT - 5)],
+        [random(WIDTH * 0.2, WIDTH * 0.5), random(0, HEIGHT)],
+        [random(WIDTH * 0.5, WIDTH * 0.8), random(0, HEIGHT)],
+        [random(WIDTH - 10, WIDTH), random(5, HEIGHT - 5)]
+      ].map(([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`);
+      elements.push(`<path d="M${points[0]} C${points.slice(1).join(', ')}" stroke="${color(60, 160)}" stroke-width="${random(1, 2).toFixed(1)}" fill="none"/>`);
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">` +
+      `<rect width="100%" height="100%" fill="${color(235, 255)}"/>${elements.join('')}</svg>`;
+  }
+}
+
+module.exports = CaptchaService;
@@ -0,0 +1,451 @@
+/**
+ * 商品分类服务
+ * 维护树形商品分类（父子关系、同级排序、物化路径），供管理端维护、商户端只读查询和商品按分类筛选使用
+ *
+ * 物化路径约定：path 保存祖先ID路径，顶级分类为 '/'，子分类为 父分类path + 父分类ID + '/'
+ * 例如 1 > 5 > 9 三级分类中，分类9的 path 为 '/1/5/'，分类1的全部子孙分类满足 path LIKE '/1/%'
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op } = require('sequelize');
+const { TTL, PREFIX } = require('../../common/redis');
+const { COMMON_STATUS } = require('../../common/constants/status');
+
+class CategoryService extends BaseService {
+  constructor() {
+    super();
+    // 分类最大层级
+    this.maxDepth = 4;
+    // 启用分类树的缓存键（商户端只读接口使用）
+    this.treeCacheKey = 'tree';
+    // 物化路径字段长度上限，与表结构保持一致
+    this.maxPathLength = 255;
+  }
+
+  /**
+   * 获取启用状态的分类树（带缓存）
+   * 禁用分类及其子孙分类不会出现在树中
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 分类树
+   */
+  async getTree(sequelize) {
+    try {
+      return await this.cache.getOrFetch(PREFIX.CATEGORY, this.treeCacheKey, async () => {
+        const categories = await this.findCategories({ status: COMMON_STATUS.ENABLED }, sequelize);
+        return this.buildTree(categories);
+      }, TTL.LONG);
+    } catch (error) {
+      this.logError('获取分类树失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取完整分类树（管理端使用，包含禁用分类，不走缓存）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 分类树
+   */
+  async getFullTree(sequelize) {
+    try {
+      const categories = await this.findCategories({}, sequelize);
+      return this.buildTree(categories);
+    } catch (error) {
+      this.logError('获取完整分类树失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分类详情，包含父分类、直接子分类和商品数量
+   * @param {number} categoryId - 分类ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 分类详情
+   */
+  async getCategoryById(categoryId, sequelize) {
+    try {
+      const { Category, Product } = sequelize.models;
+
+      const category = await Category.findByPk(categoryId, {
+        include: [
+          { model: Category, as: 'parent', attributes: ['id', 'name', 'status'], required: false },
+          { model: Category, as: 'children', attributes: ['id', 'name', 'status', 'sortOrder'], required: false }
+        ],
+        order: [[{ model: Category, as: 'children' }, 'sortOrder', 'ASC'], [{ model: Category, as: 'children' }, 'id', 'ASC']]
+      });
+
+      if (!category) {
+        throw new Error('分类不存在');
+      }
+
+      const productCount = await Product.count({ where: { categoryId } });
+
+      return {
+        ...category.toJSON(),
+        productCount
+      };
+
+    } catch (error) {
+      this.logError('获取分类详情失败', error, { categoryId });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建分类
+   * @param {Object} categoryData - 分类数据 { name, parentId, description, icon, sortOrder, status }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 创建的分类
+   */
+  async createCategory(categoryData, sequelize) {
+    try {
+      this.logAction('创建分类', { name: categoryData.name, parentId: categoryData.parentId });
+
+      this.validateCategoryData(categoryData);
+
+      const Category = sequelize.models.Category;
+      const parentId = categoryData.parentId || null;
+      const position = await this.resolvePosition(parentId, sequelize);
+
+      if (position.level > this.maxDepth) {
+        throw new Error(`分类验证失败: 分类层级不能超过${this.maxDepth}级`);
+      }
+
+      await this.ensureNameUnique(categoryData.name, parentId, null, sequelize);
+
+      const now = new Date();
+      const category = await Category.create({
+        name: categoryData.name,
+        parentId,
+        path: position.path,
+        level: position.level,
+        sortOrder: categoryData.sortOrder ?? 0,
+        description: categoryData.description ?? null,
+        icon: categoryData.icon ?? null,
+        status: categoryData.status ?? COMMON_STATUS.ENABLED,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      await this.clearTreeCache();
+
+      this.logAction('创建分类成功', { categoryId: category.id, path: category.path });
+      return category;
+
+    } catch (error) {
+      this.logError('创建分类失败', error, { name: categoryData.name });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新分类
+   * 修改 parentId 即移动分类，子孙分类的路径和层级随之更新
+   * @param {number} categoryId - 分类ID
+   * @param {Object} updateData - 更新数据
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的分类
+   */
+  async updateCategory(categoryId, updateData, sequelize) {
+    try {
+      this.logAction('更新分类', { categoryId, fields: Object.keys(updateData) });
+
+      this.validateCategoryData(updateData, true);
+
+      const Category = sequelize.models.Category;
+
+      const category = await this.executeTransaction(async (transaction) => {
+        const current = await Category.findByPk(categoryId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!current) {
+          throw new Error('分类不存在');
+        }
+
+        const fields = { ...updateData, updatedAt: new Date() };
+        const parentChanged = updateData.parentId !== undefined && (updateData.parentId || null) !== current.parentId;
+        const targetParentId = parentChanged ? (updateData.parentId || null) : current.parentId;
+
+        if (updateData.name !== undefined || parentChanged) {
+          await this.ensureNameUnique(updateData.name ?? current.name, targetParentId, current.id, sequelize, transaction);
+        }
+
+        if (parentChanged) {
+          const moved = await this.moveSubtree(current, targetParentId, sequelize, transaction);
+          fields.parentId = targetParentId;
+          fields.path = moved.path;
+          fields.level = moved.level;
+        } else {
+          delete fields.parentId;
+        }
+
+        await current.update(fields, { transaction });
+        return current;
+      }, sequelize);
+
+      await this.clearTreeCache();
+
+      this.logAction('更新分类成功', { categoryId, path: category.path });
+      return category;
+
+    } catch (error) {
+      this.logError('更新分类失败', error, { categoryId });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除分类
+   * 存在子分类或商品（含已删除商品）时不允许删除
+   * @param {number} categoryId - 分类ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<number>} 成功状态
+   */
+  async deleteCategory(categoryId, sequelize) {
+    try {
+      this.logAction('删除分类', { categoryId });
+
+      const { Category, Product } = sequelize.models;
+
+      const category = await Category.findByPk(categoryId);
+      if (!category) {
+        throw new Error('分类不存在');
+      }
+
+      const childCount = await Category.count({ where: { parentId: categoryId } });
+      if (childCount > 0) {
+        throw new Error('分类下存在子分类，无法删除');
+      }
+
+      const productCount = await Product.count({ where: { categoryId }, paranoid: false });
+      if (productCount > 0) {
+        throw new Error('分类下存在商品（含已删除商品），无法删除');
+      }
+
+      await category.destroy();
+      await this.clearTreeCache();
+
+      this.logAction('删除分类成功', { categoryId });
+      return 1;
+
+    } catch (error) {
+      this.logError('删除分类失败', error, { categoryId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分类及其全部子孙分类的ID，用于按分类筛选商品
+   * 分类不存在时只返回传入的ID，查询结果自然为空
+   * @param {number} categoryId - 分类ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array<number>>} 分类ID列表
+   */
+  async getDescendantIds(categoryId, sequelize) {
+    const Category = sequelize.models.Category;
+
+    const category = await Category.findByPk(categoryId, { attributes: ['id', 'path'] });
+    if (!category) {
+      return [categoryId];
+    }
+
+    const descendants = await Category.findAll({
+      where: { path: { [Op.like]: `${this.getChildPath(category)}%` } },
+      attributes: ['id'],
+      raw: true
+    });
+
+    return [category.id, ...descendants.map(item => item.id)];
+  }
+
+  /**
+   * 校验商品可选用的分类：分类存在且为启用状态
+   * @param {number} categoryId - 分类ID
+   * @param {Object} sequelize - 数据库实例
+   */
+  async validateSelectable(categoryId, sequelize) {
+    const category = await sequelize.models.Category.findByPk(categoryId, { attributes: ['id', 'status'] });
+
+    if (!category || category.status !== COMMON_STATUS.ENABLED) {
+      throw new Error('商品数据验证失败: 商品分类不存在或已禁用');
+    }
+  }
+
+  /**
+   * 清除分类树缓存
+   */
+  async clearTreeCache() {
+    await this.cache.delete(PREFIX.CATEGORY, this.treeCacheKey);
+  }
+
+  /**
+   * 移动分类子树：校验目标父分类和层级，并更新全部子孙分类的路径和层级
+   * @param {Object} category - 被移动的分类
+   * @param {number|null} parentId - 新的父分类ID
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} transaction - 事务对象
+   * @returns {Promise<Object>} 被移动分类的新位置 { path, level }
+   */
+  async moveSubtree(category, parentId, sequelize, transaction) {
+    const Category = sequelize.models.Category;
+    const oldChildPath = this.getChildPath(category);
+    const position = await this.resolvePosition(parentId, sequelize, transaction);
+
+    // 不能移动到自身或自身的子孙分类下
+    if (parentId === category.id || position.path.startsWith(oldChildPath)) {
+      throw new Error('分类验证失败: 不能将分类移动到自身或其子分类下');
+    }
+
+    // 子树最深层级随移动整体平移，不能超过最大层级
+    const deepestLevel = await Category.max('level', {
+      where: { path: { [Op.like]: `${oldChildPath}%` } },
+      transaction
+    }) || category.level;
+    const levelDelta = position.level - category.level;
+
+    if (deepestLevel + levelDelta > this.maxDepth) {
+      throw new Error(`分类验证失败: 移动后分类层级将超过${this.maxDepth}级`);
+    }
+
+    const newChildPath = `${position.path}${category.id}/`;
+
+    await Category.update({
+      path: sequelize.fn('CONCAT', newChildPath, sequelize.fn('SUBSTRING', sequelize.col('path'), oldChildPath.length + 1)),
+      level: sequelize.literal(`level + ${levelDelta}`),
+      updatedAt: new Date()
+    }, {
+      where: { path: { [Op.like]: `${oldChildPath}%` } },
+      transaction
+    });
+
+    return position;
+  }
+
+  /**
+   * 计算挂在指定父分类下的子分类位置
+   * @param {number|null} parentId - 父分类ID，为空表示顶级分类
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} transaction - 事务对象
+   * @returns {Promise<Object>} { path, level }
+   */
+  async resolvePosition(parentId, sequelize, transaction) {
+    if (!parentId) {
+      return { path: '/', level: 1 };
+    }
+
+    const parent = await sequelize.models.Category.findByPk(parentId, { transaction });
+    if (!parent) {
+      throw new Error('父分类不存在');
+    }
+
+    const path = this.getChildPath(parent);
+    if (path.length > this.maxPathLength) {
+      throw new Error('分类验证失败: 分类路径过长');
+    }
+
+    return { path, level: parent.level + 1 };
+  }
+
+  /**
+   * 检查同一父分类下分类名称是否重复
+   * @param {string} name - 分类名称
+   * @param {number|null} parentId - 父分类ID
+   * @param {number|null} excludeId - 排除的分类ID（更新时为自身）
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} transaction - 事务对象
+   */
+  async ensureNameUnique(name, parentId, excludeId, sequelize, transaction) {
+    const where = { name, parentId: parentId || null };
+    if (excludeId) {
+      where.id = { [Op.ne]: excludeId };
+    }
+
+    const existing = await sequelize.models.Category.findOne({ where, attributes: ['id'], transaction });
+    if (existing) {
+      throw new Error('同级分类名称已存在');
+    }
+  }
+
+  /**
+   * 按条件查询分类（按层级、排序、ID排列）
+   * @param {Object} where - 查询条件
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 分类列表（普通对象）
+   */
+  async findCategories(where, sequelize) {
+    return sequelize.models.Category.findAll({
+      where,
+      attributes: ['id', 'name', 'parentId', 'path', 'level', 'sortOrder', 'description', 'icon', 'status'],
+      order: [['level', 'ASC'], ['sortOrder', 'ASC'], ['id', 'ASC']],
+      raw: true
+    });
+  }
+
+  /**
+   * 将按层级排序的分类列表组装为树
+   * 父分类不在列表中的分类（如父分类已禁用）不会挂到树上
+   * @param {Array} categories - 分类列表
+   * @returns {Array} 分类树
+   */
+  buildTree(categories) {
+    const nodes = new Map();
+    const roots = [];
+
+    for (const category of categories) {
+      const node = { ...category, children: [] };
+      nodes.set(node.id, node);
+
+      if (!node.parentId) {
+        roots.push(node);
+      } else if (nodes.has(node.parentId)) {
+        nodes.get(node.parentId).children.push(node);
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * 获取分类的子分类路径前缀
+   * @param {Object} category - 分类
+   * @returns {string} 子分类的 path
+   */
+  getChildPath(category) {
+    return `${category.path}${category.id}/`;
+  }
+
+  /**
+   * 验证分类数据
+   * @param {Object} data - 分类数据
+   * @param {boolean} isUpdate - 是否为更新（更新时字段均为可选）
+   */
+  validateCategoryData(data, isUpdate = false) {
+    if (!isUpdate || data.name !== undefined) {
+      if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+        throw new Error('分类验证失败: 分类名称不能为空');
+      }
+      if (data.name.length > 100) {
+        throw new Error('分类验证失败: 分类名称不能超过100个字符');
+      }
+    }
+
+    if (data.parentId !== undefined && data.parentId !== null && (!Number.isInteger(data.parentId) || data.parentId <= 0)) {
+      throw new Error('分类验证失败: 父分类ID无效');
+    }
+
+    if (data.description !== undefined && data.description !== null && String(data.description).length > 500) {
+      throw new Error('分类验证失败: 分类描述不能超过500个字符');
+    }
+
+    if (data.icon !== undefined && data.icon !== null && String(data.icon).length > 255) {
+      throw new Error('分类验证失败: 分类图标地址不能超过255个字符');
+    }
+
+    if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+      throw new Error('分类验证失败: 排序值必须为整数');
+    }
+
+    if (data.status !== undefined && ![COMMON_STATUS.DISABLED, COMMON_STATUS.ENABLED].includes(data.status)) {
+      throw new Error('分类验证失败: 分类状态无效');
+    }
+  }
+}
+
+module.exports = CategoryService;
@@ -59,16 +59,17 @@ class EmailService extends BaseService {
    * 发送验证邮件
    * @param {string} email - 邮箱地址
    * @param {string} verificationCode - 验证码
+   * @param {number} expiresInMinutes - 验证码有效期（分钟）
    * @returns {Promise<Object>} 发送结果
    */
-  async sendVerificationEmail(email, verificationCode) {
+  async sendVerificationEmail(email, verificationCode, expiresInMinutes = 10) {
     const emailData = {
       to: email,
       subject: '邮箱验证',
       html: `
         <h2>邮箱验证</h2>
         <p>您的验证码是：<strong>${verificationCode}</strong></p>
-        <p>验证码有效期为10分钟，请及时使用。</p>
+        <p>验证码有效期为${expiresInMinutes}分钟，请及时使用。</p>
       `
     };
 
@@ -79,10 +80,14 @@ class EmailService extends BaseService {
    * 发送密码重置邮件
    * @param {string} email - 邮箱地址
    * @param {string} resetToken - 重置令牌
+   * @param {Object} options - 选项
+   * @param {string} options.baseUrl - 重置页面所在前端地址，默认 FRONTEND_URL
+   * @param {number} options.expiresInMinutes - 链接有效期（分钟）
    * @returns {Promise<Object>} 发送结果
    */
-  async sendPasswordResetEmail(email, resetToken) {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+  async sendPasswordResetEmail(email, resetToken, options = {}) {
+    const { baseUrl = process.env.FRONTEND_URL, expiresInMinutes = 60 } = options;
+    const resetUrl = `${baseUrl}/reset-password?token=${resetToken}`;
     
     const emailData = {
       to: email,
@@ -92,7 +97,7 @@ class EmailService extends BaseService {
         <p>您请求重置密码，请点击下面的链接：</p>
         <a href="${resetUrl}">重置密码</a>
         <p>如果您没有请求重置密码，请忽略此邮件。</p>
-        <p>此链接有效期为1小时。</p>
+        <p>此链接有效期为${expiresInMinutes}分钟，且只能使用一次。</p>
       `
     };
 
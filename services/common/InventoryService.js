@@ -0,0 +1,649 @@
+/**
+ * 库存通用服务
+ * 处理用户端和商户端共用的库存逻辑：原子增减库存、库存流水记录、结算时的库存预占
+ * 库存流水只追加不修改，每次库存变动都记录变动前后的库存
+ * 库存预占保存在Redis中并带有过期时间，预占数量在下单时从可售库存中扣除
+ * 购买明细按 商品 + 规格 区分：启用规格的商品必须选择规格，按规格价格计价、扣减规格库存并预占规格库存
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op } = require('sequelize');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+const { COMMON_STATUS, PRODUCT_STATUS, STOCK_MOVEMENT_TYPE } = require('../../common/constants/status');
+
+// 原子预占库存的Lua脚本
+// KEYS: 每个商品（或规格）的预占哈希（字段为预占ID，值为 "数量:过期时间毫秒"）
+// ARGV: 当前时间毫秒, 过期时间毫秒, 预占ID, 预占时长毫秒, 不计入的预占ID（可为空）, 然后每个明细依次为 预占数量, 数据库库存
+// 返回 0 表示预占成功，返回 N 表示第 N 个明细可售库存不足
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local expiresAt = ARGV[2]
+local reservationId = ARGV[3]
+local ttl = tonumber(ARGV[4])
+local excludeId = ARGV[5]
+for i, key in ipairs(KEYS) do
+  local quantity = tonumber(ARGV[4 + i * 2])
+  local stock = tonumber(ARGV[5 + i * 2])
+  local entries = redis.call('HGETALL', key)
+  local reserved = 0
+  for j = 1, #entries, 2 do
+    local sep = string.find(entries[j + 1], ':')
+    local held = tonumber(string.sub(entries[j + 1], 1, sep - 1))
+    local expiry = tonumber(string.sub(entries[j + 1], sep + 1))
+    if expiry <= now then
+      redis.call('HDEL', key, entries[j])
+    elseif entries[j] ~= reservationId and entries[j] ~= excludeId then
+      reserved = reserved + held
+    end
+  end
+  if stock - reserved < quantity then
+    return i
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('HSET', key, reservationId, ARGV[4 + i * 2] .. ':' .. expiresAt)
+  if redis.call('PTTL', key) < ttl then
+    redis.call('PEXPIRE', key, ttl)
+  end
+end
+return 0
+`;
+
+class InventoryService extends BaseService {
+  constructor() {
+    super();
+    // 库存预占有效期（秒），超时未下单自动释放
+    this.reservationTtl = parseInt(process.env.STOCK_RESERVATION_TTL) || 900;
+    // 单次预占最多商品种类
+    this.maxReservationItems = 50;
+    // 下单占用的有效期（秒），下单事务结束后立即释放，只在进程异常退出时依赖过期
+    this.claimTtl = 60;
+  }
+
+  /**
+   * 原子变更库存并记录流水
+   * 使用条件更新保证并发下库存不会扣成负数（或低于 minRemaining），必须在事务中调用
+   * 规格库存变动时按差额同步调整商品可售库存（停用的规格不计入商品库存）
+   * @param {Object} movement - 变动信息
+   * @param {number} movement.productId - 商品ID
+   * @param {number} movement.variantId - 规格ID（可选）
+   * @param {number} movement.quantity - 变动数量（正数增加，负数减少）
+   * @param {string} movement.type - 变动类型 STOCK_MOVEMENT_TYPE
+   * @param {string} movement.referenceType - 关联单据类型（可选）
+   * @param {string|number} movement.referenceId - 关联单据ID（可选）
+   * @param {number} movement.operatorId - 操作人ID（可选）
+   * @param {string} movement.remark - 备注（可选）
+   * @param {number} movement.minRemaining - 变动后至少保留的库存（用于扣除他人预占），默认0
+   * @param {Object} movement.extraFields - 需要一并更新的商品字段（如销量）
+   * @param {Object} transaction - 事务对象
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 库存流水记录
+   */
+  async changeStock(movement, transaction, sequelize) {
+    const {
+      productId,
+      variantId = null,
+      quantity,
+      minRemaining = 0,
+      extraFields = {}
+    } = movement;
+    const { Product, ProductVariant } = sequelize.models;
+
+    this.validateMovement(movement);
+
+    const Target = variantId ? ProductVariant : Product;
+    const targetId = variantId || productId;
+    const where = variantId ? { id: variantId, productId } : { id: productId };
+    if (quantity < 0 || minRemaining > 0) {
+      where.stock = { [Op.gte]: minRemaining - quantity };
+    }
+
+    const [affectedRows] = await Target.update({
+      stock: sequelize.literal(`stock + ${quantity}`),
+      ...(variantId ? {} : extraFields)
+    }, { where, transaction });
+
+    if (affectedRows === 0) {
+      const exists = await Target.count({ where: { id: targetId }, transaction });
+      throw new Error(exists ? '商品库存不足' : (variantId ? '商品规格不存在' : '商品不存在'));
+    }
+
+    // 更新语句已锁定该行，事务内读取到的即为变动后的库存
+    const target = await Target.findByPk(targetId, {
+      attributes: ['id', 'stock', 'merchantId', ...(variantId ? ['status'] : [])],
+      transaction
+    });
+
+    if (variantId) {
+      // 启用的规格库存变动按差额同步到商品总库存（商品总库存不低于0）
+      const productChanges = { ...extraFields };
+      if (target.status === COMMON_STATUS.ENABLED) {
+        productChanges.stock = sequelize.literal(`GREATEST(stock + ${quantity}, 0)`);
+      }
+      if (Object.keys(productChanges).length > 0) {
+        await Product.update(productChanges, { where: { id: productId }, transaction });
+      }
+    }
+
+    return this.recordMovement({
+      ...movement,
+      merchantId: target.merchantId,
+      beforeStock: target.stock - quantity,
+      afterStock: target.stock
+    }, transaction, sequelize);
+  }
+
+  /**
+   * 将库存调整为指定数量并记录盘点调整流水
+   * @param {Object} adjustment - 调整信息 { productId, variantId, targetStock, operatorId, remark }
+   * @param {Object} transaction - 事务对象
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object|null>} 库存流水记录，库存未变化时返回null
+   */
+  async setStock(adjustment, transaction, sequelize) {
+    const { productId, variantId = null, targetStock } = adjustment;
+    const { Product, ProductVariant } = sequelize.models;
+
+    if (!Number.isInteger(targetStock) || targetStock < 0) {
+      throw new Error('库存变动验证失败: 库存必须是非负整数');
+    }
+
+    // 锁定库存行，保证读取的当前库存与调整之间没有其他变动
+    const Target = variantId ? ProductVariant : Product;
+    const target = await Target.findOne({
+      where: variantId ? { id: variantId, productId } : { id: productId },
+      attributes: ['id', 'stock'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!target) {
+      throw new Error(variantId ? '商品规格不存在' : '商品不存在');
+    }
+
+    const quantity = targetStock - target.stock;
+    if (quantity === 0) {
+      return null;
+    }
+
+    return this.changeStock({
+      ...adjustment,
+      quantity,
+      type: STOCK_MOVEMENT_TYPE.ADJUSTMENT
+    }, transaction, sequelize);
+  }
+
+  /**
+   * 记录库存流水
+   * 库存已由调用方写入时（如新建商品的初始库存）直接使用此方法补记流水
+   * @param {Object} data - 流水数据
+   * @param {Object} transaction - 事务对象（可选）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 库存流水记录
+   */
+  async recordMovement(data, transaction, sequelize) {
+    return sequelize.models.StockMovement.create({
+      productId: data.productId,
+      variantId: data.variantId || null,
+      merchantId: data.merchantId,
+      type: data.type,
+      quantity: data.quantity,
+      beforeStock: data.beforeStock,
+      afterStock: data.afterStock,
+      referenceType: data.referenceType || null,
+      referenceId: data.referenceId !== undefined && data.referenceId !== null ? String(data.referenceId) : null,
+      operatorId: data.operatorId || null,
+      remark: data.remark || null
+    }, { transaction });
+  }
+
+  /**
+   * 商户手动登记库存变动（入库、盘点调整、退货入库）
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} movementData - { type, quantity, variantId, remark }
+   * @param {number} operatorId - 操作人ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 库存流水记录
+   */
+  async adjustStock(productId, merchantId, movementData, operatorId, sequelize) {
+    try {
+      this.logAction('登记库存变动', { productId, merchantId, type: movementData.type, quantity: movementData.quantity });
+
+      const { type, quantity, variantId = null, remark } = movementData;
+
+      // 销售出库只能由订单产生
+      const manualTypes = [STOCK_MOVEMENT_TYPE.INBOUND, STOCK_MOVEMENT_TYPE.ADJUSTMENT, STOCK_MOVEMENT_TYPE.RETURN];
+      if (!manualTypes.includes(type)) {
+        throw new Error('库存变动验证失败: 变动类型只能是入库、盘点调整或退货入库');
+      }
+      if (type !== STOCK_MOVEMENT_TYPE.ADJUSTMENT && quantity <= 0) {
+        throw new Error('库存变动验证失败: 入库和退货数量必须大于0');
+      }
+
+      const record = await this.executeTransaction(async (transaction) => {
+        await this.getOwnedProduct(productId, merchantId, sequelize, transaction);
+
+        return this.changeStock({
+          productId,
+          variantId,
+          quantity,
+          type,
+          referenceType: 'manual',
+          operatorId,
+          remark
+        }, transaction, sequelize);
+      }, sequelize);
+
+      this.logAction('登记库存变动成功', { productId, merchantId, movementId: record.id });
+      return record;
+
+    } catch (error) {
+      this.logError('登记库存变动失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取商品库存流水
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} filters - 筛选条件 { type, variantId, startDate, endDate }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { movements, total, currentStock, reservedStock }
+   */
+  async getStockHistory(productId, merchantId, filters, pagination, sequelize) {
+    try {
+      this.logAction('获取库存流水', { productId, merchantId, filters });
+
+      const product = await this.getOwnedProduct(productId, merchantId, sequelize);
+
+      const where = {
+        productId,
+        ...this.buildWhereCondition(filters, ['type', 'variantId'])
+      };
+      if (filters.startDate || filters.endDate) {
+        where.createdAt = {};
+        if (filters.startDate) where.createdAt[Op.gte] = new Date(filters.startDate);
+        if (filters.endDate) where.createdAt[Op.lte] = new Date(filters.endDate);
+      }
+
+      const { count, rows } = await sequelize.models.StockMovement.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset
+      });
+
+      // 商品及其规格的有效预占数量，按规格筛选时只统计该规格
+      const variantIds = filters.variantId
+        ? [parseInt(filters.variantId)]
+        : (await sequelize.models.ProductVariant.findAll({ where: { productId }, attributes: ['id'], raw: true })).map(row => row.id);
+      const reserveKeys = variantIds.map(variantId => this.getReserveKey(productId, variantId));
+      if (!filters.variantId) {
+        reserveKeys.push(this.getProductReserveKey(productId));
+      }
+
+      return {
+        movements: rows,
+        total: count,
+        currentStock: product.stock,
+        reservedStock: await this.getReservedQuantity(reserveKeys)
+      };
+
+    } catch (error) {
+      this.logError('获取库存流水失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 预占库存（结算时调用）
+   * 通过Lua脚本在Redis中原子地检查可售库存（数据库库存 - 他人有效预占）并写入预占
+   * @param {number} userId - 用户ID
+   * @param {Array} items - 预占商品 [{ productId, variantId, quantity }]
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { reservationId, expiresAt, items }
+   */
+  async reserveStock(userId, items, sequelize) {
+    try {
+      this.logAction('预占库存', { userId, itemCount: items?.length });
+
+      const lines = this.mergeQuantities(items);
+      const targets = await this.loadPurchaseTargets([...lines.values()], sequelize);
+
+      const stocks = new Map();
+      for (const [key, line] of lines) {
+        const resolved = this.resolvePurchaseLine(line, targets);
+        if (resolved.error) {
+          throw new Error(resolved.error);
+        }
+        stocks.set(key, resolved.stock);
+      }
+
+      const reservationId = this.generateId();
+      const ttlMs = this.reservationTtl * 1000;
+      const expiresAt = Date.now() + ttlMs;
+
+      const shortKey = await this.claimStock(reservationId, lines, stocks, { ttlMs, expiresAt });
+      if (shortKey) {
+        throw new Error(`商品库存不足: ${targets.products.get(lines.get(shortKey).productId).name}`);
+      }
+
+      const reservedItems = [...lines.values()].map(line => ({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity
+      }));
+      await redis.set(
+        this.getReservationKey(reservationId),
+        JSON.stringify({ userId, items: reservedItems, expiresAt }),
+        'EX',
+        this.reservationTtl
+      );
+
+      this.logAction('预占库存成功', { userId, reservationId });
+
+      return {
+        reservationId,
+        expiresAt: new Date(expiresAt),
+        items: reservedItems
+      };
+
+    } catch (error) {
+      this.logError('预占库存失败', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询购买明细涉及的商品和规格，以及其中已启用规格的商品
+   * @param {Array} lines - 购买明细 [{ productId, variantId }]
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 选项 { transaction, lock: 是否锁定商品和规格行（需在事务中） }
+   * @returns {Promise<Object>} { products: Map, variants: Map, variantProductIds: Set }
+   */
+  async loadPurchaseTargets(lines, sequelize, options = {}) {
+    const { Product, ProductVariant } = sequelize.models;
+    const { transaction = null, lock = false } = options;
+    const lockOption = lock && transaction ? { lock: transaction.LOCK.UPDATE } : {};
+
+    const productIds = [...new Set(lines.map(line => line.productId))];
+    const variantIds = [...new Set(lines.map(line => line.variantId).filter(Boolean))];
+    if (productIds.length === 0) {
+      return { products: new Map(), variants: new Map(), variantProductIds: new Set() };
+    }
+
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: productIds }, deletedAt: null },
+      transaction,
+      ...lockOption
+    });
+    const variants = variantIds.length > 0
+      ? await ProductVariant.findAll({ where: { id: { [Op.in]: variantIds } }, transaction, ...lockOption })
+      : [];
+
+    // 有启用规格的商品必须选择规格购买
+    const variantProducts = await ProductVariant.findAll({
+      attributes: ['productId'],
+      where: { productId: { [Op.in]: productIds }, status: COMMON_STATUS.ENABLED },
+      group: ['productId'],
+      raw: true,
+      transaction
+    });
+
+    return {
+      products: new Map(products.map(product => [product.id, product])),
+      variants: new Map(variants.map(variant => [variant.id, variant])),
+      variantProductIds: new Set(variantProducts.map(row => Number(row.productId)))
+    };
+  }
+
+  /**
+   * 解析购买明细的单价和库存，不可购买时返回原因
+   * 选择规格时取规格的价格和库存，否则取商品的价格和库存
+   * @param {Object} line - 购买明细 { productId, variantId }
+   * @param {Object} targets - loadPurchaseTargets 的查询结果
+   * @returns {Object} { product, variant, price, stock, error }
+   */
+  resolvePurchaseLine(line, targets) {
+    const product = targets.products.get(line.productId) || null;
+    const variant = line.variantId ? targets.variants.get(line.variantId) || null : null;
+    const result = { product, variant, price: 0, stock: 0, error: null };
+
+    if (!product) {
+      result.error = `商品不存在: ${line.productId}`;
+    } else if (product.status !== PRODUCT_STATUS.ONLINE) {
+      result.error = `商品已下架: ${product.name}`;
+    } else if (line.variantId && (!variant || variant.productId !== product.id)) {
+      result.error = `商品规格不存在: ${product.name}`;
+    } else if (variant && variant.status !== COMMON_STATUS.ENABLED) {
+      result.error = `商品规格已下架: ${product.name}（${variant.sku}）`;
+    } else if (!line.variantId && targets.variantProductIds.has(product.id)) {
+      result.error = `规格验证失败: 请选择商品规格: ${product.name}`;
+    }
+
+    if (!result.error) {
+      const target = variant || product;
+      result.price = parseFloat(target.price);
+      result.stock = target.stock;
+    }
+
+    return result;
+  }
+
+  /**
+   * 购买明细的标识，同一商品的不同规格是不同的明细
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID
+   * @returns {string} 明细标识
+   */
+  getLineKey(productId, variantId) {
+    return `${productId}:${variantId || 0}`;
+  }
+
+  /**
+   * 通过Lua脚本原子地检查可售库存（数据库库存 - 他人有效预占）并以指定ID写入占用
+   * 下单时在商品行锁内调用，使库存校验与并发预占之间没有间隙
+   * @param {string} claimId - 占用ID（预占ID或下单占用ID）
+   * @param {Map} lines - 明细标识 -> { productId, variantId, quantity }
+   * @param {Map} stocks - 明细标识 -> 数据库库存（商品或规格）
+   * @param {Object} options - 选项
+   * @param {number} options.ttlMs - 占用时长毫秒，默认为下单占用时长
+   * @param {number} options.expiresAt - 过期时间毫秒
+   * @param {string} options.excludeReservationId - 不计入的预占ID（下单时排除自己的预占）
+   * @returns {Promise<string|null>} 可售库存不足的明细标识，占用成功时返回null
+   */
+  async claimStock(claimId, lines, stocks, options = {}) {
+    const lineKeys = [...lines.keys()];
+    const now = Date.now();
+    const ttlMs = options.ttlMs || this.claimTtl * 1000;
+    const expiresAt = options.expiresAt || now + ttlMs;
+
+    const keys = lineKeys.map(key => this.getReserveKey(lines.get(key).productId, lines.get(key).variantId));
+    const args = [now, expiresAt, claimId, ttlMs, options.excludeReservationId || ''];
+    lineKeys.forEach(key => args.push(lines.get(key).quantity, stocks.get(key)));
+
+    const result = await redis.eval(RESERVE_SCRIPT, keys.length, ...keys, ...args);
+    return result === 0 ? null : lineKeys[result - 1];
+  }
+
+  /**
+   * 释放下单占用（下单事务结束后调用，无论成功与否）
+   * @param {string} claimId - 占用ID
+   * @param {Map} lines - 明细标识 -> { productId, variantId, quantity }
+   * @returns {Promise<void>}
+   */
+  async releaseClaim(claimId, lines) {
+    const pipeline = redis.multi();
+    lines.forEach(line => pipeline.hdel(this.getReserveKey(line.productId, line.variantId), claimId));
+    await pipeline.exec();
+  }
+
+  /**
+   * 获取预占信息
+   * @param {string} reservationId - 预占ID
+   * @param {number} userId - 用户ID（只能读取自己的预占）
+   * @returns {Promise<Object>} 预占信息
+   */
+  async getReservation(reservationId, userId) {
+    const data = await redis.get(this.getReservationKey(reservationId));
+    const reservation = data ? JSON.parse(data) : null;
+
+    if (!reservation || reservation.userId !== userId) {
+      throw new Error('库存预占不存在或已过期');
+    }
+
+    return reservation;
+  }
+
+  /**
+   * 释放库存预占（下单成功或用户放弃结算时调用）
+   * @param {string} reservationId - 预占ID
+   * @param {number} userId - 用户ID
+   * @returns {Promise<boolean>} 释放结果
+   */
+  async releaseReservation(reservationId, userId) {
+    try {
+      const reservation = await this.getReservation(reservationId, userId);
+
+      const pipeline = redis.multi();
+      reservation.items.forEach(item => pipeline.hdel(this.getReserveKey(item.productId, item.variantId), reservationId));
+      pipeline.del(this.getReservationKey(reservationId));
+      await pipeline.exec();
+
+      this.logAction('释放库存预占', { reservationId, userId });
+      return true;
+
+    } catch (error) {
+      this.logError('释放库存预占失败', error, { reservationId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取当前有效的预占数量
+   * @param {Array<string>} reserveKeys - 商品或规格预占哈希的缓存键
+   * @returns {Promise<number>} 预占数量合计
+   */
+  async getReservedQuantity(reserveKeys) {
+    const now = Date.now();
+    let reserved = 0;
+
+    for (const key of reserveKeys) {
+      const entries = await redis.hgetall(key);
+      Object.values(entries || {}).forEach(value => {
+        const [quantity, expiresAt] = value.split(':').map(Number);
+        if (expiresAt > now) {
+          reserved += quantity;
+        }
+      });
+    }
+
+    return reserved;
+  }
+
+  /**
+   * 获取商户自己的商品
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} transaction - 事务对象（可选）
+   * @returns {Promise<Object>} 商品
+   */
+  async getOwnedProduct(productId, merchantId, sequelize, transaction = null) {
+    const product = await sequelize.models.Product.findOne({
+      where: { id: productId, merchantId },
+      attributes: ['id', 'stock', 'merchantId'],
+      transaction
+    });
+
+    if (!product) {
+      throw new Error('商品不存在');
+    }
+
+    return product;
+  }
+
+  /**
+   * 合并同一商品同一规格的数量并校验
+   * @param {Array} items - [{ productId, variantId, quantity }]
+   * @returns {Map} 明细标识 -> { productId, variantId, quantity }
+   */
+  mergeQuantities(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('库存预占验证失败: 商品列表不能为空');
+    }
+    if (items.length > this.maxReservationItems) {
+      throw new Error(`库存预占验证失败: 单次最多预占${this.maxReservationItems}种商品`);
+    }
+
+    const lines = new Map();
+    items.forEach((item, index) => {
+      const productId = parseInt(item.productId);
+      const hasVariant = item.variantId !== undefined && item.variantId !== null && item.variantId !== '';
+      const variantId = hasVariant ? parseInt(item.variantId) : null;
+      const quantity = Number(item.quantity);
+      if (!productId || productId <= 0 || (hasVariant && !(variantId > 0)) || !Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error(`库存预占验证失败: 第${index + 1}个商品的ID、规格ID或数量无效`);
+      }
+
+      const key = this.getLineKey(productId, variantId);
+      const line = lines.get(key) || { productId, variantId, quantity: 0 };
+      line.quantity += quantity;
+      lines.set(key, line);
+    });
+
+    return lines;
+  }
+
+  /**
+   * 校验库存变动数据
+   * @param {Object} movement - 变动信息
+   */
+  validateMovement(movement) {
+    if (!Object.values(STOCK_MOVEMENT_TYPE).includes(movement.type)) {
+      throw new Error('库存变动验证失败: 变动类型无效');
+    }
+    if (!Number.isInteger(movement.quantity) || movement.quantity === 0) {
+      throw new Error('库存变动验证失败: 变动数量必须是非零整数');
+    }
+    if (Math.abs(movement.quantity) > 999999) {
+      throw new Error('库存变动验证失败: 单次变动数量不能超过999999');
+    }
+    if (movement.remark && movement.remark.length > 255) {
+      throw new Error('库存变动验证失败: 备注不能超过255个字符');
+    }
+  }
+
+  /**
+   * 商品预占哈希的缓存键
+   * @param {number} productId - 商品ID
+   * @returns {string} 缓存键
+   */
+  getProductReserveKey(productId) {
+    return generateKey(PREFIX.STOCK, `reserved:${productId}`);
+  }
+
+  /**
+   * 商品或规格预占哈希的缓存键
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID
+   * @returns {string} 缓存键
+   */
+  getReserveKey(productId, variantId) {
+    return variantId ? generateKey(PREFIX.STOCK, `reserved:${productId}:${variantId}`) : this.getProductReserveKey(productId);
+  }
+
+  /**
+   * 预占记录的缓存键
+   * @param {string} reservationId - 预占ID
+   * @returns {string} 缓存键
+   */
+  getReservationKey(reservationId) {
+    return generateKey(PREFIX.STOCK, `reservation:${reservationId}`);
+  }
+}
+
+module.exports = InventoryService;
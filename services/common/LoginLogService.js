@@ -0,0 +1,84 @@
+/**
+ * 登录日志服务
+ * 记录用户端和商户端的登录尝试，并提供登录历史查询
+ */
+
+const BaseService = require('../base/BaseService');
+const { COMMON_STATUS, USER_TYPE } = require('../../common/constants/status');
+
+class LoginLogService extends BaseService {
+  constructor() {
+    super();
+    this.maxUserAgentLength = 500;
+  }
+
+  /**
+   * 记录登录尝试
+   * 写入失败只记录错误日志，不影响登录流程
+   * @param {Object} attempt - 登录尝试信息
+   * @param {number} attempt.userId - 用户ID（账号不存在时为空）
+   * @param {string} attempt.userType - 登录端（user/merchant）
+   * @param {string} attempt.username - 提交的用户名或邮箱
+   * @param {string} attempt.ip - 客户端IP
+   * @param {string} attempt.userAgent - 客户端User-Agent
+   * @param {number} attempt.success - 是否成功（COMMON_STATUS.SUCCESS/FAILED）
+   * @param {string} attempt.failureReason - 失败原因
+   * @param {Object} sequelize - 数据库实例
+   */
+  async recordAttempt(attempt, sequelize) {
+    try {
+      const LoginLog = sequelize.models.LoginLog;
+
+      await LoginLog.create({
+        user_id: attempt.userId || null,
+        user_type: attempt.userType || USER_TYPE.USER,
+        username: attempt.username ? String(attempt.username).slice(0, 100) : null,
+        ip: attempt.ip || null,
+        user_agent: attempt.userAgent ? String(attempt.userAgent).slice(0, this.maxUserAgentLength) : null,
+        success: attempt.success,
+        failure_reason: attempt.success === COMMON_STATUS.SUCCESS ? null : (attempt.failureReason || null),
+        created_at: new Date()
+      });
+    } catch (error) {
+      this.logError('记录登录日志失败', error, { userId: attempt.userId, username: attempt.username });
+    }
+  }
+
+  /**
+   * 获取用户登录历史
+   * @param {number} userId - 用户ID
+   * @param {Object} filters - 筛选条件 { success }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 登录记录和总数
+   */
+  async getLoginHistory(userId, filters, pagination, sequelize) {
+    try {
+      this.logAction('获取登录历史', { userId, filters });
+
+      const LoginLog = sequelize.models.LoginLog;
+      const where = {
+        user_id: userId,
+        ...this.buildWhereCondition(filters, ['success', 'user_type'])
+      };
+
+      const { count, rows } = await LoginLog.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset
+      });
+
+      return {
+        logs: rows,
+        total: count
+      };
+
+    } catch (error) {
+      this.logError('获取登录历史失败', error, { userId });
+      throw error;
+    }
+  }
+}
+
+module.exports = LoginLogService;
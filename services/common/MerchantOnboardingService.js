@@ -0,0 +1,594 @@
+/**
+ * 商户入驻服务
+ * 处理商户端和管理端共用的入驻审核逻辑：上传证明材料、提交入驻资料、查询审核进度、管理员审核通过或拒绝
+ * 商户注册后处于审核中状态，只能登录和提交入驻资料；审核通过后商户状态变为正常，才能创建店铺和经营商品
+ */
+
+const path = require('path');
+const BaseService = require('../base/BaseService');
+const FileService = require('./FileService');
+const NotificationService = require('./NotificationService');
+const { Op } = require('sequelize');
+const { PREFIX } = require('../../common/redis');
+const { MERCHANT_STATUS, MERCHANT_APPLICATION_STATUS, USER_TYPE } = require('../../common/constants/status');
+
+// 证明材料类型：营业执照为必传材料
+const DOCUMENT_TYPES = {
+  business_license: '营业执照',
+  id_card_front: '法人身份证正面',
+  id_card_back: '法人身份证反面',
+  tax_certificate: '税务登记证',
+  bank_permit: '开户许可证',
+  other: '其他材料'
+};
+
+// 入驻资料字段：提交时同步到商户用户资料
+const PROFILE_FIELDS = [
+  'businessName', 'businessType', 'contactPerson', 'contactPhone',
+  'businessLicense', 'taxNumber', 'bankAccount', 'address'
+];
+
+class MerchantOnboardingService extends BaseService {
+  constructor() {
+    super();
+    this.fileService = new FileService();
+    this.notificationService = new NotificationService();
+    this.maxDocuments = 10;          // 单次申请最多证明材料数量
+    this.documentTtl = 86400;        // 已上传未提交的证明材料有效期（秒）
+  }
+
+  /**
+   * 上传入驻证明材料
+   * 文件保存在上传目录（不对外公开访问），上传记录暂存在缓存中，提交申请时只能引用本商户上传的材料
+   * @param {number} merchantId - 商户ID
+   * @param {Object} file - multer 解析的上传文件
+   * @param {string} type - 材料类型
+   * @returns {Promise<Object>} 材料信息 { type, filename, originalname, mimetype, size }
+   */
+  async uploadDocument(merchantId, file, type) {
+    try {
+      this.logAction('上传入驻证明材料', { merchantId, type, filename: file?.originalname });
+
+      if (!DOCUMENT_TYPES[type]) {
+        throw new Error(`入驻资料验证失败: 材料类型只能是 ${Object.keys(DOCUMENT_TYPES).join('、')}`);
+      }
+
+      const uploaded = await this.fileService.uploadFile(file);
+
+      const document = {
+        type,
+        filename: uploaded.filename,
+        originalname: uploaded.originalname,
+        mimetype: uploaded.mimetype,
+        size: uploaded.size
+      };
+
+      await this.cache.set(PREFIX.UPLOAD, this.getDocumentKey(merchantId, document.filename), document, this.documentTtl);
+
+      this.logAction('上传入驻证明材料成功', { merchantId, type, filename: document.filename });
+      return document;
+
+    } catch (error) {
+      this.logError('上传入驻证明材料失败', error, { merchantId, type });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取商户入驻状态
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { merchantStatus, verifiedAt, canSubmit, application（最近一次申请）, documentTypes（可上传的材料类型） }
+   */
+  async getOnboardingStatus(merchantId, sequelize) {
+    try {
+      this.logAction('获取商户入驻状态', { merchantId });
+
+      const merchant = await this.getMerchant(merchantId, sequelize);
+
+      const application = await sequelize.models.MerchantApplication.findOne({
+        where: { merchantId },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']]
+      });
+
+      return {
+        merchantStatus: merchant.merchantStatus,
+        verifiedAt: merchant.verifiedAt,
+        canSubmit: this.canSubmit(merchant, application),
+        application,
+        documentTypes: DOCUMENT_TYPES
+      };
+
+    } catch (error) {
+      this.logError('获取商户入驻状态失败', error, { merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 提交入驻申请
+   * 审核中（尚未提交或等待重新提交）和审核拒绝的商户可以提交，同一时间只能有一条待审核的申请
+   * @param {number} merchantId - 商户ID
+   * @param {Object} data - 入驻资料 { businessName, businessType, contactPerson, contactPhone, businessLicense, taxNumber, bankAccount, address, documents: [{ type, filename }] }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 创建的入驻申请
+   */
+  async submitApplication(merchantId, data, sequelize) {
+    try {
+      this.logAction('提交商户入驻申请', { merchantId });
+
+      const profile = this.normalizeProfile(data);
+      const documents = await this.resolveDocuments(merchantId, data.documents);
+
+      const MerchantApplication = sequelize.models.MerchantApplication;
+      const User = sequelize.models.User;
+
+      const application = await this.executeTransaction(async (transaction) => {
+        // 锁定商户用户行，避免重复提交产生多条待审核申请
+        const merchant = await User.findOne({
+          where: { merchantId, userType: USER_TYPE.MERCHANT },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!merchant) {
+          throw new Error('商户不存在');
+        }
+        if (merchant.merchantStatus === MERCHANT_STATUS.ACTIVE) {
+          throw new Error('商户已通过入驻审核，无需重复提交');
+        }
+        if (![MERCHANT_STATUS.PENDING, MERCHANT_STATUS.REJECTED].includes(merchant.merchantStatus)) {
+          throw new Error('商户账户状态异常，请联系管理员');
+        }
+
+        const pending = await MerchantApplication.count({
+          where: { merchantId, status: MERCHANT_APPLICATION_STATUS.PENDING },
+          transaction
+        });
+        if (pending > 0) {
+          throw new Error('入驻申请正在审核中，请耐心等待审核结果');
+        }
+
+        const created = await MerchantApplication.create({
+          ...profile,
+          merchantId,
+          userId: merchant.id,
+          status: MERCHANT_APPLICATION_STATUS.PENDING,
+          documents
+        }, { transaction });
+
+        // 同步已填写的入驻资料到商户用户，商户状态回到审核中
+        const filled = Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== null));
+        await merchant.update({
+          ...filled,
+          merchantStatus: MERCHANT_STATUS.PENDING
+        }, { transaction });
+
+        return created;
+      }, sequelize);
+
+      // 已提交的材料不再允许被其他申请引用
+      for (const document of documents) {
+        await this.cache.delete(PREFIX.UPLOAD, this.getDocumentKey(merchantId, document.filename));
+      }
+      await this.cache.delete(PREFIX.USER, application.userId);
+
+      this.logAction('提交商户入驻申请成功', { merchantId, applicationId: application.id });
+      return application;
+
+    } catch (error) {
+      this.logError('提交商户入驻申请失败', error, { merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取入驻申请列表（管理端）
+   * @param {Object} filters - 筛选条件 { status, merchantId, keyword（商户名称、联系人、联系电话、营业执照号） }
+   * @param {Object} pagination - 分页参数 { limit, offset }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { items, total }
+   */
+  async getApplications(filters, pagination, sequelize) {
+    try {
+      this.logAction('获取商户入驻申请列表', { filters });
+
+      const where = {};
+      if (filters.status !== undefined) {
+        if (!Object.values(MERCHANT_APPLICATION_STATUS).includes(filters.status)) {
+          throw new Error('入驻审核验证失败: 申请状态值无效');
+        }
+        where.status = filters.status;
+      }
+      if (filters.merchantId !== undefined) {
+        where.merchantId = filters.merchantId;
+      }
+      if (filters.keyword) {
+        const keyword = `%${filters.keyword}%`;
+        where[Op.or] = [
+          { businessName: { [Op.like]: keyword } },
+          { contactPerson: { [Op.like]: keyword } },
+          { contactPhone: { [Op.like]: keyword } },
+          { businessLicense: { [Op.like]: keyword } }
+        ];
+      }
+
+      const { count, rows } = await sequelize.models.MerchantApplication.findAndCountAll({
+        where,
+        include: [{
+          model: sequelize.models.User,
+          as: 'merchant',
+          attributes: ['id', 'username', 'email', 'merchantStatus'],
+          paranoid: false
+        }],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset
+      });
+
+      return { items: rows, total: count };
+
+    } catch (error) {
+      this.logError('获取商户入驻申请列表失败', error, { filters });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取入驻申请详情（管理端），包含商户账户信息、审核人和该商户的历史申请
+   * @param {number} applicationId - 申请ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { application, history }
+   */
+  async getApplication(applicationId, sequelize) {
+    try {
+      this.logAction('获取商户入驻申请详情', { applicationId });
+
+      const MerchantApplication = sequelize.models.MerchantApplication;
+
+      const application = await MerchantApplication.findByPk(applicationId, {
+        include: [
+          {
+            model: sequelize.models.User,
+            as: 'merchant',
+            attributes: ['id', 'username', 'email', 'merchantStatus', 'verifiedAt', 'created_at'],
+            paranoid: false
+          },
+          {
+            model: sequelize.models.User,
+            as: 'reviewer',
+            attributes: ['id', 'username'],
+            paranoid: false
+          }
+        ]
+      });
+
+      if (!application) {
+        throw new Error('入驻申请不存在');
+      }
+
+      const history = await MerchantApplication.findAll({
+        where: { merchantId: application.merchantId, id: { [Op.ne]: application.id } },
+        attributes: ['id', 'status', 'rejectReason', 'reviewedAt', 'createdAt'],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']]
+      });
+
+      return { application, history };
+
+    } catch (error) {
+      this.logError('获取商户入驻申请详情失败', error, { applicationId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取入驻申请中的证明材料文件（管理端查看）
+   * @param {number} applicationId - 申请ID
+   * @param {string} filename - 材料文件名
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { filePath（绝对路径）, originalname, mimetype }
+   */
+  async getApplicationDocument(applicationId, filename, sequelize) {
+    const application = await sequelize.models.MerchantApplication.findByPk(applicationId, {
+      attributes: ['id', 'documents']
+    });
+    if (!application) {
+      throw new Error('入驻申请不存在');
+    }
+
+    // 只允许读取申请中登记过的材料，防止通过文件名访问其他文件
+    const document = (application.documents || []).find(item => item.filename === filename);
+    if (!document) {
+      throw new Error('证明材料不存在');
+    }
+
+    return {
+      filePath: path.resolve(this.fileService.uploadDir, document.filename),
+      originalname: document.originalname,
+      mimetype: document.mimetype
+    };
+  }
+
+  /**
+   * 审核通过入驻申请：商户状态变为正常并记录认证时间，通知商户
+   * @param {number} applicationId - 申请ID
+   * @param {number} reviewerId - 审核管理员ID
+   * @param {string} remark - 审核备注（可选）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的入驻申请
+   */
+  async approveApplication(applicationId, reviewerId, remark, sequelize) {
+    try {
+      this.logAction('审核通过商户入驻申请', { applicationId, reviewerId });
+
+      if (remark && String(remark).length > 500) {
+        throw new Error('入驻审核验证失败: 审核备注不能超过500个字符');
+      }
+
+      const { application, merchant } = await this.reviewApplication(applicationId, sequelize, async (locked, user, transaction) => {
+        const now = new Date();
+
+        await locked.update({
+          status: MERCHANT_APPLICATION_STATUS.APPROVED,
+          reviewRemark: remark || null,
+          reviewedBy: reviewerId,
+          reviewedAt: now
+        }, { transaction });
+
+        await user.update({
+          merchantStatus: MERCHANT_STATUS.ACTIVE,
+          verifiedAt: now
+        }, { transaction });
+      });
+
+      await this.notifyMerchant(merchant, 'merchantApproved', { businessName: application.businessName });
+
+      this.logAction('审核通过商户入驻申请成功', { applicationId, merchantId: application.merchantId, reviewerId });
+      return application;
+
+    } catch (error) {
+      this.logError('审核通过商户入驻申请失败', error, { applicationId });
+      throw error;
+    }
+  }
+
+  /**
+   * 拒绝入驻申请：商户状态变为审核拒绝，通知商户拒绝原因，商户可修改资料后重新提交
+   * @param {number} applicationId - 申请ID
+   * @param {number} reviewerId - 审核管理员ID
+   * @param {string} reason - 拒绝原因（必填）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的入驻申请
+   */
+  async rejectApplication(applicationId, reviewerId, reason, sequelize) {
+    try {
+      this.logAction('拒绝商户入驻申请', { applicationId, reviewerId });
+
+      const rejectReason = typeof reason === 'string' ? reason.trim() : '';
+      if (!rejectReason) {
+        throw new Error('入驻审核验证失败: 拒绝原因不能为空');
+      }
+      if (rejectReason.length > 500) {
+        throw new Error('入驻审核验证失败: 拒绝原因不能超过500个字符');
+      }
+
+      const { application, merchant } = await this.reviewApplication(applicationId, sequelize, async (locked, user, transaction) => {
+        await locked.update({
+          status: MERCHANT_APPLICATION_STATUS.REJECTED,
+          rejectReason,
+          reviewedBy: reviewerId,
+          reviewedAt: new Date()
+        }, { transaction });
+
+        await user.update({
+          merchantStatus: MERCHANT_STATUS.REJECTED
+        }, { transaction });
+      });
+
+      await this.notifyMerchant(merchant, 'merchantRejected', {
+        businessName: application.businessName,
+        reason: rejectReason
+      });
+
+      this.logAction('拒绝商户入驻申请成功', { applicationId, merchantId: application.merchantId, reviewerId });
+      return application;
+
+    } catch (error) {
+      this.logError('拒绝商户入驻申请失败', error, { applicationId });
+      throw error;
+    }
+  }
+
+  /**
+   * 在事务中锁定待审核的申请和对应商户并执行审核操作，提交后清除认证中间件缓存的商户信息
+   * @param {number} applicationId - 申请ID
+   * @param {Object} sequelize - 数据库实例
+   * @param {Function} callback - 审核操作 (application, merchant, transaction) => Promise
+   * @returns {Promise<Object>} { application, merchant }
+   */
+  async reviewApplication(applicationId, sequelize, callback) {
+    const result = await this.executeTransaction(async (transaction) => {
+      const application = await sequelize.models.MerchantApplication.findByPk(applicationId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!application) {
+        throw new Error('入驻申请不存在');
+      }
+      if (application.status !== MERCHANT_APPLICATION_STATUS.PENDING) {
+        throw new Error('入驻申请状态已变化，只能审核待审核的申请');
+      }
+
+      const merchant = await sequelize.models.User.findOne({
+        where: { merchantId: application.merchantId, userType: USER_TYPE.MERCHANT },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!merchant) {
+        throw new Error('商户不存在');
+      }
+
+      await callback(application, merchant, transaction);
+
+      return { application, merchant };
+    }, sequelize);
+
+    // 使新的商户状态立即对认证中间件生效
+    await this.cache.delete(PREFIX.USER, result.merchant.id);
+
+    return result;
+  }
+
+  /**
+   * 发送审核结果通知（站内信和邮件），通知失败只记录日志，不影响审核结果
+   * @param {Object} merchant - 商户用户
+   * @param {string} templateType - 通知模板
+   * @param {Object} data - 模板数据
+   */
+  async notifyMerchant(merchant, templateType, data) {
+    try {
+      const { title, content } = this.notificationService.createNotificationFromTemplate(templateType, data);
+      const { IN_APP, EMAIL } = this.notificationService.notificationTypes;
+
+      const notifications = [{
+        type: IN_APP,
+        recipient: String(merchant.id),
+        title,
+        content,
+        subType: 'merchant_review'
+      }];
+      if (merchant.email) {
+        notifications.push({ type: EMAIL, recipient: merchant.email, title, content });
+      }
+
+      await this.notificationService.sendBatchNotifications(notifications);
+
+    } catch (error) {
+      this.logError('发送入驻审核通知失败', error, { userId: merchant.id, templateType });
+    }
+  }
+
+  /**
+   * 校验并整理入驻资料
+   * @param {Object} data - 提交的入驻资料
+   * @returns {Object} 整理后的资料（字符串去除首尾空白，空值为 null）
+   */
+  normalizeProfile(data) {
+    const profile = {};
+    PROFILE_FIELDS.forEach(field => {
+      const value = data[field];
+      profile[field] = value === undefined || value === null || String(value).trim() === ''
+        ? null
+        : String(value).trim();
+    });
+
+    const errors = [];
+    const rules = {
+      businessName: { label: '商户名称', required: true, max: 200 },
+      businessType: { label: '商户类型', max: 50 },
+      contactPerson: { label: '联系人', required: true, max: 50 },
+      contactPhone: { label: '联系电话', required: true, max: 20 },
+      businessLicense: { label: '营业执照号码', required: true, max: 50 },
+      taxNumber: { label: '税务登记号', max: 50 },
+      bankAccount: { label: '银行账户', max: 100 },
+      address: { label: '商户地址', max: 500 }
+    };
+
+    Object.entries(rules).forEach(([field, rule]) => {
+      if (profile[field] === null) {
+        if (rule.required) errors.push(`${rule.label}不能为空`);
+      } else if (profile[field].length > rule.max) {
+        errors.push(`${rule.label}不能超过${rule.max}个字符`);
+      }
+    });
+
+    if (profile.contactPhone && !/^1[3-9]\d{9}$/.test(profile.contactPhone.replace(/[-\s]/g, ''))) {
+      errors.push('联系电话格式不正确');
+    }
+
+    if (errors.length > 0) {
+      throw new Error('入驻资料验证失败: ' + errors.join(', '));
+    }
+
+    return profile;
+  }
+
+  /**
+   * 校验申请引用的证明材料：必须是本商户上传且尚未提交过的材料，且包含营业执照
+   * @param {number} merchantId - 商户ID
+   * @param {Array} documents - 提交的材料列表 [{ filename }]
+   * @returns {Promise<Array>} 材料信息列表
+   */
+  async resolveDocuments(merchantId, documents) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new Error('入驻资料验证失败: 请上传证明材料');
+    }
+    if (documents.length > this.maxDocuments) {
+      throw new Error(`入驻资料验证失败: 证明材料不能超过${this.maxDocuments}个`);
+    }
+
+    const resolved = [];
+    for (const item of documents) {
+      const filename = typeof item === 'string' ? item : item?.filename;
+      const document = filename
+        ? await this.cache.get(PREFIX.UPLOAD, this.getDocumentKey(merchantId, filename))
+        : null;
+
+      if (!document) {
+        throw new Error(`入驻资料验证失败: 证明材料 ${filename || ''} 不存在或已过期，请重新上传`);
+      }
+      if (!resolved.some(existing => existing.filename === document.filename)) {
+        resolved.push(document);
+      }
+    }
+
+    if (!resolved.some(document => document.type === 'business_license')) {
+      throw new Error(`入驻资料验证失败: 请上传${DOCUMENT_TYPES.business_license}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 判断商户当前是否可以提交入驻申请
+   * @param {Object} merchant - 商户用户
+   * @param {Object|null} application - 最近一次申请
+   * @returns {boolean} 是否可以提交
+   */
+  canSubmit(merchant, application) {
+    if (![MERCHANT_STATUS.PENDING, MERCHANT_STATUS.REJECTED].includes(merchant.merchantStatus)) {
+      return false;
+    }
+    return !application || application.status !== MERCHANT_APPLICATION_STATUS.PENDING;
+  }
+
+  /**
+   * 获取商户用户
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商户用户
+   */
+  async getMerchant(merchantId, sequelize) {
+    const merchant = await sequelize.models.User.findOne({
+      where: { merchantId, userType: USER_TYPE.MERCHANT }
+    });
+    if (!merchant) {
+      throw new Error('商户不存在');
+    }
+    return merchant;
+  }
+
+  /**
+   * 生成已上传证明材料的缓存键
+   * @param {number} merchantId - 商户ID
+   * @param {string} filename - 文件名
+   * @returns {string} 缓存键
+   */
+  getDocumentKey(merchantId, filename) {
+    return `merchant-document:${merchantId}:${filename}`;
+  }
+}
+
+module.exports = MerchantOnboardingService;
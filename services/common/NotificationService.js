@@ -4,6 +4,7 @@
  */
 
 const BaseService = require('../base/BaseService');
+const SmsService = require('./SmsService');
 
 class NotificationService extends BaseService {
   constructor() {
@@ -14,6 +15,7 @@ class NotificationService extends BaseService {
       PUSH: 'push',
       IN_APP: 'in_app'
     };
+    this.smsService = new SmsService();
   }
 
   /**
@@ -91,11 +93,15 @@ class NotificationService extends BaseService {
    * @returns {Promise<Object>} 发送结果
    */
   async sendSmsNotification(notificationData) {
-    // 这里应该集成短信服务
+    // 通过当前配置的短信通道发送（SMS_PROVIDER）
+    const sent = await this.smsService.sendMessage(notificationData.recipient, notificationData.content);
+
     const result = {
       notificationId: this.generateId(),
       type: this.notificationTypes.SMS,
       recipient: notificationData.recipient,
+      provider: sent.provider,
+      messageId: sent.messageId,
       status: 'sent',
       sentAt: new Date()
     };
@@ -374,6 +380,22 @@ class NotificationService extends BaseService {
       systemMaintenance: {
         title: '系统维护通知',
         content: `系统将在 ${data.maintenanceTime} 进行维护，预计持续 ${data.duration}。`
+      },
+      merchantApproved: {
+        title: '商户入驻审核通过',
+        content: `您好 ${data.businessName}，您的入驻申请已审核通过，现在可以创建店铺并开始经营。`
+      },
+      merchantRejected: {
+        title: '商户入驻审核未通过',
+        content: `您好 ${data.businessName}，您的入驻申请未通过审核，原因：${data.reason}。请修改资料后重新提交。`
+      },
+      merchantSuspended: {
+        title: '商户经营状态变更',
+        content: `您好 ${data.businessName}，您的商户账户已被暂停或禁用，原因：${data.reason}。如有疑问请联系平台客服。`
+      },
+      merchantReinstated: {
+        title: '商户恢复营业',
+        content: `您好 ${data.businessName}，您的商户账户已恢复正常，可以继续经营。`
       }
     };
 
@@ -0,0 +1,131 @@
+/**
+ * 订单通用服务
+ * 处理用户端和商户端共用的订单逻辑：订单号生成、状态流转、库存回补
+ */
+
+const BaseService = require('../base/BaseService');
+const InventoryService = require('./InventoryService');
+const { ORDER_STATUS, STOCK_MOVEMENT_TYPE } = require('../../common/constants/status');
+const { StatusHelper } = require('../../common/utils/statusHelper');
+
+class OrderService extends BaseService {
+  constructor() {
+    super();
+    // 订单状态与对应时间字段的映射，状态流转时同步记录时间
+    this.statusTimeFields = {
+      [ORDER_STATUS.PAID]: 'paidAt',
+      [ORDER_STATUS.SHIPPED]: 'shippedAt',
+      [ORDER_STATUS.COMPLETED]: 'completedAt',
+      [ORDER_STATUS.CANCELLED]: 'cancelledAt',
+      [ORDER_STATUS.REFUNDED]: 'refundedAt'
+    };
+    // 需要回补库存的目标状态
+    this.stockRestoreStatuses = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+    this.inventoryService = new InventoryService();
+  }
+
+  /**
+   * 生成订单编号
+   * 格式：年月日时分秒(14位) + 6位随机数
+   * @returns {string} 订单编号
+   */
+  generateOrderNo() {
+    const timePart = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const randomPart = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
+    return `${timePart}${randomPart}`;
+  }
+
+  /**
+   * 变更订单状态
+   * 在事务中锁定订单，校验状态流转是否合法，取消/退款时回补库存
+   * @param {number} orderId - 订单ID
+   * @param {number} targetStatus - 目标状态
+   * @param {Object} scope - 订单归属条件（如 { userId } 或 { merchantId }）
+   * @param {Object} extraData - 需要一并更新的字段（如物流信息、取消原因）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的订单
+   */
+  async changeOrderStatus(orderId, targetStatus, scope, extraData, sequelize) {
+    try {
+      this.logAction('变更订单状态', { orderId, targetStatus, scope });
+
+      const Order = sequelize.models.Order;
+      const OrderItem = sequelize.models.OrderItem;
+
+      const order = await this.executeTransaction(async (transaction) => {
+        // 锁定订单行，避免并发流转
+        const lockedOrder = await Order.findOne({
+          where: { id: orderId, ...scope, deletedAt: null },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!lockedOrder) {
+          throw new Error('订单不存在');
+        }
+
+        if (!StatusHelper.canTransitionOrder(lockedOrder.status, targetStatus)) {
+          throw new Error(
+            `订单状态流转无效: ${StatusHelper.getDescription('ORDER_STATUS', lockedOrder.status)} -> ` +
+            `${StatusHelper.getDescription('ORDER_STATUS', targetStatus)}`
+          );
+        }
+
+        // 取消或退款时回补库存
+        if (this.stockRestoreStatuses.includes(targetStatus)) {
+          const items = await OrderItem.findAll({ where: { orderId }, transaction });
+          await this.restoreStock(items, transaction, sequelize);
+        }
+
+        const now = new Date();
+        const updateData = {
+          ...extraData,
+          status: targetStatus,
+          updatedAt: now
+        };
+        if (this.statusTimeFields[targetStatus]) {
+          updateData[this.statusTimeFields[targetStatus]] = now;
+        }
+
+        await lockedOrder.update(updateData, { transaction });
+        return lockedOrder;
+      }, sequelize);
+
+      this.logAction('订单状态变更成功', { orderId, status: targetStatus });
+      return order;
+
+    } catch (error) {
+      this.logError('变更订单状态失败', error, { orderId, targetStatus });
+      throw error;
+    }
+  }
+
+  /**
+   * 回补订单商品库存，并记录退货入库流水
+   * 购买了规格的明细回补到规格库存；规格已删除时回补到商品库存
+   * @param {Array} items - 订单明细列表
+   * @param {Object} transaction - 事务对象
+   * @param {Object} sequelize - 数据库实例
+   */
+  async restoreStock(items, transaction, sequelize) {
+    for (const item of items) {
+      const quantity = parseInt(item.quantity);
+      const variantExists = item.variantId
+        ? await sequelize.models.ProductVariant.count({ where: { id: item.variantId }, transaction }) > 0
+        : false;
+
+      await this.inventoryService.changeStock({
+        productId: item.productId,
+        variantId: variantExists ? item.variantId : null,
+        quantity,
+        type: STOCK_MOVEMENT_TYPE.RETURN,
+        referenceType: 'order',
+        referenceId: item.orderId,
+        remark: '订单取消/退款回补库存',
+        extraFields: { saleCount: sequelize.literal(`GREATEST(saleCount - ${quantity}, 0)`) }
+      }, transaction, sequelize);
+    }
+  }
+}
+
+module.exports = OrderService;
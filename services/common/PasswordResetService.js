@@ -0,0 +1,225 @@
+/**
+ * 密码重置服务
+ * 处理用户端和商户端的找回密码：向账户邮箱发送重置链接，用户凭链接中的令牌设置新密码
+ * 重置令牌为随机字符串，Redis中只保存其SHA-256摘要，带有过期时间且只能使用一次；同一账户重新申请后旧令牌失效
+ * 申请接口无论账户是否存在都返回相同结果；重置成功后写入 password_updated_at，此前签发的所有令牌失效
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const BaseService = require('../base/BaseService');
+const EmailService = require('./EmailService');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+const { USER_STATUS } = require('../../common/constants/status');
+
+// 原子读取并删除重置令牌的Lua脚本，保证令牌只能使用一次
+const CONSUME_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value then
+  redis.call('DEL', KEYS[1])
+end
+return value
+`;
+
+// 可以申请重置密码的账户状态（等待邮箱验证的账户也可以重置）
+const RESETTABLE_STATUSES = [USER_STATUS.ACTIVE, USER_STATUS.INACTIVE];
+
+// 邮箱格式
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class PasswordResetService extends BaseService {
+  constructor() {
+    super();
+    this.emailService = new EmailService();
+    this.saltRounds = 12;
+    // 重置令牌有效期（秒）和同一邮箱重复申请的间隔（秒）
+    this.tokenTtl = parseInt(process.env.PASSWORD_RESET_TTL) || 3600;
+    this.requestInterval = parseInt(process.env.PASSWORD_RESET_INTERVAL) || 60;
+  }
+
+  /**
+   * 申请重置密码：账户存在且状态允许时生成重置令牌并发送重置邮件
+   * 账户不存在、类型不符或已被暂停/封禁时不发送邮件，发送失败也只记录日志，所有情况返回相同结果，避免探测账户是否存在
+   * @param {string} email - 账户邮箱
+   * @param {string} userType - 账户类型（user/merchant）
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 选项
+   * @param {string} options.baseUrl - 重置页面所在前端地址
+   * @returns {Promise<Object>} { expiresIn }
+   */
+  async requestReset(email, userType, sequelize, options = {}) {
+    try {
+      this.logAction('申请重置密码', { email, userType });
+
+      if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        throw new Error('找回密码参数验证失败: 邮箱格式不正确');
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+
+      // 同一邮箱的申请间隔，与账户是否存在无关
+      const cooldownKey = generateKey(PREFIX.VERIFY, `password-reset-cooldown:${userType}:${normalizedEmail}`);
+      const acquired = await redis.set(cooldownKey, '1', 'EX', this.requestInterval, 'NX');
+      if (!acquired) {
+        const ttl = await redis.ttl(cooldownKey);
+        throw new Error(`找回密码请求过于频繁，请${ttl > 0 ? ttl : this.requestInterval}秒后再试`);
+      }
+
+      // 查找账户、生成令牌和发送邮件在响应返回后于后台执行，
+      // 使账户是否存在、邮件是否发送成功都不影响响应内容和耗时
+      setImmediate(() => {
+        this.issueResetToken(email.trim(), userType, sequelize, options);
+      });
+
+      return { expiresIn: this.tokenTtl };
+
+    } catch (error) {
+      this.logError('申请重置密码失败', error, { email, userType });
+      throw error;
+    }
+  }
+
+  /**
+   * 为账户生成重置令牌并发送重置邮件（后台执行，失败只记录日志）
+   * @param {string} email - 账户邮箱
+   * @param {string} userType - 账户类型（user/merchant）
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 选项 { baseUrl }
+   * @returns {Promise<void>}
+   */
+  async issueResetToken(email, userType, sequelize, options = {}) {
+    try {
+      const User = sequelize.models.User;
+      const user = await User.findOne({
+        where: { email, userType },
+        attributes: ['id', 'email', 'status']
+      });
+
+      if (!user || !RESETTABLE_STATUSES.includes(user.status)) {
+        this.logAction('找回密码账户不存在或状态不允许，跳过发送', { email, userType });
+        return;
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const tokenHash = this.hashToken(token);
+      const userKey = this.getUserKey(userType, user.id);
+
+      // 同一账户只保留最新的重置令牌
+      const previousHash = await redis.get(userKey);
+      const pipeline = redis.multi();
+      if (previousHash) {
+        pipeline.del(this.getTokenKey(previousHash));
+      }
+      pipeline.set(this.getTokenKey(tokenHash), `${userType}:${user.id}`, 'EX', this.tokenTtl);
+      pipeline.set(userKey, tokenHash, 'EX', this.tokenTtl);
+      await pipeline.exec();
+
+      await this.emailService.sendPasswordResetEmail(user.email, token, {
+        baseUrl: options.baseUrl,
+        expiresInMinutes: Math.ceil(this.tokenTtl / 60)
+      });
+
+      this.logAction('重置密码邮件已发送', { userId: user.id, userType });
+
+    } catch (error) {
+      this.logError('发送重置密码邮件失败', error, { email, userType });
+    }
+  }
+
+  /**
+   * 使用重置令牌设置新密码，令牌使用后立即失效，账户此前签发的所有令牌同时失效
+   * @param {string} token - 重置令牌
+   * @param {string} newPassword - 新密码
+   * @param {string} userType - 账户类型（user/merchant）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { userId }
+   */
+  async resetPassword(token, newPassword, userType, sequelize) {
+    try {
+      this.logAction('重置密码', { userType });
+
+      // 先校验新密码，避免密码格式不符时白白消耗令牌
+      const validation = this.validateData({ token, newPassword }, {
+        token: { required: true, type: 'string', minLength: 1 },
+        newPassword: {
+          required: true,
+          type: 'string',
+          minLength: 8,
+          pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+          patternMessage: '新密码必须包含大小写字母和数字'
+        }
+      });
+
+      if (!validation.isValid) {
+        throw new Error('重置密码参数验证失败: ' + validation.errors.map(e => e.message).join(', '));
+      }
+
+      const owner = await redis.eval(CONSUME_SCRIPT, 1, this.getTokenKey(this.hashToken(token)));
+      if (!owner) {
+        throw new Error('重置链接无效或已过期');
+      }
+
+      const [ownerType, ownerId] = owner.split(':');
+      const userId = parseInt(ownerId);
+      if (ownerType !== userType) {
+        throw new Error('重置链接无效或已过期');
+      }
+
+      const User = sequelize.models.User;
+      const user = await User.findByPk(userId);
+
+      if (!user || user.userType !== userType || !RESETTABLE_STATUSES.includes(user.status)) {
+        throw new Error('重置链接无效或已过期');
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, this.saltRounds);
+
+      await user.update({
+        password: hashedPassword,
+        password_updated_at: new Date()
+      });
+
+      await redis.del(this.getUserKey(userType, userId));
+      // 清除用户缓存，认证中间件读取到新的密码修改时间后拒绝旧令牌
+      await this.cache.delete(PREFIX.USER, userId);
+
+      this.logAction('重置密码成功', { userId, userType });
+
+      return { userId };
+
+    } catch (error) {
+      this.logError('重置密码失败', error, { userType });
+      throw error;
+    }
+  }
+
+  /**
+   * 计算重置令牌摘要，Redis中不保存令牌明文
+   * @param {string} token - 重置令牌
+   * @returns {string} SHA-256摘要
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * 获取重置令牌缓存键
+   * @param {string} tokenHash - 令牌摘要
+   * @returns {string} Redis键
+   */
+  getTokenKey(tokenHash) {
+    return generateKey(PREFIX.VERIFY, `password-reset:${tokenHash}`);
+  }
+
+  /**
+   * 获取账户当前重置令牌缓存键
+   * @param {string} userType - 账户类型
+   * @param {number} userId - 用户ID
+   * @returns {string} Redis键
+   */
+  getUserKey(userType, userId) {
+    return generateKey(PREFIX.VERIFY, `password-reset-user:${userType}:${userId}`);
+  }
+}
+
+module.exports = PasswordResetService;
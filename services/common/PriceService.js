@@ -0,0 +1,549 @@
+/**
+ * 价格通用服务
+ * 处理商品价格历史记录和定时调价：每次价格或原价变动都追加一条价格历史（谁、何时、变动前后价格），
+ * 定时调价到达生效时间后由定时任务改价，到达结束时间后恢复生效前的价格
+ * 同一商品的定时调价时间段不能重叠，保证结束时可以准确恢复
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op } = require('sequelize');
+const { PRICE_CHANGE_SOURCE, PRICE_SCHEDULE_STATUS } = require('../../common/constants/status');
+
+class PriceService extends BaseService {
+  constructor() {
+    super();
+    // 每个商品最多同时存在的待生效和生效中调价数量
+    this.maxOpenSchedules = 20;
+    // 定时任务每次最多处理的调价数量
+    this.batchSize = 200;
+  }
+
+  /**
+   * 记录价格变动
+   * @param {Object} data - { productId, merchantId, oldPrice, newPrice, oldOriginalPrice, newOriginalPrice, source, scheduleId, operatorId, remark }
+   * @param {Object} transaction - 事务对象（可选）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 价格历史记录
+   */
+  async recordChange(data, transaction, sequelize) {
+    return sequelize.models.PriceHistory.create({
+      productId: data.productId,
+      merchantId: data.merchantId,
+      oldPrice: data.oldPrice ?? null,
+      newPrice: data.newPrice,
+      oldOriginalPrice: data.oldOriginalPrice ?? null,
+      newOriginalPrice: data.newOriginalPrice ?? null,
+      source: data.source,
+      scheduleId: data.scheduleId || null,
+      operatorId: data.operatorId || null,
+      remark: data.remark || null
+    }, { transaction });
+  }
+
+  /**
+   * 比较变动前后的价格，有变化时记录价格历史
+   * @param {Object} before - 变动前 { price, originalPrice }
+   * @param {Object} after - 变动后 { price, originalPrice }
+   * @param {Object} data - 其余历史字段 { productId, merchantId, source, scheduleId, operatorId, remark }
+   * @param {Object} transaction - 事务对象（可选）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object|null>} 价格历史记录，价格未变化时返回null
+   */
+  async recordIfChanged(before, after, data, transaction, sequelize) {
+    if (this.isSamePrice(before.price, after.price) && this.isSamePrice(before.originalPrice, after.originalPrice)) {
+      return null;
+    }
+
+    return this.recordChange({
+      ...data,
+      oldPrice: before.price,
+      newPrice: after.price,
+      oldOriginalPrice: before.originalPrice,
+      newOriginalPrice: after.originalPrice
+    }, transaction, sequelize);
+  }
+
+  /**
+   * 获取商品价格历史
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} filters - 筛选条件 { source, startDate, endDate }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { history, total, currentPrice, currentOriginalPrice, schedules }
+   */
+  async getPriceHistory(productId, merchantId, filters, pagination, sequelize) {
+    try {
+      this.logAction('获取价格历史', { productId, merchantId, filters });
+
+      const product = await this.getOwnedProduct(productId, merchantId, sequelize);
+
+      const where = {
+        productId,
+        ...this.buildWhereCondition(filters, ['source'])
+      };
+      if (filters.startDate || filters.endDate) {
+        where.createdAt = {};
+        if (filters.startDate) where.createdAt[Op.gte] = new Date(filters.startDate);
+        if (filters.endDate) where.createdAt[Op.lte] = new Date(filters.endDate);
+      }
+
+      const { count, rows } = await sequelize.models.PriceHistory.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset
+      });
+
+      // 附带尚未结束的定时调价，便于查看接下来的价格变化
+      const schedules = await sequelize.models.PriceSchedule.findAll({
+        where: {
+          productId,
+          status: { [Op.in]: [PRICE_SCHEDULE_STATUS.PENDING, PRICE_SCHEDULE_STATUS.ACTIVE] }
+        },
+        order: [['startAt', 'ASC']]
+      });
+
+      return {
+        history: rows,
+        total: count,
+        currentPrice: product.price,
+        currentOriginalPrice: product.originalPrice,
+        schedules
+      };
+
+    } catch (error) {
+      this.logError('获取价格历史失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取商品的定时调价列表
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} filters - 筛选条件 { status }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 定时调价列表
+   */
+  async getSchedules(productId, merchantId, filters, sequelize) {
+    try {
+      this.logAction('获取定时调价列表', { productId, merchantId, filters });
+
+      await this.getOwnedProduct(productId, merchantId, sequelize);
+
+      return sequelize.models.PriceSchedule.findAll({
+        where: {
+          productId,
+          ...this.buildWhereCondition(filters, ['status'])
+        },
+        order: [['startAt', 'DESC'], ['id', 'DESC']]
+      });
+
+    } catch (error) {
+      this.logError('获取定时调价列表失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建定时调价
+   * 生效时间已到（或未指定）时立即生效，否则由定时任务在生效时间改价
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} scheduleData - { price, originalPrice, startAt, endAt, remark }
+   * @param {number} operatorId - 操作人ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 定时调价
+   */
+  async createSchedule(productId, merchantId, scheduleData, operatorId, sequelize) {
+    try {
+      this.logAction('创建定时调价', { productId, merchantId, price: scheduleData.price });
+
+      const now = new Date();
+      const data = this.normalizeSchedule(scheduleData, now);
+      const { PriceSchedule, ProductVariant } = sequelize.models;
+
+      await this.getOwnedProduct(productId, merchantId, sequelize);
+
+      // 启用规格的商品价格由规格汇总得出，不能直接调价
+      const variantCount = await ProductVariant.count({ where: { productId } });
+      if (variantCount > 0) {
+        throw new Error('定时调价验证失败: 该商品已启用规格，请在规格中修改价格');
+      }
+
+      const schedule = await this.executeTransaction(async (transaction) => {
+        const openSchedules = await PriceSchedule.findAll({
+          where: {
+            productId,
+            status: { [Op.in]: [PRICE_SCHEDULE_STATUS.PENDING, PRICE_SCHEDULE_STATUS.ACTIVE] }
+          },
+          attributes: ['id', 'startAt', 'endAt'],
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (openSchedules.length >= this.maxOpenSchedules) {
+          throw new Error(`定时调价验证失败: 每个商品最多同时存在${this.maxOpenSchedules}个未结束的定时调价`);
+        }
+
+        const overlapping = openSchedules.find(item => this.isOverlapping(item, data));
+        if (overlapping) {
+          throw new Error(`定时调价验证失败: 与定时调价 #${overlapping.id} 的时间段重叠`);
+        }
+
+        return PriceSchedule.create({
+          ...data,
+          productId,
+          merchantId,
+          status: PRICE_SCHEDULE_STATUS.PENDING,
+          createdBy: operatorId || null
+        }, { transaction });
+      }, sequelize);
+
+      if (schedule.startAt <= now) {
+        await this.applySchedule(schedule.id, now, sequelize);
+        await schedule.reload();
+      }
+
+      this.logAction('创建定时调价成功', { productId, merchantId, scheduleId: schedule.id });
+      return schedule;
+
+    } catch (error) {
+      this.logError('创建定时调价失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 取消定时调价
+   * 待生效的直接取消；生效中的立即结束并恢复生效前的价格
+   * @param {number} scheduleId - 定时调价ID
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {number} operatorId - 操作人ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 取消后的定时调价
+   */
+  async cancelSchedule(scheduleId, productId, merchantId, operatorId, sequelize) {
+    try {
+      this.logAction('取消定时调价', { scheduleId, productId, merchantId });
+
+      const { PriceSchedule } = sequelize.models;
+      const schedule = await PriceSchedule.findOne({ where: { id: scheduleId, productId, merchantId } });
+
+      if (!schedule) {
+        throw new Error('定时调价不存在');
+      }
+
+      if (schedule.status === PRICE_SCHEDULE_STATUS.PENDING) {
+        const [affectedCount] = await PriceSchedule.update(
+          { status: PRICE_SCHEDULE_STATUS.CANCELLED, finishedAt: new Date() },
+          { where: { id: scheduleId, status: PRICE_SCHEDULE_STATUS.PENDING } }
+        );
+        if (affectedCount === 0) {
+          throw new Error('定时调价状态已变化，请刷新后重试');
+        }
+      } else if (schedule.status === PRICE_SCHEDULE_STATUS.ACTIVE) {
+        const reverted = await this.revertSchedule(scheduleId, new Date(), sequelize, {
+          operatorId,
+          status: PRICE_SCHEDULE_STATUS.CANCELLED,
+          remark: '提前取消定时调价'
+        });
+        if (!reverted) {
+          throw new Error('定时调价状态已变化，请刷新后重试');
+        }
+      } else {
+        throw new Error('定时调价验证失败: 已结束或已取消的定时调价不能取消');
+      }
+
+      this.logAction('取消定时调价成功', { scheduleId, productId, merchantId });
+      return schedule.reload();
+
+    } catch (error) {
+      this.logError('取消定时调价失败', error, { scheduleId, productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 处理到期的定时调价（由定时任务每分钟调用）
+   * 先恢复已到结束时间的调价，再应用已到生效时间的调价，保证首尾相接的两次调价按顺序执行
+   * @param {Object} sequelize - 数据库实例
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Object>} { applied, reverted, failed }
+   */
+  async processDueSchedules(sequelize, now = new Date()) {
+    const { PriceSchedule } = sequelize.models;
+    const summary = { applied: 0, reverted: 0, failed: 0 };
+
+    const dueReverts = await PriceSchedule.findAll({
+      where: { status: PRICE_SCHEDULE_STATUS.ACTIVE, endAt: { [Op.lte]: now } },
+      attributes: ['id'],
+      order: [['endAt', 'ASC']],
+      limit: this.batchSize
+    });
+
+    for (const { id } of dueReverts) {
+      try {
+        if (await this.revertSchedule(id, now, sequelize)) {
+          summary.reverted++;
+        }
+      } catch (error) {
+        summary.failed++;
+        this.logError('恢复定时调价失败', error, { scheduleId: id });
+      }
+    }
+
+    const dueApplies = await PriceSchedule.findAll({
+      where: { status: PRICE_SCHEDULE_STATUS.PENDING, startAt: { [Op.lte]: now } },
+      attributes: ['id'],
+      order: [['startAt', 'ASC']],
+      limit: this.batchSize
+    });
+
+    for (const { id } of dueApplies) {
+      try {
+        if (await this.applySchedule(id, now, sequelize)) {
+          summary.applied++;
+        }
+      } catch (error) {
+        summary.failed++;
+        this.logError('应用定时调价失败', error, { scheduleId: id });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * 应用定时调价：记下当前价格后改为计划价格
+   * 结束时间已过（如定时任务停止期间错过）的调价不再改价，直接标记为已结束
+   * @param {number} scheduleId - 定时调价ID
+   * @param {Date} now - 当前时间
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<boolean>} 是否改价
+   */
+  async applySchedule(scheduleId, now, sequelize) {
+    return this.executeTransaction(async (transaction) => {
+      const { PriceSchedule, Product } = sequelize.models;
+
+      const schedule = await PriceSchedule.findOne({
+        where: { id: scheduleId, status: PRICE_SCHEDULE_STATUS.PENDING },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!schedule) {
+        return false;
+      }
+
+      const product = await Product.findOne({
+        where: { id: schedule.productId },
+        attributes: ['id', 'merchantId', 'price', 'originalPrice'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!product || (schedule.endAt && schedule.endAt <= now)) {
+        await schedule.update({
+          status: product ? PRICE_SCHEDULE_STATUS.COMPLETED : PRICE_SCHEDULE_STATUS.CANCELLED,
+          finishedAt: now
+        }, { transaction });
+        return false;
+      }
+
+      const before = { price: product.price, originalPrice: product.originalPrice };
+      const after = {
+        price: schedule.price,
+        originalPrice: schedule.originalPrice ?? product.originalPrice
+      };
+
+      await this.updateProductPrice(product.id, after, transaction, sequelize);
+
+      await schedule.update({
+        status: schedule.endAt ? PRICE_SCHEDULE_STATUS.ACTIVE : PRICE_SCHEDULE_STATUS.COMPLETED,
+        previousPrice: before.price,
+        previousOriginalPrice: before.originalPrice,
+        appliedAt: now,
+        finishedAt: schedule.endAt ? null : now
+      }, { transaction });
+
+      await this.recordIfChanged(before, after, {
+        productId: product.id,
+        merchantId: product.merchantId,
+        source: PRICE_CHANGE_SOURCE.SCHEDULE_APPLY,
+        scheduleId: schedule.id,
+        remark: schedule.remark
+      }, transaction, sequelize);
+
+      return true;
+    }, sequelize);
+  }
+
+  /**
+   * 结束定时调价并恢复生效前的价格
+   * 生效期间价格被商户手动修改过时保留当前价格，不再恢复
+   * @param {number} scheduleId - 定时调价ID
+   * @param {Date} now - 当前时间
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 选项 { operatorId: 操作人ID, status: 结束后的状态（默认已结束）, remark: 备注 }
+   * @returns {Promise<boolean>} 是否处理了该调价
+   */
+  async revertSchedule(scheduleId, now, sequelize, options = {}) {
+    return this.executeTransaction(async (transaction) => {
+      const { PriceSchedule, Product } = sequelize.models;
+
+      const schedule = await PriceSchedule.findOne({
+        where: { id: scheduleId, status: PRICE_SCHEDULE_STATUS.ACTIVE },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!schedule) {
+        return false;
+      }
+
+      const product = await Product.findOne({
+        where: { id: schedule.productId },
+        attributes: ['id', 'merchantId', 'price', 'originalPrice'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (product && this.isSamePrice(product.price, schedule.price)) {
+        const before = { price: product.price, originalPrice: product.originalPrice };
+        const after = {
+          price: schedule.previousPrice,
+          originalPrice: schedule.originalPrice !== null ? schedule.previousOriginalPrice : product.originalPrice
+        };
+
+        await this.updateProductPrice(product.id, after, transaction, sequelize);
+
+        await this.recordIfChanged(before, after, {
+          productId: product.id,
+          merchantId: product.merchantId,
+          source: PRICE_CHANGE_SOURCE.SCHEDULE_REVERT,
+          scheduleId: schedule.id,
+          operatorId: options.operatorId,
+          remark: options.remark || schedule.remark
+        }, transaction, sequelize);
+      } else if (product) {
+        this.logAction('定时调价期间价格已被修改，保留当前价格', { scheduleId, productId: product.id });
+      }
+
+      await schedule.update({
+        status: options.status || PRICE_SCHEDULE_STATUS.COMPLETED,
+        finishedAt: now
+      }, { transaction });
+
+      return true;
+    }, sequelize);
+  }
+
+  /**
+   * 修改商品价格（同时递增版本号，使客户端持有的 ETag 失效）
+   * @param {number} productId - 商品ID
+   * @param {Object} prices - { price, originalPrice }
+   * @param {Object} transaction - 事务对象
+   * @param {Object} sequelize - 数据库实例
+   */
+  async updateProductPrice(productId, prices, transaction, sequelize) {
+    await sequelize.models.Product.update({
+      price: prices.price,
+      originalPrice: prices.originalPrice,
+      version: sequelize.literal('version + 1')
+    }, {
+      where: { id: productId },
+      transaction
+    });
+  }
+
+  /**
+   * 校验并规范化定时调价数据
+   * @param {Object} data - { price, originalPrice, startAt, endAt, remark }
+   * @param {Date} now - 当前时间
+   * @returns {Object} 规范化后的数据
+   */
+  normalizeSchedule(data, now) {
+    const price = Number(data.price);
+    if (!Number.isFinite(price) || price <= 0 || price > 999999.99) {
+      throw new Error('定时调价验证失败: 价格必须大于0且不超过999999.99');
+    }
+
+    let originalPrice = null;
+    if (data.originalPrice !== undefined && data.originalPrice !== null && data.originalPrice !== '') {
+      originalPrice = Number(data.originalPrice);
+      if (!Number.isFinite(originalPrice) || originalPrice < 0 || originalPrice > 999999.99) {
+        throw new Error('定时调价验证失败: 原价不能为负数且不超过999999.99');
+      }
+    }
+
+    const startAt = data.startAt ? new Date(data.startAt) : now;
+    if (isNaN(startAt.getTime())) {
+      throw new Error('定时调价验证失败: 生效时间格式不正确');
+    }
+
+    let endAt = null;
+    if (data.endAt) {
+      endAt = new Date(data.endAt);
+      if (isNaN(endAt.getTime())) {
+        throw new Error('定时调价验证失败: 结束时间格式不正确');
+      }
+      if (endAt <= startAt || endAt <= now) {
+        throw new Error('定时调价验证失败: 结束时间必须晚于生效时间和当前时间');
+      }
+    }
+
+    if (data.remark && data.remark.length > 255) {
+      throw new Error('定时调价验证失败: 备注不能超过255个字符');
+    }
+
+    return { price, originalPrice, startAt, endAt, remark: data.remark || null };
+  }
+
+  /**
+   * 判断两个定时调价的时间段是否重叠（结束时间为空表示一直有效）
+   * @param {Object} a - { startAt, endAt }
+   * @param {Object} b - { startAt, endAt }
+   * @returns {boolean} 是否重叠
+   */
+  isOverlapping(a, b) {
+    const aEnd = a.endAt ? new Date(a.endAt).getTime() : Infinity;
+    const bEnd = b.endAt ? new Date(b.endAt).getTime() : Infinity;
+    return new Date(a.startAt).getTime() < bEnd && new Date(b.startAt).getTime() < aEnd;
+  }
+
+  /**
+   * 比较两个价格是否相同（数据库返回的 DECIMAL 为字符串）
+   * @param {number|string|null} a - 价格
+   * @param {number|string|null} b - 价格
+   * @returns {boolean} 是否相同
+   */
+  isSamePrice(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return (a ?? null) === (b ?? null);
+    }
+    return Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+  }
+
+  /**
+   * 获取商户自己的商品
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 商品
+   */
+  async getOwnedProduct(productId, merchantId, sequelize) {
+    const product = await sequelize.models.Product.findOne({
+      where: { id: productId, merchantId },
+      attributes: ['id', 'merchantId', 'price', 'originalPrice']
+    });
+
+    if (!product) {
+      throw new Error('商品不存在');
+    }
+
+    return product;
+  }
+}
+
+module.exports = PriceService;
@@ -0,0 +1,333 @@
+/**
+ * 注册配置服务
+ * 读取和维护 register_configs 表中的注册规则（真实姓名、手机号、邮箱验证、验证码类型、第三方授权），
+ * 并在用户注册时按当前配置校验必填字段和手机验证码（图形/数字验证码由验证码中间件按配置校验）
+ * 配置只有一行，读取结果缓存在Redis中，管理员更新后立即清除缓存
+ */
+
+const BaseService = require('../base/BaseService');
+const SmsService = require('./SmsService');
+const { PREFIX, TTL } = require('../../common/redis');
+const { REGISTER_CONFIG } = require('../../common/constants/status');
+
+// 配置缓存ID
+const CACHE_ID = 'register';
+
+// 开关类配置字段（0:关闭/否, 1:开启/是）
+const SWITCH_FIELDS = [
+  'real_name_verification',
+  'real_name_required',
+  'phone_verification',
+  'phone_required',
+  'phone_verification_code',
+  'email_verification',
+  'google_auth_enabled',
+  'facebook_auth_enabled'
+];
+
+// 第三方授权应用配置字段
+const APP_FIELDS = ['google_appId', 'google_secret', 'facebook_appId', 'facebook_secret'];
+
+// 应用密钥字段：管理端读取时脱敏，公开接口不返回
+const SECRET_FIELDS = ['google_secret', 'facebook_secret'];
+
+// 脱敏后的密钥占位符，更新时提交占位符表示保持原值
+const SECRET_MASK = '******';
+
+// 公开接口返回的字段（客户端据此渲染注册表单）
+const PUBLIC_FIELDS = [
+  'real_name_verification',
+  'real_name_required',
+  'phone_verification',
+  'phone_required',
+  'phone_verification_code',
+  'email_verification',
+  'captcha_type',
+  'google_auth_enabled',
+  'google_appId',
+  'facebook_auth_enabled',
+  'facebook_appId'
+];
+
+// 注册短信验证码场景
+const REGISTER_SMS_SCENE = 'register';
+
+// 真实姓名：2-30位中文、字母，允许中间点和空格（少数民族和外文姓名）
+const REAL_NAME_PATTERN = /^[\u4e00-\u9fa5a-zA-Z][\u4e00-\u9fa5a-zA-Z·.\s]{0,28}[\u4e00-\u9fa5a-zA-Z]$/;
+
+// 中国大陆手机号
+const PHONE_PATTERN = /^1[3-9]\d{9}$/;
+
+class RegisterConfigService extends BaseService {
+  constructor() {
+    super();
+    this.smsService = new SmsService();
+  }
+
+  /**
+   * 获取当前注册配置（优先读取缓存，表中没有配置时使用模型默认值）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 完整注册配置
+   */
+  async getRegisterConfig(sequelize) {
+    const cached = await this.cache.get(PREFIX.CONFIG, CACHE_ID);
+    if (cached) {
+      return cached;
+    }
+
+    const RegisterConfig = sequelize.models.RegisterConfig;
+    const record = await RegisterConfig.findOne({ order: [['id', 'ASC']] });
+    const config = this.toConfig(record || RegisterConfig.build());
+
+    await this.cache.set(PREFIX.CONFIG, CACHE_ID, config, TTL.LONG);
+
+    return config;
+  }
+
+  /**
+   * 获取公开的注册配置（不含应用密钥）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 公开注册配置
+   */
+  async getPublicRegisterConfig(sequelize) {
+    const config = await this.getRegisterConfig(sequelize);
+
+    const publicConfig = {};
+    PUBLIC_FIELDS.forEach(field => {
+      publicConfig[field] = config[field];
+    });
+
+    return publicConfig;
+  }
+
+  /**
+   * 获取管理端注册配置（应用密钥脱敏）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 注册配置
+   */
+  async getAdminRegisterConfig(sequelize) {
+    try {
+      this.logAction('获取注册配置');
+
+      const config = await this.getRegisterConfig(sequelize);
+      return this.maskSecrets(config);
+
+    } catch (error) {
+      this.logError('获取注册配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 更新注册配置，只更新提交的字段，更新后清除配置缓存
+   * @param {Object} data - 配置数据
+   * @param {number} operatorId - 操作管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的注册配置（应用密钥脱敏）
+   */
+  async updateRegisterConfig(data, operatorId, sequelize) {
+    try {
+      this.logAction('更新注册配置', { fields: Object.keys(data || {}), operatorId });
+
+      const updateData = this.normalizeConfigData(data);
+
+      if (Object.keys(updateData).length === 0) {
+        throw new Error('注册配置验证失败: 没有可更新的配置项');
+      }
+
+      const RegisterConfig = sequelize.models.RegisterConfig;
+
+      const config = await this.executeTransaction(async (transaction) => {
+        const record = await RegisterConfig.findOne({
+          order: [['id', 'ASC']],
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (record) {
+          return record.update({ ...updateData, updated_at: new Date() }, { transaction });
+        }
+
+        return RegisterConfig.create({ ...updateData, created_at: new Date(), updated_at: new Date() }, { transaction });
+      }, sequelize);
+
+      // 清除配置缓存，注册接口下次读取时使用新配置
+      await this.cache.delete(PREFIX.CONFIG, CACHE_ID);
+
+      this.logAction('更新注册配置成功', { fields: Object.keys(updateData), operatorId });
+
+      return this.maskSecrets(this.toConfig(config));
+
+    } catch (error) {
+      this.logError('更新注册配置失败', error, { operatorId });
+      throw error;
+    }
+  }
+
+  /**
+   * 按当前注册配置校验注册资料：真实姓名、手机号的必填与格式，以及是否提交了短信验证码
+   * 只做格式校验，不消费验证码，便于调用方先检查用户名、邮箱和手机号是否可用
+   * @param {Object} userData - 注册数据 { realName, phone, smsCode }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { config, profile: { realName, phone } }
+   */
+  async validateRegisterFields(userData, sequelize) {
+    const config = await this.getRegisterConfig(sequelize);
+    const rules = this.getVerificationRules(config);
+    const errors = [];
+
+    const realName = typeof userData.realName === 'string' ? userData.realName.trim() : '';
+    const phone = typeof userData.phone === 'string' ? userData.phone.trim() : '';
+
+    if (config.real_name_required === REGISTER_CONFIG.REQUIRED && !realName) {
+      errors.push('请填写真实姓名');
+    }
+    if (realName && config.real_name_verification === REGISTER_CONFIG.VERIFICATION_ON && !REAL_NAME_PATTERN.test(realName)) {
+      errors.push('真实姓名格式不正确');
+    }
+
+    if (rules.requirePhone && !phone) {
+      errors.push('请填写手机号');
+    }
+    if (phone && (config.phone_verification === REGISTER_CONFIG.VERIFICATION_ON || rules.requireSmsCode) && !PHONE_PATTERN.test(phone)) {
+      errors.push('手机号格式不正确');
+    }
+
+    if (rules.requireSmsCode && !userData.smsCode) {
+      errors.push('请填写短信验证码');
+    }
+
+    if (errors.length > 0) {
+      throw new Error('注册数据验证失败: ' + errors.join(', '));
+    }
+
+    return {
+      config,
+      profile: {
+        realName: realName || null,
+        phone: phone || null
+      }
+    };
+  }
+
+  /**
+   * 校验并消费注册短信验证码，校验通过后验证码失效，错误次数过多时验证码作废
+   * @param {Object} userData - 注册数据 { smsCode }
+   * @param {Object} profile - validateRegisterFields 返回的资料
+   * @param {Object} config - 注册配置
+   * @returns {Promise<boolean>} 校验结果
+   */
+  async verifyRegisterCodes(userData, profile, config) {
+    const rules = this.getVerificationRules(config);
+
+    if (rules.requireSmsCode) {
+      await this.smsService.verifyCode(REGISTER_SMS_SCENE, profile.phone, userData.smsCode);
+    }
+
+    return true;
+  }
+
+  /**
+   * 根据注册配置计算需要的验证项
+   * 短信验证码类型和手机验证码开关都要求用户提交手机号并校验短信验证码
+   * @param {Object} config - 注册配置
+   * @returns {Object} { requirePhone, requireSmsCode, requireCaptcha }
+   */
+  getVerificationRules(config) {
+    const requireSmsCode = config.phone_verification_code === REGISTER_CONFIG.VERIFICATION_ON ||
+      config.captcha_type === REGISTER_CONFIG.CAPTCHA_SMS;
+
+    return {
+      requirePhone: config.phone_required === REGISTER_CONFIG.REQUIRED || requireSmsCode,
+      requireSmsCode,
+      requireCaptcha: config.captcha_type === REGISTER_CONFIG.CAPTCHA_IMAGE ||
+        config.captcha_type === REGISTER_CONFIG.CAPTCHA_NUMERIC
+    };
+  }
+
+  /**
+   * 校验并整理管理员提交的配置数据
+   * @param {Object} data - 配置数据
+   * @returns {Object} 可写入数据库的配置
+   */
+  normalizeConfigData(data) {
+    const updateData = {};
+    const errors = [];
+
+    SWITCH_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+      const value = Number(data[field]);
+      if (value !== 0 && value !== 1) {
+        errors.push(`${field} 只能为0或1`);
+        return;
+      }
+      updateData[field] = value;
+    });
+
+    if (data.captcha_type !== undefined) {
+      const captchaTypes = [
+        REGISTER_CONFIG.CAPTCHA_NONE,
+        REGISTER_CONFIG.CAPTCHA_IMAGE,
+        REGISTER_CONFIG.CAPTCHA_NUMERIC,
+        REGISTER_CONFIG.CAPTCHA_SMS
+      ];
+      const value = Number(data.captcha_type);
+      if (!captchaTypes.includes(value)) {
+        errors.push('captcha_type 只能为0(无)、1(图形)、2(数字)或3(短信)');
+      } else {
+        updateData.captcha_type = value;
+      }
+    }
+
+    APP_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+      // 提交脱敏占位符表示密钥保持不变
+      if (SECRET_FIELDS.includes(field) && data[field] === SECRET_MASK) return;
+      if (data[field] !== null && typeof data[field] !== 'string') {
+        errors.push(`${field} 必须是字符串`);
+        return;
+      }
+      const value = data[field] === null ? null : data[field].trim();
+      if (value && value.length > 255) {
+        errors.push(`${field} 不能超过255个字符`);
+        return;
+      }
+      updateData[field] = value || null;
+    });
+
+    if (errors.length > 0) {
+      throw new Error('注册配置验证失败: ' + errors.join(', '));
+    }
+
+    return updateData;
+  }
+
+  /**
+   * 将配置记录转换为普通对象
+   * @param {Object} record - RegisterConfig 实例
+   * @returns {Object} 配置对象
+   */
+  toConfig(record) {
+    const config = {};
+    [...SWITCH_FIELDS, 'captcha_type', ...APP_FIELDS].forEach(field => {
+      config[field] = record.get(field) === undefined ? null : record.get(field);
+    });
+    config.updated_at = record.isNewRecord ? null : record.get('updated_at');
+    return config;
+  }
+
+  /**
+   * 应用密钥脱敏
+   * @param {Object} config - 配置对象
+   * @returns {Object} 脱敏后的配置
+   */
+  maskSecrets(config) {
+    const masked = { ...config };
+    SECRET_FIELDS.forEach(field => {
+      masked[field] = masked[field] ? SECRET_MASK : null;
+    });
+    return masked;
+  }
+}
+
+module.exports = RegisterConfigService;
@@ -0,0 +1,480 @@
+/**
+ * 评价通用服务
+ * 处理用户端、商户端和管理端共用的评价逻辑：发表评价、评价列表、有用投票、商户回复、管理员审核
+ * 商品和店铺的 rating / reviewCount 在评价新增、隐藏、恢复时按 ratingTotal 增量维护，只统计展示中的评价
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op } = require('sequelize');
+const { ORDER_STATUS, REVIEW_STATUS } = require('../../common/constants/status');
+
+class ReviewService extends BaseService {
+  constructor() {
+    super();
+    this.maxContentLength = 2000;   // 评价内容最大长度
+    this.maxReplyLength = 1000;     // 商户回复最大长度
+    this.maxImages = 9;             // 评价图片最大数量
+    // 排序方式：helpful 按有用数，newest 按发表时间
+    this.sortOrders = {
+      helpful: [['helpfulCount', 'DESC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+      newest: [['createdAt', 'DESC'], ['id', 'DESC']]
+    };
+  }
+
+  /**
+   * 发表评价：只能评价自己已完成订单中的商品，每个订单明细只能评价一次
+   * @param {number} userId - 用户ID
+   * @param {Object} reviewData - 评价数据 { orderItemId, rating, content, images }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 创建的评价
+   */
+  async createReview(userId, reviewData, sequelize) {
+    try {
+      this.logAction('发表评价', { userId, orderItemId: reviewData.orderItemId });
+
+      this.validateReviewData(reviewData);
+
+      const OrderItem = sequelize.models.OrderItem;
+      const Order = sequelize.models.Order;
+      const Review = sequelize.models.Review;
+
+      const review = await this.executeTransaction(async (transaction) => {
+        const orderItem = await OrderItem.findOne({
+          where: { id: reviewData.orderItemId },
+          include: [{
+            model: Order,
+            as: 'order',
+            where: { userId, deletedAt: null },
+            attributes: ['id', 'status', 'shopId', 'merchantId']
+          }],
+          transaction
+        });
+
+        if (!orderItem) {
+          throw new Error('订单商品不存在');
+        }
+
+        if (orderItem.order.status !== ORDER_STATUS.COMPLETED) {
+          throw new Error('评价验证失败: 订单完成后才能评价');
+        }
+
+        const existing = await Review.findOne({
+          where: { orderItemId: orderItem.id },
+          attributes: ['id'],
+          transaction
+        });
+        if (existing) {
+          throw new Error('该商品已评价，评价已存在');
+        }
+
+        const created = await Review.create({
+          orderId: orderItem.orderId,
+          orderItemId: orderItem.id,
+          userId,
+          productId: orderItem.productId,
+          shopId: orderItem.order.shopId,
+          merchantId: orderItem.order.merchantId,
+          rating: reviewData.rating,
+          content: reviewData.content ? reviewData.content.trim() : null,
+          images: reviewData.images && reviewData.images.length > 0 ? reviewData.images : null,
+          status: REVIEW_STATUS.VISIBLE
+        }, { transaction });
+
+        await this.applyRatingChange(created, 1, transaction, sequelize);
+
+        return created;
+      }, sequelize);
+
+      this.logAction('发表评价成功', { userId, reviewId: review.id });
+      return review;
+
+    } catch (error) {
+      // 并发重复提交由唯一索引兜底
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('该商品已评价，评价已存在');
+      }
+      this.logError('发表评价失败', error, { userId, orderItemId: reviewData.orderItemId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取评价列表
+   * 用户端只返回展示中的评价，并隐去评价人用户名中间部分
+   * @param {Object} filters - 筛选条件 { productId, shopId, merchantId, userId, status, rating, hasImages, replied, sort }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - { scope: 'user' | 'merchant' | 'admin', viewerId }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async getReviews(filters, pagination, sequelize, options = {}) {
+    try {
+      const { scope = 'user', viewerId } = options;
+
+      this.logAction('获取评价列表', { scope, productId: filters.productId, shopId: filters.shopId });
+
+      const sort = filters.sort || 'newest';
+      if (!this.sortOrders[sort]) {
+        throw new Error('评价验证失败: 排序方式只能是 helpful 或 newest');
+      }
+
+      const Review = sequelize.models.Review;
+      const where = {};
+
+      ['productId', 'shopId', 'merchantId', 'userId', 'rating'].forEach(field => {
+        if (filters[field] !== undefined) where[field] = filters[field];
+      });
+
+      if (scope === 'user') {
+        where.status = REVIEW_STATUS.VISIBLE;
+      } else if (filters.status !== undefined) {
+        where.status = filters.status;
+      }
+
+      if (filters.hasImages) {
+        where.images = { [Op.ne]: null };
+      }
+      if (filters.replied !== undefined) {
+        where.reply = filters.replied ? { [Op.ne]: null } : null;
+      }
+
+      const include = [{
+        model: sequelize.models.User,
+        as: 'user',
+        attributes: ['id', 'username', 'avatar'],
+        paranoid: false
+      }];
+      if (scope !== 'user' || filters.userId !== undefined) {
+        include.push({
+          model: sequelize.models.Product,
+          as: 'product',
+          attributes: ['id', 'name', 'images'],
+          paranoid: false
+        });
+      }
+
+      const { count, rows } = await Review.findAndCountAll({
+        where,
+        include,
+        attributes: scope === 'user'
+          ? { exclude: ['moderationReason', 'moderatedBy', 'moderatedAt'] }
+          : undefined,
+        order: this.sortOrders[sort],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        distinct: true
+      });
+
+      const votedIds = viewerId ? await this.getVotedReviewIds(rows.map(row => row.id), viewerId, sequelize) : new Set();
+
+      const items = rows.map(row => {
+        const review = row.toJSON();
+        if (scope === 'user' && review.user) {
+          review.user.username = this.maskUsername(review.user.username);
+        }
+        if (viewerId) {
+          review.votedHelpful = votedIds.has(review.id);
+        }
+        return review;
+      });
+
+      return { items, total: count };
+
+    } catch (error) {
+      this.logError('获取评价列表失败', error, filters);
+      throw error;
+    }
+  }
+
+  /**
+   * 标记评价有用（每个用户对同一评价只计一次）
+   * @param {number} reviewId - 评价ID
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { helpfulCount, votedHelpful }
+   */
+  async voteHelpful(reviewId, userId, sequelize) {
+    try {
+      this.logAction('标记评价有用', { reviewId, userId });
+
+      const Review = sequelize.models.Review;
+      const ReviewVote = sequelize.models.ReviewVote;
+
+      return await this.executeTransaction(async (transaction) => {
+        const review = await Review.findOne({
+          where: { id: reviewId, status: REVIEW_STATUS.VISIBLE },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!review) {
+          throw new Error('评价不存在');
+        }
+        if (review.userId === userId) {
+          throw new Error('评价验证失败: 不能给自己的评价投票');
+        }
+
+        const [, created] = await ReviewVote.findOrCreate({
+          where: { reviewId, userId },
+          transaction
+        });
+
+        if (created) {
+          await review.increment('helpfulCount', { by: 1, transaction, silent: true });
+          await review.reload({ transaction });
+        }
+
+        return { helpfulCount: review.helpfulCount, votedHelpful: true };
+      }, sequelize);
+
+    } catch (error) {
+      this.logError('标记评价有用失败', error, { reviewId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 取消评价有用标记
+   * @param {number} reviewId - 评价ID
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { helpfulCount, votedHelpful }
+   */
+  async unvoteHelpful(reviewId, userId, sequelize) {
+    try {
+      this.logAction('取消评价有用标记', { reviewId, userId });
+
+      const Review = sequelize.models.Review;
+      const ReviewVote = sequelize.models.ReviewVote;
+
+      return await this.executeTransaction(async (transaction) => {
+        const review = await Review.findByPk(reviewId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!review) {
+          throw new Error('评价不存在');
+        }
+
+        const deleted = await ReviewVote.destroy({ where: { reviewId, userId }, transaction });
+
+        if (deleted > 0) {
+          await review.update({
+            helpfulCount: sequelize.literal('GREATEST(helpfulCount - 1, 0)')
+          }, { transaction, silent: true });
+          await review.reload({ transaction });
+        }
+
+        return { helpfulCount: review.helpfulCount, votedHelpful: false };
+      }, sequelize);
+
+    } catch (error) {
+      this.logError('取消评价有用标记失败', error, { reviewId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 商户回复评价（再次回复会覆盖原回复）
+   * @param {number} reviewId - 评价ID
+   * @param {number} merchantId - 商户ID
+   * @param {string} reply - 回复内容
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的评价
+   */
+  async replyReview(reviewId, merchantId, reply, sequelize) {
+    try {
+      this.logAction('商户回复评价', { reviewId, merchantId });
+
+      const content = typeof reply === 'string' ? reply.trim() : '';
+      if (!content) {
+        throw new Error('评价验证失败: 回复内容不能为空');
+      }
+      if (content.length > this.maxReplyLength) {
+        throw new Error(`评价验证失败: 回复内容不能超过${this.maxReplyLength}个字符`);
+      }
+
+      const Review = sequelize.models.Review;
+      const review = await Review.findOne({ where: { id: reviewId, merchantId } });
+
+      if (!review) {
+        throw new Error('评价不存在');
+      }
+
+      await review.update({ reply: content, repliedAt: new Date() });
+
+      this.logAction('商户回复评价成功', { reviewId, merchantId });
+      return review;
+
+    } catch (error) {
+      this.logError('商户回复评价失败', error, { reviewId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 管理员审核评价：隐藏或恢复展示，并同步调整商品和店铺评分
+   * @param {number} reviewId - 评价ID
+   * @param {number} status - 目标状态（REVIEW_STATUS）
+   * @param {string} reason - 审核原因
+   * @param {number} operatorId - 操作管理员ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的评价
+   */
+  async moderateReview(reviewId, status, reason, operatorId, sequelize) {
+    try {
+      this.logAction('审核评价', { reviewId, status, operatorId });
+
+      if (!Object.values(REVIEW_STATUS).includes(status)) {
+        throw new Error('评价验证失败: 评价状态值无效');
+      }
+      if (reason && String(reason).length > 500) {
+        throw new Error('评价验证失败: 审核原因不能超过500个字符');
+      }
+
+      const Review = sequelize.models.Review;
+
+      const review = await this.executeTransaction(async (transaction) => {
+        const locked = await Review.findByPk(reviewId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!locked) {
+          throw new Error('评价不存在');
+        }
+
+        const previousStatus = locked.status;
+
+        await locked.update({
+          status,
+          moderationReason: reason || null,
+          moderatedBy: operatorId,
+          moderatedAt: new Date()
+        }, { transaction });
+
+        // 状态发生变化时才调整评分：隐藏扣减，恢复计入
+        if (previousStatus !== status) {
+          await this.applyRatingChange(locked, status === REVIEW_STATUS.VISIBLE ? 1 : -1, transaction, sequelize);
+        }
+
+        return locked;
+      }, sequelize);
+
+      this.logAction('审核评价成功', { reviewId, status, operatorId });
+      return review;
+
+    } catch (error) {
+      this.logError('审核评价失败', error, { reviewId, status });
+      throw error;
+    }
+  }
+
+  /**
+   * 增量调整商品和店铺的评分总和、评价数量和平均评分
+   * MySQL 按从左到右的顺序执行 SET，rating 使用的是更新后的 ratingTotal 和 reviewCount
+   * @param {Object} review - 评价（productId、shopId、rating）
+   * @param {number} direction - 1 计入，-1 扣减
+   * @param {Object} transaction - 事务对象
+   * @param {Object} sequelize - 数据库实例
+   */
+  async applyRatingChange(review, direction, transaction, sequelize) {
+    const stars = parseInt(review.rating) * direction;
+    const data = {
+      ratingTotal: sequelize.literal(`GREATEST(ratingTotal + (${stars}), 0)`),
+      reviewCount: sequelize.literal(`GREATEST(reviewCount + (${direction}), 0)`),
+      rating: sequelize.literal('IF(reviewCount > 0, ROUND(ratingTotal / reviewCount, 2), 0)')
+    };
+
+    // silent：评分变化不更新商品和店铺的 updatedAt
+    await sequelize.models.Product.update(data, {
+      where: { id: review.productId },
+      transaction,
+      silent: true,
+      paranoid: false
+    });
+    await sequelize.models.Shop.update(data, {
+      where: { id: review.shopId },
+      transaction,
+      silent: true,
+      paranoid: false
+    });
+  }
+
+  /**
+   * 查询用户在给定评价中已标记有用的评价ID
+   * @param {Array<number>} reviewIds - 评价ID列表
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Set<number>>} 已投票的评价ID
+   */
+  async getVotedReviewIds(reviewIds, userId, sequelize) {
+    if (reviewIds.length === 0) {
+      return new Set();
+    }
+
+    const votes = await sequelize.models.ReviewVote.findAll({
+      where: { reviewId: { [Op.in]: reviewIds }, userId },
+      attributes: ['reviewId']
+    });
+
+    return new Set(votes.map(vote => vote.reviewId));
+  }
+
+  /**
+   * 隐去用户名中间部分，如 zhangsan -> z******n
+   * @param {string} username - 用户名
+   * @returns {string} 脱敏后的用户名
+   */
+  maskUsername(username) {
+    if (!username) {
+      return username;
+    }
+    if (username.length <= 2) {
+      return `${username[0]}*`;
+    }
+    return `${username[0]}${'*'.repeat(username.length - 2)}${username[username.length - 1]}`;
+  }
+
+  /**
+   * 验证评价数据
+   * @param {Object} reviewData - 评价数据
+   */
+  validateReviewData(reviewData) {
+    const { orderItemId, rating, content, images } = reviewData;
+
+    if (!Number.isInteger(orderItemId) || orderItemId <= 0) {
+      throw new Error('评价验证失败: 订单商品ID无效');
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error('评价验证失败: 评分必须是1-5之间的整数');
+    }
+
+    if (content !== undefined && content !== null) {
+      if (typeof content !== 'string') {
+        throw new Error('评价验证失败: 评价内容格式不正确');
+      }
+      if (content.trim().length > this.maxContentLength) {
+        throw new Error(`评价验证失败: 评价内容不能超过${this.maxContentLength}个字符`);
+      }
+    }
+
+    if (images !== undefined && images !== null) {
+      if (!Array.isArray(images)) {
+        throw new Error('评价验证失败: 评价图片必须是数组');
+      }
+      if (images.length > this.maxImages) {
+        throw new Error(`评价验证失败: 评价图片不能超过${this.maxImages}张`);
+      }
+      images.forEach((image, index) => {
+        if (typeof image !== 'string' || image.trim().length === 0 || image.length > 500) {
+          throw new Error(`评价验证失败: 第${index + 1}张图片URL无效`);
+        }
+      });
+    }
+  }
+}
+
+module.exports = ReviewService;
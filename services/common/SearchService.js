@@ -0,0 +1,406 @@
+/**
+ * 搜索服务
+ * 提供商品和店铺的关键词检索：相关度排序、关键词高亮，以及价格区间、分类、店铺、状态筛选
+ *
+ * 检索适配器（环境变量 SEARCH_ADAPTER）：
+ * - fulltext（默认）：使用 MySQL FULLTEXT 索引（ngram 分词器）的 BOOLEAN MODE 检索，所有关键词都必须命中（短于分词长度的关键词改用 LIKE 匹配）
+ * - like：使用 LIKE 逐词匹配，适用于未建立全文索引的环境，数据量大时性能较差
+ */
+
+const BaseService = require('../base/BaseService');
+const CategoryService = require('./CategoryService');
+const { Op } = require('sequelize');
+const { PRODUCT_STATUS, SHOP_STATUS } = require('../../common/constants/status');
+const { BusinessHoursHelper } = require('../../common/utils/businessHours');
+
+// MySQL BOOLEAN MODE 中具有特殊含义的运算符
+const FULLTEXT_OPERATORS = /[+\-<>()~*"@]/g;
+
+class SearchService extends BaseService {
+  constructor() {
+    super();
+    this.categoryService = new CategoryService();
+    // 当前使用的检索适配器
+    this.adapterName = process.env.SEARCH_ADAPTER === 'like' ? 'like' : 'fulltext';
+    // 检索适配器：根据关键词生成匹配条件和相关度表达式
+    this.adapters = {
+      fulltext: this.buildFulltextMatch.bind(this),
+      like: this.buildLikeMatch.bind(this)
+    };
+    // ngram 分词长度（MySQL ngram_token_size 默认值），短于该长度的关键词无法通过全文索引命中
+    this.ngramTokenSize = parseInt(process.env.SEARCH_NGRAM_TOKEN_SIZE) || 2;
+    this.maxKeywordLength = 100; // 关键词最大长度
+    this.maxTerms = 10;          // 最多参与检索的关键词数量
+    this.snippetLength = 120;    // 高亮摘要长度
+    this.highlightTag = 'em';    // 高亮标签
+    // 用户端可见的商品状态
+    this.visibleProductStatuses = [PRODUCT_STATUS.ONLINE, PRODUCT_STATUS.OUT_OF_STOCK];
+    // 支持的排序方式
+    this.sortOptions = ['relevance', 'price_asc', 'price_desc', 'sales', 'newest'];
+  }
+
+  /**
+   * 搜索商品
+   * @param {Object} params - 搜索参数
+   * @param {string} params.keyword - 关键词，多个关键词以空格分隔
+   * @param {number} params.minPrice - 最低价格
+   * @param {number} params.maxPrice - 最高价格
+   * @param {number} params.categoryId - 分类ID（包含子孙分类）
+   * @param {number} params.shopId - 店铺ID
+   * @param {number} params.status - 商品状态
+   * @param {number} params.merchantId - 商户ID（商户端搜索时必填）
+   * @param {string} params.sort - 排序方式
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 选项 { scope: 'user' | 'merchant' }
+   * @returns {Promise<Object>} { items, total, terms }
+   */
+  async searchProducts(params, pagination, sequelize, options = {}) {
+    const scope = options.scope || 'user';
+
+    try {
+      this.logAction('搜索商品', { scope, keyword: params.keyword, merchantId: params.merchantId });
+
+      const { Product, Shop } = sequelize.models;
+      const terms = this.parseKeyword(params.keyword);
+      const where = {};
+      const conditions = [];
+      const shopInclude = { model: Shop, as: 'shop', attributes: ['id', 'name', 'logo'], required: false };
+
+      this.validatePriceRange(params.minPrice, params.maxPrice);
+
+      if (scope === 'merchant') {
+        if (!params.merchantId) {
+          throw new Error('搜索参数验证失败: 缺少商户ID');
+        }
+        where.merchantId = params.merchantId;
+        if (params.status !== undefined) {
+          where.status = params.status;
+        }
+      } else {
+        // 用户端只能搜索到上架或缺货的商品，且所属店铺处于营业状态
+        if (params.status !== undefined && !this.visibleProductStatuses.includes(params.status)) {
+          throw new Error('搜索参数验证失败: 不支持的商品状态');
+        }
+        where.status = params.status !== undefined ? params.status : PRODUCT_STATUS.ONLINE;
+        shopInclude.where = { status: SHOP_STATUS.ACTIVE };
+        shopInclude.required = true;
+      }
+
+      if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+        where.price = {};
+        if (params.minPrice !== undefined) where.price[Op.gte] = params.minPrice;
+        if (params.maxPrice !== undefined) where.price[Op.lte] = params.maxPrice;
+      }
+
+      if (params.categoryId) {
+        where.categoryId = { [Op.in]: await this.categoryService.getDescendantIds(params.categoryId, sequelize) };
+      }
+
+      if (params.shopId) {
+        where.shopId = params.shopId;
+      }
+
+      const attributes = [
+        'id', 'name', 'description', 'price', 'originalPrice', 'stock', 'status',
+        'categoryId', 'shopId', 'merchantId', 'images', 'saleCount', 'rating', 'reviewCount', 'createdAt'
+      ];
+
+      const match = this.buildMatch(Product, ['name', 'description'], terms, sequelize);
+      if (match) {
+        conditions.push(match.condition);
+        attributes.push([match.relevance, 'relevance']);
+      }
+      if (conditions.length > 0) {
+        where[Op.and] = conditions;
+      }
+
+      const { count, rows } = await Product.findAndCountAll({
+        where,
+        attributes,
+        include: [shopInclude],
+        order: this.buildOrder(params.sort, !!match, sequelize, [['saleCount', 'DESC']]),
+        limit: pagination.limit,
+        offset: pagination.offset,
+        distinct: true
+      });
+
+      const items = rows.map(row => ({
+        ...row.toJSON(),
+        highlight: {
+          name: this.highlight(row.name, terms),
+          description: this.highlight(row.description, terms, true)
+        }
+      }));
+
+      this.logAction('搜索商品完成', { scope, keyword: params.keyword, total: count });
+
+      return { items, total: count, terms };
+
+    } catch (error) {
+      this.logError('搜索商品失败', error, { scope, keyword: params.keyword });
+      throw error;
+    }
+  }
+
+  /**
+   * 搜索店铺（用户端，仅返回营业中的店铺）
+   * @param {Object} params - 搜索参数 { keyword, sort }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { items, total, terms }
+   */
+  async searchShops(params, pagination, sequelize) {
+    try {
+      this.logAction('搜索店铺', { keyword: params.keyword });
+
+      if (params.sort && !['relevance', 'newest'].includes(params.sort)) {
+        throw new Error('搜索参数验证失败: 店铺搜索仅支持按相关度或最新排序');
+      }
+
+      const Shop = sequelize.models.Shop;
+      const terms = this.parseKeyword(params.keyword);
+      const where = { status: SHOP_STATUS.ACTIVE };
+      const attributes = [
+        'id', 'name', 'description', 'address', 'logo', 'status', 'businessHours', 'timezone',
+        'rating', 'reviewCount', 'createdAt'
+      ];
+
+      const match = this.buildMatch(Shop, ['name', 'description'], terms, sequelize);
+      if (match) {
+        where[Op.and] = [match.condition];
+        attributes.push([match.relevance, 'relevance']);
+      }
+
+      const { count, rows } = await Shop.findAndCountAll({
+        where,
+        attributes,
+        order: this.buildOrder(params.sort, !!match, sequelize, [['rating', 'DESC']]),
+        limit: pagination.limit,
+        offset: pagination.offset
+      });
+
+      // 附加按店铺时区计算的营业状态
+      const items = rows.map(row => ({
+        ...BusinessHoursHelper.attachOpenStatus(row),
+        highlight: {
+          name: this.highlight(row.name, terms),
+          description: this.highlight(row.description, terms, true)
+        }
+      }));
+
+      return { items, total: count, terms };
+
+    } catch (error) {
+      this.logError('搜索店铺失败', error, { keyword: params.keyword });
+      throw error;
+    }
+  }
+
+  /**
+   * 解析关键词：去除全文检索运算符，按空白拆分并去重
+   * @param {string} keyword - 原始关键词
+   * @returns {Array<string>} 关键词列表
+   */
+  parseKeyword(keyword) {
+    if (!keyword) {
+      return [];
+    }
+
+    const normalized = String(keyword)
+      .slice(0, this.maxKeywordLength)
+      .replace(FULLTEXT_OPERATORS, ' ')
+      .trim()
+      .toLowerCase();
+
+    if (!normalized) {
+      return [];
+    }
+
+    return [...new Set(normalized.split(/\s+/))].slice(0, this.maxTerms);
+  }
+
+  /**
+   * 使用当前适配器生成匹配条件
+   * 全文检索模式下，短于 ngram 分词长度的关键词无法通过全文索引命中，改用 LIKE 匹配并与全文检索条件同时生效；
+   * 所有关键词都较短时只使用 LIKE 匹配
+   * @param {Object} Model - 模型
+   * @param {Array<string>} fields - 参与检索的字段（需与全文索引字段一致）
+   * @param {Array<string>} terms - 关键词列表
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Object|null} { condition, relevance }，无关键词时为null
+   */
+  buildMatch(Model, fields, terms, sequelize) {
+    if (terms.length === 0) {
+      return null;
+    }
+
+    if (this.adapterName === 'fulltext') {
+      const shortTerms = terms.filter(term => term.length < this.ngramTokenSize);
+      if (shortTerms.length === terms.length) {
+        return this.adapters.like(Model, fields, terms, sequelize);
+      }
+      if (shortTerms.length > 0) {
+        const fulltext = this.adapters.fulltext(Model, fields, terms.filter(term => !shortTerms.includes(term)), sequelize);
+        const like = this.adapters.like(Model, fields, shortTerms, sequelize);
+        return {
+          condition: { [Op.and]: [fulltext.condition, like.condition] },
+          relevance: fulltext.relevance
+        };
+      }
+    }
+
+    return this.adapters[this.adapterName](Model, fields, terms, sequelize);
+  }
+
+  /**
+   * 全文检索适配器：MATCH ... AGAINST（BOOLEAN MODE），每个关键词都必须命中
+   * 关键词不能短于 ngram 分词长度（由 buildMatch 分流到 LIKE 匹配）
+   * @param {Object} Model - 模型
+   * @param {Array<string>} fields - 全文索引字段
+   * @param {Array<string>} terms - 关键词列表
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Object} { condition, relevance }
+   */
+  buildFulltextMatch(Model, fields, terms, sequelize) {
+    const columns = fields.map(field => `\`${Model.name}\`.\`${field}\``).join(', ');
+    const query = terms.map(term => `+"${term}"`).join(' ');
+    const expression = `MATCH(${columns}) AGAINST(${sequelize.escape(query)} IN BOOLEAN MODE)`;
+
+    return {
+      condition: sequelize.literal(expression),
+      relevance: sequelize.literal(expression)
+    };
+  }
+
+  /**
+   * LIKE 适配器：每个关键词至少命中一个字段；相关度按命中的字段加权（第一个字段权重最高）
+   * @param {Object} Model - 模型
+   * @param {Array<string>} fields - 检索字段
+   * @param {Array<string>} terms - 关键词列表
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Object} { condition, relevance }
+   */
+  buildLikeMatch(Model, fields, terms, sequelize) {
+    const scores = [];
+
+    const condition = {
+      [Op.and]: terms.map(term => {
+        const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+        fields.forEach((field, index) => {
+          const weight = fields.length - index;
+          scores.push(`(CASE WHEN \`${Model.name}\`.\`${field}\` LIKE ${sequelize.escape(pattern)} THEN ${weight} ELSE 0 END)`);
+        });
+
+        return { [Op.or]: fields.map(field => ({ [field]: { [Op.like]: pattern } })) };
+      })
+    };
+
+    return {
+      condition,
+      relevance: sequelize.literal(`(${scores.join(' + ')})`)
+    };
+  }
+
+  /**
+   * 生成排序规则
+   * @param {string} sort - 排序方式
+   * @param {boolean} hasRelevance - 是否有相关度字段
+   * @param {Object} sequelize - 数据库实例
+   * @param {Array} tieBreakers - 按相关度排序时的次级排序
+   * @returns {Array} 排序规则
+   */
+  buildOrder(sort = 'relevance', hasRelevance, sequelize, tieBreakers = []) {
+    if (!this.sortOptions.includes(sort)) {
+      throw new Error(`搜索参数验证失败: 不支持的排序方式 ${sort}`);
+    }
+
+    switch (sort) {
+      case 'price_asc':
+        return [['price', 'ASC'], ['id', 'DESC']];
+      case 'price_desc':
+        return [['price', 'DESC'], ['id', 'DESC']];
+      case 'sales':
+        return [['saleCount', 'DESC'], ['id', 'DESC']];
+      case 'newest':
+        return [['createdAt', 'DESC'], ['id', 'DESC']];
+      default:
+        // 没有关键词时无法计算相关度，按最新排序
+        if (!hasRelevance) {
+          return [['createdAt', 'DESC'], ['id', 'DESC']];
+        }
+        return [[sequelize.literal('relevance'), 'DESC'], ...tieBreakers, ['id', 'DESC']];
+    }
+  }
+
+  /**
+   * 关键词高亮：先转义HTML，再用高亮标签包裹命中的关键词
+   * @param {string} text - 原始文本
+   * @param {Array<string>} terms - 关键词列表
+   * @param {boolean} snippet - 是否截取命中位置附近的摘要
+   * @returns {string|null} 高亮后的文本
+   */
+  highlight(text, terms, snippet = false) {
+    if (text === null || text === undefined) {
+      return null;
+    }
+
+    let content = String(text);
+
+    if (snippet && content.length > this.snippetLength) {
+      const lower = content.toLowerCase();
+      const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+      const first = positions.length > 0 ? Math.min(...positions) : 0;
+      const start = Math.max(0, first - Math.floor(this.snippetLength / 4));
+      const end = Math.min(content.length, start + this.snippetLength);
+
+      content = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+    }
+
+    const escaped = this.escapeHtml(content);
+    if (terms.length === 0) {
+      return escaped;
+    }
+
+    const pattern = terms
+      .map(term => this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .sort((a, b) => b.length - a.length)
+      .join('|');
+
+    return escaped.replace(new RegExp(pattern, 'gi'), match => `<${this.highlightTag}>${match}</${this.highlightTag}>`);
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {string} text - 文本
+   * @returns {string} 转义后的文本
+   */
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 验证价格区间
+   * @param {number} minPrice - 最低价格
+   * @param {number} maxPrice - 最高价格
+   */
+  validatePriceRange(minPrice, maxPrice) {
+    if (minPrice !== undefined && (isNaN(minPrice) || minPrice < 0)) {
+      throw new Error('搜索参数验证失败: 最低价格无效');
+    }
+    if (maxPrice !== undefined && (isNaN(maxPrice) || maxPrice < 0)) {
+      throw new Error('搜索参数验证失败: 最高价格无效');
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw new Error('搜索参数验证失败: 最低价格不能高于最高价格');
+    }
+  }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,222 @@
+/**
+ * 短信服务
+ * 通过可替换的短信通道（common/sms）发送短信，并提供短信验证码的生成、发送和校验
+ * 验证码保存在Redis中（与 VerificationCodeService 共用 sms:<场景>:<手机号> 键空间），
+ * 同一手机号有重发冷却时间和每日发送上限，校验错误次数过多后验证码作废
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const VerificationCodeService = require('./VerificationCodeService');
+const { getSmsProvider } = require('../../common/sms');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+
+// 短信验证码使用场景
+const SMS_SCENES = {
+  REGISTER: 'register',
+  LOGIN: 'login'
+};
+
+// 各场景的短信模板，{code} 为验证码，{minutes} 为有效分钟数
+const SMS_TEMPLATES = {
+  [SMS_SCENES.REGISTER]: '您的注册验证码为{code}，{minutes}分钟内有效，请勿泄露给他人。',
+  [SMS_SCENES.LOGIN]: '您的登录验证码为{code}，{minutes}分钟内有效，请勿泄露给他人。'
+};
+
+// 中国大陆手机号
+const PHONE_PATTERN = /^1[3-9]\d{9}$/;
+
+class SmsService extends BaseService {
+  constructor() {
+    super();
+    this.verificationCodeService = new VerificationCodeService();
+    // 验证码长度和有效期（秒）
+    this.codeLength = parseInt(process.env.SMS_CODE_LENGTH) || 6;
+    this.codeTtl = parseInt(process.env.SMS_CODE_TTL) || 300;
+    // 同一手机号两次发送的最小间隔（秒）和每日发送上限
+    this.resendInterval = parseInt(process.env.SMS_RESEND_INTERVAL) || 60;
+    this.dailyLimit = parseInt(process.env.SMS_DAILY_LIMIT) || 10;
+    // 同一验证码允许的最大错误次数
+    this.maxAttempts = parseInt(process.env.SMS_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * 发送普通短信
+   * @param {string} phone - 手机号
+   * @param {string} content - 短信内容
+   * @param {string} scene - 业务场景，便于通道统计，默认 notification
+   * @returns {Promise<Object>} { messageId, provider }
+   */
+  async sendMessage(phone, content, scene = 'notification') {
+    const provider = getSmsProvider();
+    const result = await provider.send({ phone, content, scene });
+
+    this.logAction('短信发送成功', { phone: this.maskPhone(phone), scene, provider: provider.name, messageId: result.messageId });
+
+    return {
+      messageId: result.messageId,
+      provider: provider.name
+    };
+  }
+
+  /**
+   * 生成并发送短信验证码，同一场景和手机号的旧验证码会被覆盖
+   * @param {string} scene - 使用场景（register/login）
+   * @param {string} phone - 手机号
+   * @returns {Promise<Object>} { expiresIn, resendAfter }
+   */
+  async sendCode(scene, phone) {
+    try {
+      this.logAction('发送短信验证码', { scene, phone: this.maskPhone(phone) });
+
+      this.validateSceneAndPhone(scene, phone);
+
+      // 冷却时间内不允许重复发送：SET NX 成功才继续
+      const cooldownKey = this.getCooldownKey(phone);
+      const acquired = await redis.set(cooldownKey, '1', 'EX', this.resendInterval, 'NX');
+      if (!acquired) {
+        const ttl = await redis.ttl(cooldownKey);
+        throw new Error(`短信发送过于频繁，请${ttl > 0 ? ttl : this.resendInterval}秒后再试`);
+      }
+
+      // 每日上限按日期（UTC）计数
+      const dailyKey = this.getDailyKey(phone);
+      const [[, sentToday]] = await redis.multi()
+        .incr(dailyKey)
+        .expire(dailyKey, 24 * 60 * 60)
+        .exec();
+      if (Number(sentToday) > this.dailyLimit) {
+        throw new Error('今日短信发送次数已达上限，请明天再试');
+      }
+
+      const code = this.generateCode();
+      await this.verificationCodeService.saveCode(this.getCodeScene(scene), phone, code, this.codeTtl);
+
+      const content = SMS_TEMPLATES[scene]
+        .replace('{code}', code)
+        .replace('{minutes}', Math.ceil(this.codeTtl / 60));
+
+      try {
+        await this.sendMessage(phone, content, `code:${scene}`);
+      } catch (sendError) {
+        // 发送失败时作废验证码并释放冷却，允许用户立即重试
+        await this.verificationCodeService.removeCode(this.getCodeScene(scene), phone);
+        await redis.del(cooldownKey);
+        this.logError('短信通道发送失败', sendError, { scene, phone: this.maskPhone(phone) });
+        throw new Error('短信发送失败，请稍后重试');
+      }
+
+      return {
+        expiresIn: this.codeTtl,
+        resendAfter: this.resendInterval
+      };
+
+    } catch (error) {
+      this.logError('发送短信验证码失败', error, { scene, phone: this.maskPhone(phone) });
+      throw error;
+    }
+  }
+
+  /**
+   * 校验并消费短信验证码，校验成功后验证码失效；错误次数达到上限后验证码作废，需要重新获取
+   * @param {string} scene - 使用场景（register/login）
+   * @param {string} phone - 手机号
+   * @param {string} code - 用户提交的验证码
+   * @returns {Promise<boolean>} 校验通过返回 true，否则抛出错误
+   */
+  async verifyCode(scene, phone, code) {
+    if (!phone || !code) {
+      throw new Error('请填写手机号和短信验证码');
+    }
+
+    const result = await this.verificationCodeService.verifyCode(this.getCodeScene(scene), phone, code, {
+      maxAttempts: this.maxAttempts
+    });
+
+    if (result.valid) {
+      return true;
+    }
+    if (result.expired) {
+      throw new Error('短信验证码已过期，请重新获取');
+    }
+    if (result.locked) {
+      throw new Error('短信验证码错误次数过多，请重新获取');
+    }
+
+    throw new Error('短信验证码错误');
+  }
+
+  /**
+   * 校验场景和手机号
+   * @param {string} scene - 使用场景
+   * @param {string} phone - 手机号
+   */
+  validateSceneAndPhone(scene, phone) {
+    const errors = [];
+
+    if (!Object.values(SMS_SCENES).includes(scene)) {
+      errors.push('scene 只能为 register 或 login');
+    }
+    if (typeof phone !== 'string' || !PHONE_PATTERN.test(phone)) {
+      errors.push('手机号格式不正确');
+    }
+
+    if (errors.length > 0) {
+      throw new Error('短信验证码参数验证失败: ' + errors.join(', '));
+    }
+  }
+
+  /**
+   * 生成数字验证码
+   * @returns {string} 验证码
+   */
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < this.codeLength; i++) {
+      code += crypto.randomInt(10);
+    }
+    return code;
+  }
+
+  /**
+   * 手机号脱敏，用于日志
+   * @param {string} phone - 手机号
+   * @returns {string} 脱敏后的手机号
+   */
+  maskPhone(phone) {
+    if (typeof phone !== 'string' || phone.length < 7) {
+      return phone;
+    }
+    return `${phone.slice(0, 3)}****${phone.slice(-4)}`;
+  }
+
+  /**
+   * 获取验证码存储场景（与 VerificationCodeService 的键空间对应）
+   * @param {string} scene - 使用场景
+   * @returns {string} 存储场景
+   */
+  getCodeScene(scene) {
+    return `sms:${scene}`;
+  }
+
+  /**
+   * 获取重发冷却键
+   * @param {string} phone - 手机号
+   * @returns {string} Redis键
+   */
+  getCooldownKey(phone) {
+    return generateKey(PREFIX.VERIFY, `sms-cooldown:${phone}`);
+  }
+
+  /**
+   * 获取当日发送次数键
+   * @param {string} phone - 手机号
+   * @returns {string} Redis键
+   */
+  getDailyKey(phone) {
+    const date = new Date().toISOString().slice(0, 10);
+    return generateKey(PREFIX.VERIFY, `sms-daily:${date}:${phone}`);
+  }
+}
+
+module.exports = SmsService;
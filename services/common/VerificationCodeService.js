@@ -0,0 +1,130 @@
+/**
+ * 验证码存储服务
+ * 统一保存和校验各类一次性验证码（图形验证码、短信验证码等），验证码保存在Redis中并带有过期时间
+ * 验证码按 场景 + 目标 区分，例如 sms:register:13800000000、captcha:<captchaId>，校验成功后立即删除，不能重复使用
+ * 可选限制同一验证码的错误次数，达到上限后验证码作废，需要重新获取
+ */
+
+const BaseService = require('../base/BaseService');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+
+// 原子校验并删除验证码的Lua脚本，避免并发请求重复使用同一个验证码
+// 返回 1 校验成功，0 验证码不匹配，-1 验证码不存在或已过期
+const CONSUME_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then
+  return -1
+end
+if value ~= ARGV[1] then
+  return 0
+end
+redis.call('DEL', KEYS[1])
+return 1
+`;
+
+class VerificationCodeService extends BaseService {
+  constructor() {
+    super();
+    // 默认有效期（秒）
+    this.defaultTtl = parseInt(process.env.VERIFICATION_CODE_TTL) || 300;
+  }
+
+  /**
+   * 保存验证码，同一场景和目标的旧验证码会被覆盖，错误次数重新计算
+   * @param {string} scene - 使用场景，如 register、login、captcha
+   * @param {string} target - 验证目标，如手机号、验证码ID
+   * @param {string} code - 验证码
+   * @param {number} ttl - 有效期（秒）
+   * @returns {Promise<boolean>} 保存结果
+   */
+  async saveCode(scene, target, code, ttl = this.defaultTtl) {
+    await redis.multi()
+      .set(this.getCodeKey(scene, target), this.normalizeCode(code), 'EX', ttl)
+      .del(this.getAttemptKey(scene, target))
+      .exec();
+    return true;
+  }
+
+  /**
+   * 校验并消费验证码，校验成功后验证码失效
+   * @param {string} scene - 使用场景
+   * @param {string} target - 验证目标
+   * @param {string} code - 用户提交的验证码
+   * @param {Object} options - 校验选项
+   * @param {number} options.maxAttempts - 最大错误次数，达到后验证码作废（locked 为 true），不传则不限制
+   * @returns {Promise<Object>} { valid, expired, locked }
+   */
+  async verifyCode(scene, target, code, options = {}) {
+    if (!target || code === undefined || code === null || code === '') {
+      return { valid: false, expired: false, locked: false };
+    }
+
+    const result = await redis.eval(CONSUME_SCRIPT, 1, this.getCodeKey(scene, target), this.normalizeCode(code));
+
+    if (result === 1 && options.maxAttempts) {
+      await redis.del(this.getAttemptKey(scene, target));
+    }
+
+    let locked = false;
+    if (result === 0 && options.maxAttempts) {
+      const attemptKey = this.getAttemptKey(scene, target);
+      const [[, attempts]] = await redis.multi()
+        .incr(attemptKey)
+        .expire(attemptKey, this.defaultTtl)
+        .exec();
+
+      if (Number(attempts) >= options.maxAttempts) {
+        await this.removeCode(scene, target);
+        locked = true;
+      }
+    }
+
+    return {
+      valid: result === 1,
+      expired: result === -1,
+      locked
+    };
+  }
+
+  /**
+   * 删除验证码
+   * @param {string} scene - 使用场景
+   * @param {string} target - 验证目标
+   * @returns {Promise<boolean>} 删除结果
+   */
+  async removeCode(scene, target) {
+    await redis.del(this.getCodeKey(scene, target), this.getAttemptKey(scene, target));
+    return true;
+  }
+
+  /**
+   * 统一验证码格式：去除空白并忽略大小写（图形验证码不区分大小写）
+   * @param {string|number} code - 验证码
+   * @returns {string} 规范化后的验证码
+   */
+  normalizeCode(code) {
+    return String(code).trim().toLowerCase();
+  }
+
+  /**
+   * 获取验证码缓存键
+   * @param {string} scene - 使用场景
+   * @param {string} target - 验证目标
+   * @returns {string} Redis键
+   */
+  getCodeKey(scene, target) {
+    return generateKey(PREFIX.VERIFY, `${scene}:${target}`);
+  }
+
+  /**
+   * 获取验证码错误次数缓存键
+   * @param {string} scene - 使用场景
+   * @param {string} target - 验证目标
+   * @returns {string} Redis键
+   */
+  getAttemptKey(scene, target) {
+    return generateKey(PREFIX.VERIFY, `attempts:${scene}:${target}`);
+  }
+}
+
+module.exports = VerificationCodeService;
@@ -8,15 +8,26 @@
 // 引入用户端服务：处理面向普通用户的业务逻辑
 const UserAuthService = require('./user/UserAuthService');         // 用户认证服务
 const UserProfileService = require('./user/UserProfileService');   // 用户资料服务
+const UserOrderService = require('./user/UserOrderService');       // 用户订单服务
+const UserCartService = require('./user/UserCartService');         // 用户购物车服务
+const UserShopService = require('./user/UserShopService');         // 用户店铺服务
+const UserEmailVerificationService = require('./user/UserEmailVerificationService'); // 用户邮箱验证服务
 
 // 引入管理端服务：处理面向管理员的业务逻辑
 const AdminUserService = require('./admin/AdminUserService');       // 管理端用户管理服务
 const AdminSystemService = require('./admin/AdminSystemService');   // 管理端系统管理服务
+const AdminTrashService = require('./admin/AdminTrashService');     // 管理端回收站服务
+const AdminMerchantService = require('./admin/AdminMerchantService'); // 管理端商户管理服务
+const AdminShopService = require('./admin/AdminShopService');       // 管理端店铺管理服务
+const AdminProductService = require('./admin/AdminProductService'); // 管理端商品管理服务
 
 // 引入商户端服务：处理面向商户用户的业务逻辑
 const MerchantAuthService = require('./merchant/MerchantAuthService');         // 商户认证服务
 const MerchantShopService = require('./merchant/MerchantShopService');         // 商户店铺管理服务
 const MerchantProductService = require('./merchant/MerchantProductService');   // 商户商品管理服务
+const MerchantOrderService = require('./merchant/MerchantOrderService');       // 商户订单管理服务
+const MerchantProductVariantService = require('./merchant/MerchantProductVariantService'); // 商户商品规格服务
+const MerchantProductImportService = require('./merchant/MerchantProductImportService'); // 商户商品导入导出服务
 
 // 引入基础服务：提供通用的服务基类和公共方法
 const BaseService = require('./base/BaseService');
@@ -26,6 +37,19 @@ const BaseMerchantService = require('./base/BaseMerchantService');
 const EmailService = require('./common/EmailService');             // 邮件发送服务
 const FileService = require('./common/FileService');               // 文件处理服务
 const NotificationService = require('./common/NotificationService'); // 通知推送服务
+const OrderService = require('./common/OrderService');             // 订单通用服务
+const LoginLogService = require('./common/LoginLogService');       // 登录日志服务
+const InventoryService = require('./common/InventoryService');     // 库存通用服务
+const CategoryService = require('./common/CategoryService');       // 商品分类服务
+const SearchService = require('./common/SearchService');           // 搜索服务
+const ReviewService = require('./common/ReviewService');           // 评价服务
+const PriceService = require('./common/PriceService');             // 价格服务
+const MerchantOnboardingService = require('./common/MerchantOnboardingService'); // 商户入驻服务
+const VerificationCodeService = require('./common/VerificationCodeService'); // 验证码存储服务
+const RegisterConfigService = require('./common/RegisterConfigService'); // 注册配置服务
+const CaptchaService = require('./common/CaptchaService'); // 验证码服务
+const SmsService = require('./common/SmsService'); // 短信服务
+const PasswordResetService = require('./common/PasswordResetService'); // 密码重置服务
 
 // 导出所有服务，使用对象结构便于按需引入
 module.exports = {
@@ -36,18 +60,42 @@ module.exports = {
   // 用户端服务：处理用户相关的业务逻辑
   UserAuthService,      // 用户认证：登录验证、令牌管理、密码处理
   UserProfileService,   // 用户资料：个人信息管理、头像处理、数据验证
+  UserOrderService,     // 用户订单：下单拆单、库存扣减、订单状态操作
+  UserCartService,      // 用户购物车：Redis热数据、MySQL持久化、游客购物车合并
+  UserShopService,      // 用户店铺：附近店铺空间查询、距离排序
+  UserEmailVerificationService, // 邮箱验证：注册邮箱验证码发送与校验、账户激活
 
   // 管理端服务：处理管理员相关的业务逻辑
   AdminUserService,     // 用户管理：用户CRUD、状态管理、权限分配
   AdminSystemService,   // 系统管理：系统监控、配置管理、日志处理
+  AdminTrashService,    // 回收站：软删除数据恢复、彻底删除、过期清理
+  AdminMerchantService, // 商户管理：商户列表统计、暂停和恢复营业、状态通知
+  AdminShopService,     // 店铺管理：跨商户店铺查询、状态管理
+  AdminProductService,  // 商品管理：跨商户商品查询、强制下架
 
   // 商户端服务：处理商户相关的业务逻辑
   MerchantAuthService,     // 商户认证：登录、注册、令牌管理、密码重置
   MerchantShopService,     // 店铺管理：店铺CRUD、状态管理、统计信息
   MerchantProductService,  // 商品管理：商品CRUD、库存管理、批量操作
+  MerchantOrderService,    // 订单管理：订单查询、发货、退款
+  MerchantProductVariantService, // 商品规格：规格定义、规格SKU管理、价格库存汇总
+  MerchantProductImportService, // 商品导入导出：文件解析校验、后台导入任务、商品导出
 
   // 通用服务：提供跨模块的公共功能
   EmailService,         // 邮件服务：发送验证邮件、通知邮件、模板渲染
   FileService,          // 文件服务：文件上传、存储、压缩、格式转换
-  NotificationService   // 通知服务：消息推送、短信发送、站内通知
+  NotificationService,  // 通知服务：消息推送、短信发送、站内通知
+  OrderService,         // 订单服务：订单号生成、状态流转、库存回补
+  LoginLogService,      // 登录日志：记录登录尝试、查询登录历史
+  InventoryService,     // 库存服务：原子增减库存、库存流水、结算库存预占
+  CategoryService,      // 分类服务：分类树维护、缓存、子孙分类查询
+  SearchService,        // 搜索服务：全文检索、相关度排序、关键词高亮
+  ReviewService,        // 评价服务：发表评价、商户回复、审核、评分增量维护
+  PriceService,         // 价格服务：价格历史记录、定时调价生效与恢复
+  MerchantOnboardingService, // 商户入驻：证明材料上传、入驻申请提交、管理员审核与通知
+  VerificationCodeService, // 验证码存储：一次性验证码保存、原子校验与失效
+  RegisterConfigService, // 注册配置：配置读取缓存、管理员更新、注册规则校验
+  CaptchaService, // 验证码：图形/数字验证码生成与校验、登录失败计数
+  SmsService, // 短信：可替换短信通道、短信验证码发送、冷却与每日上限、错误次数限制
+  PasswordResetService // 密码重置：一次性重置令牌签发与消费、重置后注销所有会话
 };
@@ -11,8 +11,17 @@ const BaseMerchantService = require('../base/BaseMerchantService');
 const bcrypt = require('bcrypt');
 // 引入jsonwebtoken用于JWT令牌操作
 const jwt = require('jsonwebtoken');
-const { MERCHANT_STATUS, USER_STATUS, COMMON_STATUS } = require('../../common/constants/status');
+// 引入Sequelize操作符，用于构建查询条件
+const { Op } = require('sequelize');
+const { MERCHANT_STATUS, USER_STATUS, USER_TYPE, COMMON_STATUS } = require('../../common/constants/status');
 const { StatusHelper } = require('../../common/utils/statusHelper');
+const { TokenHelper } = require('../../common/utils/tokenHelper');
+// 引入认证配置，确保签发的令牌能通过认证中间件校验
+const { AUTH_CONFIG } = require('../../middleware/config');
+// 引入登录日志服务，记录商户端登录尝试
+const LoginLogService = require('../common/LoginLogService');
+// 引入密码重置服务，处理商户找回密码
+const PasswordResetService = require('../common/PasswordResetService');
 
 class MerchantAuthService extends BaseMerchantService {
   /**
@@ -24,12 +33,18 @@ class MerchantAuthService extends BaseMerchantService {
     super();
     
     // JWT配置
-    this.jwtSecret = process.env.JWT_SECRET || 'merchant_default_secret';
+    this.jwtSecret = AUTH_CONFIG.JWT.secret;
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
     this.refreshTokenExpiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
     
     // 密码加密配置
     this.saltRounds = 12;
+
+    // 登录日志服务实例
+    this.loginLogService = new LoginLogService();
+
+    // 密码重置服务实例
+    this.passwordResetService = new PasswordResetService();
   }
 
   /**
@@ -37,9 +52,18 @@ class MerchantAuthService extends BaseMerchantService {
    * @param {string} username - 用户名或邮箱
    * @param {string} password - 密码
    * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 登录选项 { ip: 客户端IP, userAgent: 客户端User-Agent }，用于登录日志
    * @returns {Object} 登录结果，包含商户信息和令牌
    */
-  async login(username, password, sequelize) {
+  async login(username, password, sequelize, options = {}) {
+    // 登录日志公共字段，每次尝试（无论成功与否）都会记录
+    const attempt = {
+      userType: USER_TYPE.MERCHANT,
+      username,
+      ip: options.ip,
+      userAgent: options.userAgent
+    };
+
     try {
       this.logInfo('商户登录尝试', { username });
 
@@ -51,53 +75,53 @@ class MerchantAuthService extends BaseMerchantService {
 
       const merchant = await User.findOne({
         where: {
-          $or: [
+          [Op.or]: [
             { username: username },
             { email: username }
           ],
-          userType: 'merchant', // 确保是商户类型用户
-          status: 1 // 确保账户状态正常
+          userType: USER_TYPE.MERCHANT // 确保是商户类型用户
         }
       });
 
-      if (!merchant) {
+      // 账户不存在或状态不正常时统一返回相同错误，避免泄露账户状态
+      if (!merchant || merchant.status !== USER_STATUS.ACTIVE) {
+        await this.loginLogService.recordAttempt({
+          ...attempt,
+          userId: merchant ? merchant.id : null,
+          success: COMMON_STATUS.FAILED,
+          failureReason: merchant ? '账户状态异常' : '商户不存在'
+        }, sequelize);
         throw new Error('商户不存在或账户状态异常');
       }
+      attempt.userId = merchant.id;
 
       // 验证密码
       const isPasswordValid = await bcrypt.compare(password, merchant.password);
       if (!isPasswordValid) {
+        await this.loginLogService.recordAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: '密码错误' }, sequelize);
         throw new Error('密码错误');
       }
 
-      // 检查商户状态
-      if (merchant.merchantStatus !== undefined && merchant.merchantStatus !== 1) {
+      // 检查商户状态（审核中和审核拒绝的商户可以登录以完成入驻）
+      if (!StatusHelper.canMerchantLogin(merchant.merchantStatus)) {
+        await this.loginLogService.recordAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: '商户状态异常' }, sequelize);
         throw new Error('商户账户状态异常，请联系管理员');
       }
 
       // 生成访问令牌和刷新令牌
       const tokens = await this.generateTokens(merchant);
 
-      // 更新最后登录时间
+      // 更新最后登录时间和IP
       await merchant.update({
         lastLoginAt: new Date(),
-        lastLoginIp: null // 可以从请求中获取IP
+        lastLoginIp: options.ip || null
       });
 
+      // 记录登录成功
+      await this.loginLogService.recordAttempt({ ...attempt, success: COMMON_STATUS.SUCCESS }, sequelize);
+
       // 准备返回的商户信息（移除敏感信息）
-      const merchantInfo = {
-        id: merchant.id,
-        username: merchant.username,
-        email: merchant.email,
-        merchantId: merchant.merchantId,
-        shopIds: merchant.shopIds || [],
-        businessName: merchant.businessName,
-        businessType: merchant.businessType,
-        status: merchant.status,
-        merchantStatus: merchant.merchantStatus,
-        createdAt: merchant.createdAt,
-        lastLoginAt: merchant.lastLoginAt
-      };
+      const merchantInfo = this.sanitizeMerchantInfo(merchant);
 
       this.logInfo('商户登录成功', { 
         merchantId: merchant.merchantId, 
@@ -123,7 +147,10 @@ class MerchantAuthService extends BaseMerchantService {
    */
   async register(merchantData, sequelize) {
     try {
-      const { username, email, password, businessName, businessType } = merchantData;
+      const {
+        username, email, password, businessName, businessType,
+        contactPerson, contactPhone, address, description
+      } = merchantData;
       
       this.logInfo('商户注册尝试', { username, email, businessName });
 
@@ -135,7 +162,8 @@ class MerchantAuthService extends BaseMerchantService {
 
       // 检查用户名是否已存在
       const existingUsername = await User.findOne({
-        where: { username: username }
+        where: { username: username },
+        paranoid: false // 已软删除的用户仍占用用户名
       });
       if (existingUsername) {
         throw new Error('用户名已被注册');
@@ -143,7 +171,8 @@ class MerchantAuthService extends BaseMerchantService {
 
       // 检查邮箱是否已存在
       const existingEmail = await User.findOne({
-        where: { email: email }
+        where: { email: email },
+        paranoid: false // 已软删除的用户仍占用邮箱
       });
       if (existingEmail) {
         throw new Error('邮箱已被注册');
@@ -160,33 +189,24 @@ class MerchantAuthService extends BaseMerchantService {
         username: username,
         email: email,
         password: hashedPassword,
-        userType: 'merchant',
+        userType: USER_TYPE.MERCHANT,
         merchantId: merchantId,
         businessName: businessName,
         businessType: businessType || 'general',
-        status: 1, // 默认启用
-        merchantStatus: 1, // 默认商户状态正常
-        shopIds: [], // 初始为空，后续创建店铺时添加
-        createdAt: new Date(),
-        updatedAt: new Date()
+        contactPerson: contactPerson || null,
+        contactPhone: contactPhone || null,
+        address: address || null,
+        description: description || null,
+        status: USER_STATUS.ACTIVE, // 默认启用
+        merchantStatus: MERCHANT_STATUS.PENDING, // 提交入驻资料并审核通过后才能经营
+        shopIds: [] // 初始为空，后续创建店铺时添加
       });
 
       // 生成访问令牌和刷新令牌
       const tokens = await this.generateTokens(newMerchant);
 
       // 准备返回的商户信息（移除敏感信息）
-      const merchantInfo = {
-        id: newMerchant.id,
-        username: newMerchant.username,
-        email: newMerchant.email,
-        merchantId: newMerchant.merchantId,
-        shopIds: newMerchant.shopIds,
-        businessName: newMerchant.businessName,
-        businessType: newMerchant.businessType,
-        status: newMerchant.status,
-        merchantStatus: newMerchant.merchantStatus,
-        createdAt: newMerchant.createdAt
-      };
+      const merchantInfo = this.sanitizeMerchantInfo(newMerchant);
 
       this.logInfo('商户注册成功', { 
         merchantId: newMerchant.merchantId, 
@@ -228,14 +248,19 @@ class MerchantAuthService extends BaseMerchantService {
       const User = sequelize.models.User || sequelize.models.user;
       const merchant = await User.findByPk(decoded.id);
 
-      if (!merchant || merchant.userType !== 'merchant') {
+      if (!merchant || merchant.userType !== USER_TYPE.MERCHANT) {
         throw new Error('商户不存在');
       }
 
-      if (merchant.status !== 1 || merchant.merchantStatus !== 1) {
+      if (!StatusHelper.isUserActive(merchant.status) || !StatusHelper.canMerchantLogin(merchant.merchantStatus)) {
         throw new Error('商户账户状态异常');
       }
 
+      // 修改或重置密码前签发的刷新令牌已失效
+      if (TokenHelper.isIssuedBeforePasswordChange(decoded, merchant)) {
+        throw new Error('刷新令牌已失效，请重新登录');
+      }
+
       // 生成新的令牌对
       const tokens = await this.generateTokens(merchant);
 
@@ -280,6 +305,29 @@ class MerchantAuthService extends BaseMerchantService {
     }
   }
 
+  /**
+   * 商户找回密码：向商户邮箱发送重置链接，无论邮箱是否已注册都返回相同结果
+   * @param {string} email - 邮箱
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} { expiresIn }
+   */
+  async forgotPassword(email, sequelize) {
+    return this.passwordResetService.requestReset(email, USER_TYPE.MERCHANT, sequelize, {
+      baseUrl: process.env.MERCHANT_FRONTEND_URL || process.env.FRONTEND_URL
+    });
+  }
+
+  /**
+   * 商户重置密码：校验并消费重置令牌后设置新密码，此前签发的所有令牌失效
+   * @param {string} token - 重置令牌
+   * @param {string} newPassword - 新密码
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} { userId }
+   */
+  async resetPassword(token, newPassword, sequelize) {
+    return this.passwordResetService.resetPassword(token, newPassword, USER_TYPE.MERCHANT, sequelize);
+  }
+
   /**
    * 修改密码
    * @param {number} userId - 用户ID
@@ -296,7 +344,7 @@ class MerchantAuthService extends BaseMerchantService {
       const User = sequelize.models.User || sequelize.models.user;
       const merchant = await User.findByPk(userId);
 
-      if (!merchant || merchant.userType !== 'merchant') {
+      if (!merchant || merchant.userType !== USER_TYPE.MERCHANT) {
         throw new Error('商户不存在');
       }
 
@@ -312,7 +360,7 @@ class MerchantAuthService extends BaseMerchantService {
       // 更新密码
       await merchant.update({
         password: hashedNewPassword,
-        updatedAt: new Date()
+        updated_at: new Date()
       });
 
       this.logInfo('商户修改密码成功', { 
@@ -362,7 +410,7 @@ class MerchantAuthService extends BaseMerchantService {
         email: merchant.email,
         merchantId: merchant.merchantId,
         shopIds: merchant.shopIds || [],
-        userType: 'merchant'
+        userType: USER_TYPE.MERCHANT
       };
 
       // 生成访问令牌
@@ -395,6 +443,37 @@ class MerchantAuthService extends BaseMerchantService {
     }
   }
 
+  /**
+   * 整理商户信息
+   * 只保留商户身份和业务资料字段，移除密码等敏感信息
+   * @param {Object} merchant - 商户用户对象（模型实例或普通对象）
+   * @returns {Object} 可返回给客户端的商户信息
+   */
+  sanitizeMerchantInfo(merchant) {
+    const merchantObj = merchant.toJSON ? merchant.toJSON() : merchant;
+
+    return {
+      id: merchantObj.id,
+      username: merchantObj.username,
+      email: merchantObj.email,
+      userType: merchantObj.userType,
+      merchantId: merchantObj.merchantId,
+      shopIds: merchantObj.shopIds || [],
+      businessName: merchantObj.businessName,
+      businessType: merchantObj.businessType,
+      contactPerson: merchantObj.contactPerson,
+      contactPhone: merchantObj.contactPhone,
+      address: merchantObj.address,
+      description: merchantObj.description,
+      avatar: merchantObj.avatar,
+      status: merchantObj.status,
+      merchantStatus: merchantObj.merchantStatus,
+      verifiedAt: merchantObj.verifiedAt,
+      createdAt: merchantObj.created_at,
+      lastLoginAt: merchantObj.lastLoginAt
+    };
+  }
+
   /**
    * 解析过期时间字符串为秒数
    * @param {string} expiresIn - 过期时间字符串（如'24h', '7d'）
@@ -0,0 +1,204 @@
+/**
+ * 商户订单服务类
+ * 功能：处理商户端订单管理相关的业务逻辑，包括订单查询、发货、退款等
+ * 继承：BaseMerchantService，获得商户端特有的功能和数据隔离能力
+ * 职责：订单数据查询、订单履约、状态流转校验
+ */
+
+// 引入商户端基础服务类，提供商户端通用功能
+const BaseMerchantService = require('../base/BaseMerchantService');
+// 引入订单通用服务，复用订单状态流转和库存回补逻辑
+const OrderService = require('../common/OrderService');
+const { ORDER_STATUS } = require('../../common/constants/status');
+
+class MerchantOrderService extends BaseMerchantService {
+  /**
+   * 构造函数：初始化商户订单服务
+   * 调用父类构造函数并设置订单相关配置
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+
+    // 订单相关配置
+    this.orderModelName = 'Order'; // 订单模型名称
+    this.orderService = new OrderService(); // 订单通用服务实例
+  }
+
+  /**
+   * 获取商户订单列表
+   * @param {Object} queryConditions - 查询条件（已包含商户和店铺隔离条件）
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} 订单列表和总数
+   */
+  async getOrders(queryConditions, pagination, sequelize) {
+    try {
+      this.logInfo('获取商户订单列表', {
+        merchantId: queryConditions.merchantId,
+        pagination
+      });
+
+      // 使用基础服务的分页查询方法
+      const result = await this.handleMerchantPagination(
+        { ...queryConditions, deletedAt: null },
+        pagination,
+        sequelize,
+        this.orderModelName,
+        {
+          order: [['createdAt', 'DESC']],
+          include: [
+            {
+              model: sequelize.models.OrderItem,
+              as: 'items'
+            }
+          ],
+          distinct: true // 关联明细时按订单去重计数
+        }
+      );
+
+      this.logInfo('获取商户订单列表成功', {
+        merchantId: queryConditions.merchantId,
+        total: result.total,
+        count: result.data.length
+      });
+
+      return {
+        orders: result.data,
+        total: result.total
+      };
+
+    } catch (error) {
+      this.logError('获取商户订单列表失败', error, {
+        merchantId: queryConditions.merchantId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 根据ID获取订单详情
+   * @param {number} orderId - 订单ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object|null} 订单详情
+   */
+  async getOrderById(orderId, merchantId, sequelize) {
+    try {
+      this.logInfo('获取订单详情', { orderId, merchantId });
+
+      // 获取订单模型
+      const Order = sequelize.models[this.orderModelName];
+      if (!Order) {
+        throw new Error(`订单模型 ${this.orderModelName} 不存在`);
+      }
+
+      // 查找订单（限定在当前商户范围内）
+      const order = await Order.findOne({
+        where: {
+          id: orderId,
+          merchantId: merchantId,
+          deletedAt: null
+        },
+        include: [
+          {
+            model: sequelize.models.OrderItem,
+            as: 'items'
+          },
+          {
+            model: sequelize.models.User,
+            as: 'user',
+            attributes: ['id', 'username'],
+            paranoid: false // 下单用户被删除后仍展示订单归属
+          }
+        ]
+      });
+
+      if (!order) {
+        this.logInfo('订单不存在', { orderId, merchantId });
+        return null;
+      }
+
+      return order;
+
+    } catch (error) {
+      this.logError('获取订单详情失败', error, { orderId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 订单发货
+   * @param {number} orderId - 订单ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} shippingData - 物流信息 { shippingCompany, trackingNumber }
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} 更新后的订单
+   */
+  async shipOrder(orderId, merchantId, shippingData, sequelize) {
+    try {
+      this.logInfo('订单发货', { orderId, merchantId });
+
+      // 验证物流信息
+      const { shippingCompany, trackingNumber } = shippingData;
+      if (!shippingCompany || shippingCompany.trim().length === 0) {
+        throw new Error('物流公司不能为空');
+      }
+      if (!trackingNumber || trackingNumber.trim().length === 0) {
+        throw new Error('物流单号不能为空');
+      }
+
+      // 执行状态流转：已支付 -> 已发货
+      await this.orderService.changeOrderStatus(
+        orderId,
+        ORDER_STATUS.SHIPPED,
+        { merchantId },
+        {
+          shippingCompany: shippingCompany.trim(),
+          trackingNumber: trackingNumber.trim()
+        },
+        sequelize
+      );
+
+      this.logInfo('订单发货成功', { orderId, merchantId });
+      return await this.getOrderById(orderId, merchantId, sequelize);
+
+    } catch (error) {
+      this.logError('订单发货失败', error, { orderId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 订单退款
+   * @param {number} orderId - 订单ID
+   * @param {number} merchantId - 商户ID
+   * @param {string} reason - 退款原因
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} 更新后的订单
+   */
+  async refundOrder(orderId, merchantId, reason, sequelize) {
+    try {
+      this.logInfo('订单退款', { orderId, merchantId });
+
+      // 执行状态流转：已支付/已发货 -> 已退款（同时回补库存）
+      await this.orderService.changeOrderStatus(
+        orderId,
+        ORDER_STATUS.REFUNDED,
+        { merchantId },
+        { cancelReason: reason || null },
+        sequelize
+      );
+
+      this.logInfo('订单退款成功', { orderId, merchantId });
+      return await this.getOrderById(orderId, merchantId, sequelize);
+
+    } catch (error) {
+      this.logError('订单退款失败', error, { orderId, merchantId });
+      throw error;
+    }
+  }
+}
+
+// 导出商户订单服务类，供控制器使用
+module.exports = MerchantOrderService;
@@ -0,0 +1,642 @@
+/**
+ * 商户商品导入导出服务类
+ * 功能：通过 CSV / XLSX 文件批量创建、更新商品，以及按相同格式导出商品
+ * 继承：BaseMerchantService，获得商户端特有的功能和数据隔离能力
+ * 说明：导入先逐行解析并校验（可只预览不写入），通过校验的行交给后台任务逐行调用
+ *       createProduct / updateProduct 写入，任务进度保存在 Redis 中供轮询查询；
+ *       带 id 列的行更新已有商品，不带 id 的行创建新商品，导出文件可直接修改后重新导入
+ *       （库存列只对新建商品生效，更新已有商品时忽略）
+ */
+
+// 引入商户端基础服务类，提供商户端通用功能
+const BaseMerchantService = require('../base/BaseMerchantService');
+// 引入Sequelize操作符，用于构建查询条件
+const { Op } = require('sequelize');
+// 引入商户商品服务，导入的每一行都按单个商品的创建、更新规则处理
+const MerchantProductService = require('./MerchantProductService');
+// 引入商品分类服务，用于校验分类
+const CategoryService = require('../common/CategoryService');
+// 引入表格文件工具
+const { SpreadsheetHelper } = require('../../common/utils/spreadsheet');
+const { redis, TTL, PREFIX, generateKey } = require('../../common/redis');
+const { PRODUCT_STATUS, IMPORT_JOB_STATUS } = require('../../common/constants/status');
+const crypto = require('crypto');
+
+// 导入导出列定义，导出时按此顺序输出表头；列表类型的多个值用 | 分隔
+const COLUMNS = [
+  { key: 'id', type: 'integer' },
+  { key: 'version', type: 'integer' },
+  { key: 'shopId', type: 'integer' },
+  { key: 'categoryId', type: 'integer' },
+  { key: 'name', type: 'string' },
+  { key: 'description', type: 'string' },
+  { key: 'price', type: 'decimal' },
+  { key: 'originalPrice', type: 'decimal' },
+  { key: 'stock', type: 'integer' },
+  { key: 'status', type: 'integer' },
+  { key: 'sku', type: 'string' },
+  { key: 'barcode', type: 'string' },
+  { key: 'weight', type: 'decimal' },
+  { key: 'images', type: 'list' },
+  { key: 'tags', type: 'list' }
+];
+// 导入文件必须包含的列
+const REQUIRED_COLUMNS = ['shopId', 'categoryId', 'name', 'price', 'stock'];
+// 更新已有商品时比较差异的字段（id、version、shopId 不可通过导入修改）
+// stock 只用于新建商品的初始库存：销售扣减库存不递增版本号，旧导出文件中的库存会把已售出的数量加回去，
+// 已有商品的库存变动需通过库存流水登记
+const UPDATABLE_FIELDS = [
+  'categoryId', 'name', 'description', 'price', 'originalPrice',
+  'status', 'sku', 'barcode', 'weight', 'images', 'tags'
+];
+const LIST_SEPARATOR = '|';
+
+class MerchantProductImportService extends BaseMerchantService {
+  /**
+   * 构造函数：初始化商户商品导入导出服务
+   */
+  constructor() {
+    super();
+
+    this.productModelName = 'Product'; // 商品模型名称
+    this.shopModelName = 'Shop'; // 店铺模型名称
+    this.productService = new MerchantProductService(); // 商户商品服务
+    this.categoryService = new CategoryService(); // 商品分类服务
+    this.maxRows = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 2000; // 单次导入最多行数
+    this.maxExportRows = parseInt(process.env.PRODUCT_EXPORT_MAX_ROWS) || 10000; // 单次导出最多商品数
+    this.previewLimit = 20; // 预览返回的行数
+    this.progressInterval = 20; // 每处理多少行保存一次任务进度
+    this.jobTtl = TTL.LONG; // 任务状态保留时间（秒）
+    this.lockTtl = 3600; // 同一商户导入任务锁的过期时间（秒）
+  }
+
+  /**
+   * 解析并校验导入文件（不写入数据）
+   * @param {number} merchantId - 商户ID
+   * @param {Object} file - 上传文件 { originalname, buffer }
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} { report: 校验报告, items: 需要写入的行 }
+   */
+  async analyzeImport(merchantId, file, sequelize) {
+    try {
+      this.logInfo('解析商品导入文件', { merchantId, filename: file.originalname, size: file.size });
+
+      const format = SpreadsheetHelper.detectFormat(file.originalname);
+      if (!format) {
+        throw new Error('导入文件验证失败: 仅支持 CSV 和 XLSX 格式');
+      }
+
+      let table;
+      try {
+        table = await SpreadsheetHelper.read(file.buffer, format);
+      } catch (error) {
+        throw new Error('导入文件验证失败: 文件内容无法解析，请检查文件格式');
+      }
+
+      const { columnIndexes, ignoredColumns } = this.mapHeader(table[0] || []);
+      const dataRows = table.slice(1);
+
+      if (dataRows.length === 0) {
+        throw new Error('导入文件验证失败: 文件中没有商品数据');
+      }
+      if (dataRows.length > this.maxRows) {
+        throw new Error(`导入文件验证失败: 单次最多导入${this.maxRows}行，当前${dataRows.length}行`);
+      }
+
+      // 逐行解析字段格式，表头为第1行，数据从第2行开始
+      const rows = dataRows.map((cells, index) => ({
+        row: index + 2,
+        ...this.parseRow(cells, columnIndexes)
+      }));
+
+      const context = await this.loadContext(merchantId, rows, sequelize);
+      const seenNames = new Map();
+      const items = [];
+      const errors = [];
+      const summary = { create: 0, update: 0, unchanged: 0 };
+
+      for (const row of rows) {
+        const result = this.validateRow(row, context, seenNames);
+
+        if (result.errors.length > 0) {
+          errors.push({ row: row.row, errors: result.errors });
+          continue;
+        }
+
+        summary[result.action]++;
+        if (result.action !== 'unchanged') {
+          items.push(result);
+        }
+      }
+
+      const report = {
+        format,
+        total: rows.length,
+        validCount: rows.length - errors.length,
+        invalidCount: errors.length,
+        summary,
+        ignoredColumns,
+        errors,
+        preview: items.slice(0, this.previewLimit).map(item => ({
+          row: item.row,
+          action: item.action,
+          productId: item.productId,
+          data: item.data
+        }))
+      };
+
+      this.logInfo('解析商品导入文件完成', {
+        merchantId,
+        total: report.total,
+        invalidCount: report.invalidCount,
+        summary
+      });
+
+      return { report, items };
+
+    } catch (error) {
+      this.logError('解析商品导入文件失败', error, { merchantId, filename: file.originalname });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建后台导入任务，同一商户同时只能有一个导入任务在执行
+   * @param {number} merchantId - 商户ID
+   * @param {Array} items - analyzeImport 返回的待写入行
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录库存流水 }
+   * @returns {Object} 任务信息
+   */
+  async startImportJob(merchantId, items, sequelize, options = {}) {
+    try {
+      const jobId = crypto.randomUUID();
+      const lockKey = this.getLockKey(merchantId);
+
+      const acquired = await redis.set(lockKey, jobId, 'EX', this.lockTtl, 'NX');
+      if (!acquired) {
+        throw new Error('已有商品导入任务正在进行中，请稍后再试');
+      }
+
+      const job = {
+        id: jobId,
+        merchantId,
+        status: IMPORT_JOB_STATUS.PENDING,
+        total: items.length,
+        processed: 0,
+        created: 0,
+        updated: 0,
+        failed: 0,
+        errors: [],
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+      };
+
+      await this.saveJob(job);
+
+      // 响应返回后在后台执行，进度通过 getImportJob 查询
+      setImmediate(() => {
+        this.runImportJob(job, items, sequelize, options);
+      });
+
+      this.logInfo('创建商品导入任务', { merchantId, jobId, total: items.length });
+
+      return { ...job };
+
+    } catch (error) {
+      this.logError('创建商品导入任务失败', error, { merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 执行导入任务：逐行写入，单行失败记录错误后继续处理后续行
+   * @param {Object} job - 任务信息
+   * @param {Array} items - 待写入行
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId }
+   */
+  async runImportJob(job, items, sequelize, options = {}) {
+    const { merchantId } = job;
+
+    try {
+      job.status = IMPORT_JOB_STATUS.RUNNING;
+      job.startedAt = new Date().toISOString();
+      await this.saveJob(job);
+
+      for (const item of items) {
+        try {
+          if (item.action === 'create') {
+            await this.productService.createProduct(
+              { ...item.data, merchantId },
+              sequelize,
+              { operatorId: options.operatorId }
+            );
+            job.created++;
+          } else {
+            await this.productService.updateProduct(
+              item.productId,
+              merchantId,
+              item.data,
+              sequelize,
+              { operatorId: options.operatorId, expectedVersion: item.expectedVersion }
+            );
+            job.updated++;
+          }
+        } catch (error) {
+          job.failed++;
+          job.errors.push({ row: item.row, errors: [this.getRowErrorMessage(error)] });
+        }
+
+        job.processed++;
+        if (job.processed % this.progressInterval === 0) {
+          await this.saveJob(job);
+        }
+      }
+
+      job.status = IMPORT_JOB_STATUS.COMPLETED;
+
+    } catch (error) {
+      job.status = IMPORT_JOB_STATUS.FAILED;
+      this.logError('商品导入任务执行失败', error, { merchantId, jobId: job.id });
+    }
+
+    job.finishedAt = new Date().toISOString();
+
+    try {
+      await this.saveJob(job);
+      await redis.del(this.getLockKey(merchantId));
+    } catch (error) {
+      this.logError('保存商品导入任务状态失败', error, { merchantId, jobId: job.id });
+    }
+
+    this.logInfo('商品导入任务结束', {
+      merchantId,
+      jobId: job.id,
+      status: job.status,
+      created: job.created,
+      updated: job.updated,
+      failed: job.failed
+    });
+  }
+
+  /**
+   * 查询导入任务进度
+   * @param {string} jobId - 任务ID
+   * @param {number} merchantId - 商户ID
+   * @returns {Object} 任务信息
+   */
+  async getImportJob(jobId, merchantId) {
+    const job = await this.cache.get(PREFIX.JOB, `product-import:${jobId}`);
+
+    if (!job || String(job.merchantId) !== String(merchantId)) {
+      throw new Error('导入任务不存在或已过期');
+    }
+
+    return job;
+  }
+
+  /**
+   * 导出商品，列与导入模板一致
+   * @param {Object} queryConditions - 查询条件（已包含商户和店铺隔离）
+   * @param {string} format - csv 或 xlsx
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} { buffer, filename, contentType, count }
+   */
+  async exportProducts(queryConditions, format, sequelize) {
+    try {
+      this.logInfo('导出商户商品', { merchantId: queryConditions.merchantId, format });
+
+      if (!SpreadsheetHelper.getContentType(format)) {
+        throw new Error('导出参数验证失败: 仅支持 csv 和 xlsx 格式');
+      }
+
+      const Product = sequelize.models[this.productModelName];
+
+      const count = await Product.count({ where: queryConditions });
+      if (count > this.maxExportRows) {
+        throw new Error(`导出参数验证失败: 商品数量超过${this.maxExportRows}条，请按店铺或状态筛选后分批导出`);
+      }
+
+      const products = await Product.findAll({
+        where: queryConditions,
+        attributes: COLUMNS.map(column => column.key),
+        order: [['id', 'ASC']]
+      });
+
+      const rows = [COLUMNS.map(column => column.key)];
+      for (const product of products) {
+        rows.push(COLUMNS.map(column => this.formatCell(product[column.key], column.type)));
+      }
+
+      const buffer = await SpreadsheetHelper.write(rows, format, 'products');
+      const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+
+      this.logInfo('导出商户商品成功', { merchantId: queryConditions.merchantId, count: products.length });
+
+      return {
+        buffer,
+        filename: `products-${queryConditions.merchantId}-${timestamp}.${format}`,
+        contentType: SpreadsheetHelper.getContentType(format),
+        count: products.length
+      };
+
+    } catch (error) {
+      this.logError('导出商户商品失败', error, { merchantId: queryConditions.merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 解析表头，列名不区分大小写，未知列忽略
+   * @param {Array<string>} header - 表头单元格
+   * @returns {Object} { columnIndexes: 字段名到列下标的映射, ignoredColumns: 忽略的列名 }
+   */
+  mapHeader(header) {
+    const columnIndexes = {};
+    const ignoredColumns = [];
+
+    header.forEach((name, index) => {
+      const column = COLUMNS.find(item => item.key.toLowerCase() === name.toLowerCase());
+      if (column && columnIndexes[column.key] === undefined) {
+        columnIndexes[column.key] = index;
+      } else if (name) {
+        ignoredColumns.push(name);
+      }
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(key => columnIndexes[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`导入文件验证失败: 缺少必需列 ${missing.join(', ')}，第一行应为列名`);
+    }
+
+    return { columnIndexes, ignoredColumns };
+  }
+
+  /**
+   * 按列定义解析一行单元格
+   * @param {Array<string>} cells - 单元格字符串
+   * @param {Object} columnIndexes - 字段名到列下标的映射
+   * @returns {Object} { values: 解析后的字段值（空单元格为 null，文件中没有的列不出现）, errors: 格式错误 }
+   */
+  parseRow(cells, columnIndexes) {
+    const values = {};
+    const errors = [];
+
+    for (const column of COLUMNS) {
+      const index = columnIndexes[column.key];
+      if (index === undefined) {
+        continue;
+      }
+
+      const text = cells[index] || '';
+
+      if (text === '') {
+        values[column.key] = column.type === 'list' ? [] : null;
+        continue;
+      }
+
+      switch (column.type) {
+        case 'integer':
+          if (!/^-?\d+$/.test(text)) {
+            errors.push(`${column.key} 必须是整数`);
+          }
+          values[column.key] = parseInt(text);
+          break;
+        case 'decimal':
+          if (!SpreadsheetHelper.isNumeric(text)) {
+            errors.push(`${column.key} 必须是数字`);
+          }
+          values[column.key] = parseFloat(text);
+          break;
+        case 'list':
+          values[column.key] = text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+          break;
+        default:
+          values[column.key] = text;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  /**
+   * 批量加载校验所需的数据：商户店铺、待更新商品、同名商品、分类可用性
+   * @param {number} merchantId - 商户ID
+   * @param {Array} rows - 解析后的行
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} 校验上下文
+   */
+  async loadContext(merchantId, rows, sequelize) {
+    const Product = sequelize.models[this.productModelName];
+    const Shop = sequelize.models[this.shopModelName];
+    const parsedRows = rows.filter(row => row.errors.length === 0);
+
+    const shops = await Shop.findAll({ where: { merchantId }, attributes: ['id'] });
+    const shopIds = new Set(shops.map(shop => shop.id));
+
+    const productIds = [...new Set(parsedRows.map(row => row.values.id).filter(Boolean))];
+    const products = productIds.length > 0
+      ? await Product.findAll({
+        where: { id: { [Op.in]: productIds }, merchantId, deletedAt: null },
+        attributes: COLUMNS.map(column => column.key)
+      })
+      : [];
+
+    const names = [...new Set(parsedRows.map(row => row.values.name).filter(Boolean))];
+    const sameNameProducts = names.length > 0 && shopIds.size > 0
+      ? await Product.findAll({
+        where: { shopId: { [Op.in]: [...shopIds] }, name: { [Op.in]: names }, deletedAt: null },
+        attributes: ['id', 'shopId', 'name']
+      })
+      : [];
+
+    // 分类数量通常很少，逐个复用单个商品创建时的分类校验
+    const invalidCategoryIds = new Set();
+    const categoryIds = [...new Set(parsedRows.map(row => row.values.categoryId).filter(id => id > 0))];
+    for (const categoryId of categoryIds) {
+      try {
+        await this.categoryService.validateSelectable(categoryId, sequelize);
+      } catch (error) {
+        invalidCategoryIds.add(categoryId);
+      }
+    }
+
+    return {
+      shopIds,
+      products: new Map(products.map(product => [product.id, product])),
+      existingNames: new Map(sameNameProducts.map(product => [`${product.shopId}:${product.name}`, product.id])),
+      invalidCategoryIds
+    };
+  }
+
+  /**
+   * 校验单行数据并判断操作类型
+   * @param {Object} row - 解析后的行 { row, values, errors }
+   * @param {Object} context - loadContext 返回的校验上下文
+   * @param {Map} seenNames - 文件中已出现的 店铺ID:商品名称 到行号的映射
+   * @returns {Object} { row, action: create|update|unchanged, productId, expectedVersion, data, errors }
+   */
+  validateRow(row, context, seenNames) {
+    const errors = [...row.errors];
+    const { id, version, ...values } = row.values;
+    const result = { row: row.row, action: id ? 'update' : 'create', productId: id || undefined, errors };
+
+    if (errors.length > 0) {
+      return result;
+    }
+
+    const data = {
+      ...values,
+      description: values.description || '',
+      originalPrice: values.originalPrice ?? values.price,
+      status: values.status ?? PRODUCT_STATUS.ONLINE
+    };
+
+    // 与单个创建商品使用相同的数据校验规则
+    try {
+      this.productService.validateProductData(data);
+    } catch (error) {
+      errors.push(error.message);
+      return result;
+    }
+
+    if (!Object.values(PRODUCT_STATUS).includes(data.status)) {
+      errors.push('商品状态值无效');
+    }
+    if (!context.shopIds.has(data.shopId)) {
+      errors.push('店铺不存在或无权访问');
+    }
+    if (context.invalidCategoryIds.has(data.categoryId)) {
+      errors.push('商品分类不存在或已禁用');
+    }
+
+    // 同一店铺下商品名称不能重复
+    const nameKey = `${data.shopId}:${data.name}`;
+    if (seenNames.has(nameKey)) {
+      errors.push(`与第${seenNames.get(nameKey)}行商品名称重复`);
+    } else {
+      seenNames.set(nameKey, row.row);
+    }
+    const sameNameId = context.existingNames.get(nameKey);
+    if (sameNameId && sameNameId !== id) {
+      errors.push('商品名称在该店铺下已存在');
+    }
+
+    if (!id) {
+      // 文件中没有的列不写入，由模型默认值决定
+      result.data = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+      return result;
+    }
+
+    const product = context.products.get(id);
+    if (!product) {
+      errors.push('商品不存在或无权访问');
+      return result;
+    }
+    if (product.shopId !== data.shopId) {
+      errors.push('不能通过导入修改商品所属店铺');
+    }
+    if (version && product.version !== version) {
+      errors.push('数据版本冲突: 商品已被其他人修改，请重新导出后再导入');
+    }
+
+    // 只提交文件中包含且有变化的字段，未修改的行跳过，避免无意义地递增版本号
+    const changes = {};
+    for (const field of UPDATABLE_FIELDS) {
+      const { type } = COLUMNS.find(column => column.key === field);
+      if (row.values[field] !== undefined && !this.isSameValue(product[field], row.values[field], type)) {
+        changes[field] = row.values[field];
+      }
+    }
+    if (changes.description === null) {
+      changes.description = '';
+    }
+
+    result.data = changes;
+    result.expectedVersion = product.version;
+    if (errors.length === 0 && Object.keys(changes).length === 0) {
+      result.action = 'unchanged';
+    }
+
+    return result;
+  }
+
+  /**
+   * 比较数据库中的值和导入值是否相同（空字符串、null、空数组视为相同，数字列按数值比较）
+   * @param {*} current - 数据库中的值
+   * @param {*} incoming - 导入值
+   * @param {string} type - 列类型
+   * @returns {boolean} 是否相同
+   */
+  isSameValue(current, incoming, type) {
+    const normalize = (value) => {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      if (type === 'list') {
+        return Array.isArray(value) && value.length > 0 ? JSON.stringify(value.map(String)) : null;
+      }
+      if (type === 'integer' || type === 'decimal') {
+        return Number(value);
+      }
+      return String(value).trim();
+    };
+
+    return normalize(current) === normalize(incoming);
+  }
+
+  /**
+   * 格式化导出单元格
+   * @param {*} value - 字段值
+   * @param {string} type - 列类型
+   * @returns {*} 单元格值
+   */
+  formatCell(value, type) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    switch (type) {
+      case 'integer':
+      case 'decimal':
+        return Number(value);
+      case 'list':
+        return Array.isArray(value) ? value.map(String).join(LIST_SEPARATOR) : '';
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * 获取单行写入失败时返回给商户的错误信息，数据库等内部错误不直接暴露
+   * @param {Error} error - 错误对象
+   * @returns {string} 错误信息
+   */
+  getRowErrorMessage(error) {
+    if (error.name && error.name.startsWith('Sequelize')) {
+      return '商品保存失败';
+    }
+    return error.message || '商品保存失败';
+  }
+
+  /**
+   * 保存任务状态
+   * @param {Object} job - 任务信息
+   */
+  async saveJob(job) {
+    await this.cache.set(PREFIX.JOB, `product-import:${job.id}`, job, this.jobTtl);
+  }
+
+  /**
+   * 获取商户导入任务锁的键
+   * @param {number} merchantId - 商户ID
+   * @returns {string} 锁键
+   */
+  getLockKey(merchantId) {
+    return generateKey(PREFIX.LOCK, `product-import:${merchantId}`);
+  }
+}
+
+module.exports = MerchantProductImportService;
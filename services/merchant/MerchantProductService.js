@@ -7,6 +7,20 @@
 
 // 引入商户端基础服务类，提供商户端通用功能
 const BaseMerchantService = require('../base/BaseMerchantService');
+// 引入Sequelize操作符，用于构建查询条件
+const { Op } = require('sequelize');
+// 引入商品规格服务，用于汇总规格价格区间和总库存
+const MerchantProductVariantService = require('./MerchantProductVariantService');
+// 引入库存服务，库存变动统一通过库存流水记录
+const InventoryService = require('../common/InventoryService');
+// 引入商品分类服务，用于按分类（含子孙分类）筛选商品和校验分类
+const CategoryService = require('../common/CategoryService');
+// 引入搜索服务，用于商品关键词检索
+const SearchService = require('../common/SearchService');
+// 引入价格服务，价格变动统一记录价格历史
+const PriceService = require('../common/PriceService');
+// 引入库存变动类型和价格变动来源常量
+const { STOCK_MOVEMENT_TYPE, PRICE_CHANGE_SOURCE } = require('../../common/constants/status');
 
 class MerchantProductService extends BaseMerchantService {
   /**
@@ -21,6 +35,11 @@ class MerchantProductService extends BaseMerchantService {
     this.maxProductsPerShop = 1000; // 每个店铺最多可创建的商品数量
     this.productModelName = 'Product'; // 商品模型名称
     this.shopModelName = 'Shop'; // 店铺模型名称
+    this.variantService = new MerchantProductVariantService(); // 商品规格服务
+    this.inventoryService = new InventoryService(); // 库存服务
+    this.categoryService = new CategoryService(); // 商品分类服务
+    this.searchService = new SearchService(); // 搜索服务
+    this.priceService = new PriceService(); // 价格服务
   }
 
   /**
@@ -43,12 +62,18 @@ class MerchantProductService extends BaseMerchantService {
         const keyword = queryConditions.keyword;
         delete whereConditions.keyword;
         
-        whereConditions.$or = [
-          { name: { $like: `%${keyword}%` } },
-          { description: { $like: `%${keyword}%` } }
+        whereConditions[Op.or] = [
+          { name: { [Op.like]: `%${keyword}%` } },
+          { description: { [Op.like]: `%${keyword}%` } }
         ];
       }
 
+      // 按分类筛选时包含全部子孙分类下的商品
+      if (queryConditions.categoryId) {
+        const categoryIds = await this.categoryService.getDescendantIds(queryConditions.categoryId, sequelize);
+        whereConditions.categoryId = { [Op.in]: categoryIds };
+      }
+
       // 使用基础服务的分页查询方法
       const result = await this.handleMerchantPagination(
         whereConditions,
@@ -59,7 +84,7 @@ class MerchantProductService extends BaseMerchantService {
           attributes: [
             'id', 'name', 'description', 'price', 'originalPrice', 
             'stock', 'status', 'categoryId', 'shopId', 'merchantId',
-            'images', 'createdAt', 'updatedAt'
+            'images', 'version', 'createdAt', 'updatedAt'
           ],
           order: [['createdAt', 'DESC']],
           include: [
@@ -73,14 +98,17 @@ class MerchantProductService extends BaseMerchantService {
         }
       );
 
+      // 附加规格汇总：价格区间和总库存（未启用规格的商品取自身价格和库存）
+      const products = await this.variantService.attachAggregates(result.data, sequelize);
+
       this.logInfo('获取商户商品列表成功', { 
         merchantId: queryConditions.merchantId,
         total: result.total,
-        count: result.data.length
+        count: products.length
       });
 
       return {
-        products: result.data,
+        products,
         total: result.total
       };
 
@@ -92,6 +120,40 @@ class MerchantProductService extends BaseMerchantService {
     }
   }
 
+  /**
+   * 搜索商户商品
+   * 按关键词相关度检索当前商户的商品，支持价格区间、分类（含子孙分类）、店铺和状态筛选
+   * @param {number} merchantId - 商户ID
+   * @param {Object} params - 搜索参数 { keyword, minPrice, maxPrice, categoryId, shopId, status, sort }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} 商品列表（含高亮和规格汇总）和总数
+   */
+  async searchProducts(merchantId, params, pagination, sequelize) {
+    try {
+      this.logInfo('搜索商户商品', { merchantId, keyword: params.keyword });
+
+      const result = await this.searchService.searchProducts(
+        { ...params, merchantId },
+        pagination,
+        sequelize,
+        { scope: 'merchant' }
+      );
+
+      // 附加规格汇总：价格区间和总库存
+      const products = await this.variantService.attachAggregates(result.items, sequelize);
+
+      return {
+        products,
+        total: result.total
+      };
+
+    } catch (error) {
+      this.logError('搜索商户商品失败', error, { merchantId, keyword: params.keyword });
+      throw error;
+    }
+  }
+
   /**
    * 根据ID获取商品详情
    * @param {number} productId - 商品ID
@@ -118,7 +180,7 @@ class MerchantProductService extends BaseMerchantService {
         attributes: [
           'id', 'name', 'description', 'price', 'originalPrice', 
           'stock', 'status', 'categoryId', 'shopId', 'merchantId',
-          'images', 'createdAt', 'updatedAt'
+          'images', 'version', 'createdAt', 'updatedAt'
         ],
         include: [
           {
@@ -126,7 +188,22 @@ class MerchantProductService extends BaseMerchantService {
             as: 'shop',
             attributes: ['id', 'name'],
             required: false
+          },
+          {
+            model: sequelize.models.ProductOption,
+            as: 'options',
+            attributes: ['name', 'values', 'sortOrder'],
+            required: false
+          },
+          {
+            model: sequelize.models.ProductVariant,
+            as: 'variants',
+            required: false
           }
+        ],
+        order: [
+          [{ model: sequelize.models.ProductOption, as: 'options' }, 'sortOrder', 'ASC'],
+          [{ model: sequelize.models.ProductVariant, as: 'variants' }, 'id', 'ASC']
         ]
       });
 
@@ -148,9 +225,10 @@ class MerchantProductService extends BaseMerchantService {
    * 创建新商品
    * @param {Object} productData - 商品数据
    * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录初始库存流水和价格历史 }
    * @returns {Object} 创建的商品对象
    */
-  async createProduct(productData, sequelize) {
+  async createProduct(productData, sequelize, options = {}) {
     try {
       const { merchantId, shopId, name } = productData;
       
@@ -193,6 +271,9 @@ class MerchantProductService extends BaseMerchantService {
       // 验证商品数据
       this.validateProductData(productData);
 
+      // 验证商品分类存在且已启用
+      await this.categoryService.validateSelectable(productData.categoryId, sequelize);
+
       // 使用基础服务创建商品
       const product = await this.createMerchantData(
         productData,
@@ -201,6 +282,30 @@ class MerchantProductService extends BaseMerchantService {
         this.productModelName
       );
 
+      // 初始库存记为入库流水
+      if (product.stock > 0) {
+        await this.inventoryService.recordMovement({
+          productId: product.id,
+          merchantId,
+          type: STOCK_MOVEMENT_TYPE.INBOUND,
+          quantity: product.stock,
+          beforeStock: 0,
+          afterStock: product.stock,
+          operatorId: options.operatorId,
+          remark: '初始库存'
+        }, null, sequelize);
+      }
+
+      // 初始价格作为价格历史的起点
+      await this.priceService.recordChange({
+        productId: product.id,
+        merchantId,
+        newPrice: product.price,
+        newOriginalPrice: product.originalPrice,
+        source: PRICE_CHANGE_SOURCE.CREATE,
+        operatorId: options.operatorId
+      }, null, sequelize);
+
       this.logInfo('创建商品成功', { 
         productId: product.id, 
         merchantId, 
@@ -226,9 +331,10 @@ class MerchantProductService extends BaseMerchantService {
    * @param {number} merchantId - 商户ID
    * @param {Object} updateData - 更新数据
    * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录价格历史；expectedVersion: If-Match 中的版本号 }
    * @returns {Object} 更新后的商品对象
    */
-  async updateProduct(productId, merchantId, updateData, sequelize) {
+  async updateProduct(productId, merchantId, updateData, sequelize, options = {}) {
     try {
       this.logInfo('更新商品信息', { productId, merchantId });
 
@@ -245,7 +351,7 @@ class MerchantProductService extends BaseMerchantService {
           where: {
             name: updateData.name,
             shopId: currentProduct.shopId,
-            id: { $ne: productId }, // 排除当前商品
+            id: { [Op.ne]: productId }, // 排除当前商品
             deletedAt: null
           }
         });
@@ -255,17 +361,50 @@ class MerchantProductService extends BaseMerchantService {
         }
       }
 
+      // 启用规格的商品，价格由规格汇总，不能直接修改
+      if (updateData.price !== undefined && currentProduct.variants?.length > 0) {
+        throw new Error('商品数据验证失败: 该商品已启用规格，请在规格中修改价格');
+      }
+
       // 验证更新数据
       this.validateProductUpdateData(updateData);
 
-      // 使用基础服务更新商品
-      const updatedProduct = await this.updateMerchantData(
-        productId,
-        merchantId,
-        updateData,
-        sequelize,
-        this.productModelName
-      );
+      // 更换分类时验证新分类存在且已启用
+      if (updateData.categoryId !== undefined && updateData.categoryId !== currentProduct.categoryId) {
+        await this.categoryService.validateSelectable(updateData.categoryId, sequelize);
+      }
+
+      // 字段更新和价格历史在同一事务中，任一步失败全部回滚
+      const updatedProduct = await this.executeTransaction(async (transaction) => {
+        // 使用基础服务更新商品（递增版本号，并按 If-Match 校验版本）
+        const product = await this.updateMerchantData(
+          productId,
+          merchantId,
+          updateData,
+          sequelize,
+          this.productModelName,
+          { expectedVersion: options.expectedVersion, transaction }
+        );
+
+        // 价格或原价有变化时记录价格历史
+        await this.priceService.recordIfChanged(
+          { price: currentProduct.price, originalPrice: currentProduct.originalPrice },
+          {
+            price: updateData.price !== undefined ? updateData.price : currentProduct.price,
+            originalPrice: updateData.originalPrice !== undefined ? updateData.originalPrice : currentProduct.originalPrice
+          },
+          {
+            productId: currentProduct.id,
+            merchantId,
+            source: PRICE_CHANGE_SOURCE.MANUAL,
+            operatorId: options.operatorId
+          },
+          transaction,
+          sequelize
+        );
+
+        return product;
+      }, sequelize);
 
       this.logInfo('更新商品信息成功', { productId, merchantId });
       return updatedProduct;
@@ -469,13 +608,9 @@ class MerchantProductService extends BaseMerchantService {
       }
     }
 
+    // 库存会被订单并发扣减，只能通过库存变动按差额修改
     if (updateData.stock !== undefined) {
-      if (updateData.stock < 0) {
-        throw new Error('商品库存不能为负数');
-      }
-      if (updateData.stock > 999999) {
-        throw new Error('商品库存不能超过999999');
-      }
+      throw new Error('商品数据验证失败: 不能通过编辑商品修改库存，请登记库存变动');
     }
 
     if (updateData.status !== undefined) {
@@ -515,13 +650,12 @@ class MerchantProductService extends BaseMerchantService {
    */
   async checkProductDependencies(productId, sequelize) {
     try {
-      // 检查是否有关联的订单
-      const Order = sequelize.models.Order;
-      if (Order) {
-        const orderCount = await Order.count({
+      // 检查是否有关联的订单（通过订单明细关联商品）
+      const OrderItem = sequelize.models.OrderItem;
+      if (OrderItem) {
+        const orderCount = await OrderItem.count({
           where: {
-            productId: productId,
-            deletedAt: null
+            productId: productId
           }
         });
 
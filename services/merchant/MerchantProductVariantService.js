@@ -0,0 +1,828 @@
+/**
+ * 商户商品规格服务类
+ * 功能：处理商品规格（颜色、尺码等）的定义和规格SKU的增删改查
+ * 继承：BaseMerchantService，获得商户端特有的功能和数据隔离能力
+ * 职责：规格定义管理、规格组合校验、规格SKU管理、商品价格区间和总库存汇总
+ * 库存：订单和购物车只按商品扣减库存，商品库存是可售库存；规格库存的增减、启用、停用和删除
+ *       按差额调整商品库存并记录库存流水，不会用规格库存之和覆盖已售出扣减后的商品库存
+ */
+
+// 引入商户端基础服务类，提供商户端通用功能
+const BaseMerchantService = require('../base/BaseMerchantService');
+// 引入Sequelize操作符和聚合函数，用于构建查询条件和汇总统计
+const { Op, fn, col } = require('sequelize');
+// 引入库存服务，规格库存变动统一记录库存流水
+const InventoryService = require('../common/InventoryService');
+// 引入价格服务，规格汇总改变商品价格时记录价格历史
+const PriceService = require('../common/PriceService');
+// 引入通用状态常量，规格使用启用/停用状态；库存变动类型和价格变动来源常量
+const { COMMON_STATUS, STOCK_MOVEMENT_TYPE, PRICE_CHANGE_SOURCE } = require('../../common/constants/status');
+
+class MerchantProductVariantService extends BaseMerchantService {
+  /**
+   * 构造函数：初始化商品规格服务
+   * 调用父类构造函数并设置规格相关限制
+   */
+  constructor() {
+    // 调用父类构造函数，获得商户端基础功能
+    super();
+
+    // 规格相关配置
+    this.maxOptionsPerProduct = 3; // 每个商品最多的规格维度数（如颜色、尺码、材质）
+    this.maxValuesPerOption = 50; // 每个规格最多的可选值数量
+    this.maxVariantsPerProduct = 200; // 每个商品最多的规格SKU数量
+    this.maxOptionNameLength = 20; // 规格名称最大长度
+    this.maxOptionValueLength = 30; // 规格值最大长度
+    this.inventoryService = new InventoryService(); // 库存服务
+    this.priceService = new PriceService(); // 价格服务
+  }
+
+  /**
+   * 获取商品的规格定义和规格SKU列表
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} { options, variants, summary }
+   */
+  async getVariants(productId, merchantId, sequelize) {
+    try {
+      this.logInfo('获取商品规格列表', { productId, merchantId });
+
+      // 验证商品归属
+      const product = await this.getOwnedProduct(productId, merchantId, sequelize);
+
+      const options = await this.getOptionDefinitions(productId, sequelize);
+      const variants = await sequelize.models.ProductVariant.findAll({
+        where: { productId },
+        order: [['id', 'ASC']]
+      });
+
+      // 汇总启用规格的价格区间，总库存取商品的可售库存
+      const aggregate = (await this.getAggregates([productId], sequelize)).get(Number(productId));
+
+      return {
+        options,
+        variants,
+        summary: {
+          priceRange: aggregate ? { min: aggregate.minPrice, max: aggregate.maxPrice } : null,
+          totalStock: product.stock,
+          variantCount: aggregate ? aggregate.variantCount : 0
+        }
+      };
+
+    } catch (error) {
+      this.logError('获取商品规格列表失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置商品规格定义（整体替换）
+   * 已有规格SKU必须仍然符合新的规格定义，否则拒绝修改
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Array} optionList - 规格定义 [{ name, values: [] }]
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Array} 保存后的规格定义
+   */
+  async setOptions(productId, merchantId, optionList, sequelize) {
+    try {
+      this.logInfo('设置商品规格定义', { productId, merchantId });
+
+      // 校验并规范化规格定义
+      const definitions = this.normalizeOptionDefinitions(optionList);
+
+      await this.executeTransaction(async (transaction) => {
+        await this.getOwnedProduct(productId, merchantId, sequelize, transaction);
+
+        const { ProductOption, ProductVariant } = sequelize.models;
+
+        // 已有规格SKU必须符合新定义，同时按新的规格顺序重算组合标识
+        const variants = await ProductVariant.findAll({ where: { productId }, transaction });
+        for (const variant of variants) {
+          const optionKey = this.buildOptionKey(variant.options, definitions, `规格 ${variant.sku}`);
+          if (optionKey !== variant.optionKey) {
+            await variant.update({ optionKey }, { transaction });
+          }
+        }
+
+        // 整体替换规格定义
+        await ProductOption.destroy({ where: { productId }, transaction });
+        if (definitions.length > 0) {
+          await ProductOption.bulkCreate(
+            definitions.map(definition => ({ ...definition, productId })),
+            { transaction }
+          );
+        }
+      }, sequelize);
+
+      this.logInfo('设置商品规格定义成功', { productId, merchantId, optionCount: definitions.length });
+      return await this.getOptionDefinitions(productId, sequelize);
+
+    } catch (error) {
+      this.logError('设置商品规格定义失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建规格SKU
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} variantData - 规格数据 { sku, options, price, originalPrice, stock, barcode, image, status }
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录库存流水 }
+   * @returns {Object} 创建的规格SKU
+   */
+  async createVariant(productId, merchantId, variantData, sequelize, options = {}) {
+    try {
+      this.logInfo('创建商品规格', { productId, merchantId, sku: variantData.sku });
+
+      // 验证规格数据
+      this.validateVariantData(variantData);
+
+      const variant = await this.executeTransaction(async (transaction) => {
+        await this.getOwnedProduct(productId, merchantId, sequelize, transaction);
+
+        const ProductVariant = sequelize.models.ProductVariant;
+
+        // 检查规格数量限制
+        const variantCount = await ProductVariant.count({ where: { productId }, transaction });
+        if (variantCount >= this.maxVariantsPerProduct) {
+          throw new Error(`规格验证失败: 每个商品最多只能创建${this.maxVariantsPerProduct}个规格`);
+        }
+        if (variantCount === 0) {
+          await this.resetProductStockForVariants(productId, options.operatorId, sequelize, transaction);
+        }
+
+        // 规格组合必须符合规格定义
+        const definitions = await this.getOptionDefinitions(productId, sequelize, transaction);
+        const optionKey = this.buildOptionKey(variantData.options, definitions);
+
+        await this.ensureVariantUnique(productId, merchantId, { sku: variantData.sku, optionKey }, sequelize, transaction);
+
+        const created = await ProductVariant.create({
+          productId,
+          merchantId,
+          sku: variantData.sku.trim(),
+          options: this.pickOptions(variantData.options, definitions),
+          optionKey,
+          price: variantData.price,
+          originalPrice: variantData.originalPrice ?? null,
+          stock: 0,
+          barcode: variantData.barcode || null,
+          image: variantData.image || null,
+          status: variantData.status ?? COMMON_STATUS.ENABLED
+        }, { transaction });
+
+        // 初始库存记为入库流水，同时计入商品库存
+        await this.stockInitialVariants([created], variantData.stock, options.operatorId, sequelize, transaction);
+
+        // 同步商品的最低价
+        await this.syncProductAggregates(productId, sequelize, transaction, options);
+        return created.reload({ transaction });
+      }, sequelize);
+
+      this.logInfo('创建商品规格成功', { productId, merchantId, variantId: variant.id });
+      return variant;
+
+    } catch (error) {
+      this.logError('创建商品规格失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 按规格定义批量生成尚未存在的规格组合（SKU矩阵）
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} defaults - 新规格的默认值 { price, stock, originalPrice }
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录库存流水 }
+   * @returns {Object} { created: 新建的规格列表, skipped: 已存在的组合数 }
+   */
+  async generateVariants(productId, merchantId, defaults, sequelize, options = {}) {
+    try {
+      this.logInfo('生成商品规格矩阵', { productId, merchantId });
+
+      // 默认价格和库存与单个规格的校验规则一致
+      this.validateVariantData({ ...defaults, sku: 'GENERATED', options: {} });
+
+      const result = await this.executeTransaction(async (transaction) => {
+        const product = await this.getOwnedProduct(productId, merchantId, sequelize, transaction);
+        const ProductVariant = sequelize.models.ProductVariant;
+
+        const definitions = await this.getOptionDefinitions(productId, sequelize, transaction);
+        if (definitions.length === 0) {
+          throw new Error('规格验证失败: 请先设置商品规格');
+        }
+
+        // 计算全部规格组合（笛卡尔积）
+        const combinations = definitions.reduce((acc, definition) => {
+          const next = [];
+          acc.forEach(combination => {
+            definition.values.forEach(value => next.push({ ...combination, [definition.name]: value }));
+          });
+          return next;
+        }, [{}]);
+
+        const existing = await ProductVariant.findAll({
+          where: { productId },
+          attributes: ['optionKey', 'sku'],
+          paranoid: false, // 已删除规格的SKU也不复用
+          transaction
+        });
+        const existingKeys = new Set(existing.filter(v => !v.isSoftDeleted()).map(v => v.optionKey));
+        const usedSkus = new Set(existing.map(v => v.sku));
+
+        const missing = combinations
+          .map(options => ({ options, optionKey: this.buildOptionKey(options, definitions) }))
+          .filter(item => !existingKeys.has(item.optionKey));
+
+        if (existingKeys.size + missing.length > this.maxVariantsPerProduct) {
+          throw new Error(`规格验证失败: 规格组合数量超过${this.maxVariantsPerProduct}个上限`);
+        }
+        if (existingKeys.size === 0 && missing.length > 0) {
+          await this.resetProductStockForVariants(productId, options.operatorId, sequelize, transaction);
+        }
+
+        // SKU 以商品SKU（未设置时为商品ID）为前缀顺序编号
+        const skuPrefix = product.sku || `P${product.id}`;
+        let sequence = existing.length;
+        const nextSku = () => {
+          let sku;
+          do {
+            sequence++;
+            sku = `${skuPrefix}-${String(sequence).padStart(3, '0')}`;
+          } while (usedSkus.has(sku));
+          usedSkus.add(sku);
+          return sku;
+        };
+
+        const created = missing.length > 0
+          ? await ProductVariant.bulkCreate(missing.map(item => ({
+              productId: product.id,
+              merchantId,
+              sku: nextSku(),
+              options: item.options,
+              optionKey: item.optionKey,
+              price: defaults.price,
+              originalPrice: defaults.originalPrice ?? null,
+              stock: 0,
+              status: COMMON_STATUS.ENABLED
+            })), { transaction })
+          : [];
+
+        await this.stockInitialVariants(created, defaults.stock, options.operatorId, sequelize, transaction);
+        await this.syncProductAggregates(productId, sequelize, transaction, options);
+
+        return { created, skipped: combinations.length - missing.length };
+      }, sequelize);
+
+      this.logInfo('生成商品规格矩阵成功', {
+        productId,
+        merchantId,
+        createdCount: result.created.length,
+        skipped: result.skipped
+      });
+      return result;
+
+    } catch (error) {
+      this.logError('生成商品规格矩阵失败', error, { productId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新规格SKU
+   * @param {number} productId - 商品ID
+   * @param {number} variantId - 规格ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} updateData - 更新数据
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录库存流水 }
+   * @returns {Object} 更新后的规格SKU
+   */
+  async updateVariant(productId, variantId, merchantId, updateData, sequelize, options = {}) {
+    try {
+      this.logInfo('更新商品规格', { productId, variantId, merchantId });
+
+      // 验证更新数据
+      this.validateVariantData(updateData, true);
+
+      const variant = await this.executeTransaction(async (transaction) => {
+        const current = await this.getOwnedVariant(productId, variantId, merchantId, sequelize, transaction);
+        // 库存不直接覆盖，而是按差额记录盘点调整流水
+        const { stock, ...changes } = updateData;
+
+        if (updateData.options !== undefined) {
+          const definitions = await this.getOptionDefinitions(productId, sequelize, transaction);
+          changes.optionKey = this.buildOptionKey(updateData.options, definitions);
+          changes.options = this.pickOptions(updateData.options, definitions);
+        }
+        if (changes.sku !== undefined) {
+          changes.sku = changes.sku.trim();
+        }
+
+        await this.ensureVariantUnique(productId, merchantId, {
+          sku: changes.sku !== current.sku ? changes.sku : undefined,
+          optionKey: changes.optionKey !== current.optionKey ? changes.optionKey : undefined,
+          excludeId: current.id
+        }, sequelize, transaction);
+
+        const wasEnabled = current.status === COMMON_STATUS.ENABLED;
+        await current.update(changes, { transaction });
+
+        // 启用或停用规格时，其库存计入或移出商品库存
+        const isEnabled = current.status === COMMON_STATUS.ENABLED;
+        if (wasEnabled !== isEnabled) {
+          await this.shiftProductStock(
+            current,
+            isEnabled ? current.stock : -current.stock,
+            isEnabled ? '启用规格' : '停用规格',
+            options.operatorId,
+            sequelize,
+            transaction
+          );
+        }
+
+        if (stock !== undefined) {
+          await this.inventoryService.setStock({
+            productId,
+            variantId: current.id,
+            targetStock: stock,
+            operatorId: options.operatorId,
+            remark: '编辑规格时修改库存'
+          }, transaction, sequelize);
+          await current.reload({ transaction });
+        }
+
+        // 价格或状态变化会影响商品的最低价
+        await this.syncProductAggregates(productId, sequelize, transaction, options);
+        return current;
+      }, sequelize);
+
+      this.logInfo('更新商品规格成功', { productId, variantId, merchantId });
+      return variant;
+
+    } catch (error) {
+      this.logError('更新商品规格失败', error, { productId, variantId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除规格SKU（软删除）
+   * @param {number} productId - 商品ID
+   * @param {number} variantId - 规格ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录库存流水 }
+   * @returns {boolean} 删除结果
+   */
+  async deleteVariant(productId, variantId, merchantId, sequelize, options = {}) {
+    try {
+      this.logInfo('删除商品规格', { productId, variantId, merchantId });
+
+      await this.executeTransaction(async (transaction) => {
+        const variant = await this.getOwnedVariant(productId, variantId, merchantId, sequelize, transaction);
+        if (variant.status === COMMON_STATUS.ENABLED) {
+          await this.shiftProductStock(variant, -variant.stock, '删除规格', options.operatorId, sequelize, transaction);
+        }
+        await variant.destroy({ transaction });
+        await this.syncProductAggregates(productId, sequelize, transaction, options);
+      }, sequelize);
+
+      this.logInfo('删除商品规格成功', { productId, variantId, merchantId });
+      return true;
+
+    } catch (error) {
+      this.logError('删除商品规格失败', error, { productId, variantId, merchantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 为新建规格登记初始库存：记录入库流水，启用的规格同时计入商品库存
+   * @param {Array} variants - 新建的规格列表（库存为0）
+   * @param {number} stock - 每个规格的初始库存
+   * @param {number} operatorId - 操作人ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象
+   */
+  async stockInitialVariants(variants, stock, operatorId, sequelize, transaction) {
+    if (!(stock > 0)) {
+      return;
+    }
+
+    for (const variant of variants) {
+      await this.inventoryService.changeStock({
+        productId: variant.productId,
+        variantId: variant.id,
+        quantity: stock,
+        type: STOCK_MOVEMENT_TYPE.INBOUND,
+        operatorId,
+        remark: '初始库存'
+      }, transaction, sequelize);
+    }
+  }
+
+  /**
+   * 商品首次添加规格时清零商品自身库存，此后商品库存由规格库存变动累计
+   * @param {number} productId - 商品ID
+   * @param {number} operatorId - 操作人ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象
+   */
+  async resetProductStockForVariants(productId, operatorId, sequelize, transaction) {
+    await this.inventoryService.setStock({
+      productId,
+      targetStock: 0,
+      operatorId,
+      remark: '启用规格，商品库存改由规格库存累计'
+    }, transaction, sequelize);
+  }
+
+  /**
+   * 规格启用、停用或删除时按其库存调整商品库存，并记录盘点调整流水
+   * 商品库存已随销售扣减，减少时最多扣到0
+   * @param {Object} variant - 规格SKU
+   * @param {number} quantity - 调整数量（正数增加，负数减少）
+   * @param {string} remark - 备注
+   * @param {number} operatorId - 操作人ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象
+   * @returns {Object|null} 库存流水记录，未调整时返回null
+   */
+  async shiftProductStock(variant, quantity, remark, operatorId, sequelize, transaction) {
+    if (quantity < 0) {
+      const product = await sequelize.models.Product.findByPk(variant.productId, {
+        attributes: ['id', 'stock'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      quantity = Math.max(quantity, -product.stock);
+    }
+
+    if (quantity === 0) {
+      return null;
+    }
+
+    return this.inventoryService.changeStock({
+      productId: variant.productId,
+      quantity,
+      type: STOCK_MOVEMENT_TYPE.ADJUSTMENT,
+      referenceType: 'variant',
+      referenceId: variant.id,
+      operatorId,
+      remark
+    }, transaction, sequelize);
+  }
+
+  /**
+   * 批量汇总商品的规格价格区间和总库存（只统计启用的规格）
+   * @param {Array<number>} productIds - 商品ID列表
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象（可选）
+   * @returns {Map} productId -> { minPrice, maxPrice, totalStock, variantCount }
+   */
+  async getAggregates(productIds, sequelize, transaction = null) {
+    const result = new Map();
+    if (!productIds || productIds.length === 0) {
+      return result;
+    }
+
+    const rows = await sequelize.models.ProductVariant.findAll({
+      attributes: [
+        'productId',
+        [fn('MIN', col('price')), 'minPrice'],
+        [fn('MAX', col('price')), 'maxPrice'],
+        [fn('SUM', col('stock')), 'totalStock'],
+        [fn('COUNT', col('id')), 'variantCount']
+      ],
+      where: {
+        productId: { [Op.in]: productIds },
+        status: COMMON_STATUS.ENABLED
+      },
+      group: ['productId'],
+      raw: true,
+      transaction
+    });
+
+    rows.forEach(row => {
+      result.set(Number(row.productId), {
+        minPrice: parseFloat(row.minPrice),
+        maxPrice: parseFloat(row.maxPrice),
+        totalStock: parseInt(row.totalStock) || 0,
+        variantCount: parseInt(row.variantCount) || 0
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * 为商品列表附加价格区间和总库存
+   * 有启用规格的商品价格区间取规格汇总值，否则取商品自身价格；总库存始终取商品的可售库存
+   * @param {Array} products - 商品列表（模型实例或普通对象）
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Array} 附加了 priceRange、totalStock、variantCount 的商品列表
+   */
+  async attachAggregates(products, sequelize) {
+    const aggregates = await this.getAggregates(products.map(product => product.id), sequelize);
+
+    return products.map(product => {
+      const data = typeof product.toJSON === 'function' ? product.toJSON() : product;
+      const aggregate = aggregates.get(Number(data.id));
+      const price = parseFloat(data.price);
+
+      return {
+        ...data,
+        priceRange: aggregate
+          ? { min: aggregate.minPrice, max: aggregate.maxPrice }
+          : { min: price, max: price },
+        totalStock: data.stock,
+        variantCount: aggregate ? aggregate.variantCount : 0
+      };
+    });
+  }
+
+  /**
+   * 判断商品是否已启用规格
+   * @param {number} productId - 商品ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {boolean} 是否存在规格SKU
+   */
+  async hasVariants(productId, sequelize) {
+    const count = await sequelize.models.ProductVariant.count({ where: { productId } });
+    return count > 0;
+  }
+
+  /**
+   * 规格变动后同步商品：价格取启用规格的最低价（变化时记录价格历史），并递增商品版本号使 ETag 失效
+   * 库存已由各规格操作按差额调整，这里不再汇总覆盖
+   * @param {number} productId - 商品ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象
+   * @param {Object} options - 选项 { operatorId: 操作人ID，用于记录价格历史 }
+   */
+  async syncProductAggregates(productId, sequelize, transaction, options = {}) {
+    const product = await sequelize.models.Product.findByPk(productId, {
+      attributes: ['id', 'merchantId', 'price', 'originalPrice'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    // 没有启用的规格时保留商品自身的价格
+    const aggregate = (await this.getAggregates([productId], sequelize, transaction)).get(Number(productId));
+    const price = aggregate ? aggregate.minPrice : product.price;
+
+    await this.priceService.updateProductPrice(productId, {
+      price,
+      originalPrice: product.originalPrice
+    }, transaction, sequelize);
+
+    await this.priceService.recordIfChanged(
+      { price: product.price, originalPrice: product.originalPrice },
+      { price, originalPrice: product.originalPrice },
+      {
+        productId: product.id,
+        merchantId: product.merchantId,
+        source: PRICE_CHANGE_SOURCE.VARIANT_SYNC,
+        operatorId: options.operatorId
+      },
+      transaction,
+      sequelize
+    );
+  }
+
+  /**
+   * 获取商户自己的商品
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象（可选）
+   * @returns {Object} 商品
+   */
+  async getOwnedProduct(productId, merchantId, sequelize, transaction = null) {
+    const product = await sequelize.models.Product.findOne({
+      where: { id: productId, merchantId },
+      transaction
+    });
+
+    if (!product) {
+      throw new Error('商品不存在');
+    }
+
+    return product;
+  }
+
+  /**
+   * 获取商户自己商品下的规格SKU
+   * @param {number} productId - 商品ID
+   * @param {number} variantId - 规格ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象
+   * @returns {Object} 规格SKU
+   */
+  async getOwnedVariant(productId, variantId, merchantId, sequelize, transaction) {
+    const variant = await sequelize.models.ProductVariant.findOne({
+      where: { id: variantId, productId, merchantId },
+      transaction
+    });
+
+    if (!variant) {
+      throw new Error('商品规格不存在');
+    }
+
+    return variant;
+  }
+
+  /**
+   * 获取商品的规格定义
+   * @param {number} productId - 商品ID
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象（可选）
+   * @returns {Array} 规格定义 [{ name, values, sortOrder }]
+   */
+  async getOptionDefinitions(productId, sequelize, transaction = null) {
+    const options = await sequelize.models.ProductOption.findAll({
+      where: { productId },
+      attributes: ['name', 'values', 'sortOrder'],
+      order: [['sortOrder', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    return options.map(option => option.toJSON());
+  }
+
+  /**
+   * 检查同一商品下规格组合不重复、同一商户下SKU不重复
+   * @param {number} productId - 商品ID
+   * @param {number} merchantId - 商户ID
+   * @param {Object} fields - { sku, optionKey, excludeId }，未提供的字段不检查
+   * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} transaction - 事务对象
+   */
+  async ensureVariantUnique(productId, merchantId, { sku, optionKey, excludeId }, sequelize, transaction) {
+    const ProductVariant = sequelize.models.ProductVariant;
+    const exclude = excludeId ? { id: { [Op.ne]: excludeId } } : {};
+
+    if (optionKey) {
+      const existing = await ProductVariant.findOne({ where: { productId, optionKey, ...exclude }, transaction });
+      if (existing) {
+        throw new Error('该规格组合已存在');
+      }
+    }
+
+    if (sku) {
+      const existing = await ProductVariant.findOne({ where: { merchantId, sku: sku.trim(), ...exclude }, transaction });
+      if (existing) {
+        throw new Error('规格SKU已存在');
+      }
+    }
+  }
+
+  /**
+   * 校验并规范化规格定义
+   * @param {Array} optionList - 规格定义 [{ name, values: [] }]
+   * @returns {Array} 规范化后的规格定义 [{ name, values, sortOrder }]
+   */
+  normalizeOptionDefinitions(optionList) {
+    if (!Array.isArray(optionList)) {
+      throw new Error('规格验证失败: 规格定义必须是数组');
+    }
+    if (optionList.length > this.maxOptionsPerProduct) {
+      throw new Error(`规格验证失败: 最多只能设置${this.maxOptionsPerProduct}个规格`);
+    }
+
+    const names = new Set();
+
+    return optionList.map((option, index) => {
+      const name = typeof option?.name === 'string' ? option.name.trim() : '';
+      if (!name || name.length > this.maxOptionNameLength) {
+        throw new Error(`规格验证失败: 第${index + 1}个规格名称不能为空且不能超过${this.maxOptionNameLength}个字符`);
+      }
+      if (names.has(name)) {
+        throw new Error(`规格验证失败: 规格名称 ${name} 重复`);
+      }
+      names.add(name);
+
+      if (!Array.isArray(option.values) || option.values.length === 0) {
+        throw new Error(`规格验证失败: 规格 ${name} 至少需要一个可选值`);
+      }
+      if (option.values.length > this.maxValuesPerOption) {
+        throw new Error(`规格验证失败: 规格 ${name} 最多只能有${this.maxValuesPerOption}个可选值`);
+      }
+
+      const values = option.values.map(value => String(value).trim());
+      values.forEach(value => {
+        if (!value || value.length > this.maxOptionValueLength) {
+          throw new Error(`规格验证失败: 规格 ${name} 的可选值不能为空且不能超过${this.maxOptionValueLength}个字符`);
+        }
+      });
+      if (new Set(values).size !== values.length) {
+        throw new Error(`规格验证失败: 规格 ${name} 的可选值重复`);
+      }
+
+      return { name, values, sortOrder: index };
+    });
+  }
+
+  /**
+   * 根据规格定义校验规格组合并生成组合标识
+   * 组合必须为每个规格选择一个已定义的可选值，且不能包含未定义的规格
+   * @param {Object} options - 规格组合 { 规格名: 规格值 }
+   * @param {Array} definitions - 规格定义
+   * @param {string} label - 错误信息中的规格描述
+   * @returns {string} 组合标识，如 "颜色:红色;尺码:M"
+   */
+  buildOptionKey(options, definitions, label = '规格组合') {
+    if (definitions.length === 0) {
+      throw new Error('规格验证失败: 请先设置商品规格');
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`规格验证失败: ${label}格式不正确`);
+    }
+
+    const definedNames = definitions.map(definition => definition.name);
+    const unknown = Object.keys(options).filter(name => !definedNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`规格验证失败: ${label}包含未定义的规格 ${unknown.join('、')}`);
+    }
+
+    return definitions.map(definition => {
+      const value = options[definition.name] === undefined ? '' : String(options[definition.name]).trim();
+      if (!definition.values.includes(value)) {
+        throw new Error(`规格验证失败: ${label}的 ${definition.name} 取值无效`);
+      }
+      return `${definition.name}:${value}`;
+    }).join(';');
+  }
+
+  /**
+   * 按规格定义的顺序整理规格组合，去除多余空白
+   * @param {Object} options - 规格组合
+   * @param {Array} definitions - 规格定义
+   * @returns {Object} 整理后的规格组合
+   */
+  pickOptions(options, definitions) {
+    return definitions.reduce((acc, definition) => {
+      acc[definition.name] = String(options[definition.name]).trim();
+      return acc;
+    }, {});
+  }
+
+  /**
+   * 验证规格数据
+   * @param {Object} data - 规格数据
+   * @param {boolean} isUpdate - 是否为更新（更新时只校验提供的字段）
+   */
+  validateVariantData(data, isUpdate = false) {
+    const check = (field) => !isUpdate || data[field] !== undefined;
+
+    if (check('sku')) {
+      if (typeof data.sku !== 'string' || data.sku.trim().length === 0 || data.sku.length > 64) {
+        throw new Error('规格验证失败: SKU不能为空且不能超过64个字符');
+      }
+    }
+
+    if (check('options') && (!data.options || typeof data.options !== 'object')) {
+      throw new Error('规格验证失败: 规格组合不能为空');
+    }
+
+    if (check('price')) {
+      if (!data.price || data.price <= 0 || data.price > 999999.99) {
+        throw new Error('规格验证失败: 价格必须大于0且不能超过999999.99');
+      }
+    }
+
+    if (data.originalPrice !== undefined && data.originalPrice !== null) {
+      if (data.originalPrice < 0 || data.originalPrice > 999999.99) {
+        throw new Error('规格验证失败: 原价不能为负数且不能超过999999.99');
+      }
+    }
+
+    if (check('stock')) {
+      if (!Number.isInteger(data.stock) || data.stock < 0 || data.stock > 999999) {
+        throw new Error('规格验证失败: 库存必须是0到999999之间的整数');
+      }
+    }
+
+    if (data.barcode !== undefined && data.barcode !== null && String(data.barcode).length > 64) {
+      throw new Error('规格验证失败: 条码不能超过64个字符');
+    }
+
+    if (data.image !== undefined && data.image !== null && String(data.image).length > 500) {
+      throw new Error('规格验证失败: 图片URL不能超过500个字符');
+    }
+
+    if (data.status !== undefined && ![COMMON_STATUS.DISABLED, COMMON_STATUS.ENABLED].includes(data.status)) {
+      throw new Error('规格验证失败: 规格状态值无效');
+    }
+  }
+}
+
+// 导出商户商品规格服务类，供控制器和商品服务使用
+module.exports = MerchantProductVariantService;
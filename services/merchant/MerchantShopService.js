@@ -7,6 +7,17 @@
 
 // 引入商户端基础服务类，提供商户端通用功能
 const BaseMerchantService = require('../base/BaseMerchantService');
+// 引入Sequelize操作符，用于构建查询条件
+const { Op } = require('sequelize');
+const { USER_TYPE, ORDER_STATUS, SHOP_STATUS } = require('../../common/constants/status');
+// 引入缓存键前缀，用于清除认证中间件缓存的商户信息
+const { PREFIX } = require('../../common/redis');
+// 引入状态工具，校验商户入驻审核状态
+const { StatusHelper } = require('../../common/utils/statusHelper');
+// 引入营业时间工具，用于校验营业时间和计算营业状态
+const { BusinessHoursHelper } = require('../../common/utils/businessHours');
+// 引入地理位置工具，用于校验店铺坐标并同步空间列
+const { GeoHelper } = require('../../common/utils/geo');
 
 class MerchantShopService extends BaseMerchantService {
   /**
@@ -45,7 +56,7 @@ class MerchantShopService extends BaseMerchantService {
         {
           attributes: [
             'id', 'name', 'description', 'address', 'phone', 
-            'status', 'merchantId', 'createdAt', 'updatedAt'
+            'status', 'merchantId', 'businessHours', 'timezone', 'coordinates', 'version', 'createdAt', 'updatedAt'
           ],
           order: [['createdAt', 'DESC']]
         }
@@ -58,7 +69,8 @@ class MerchantShopService extends BaseMerchantService {
       });
 
       return {
-        shops: result.data,
+        // 附加按店铺时区计算的营业状态
+        shops: result.data.map(shop => BusinessHoursHelper.attachOpenStatus(shop)),
         total: result.total
       };
 
@@ -95,7 +107,7 @@ class MerchantShopService extends BaseMerchantService {
         },
         attributes: [
           'id', 'name', 'description', 'address', 'phone', 
-          'status', 'merchantId', 'createdAt', 'updatedAt'
+          'status', 'merchantId', 'businessHours', 'timezone', 'coordinates', 'version', 'createdAt', 'updatedAt'
         ]
       });
 
@@ -105,7 +117,8 @@ class MerchantShopService extends BaseMerchantService {
       }
 
       this.logInfo('获取店铺详情成功', { shopId, merchantId });
-      return shop;
+      // 附加按店铺时区计算的营业状态
+      return BusinessHoursHelper.attachOpenStatus(shop);
 
     } catch (error) {
       this.logError('获取店铺详情失败', error, { shopId, merchantId });
@@ -131,6 +144,15 @@ class MerchantShopService extends BaseMerchantService {
         throw new Error(`店铺模型 ${this.shopModelName} 不存在`);
       }
 
+      // 商户通过入驻审核后才能创建店铺（以数据库中的最新状态为准）
+      const merchant = await sequelize.models.User.findOne({
+        where: { merchantId, userType: USER_TYPE.MERCHANT },
+        attributes: ['id', 'merchantStatus']
+      });
+      if (!merchant || !StatusHelper.isMerchantActive(merchant.merchantStatus)) {
+        throw new Error('商户尚未通过入驻审核，暂不能创建店铺');
+      }
+
       // 检查商户店铺数量限制
       const existingShopsCount = await Shop.count({
         where: {
@@ -193,9 +215,10 @@ class MerchantShopService extends BaseMerchantService {
    * @param {number} merchantId - 商户ID
    * @param {Object} updateData - 更新数据
    * @param {Object} sequelize - 数据库连接对象
+   * @param {Object} options - 选项 { expectedVersion: If-Match 中的版本号，版本不一致时拒绝更新 }
    * @returns {Object} 更新后的店铺对象
    */
-  async updateShop(shopId, merchantId, updateData, sequelize) {
+  async updateShop(shopId, merchantId, updateData, sequelize, options = {}) {
     try {
       this.logInfo('更新店铺信息', { shopId, merchantId });
 
@@ -206,7 +229,7 @@ class MerchantShopService extends BaseMerchantService {
           where: {
             name: updateData.name,
             merchantId: merchantId,
-            id: { $ne: shopId }, // 排除当前店铺
+            id: { [Op.ne]: shopId }, // 排除当前店铺
             deletedAt: null
           }
         });
@@ -219,13 +242,19 @@ class MerchantShopService extends BaseMerchantService {
       // 验证更新数据
       this.validateShopUpdateData(updateData);
 
+      // 批量更新不会触发模型钩子，修改坐标时显式同步空间列
+      const data = updateData.coordinates !== undefined
+        ? { ...updateData, location: GeoHelper.toPoint(updateData.coordinates, sequelize) }
+        : updateData;
+
       // 使用基础服务更新店铺
       const updatedShop = await this.updateMerchantData(
         shopId,
         merchantId,
-        updateData,
+        data,
         sequelize,
-        this.shopModelName
+        this.shopModelName,
+        { expectedVersion: options.expectedVersion }
       );
 
       this.logInfo('更新店铺信息成功', { shopId, merchantId });
@@ -314,8 +343,8 @@ class MerchantShopService extends BaseMerchantService {
         if (Order) {
           const [total, pending, completed] = await Promise.all([
             Order.count({ where: { shopId, deletedAt: null } }),
-            Order.count({ where: { shopId, status: 0, deletedAt: null } }),
-            Order.count({ where: { shopId, status: 1, deletedAt: null } })
+            Order.count({ where: { shopId, status: ORDER_STATUS.PENDING, deletedAt: null } }),
+            Order.count({ where: { shopId, status: ORDER_STATUS.COMPLETED, deletedAt: null } })
           ]);
           orderStats = { total, pending, completed };
         }
@@ -376,6 +405,21 @@ class MerchantShopService extends BaseMerchantService {
     if (!phoneRegex.test(phone.replace(/[-\s]/g, ''))) {
       throw new Error('联系电话格式不正确');
     }
+
+    // 营业时间：每周营业时间、节假日和临时停业（为空表示不限营业时间）
+    if (shopData.businessHours !== undefined) {
+      BusinessHoursHelper.validate(shopData.businessHours);
+    }
+
+    // 店铺时区：IANA时区名，如 Asia/Shanghai
+    if (shopData.timezone !== undefined && !BusinessHoursHelper.isValidTimezone(shopData.timezone)) {
+      throw new Error('店铺时区验证失败: 无效的时区');
+    }
+
+    // 店铺坐标：{ lat, lng }，用于附近店铺查询
+    if (shopData.coordinates !== undefined) {
+      GeoHelper.validate(shopData.coordinates);
+    }
   }
 
   /**
@@ -412,10 +456,23 @@ class MerchantShopService extends BaseMerchantService {
     }
 
     if (updateData.status !== undefined) {
-      if (![0, 1].includes(updateData.status)) {
+      // 商户可自行启用、禁用店铺或将店铺置为维护中（维护期间不营业）
+      if (![SHOP_STATUS.DISABLED, SHOP_STATUS.ACTIVE, SHOP_STATUS.MAINTENANCE].includes(updateData.status)) {
         throw new Error('店铺状态值无效');
       }
     }
+
+    if (updateData.businessHours !== undefined) {
+      BusinessHoursHelper.validate(updateData.businessHours);
+    }
+
+    if (updateData.timezone !== undefined && !BusinessHoursHelper.isValidTimezone(updateData.timezone)) {
+      throw new Error('店铺时区验证失败: 无效的时区');
+    }
+
+    if (updateData.coordinates !== undefined) {
+      GeoHelper.validate(updateData.coordinates);
+    }
   }
 
   /**
@@ -477,7 +534,7 @@ class MerchantShopService extends BaseMerchantService {
       const merchant = await User.findOne({
         where: {
           merchantId: merchantId,
-          userType: 'merchant'
+          userType: USER_TYPE.MERCHANT
         }
       });
 
@@ -485,16 +542,21 @@ class MerchantShopService extends BaseMerchantService {
         return; // 如果找不到商户，跳过
       }
 
-      let shopIds = merchant.shopIds || [];
+      // 复制数组后再修改，确保Sequelize能检测到JSON字段的变化
+      let shopIds = [...(merchant.shopIds || [])];
+      const targetShopId = parseInt(shopId);
       
-      if (action === 'add' && !shopIds.includes(shopId)) {
-        shopIds.push(shopId);
+      if (action === 'add' && !shopIds.includes(targetShopId)) {
+        shopIds.push(targetShopId);
       } else if (action === 'remove') {
-        shopIds = shopIds.filter(id => id !== shopId);
+        shopIds = shopIds.filter(id => id !== targetShopId);
       }
 
       await merchant.update({ shopIds });
 
+      // 清除认证中间件缓存的用户信息，使新的店铺权限立即生效
+      await this.cache.delete(PREFIX.USER, merchant.id);
+
     } catch (error) {
       this.logError('更新商户店铺ID列表失败', error, { merchantId, shopId, action });
       // 不抛出错误，因为这不是关键操作
@@ -7,16 +7,33 @@ const BaseService = require('../base/BaseService');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { Op } = require('sequelize');
-const { USER_STATUS, USER_ROLE, COMMON_STATUS } = require('../../common/constants/status');
+const { USER_STATUS, USER_ROLE, USER_TYPE, COMMON_STATUS, REGISTER_CONFIG } = require('../../common/constants/status');
 const { StatusHelper } = require('../../common/utils/statusHelper');
+const { TokenHelper } = require('../../common/utils/tokenHelper');
+const { AUTH_CONFIG } = require('../../middleware/config');
+const { PREFIX } = require('../../common/redis');
+const UserCartService = require('./UserCartService');
+const LoginLogService = require('../common/LoginLogService');
+const RegisterConfigService = require('../common/RegisterConfigService');
+const CaptchaService = require('../common/CaptchaService');
+const SmsService = require('../common/SmsService');
+const UserEmailVerificationService = require('./UserEmailVerificationService');
+const PasswordResetService = require('../common/PasswordResetService');
 
 class UserAuthService extends BaseService {
   constructor() {
     super();
     this.saltRounds = 12;
-    this.jwtSecret = process.env.JWT_SECRET || 'your_jwt_secret';
+    this.jwtSecret = AUTH_CONFIG.JWT.secret;
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '1d';
     this.refreshTokenExpiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+    this.userCartService = new UserCartService();
+    this.loginLogService = new LoginLogService();
+    this.registerConfigService = new RegisterConfigService();
+    this.captchaService = new CaptchaService();
+    this.smsService = new SmsService();
+    this.emailVerificationService = new UserEmailVerificationService();
+    this.passwordResetService = new PasswordResetService();
   }
 
   /**
@@ -24,9 +41,21 @@ class UserAuthService extends BaseService {
    * @param {string} username - 用户名或邮箱
    * @param {string} password - 密码
    * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 登录选项
+   * @param {string} options.guestCartId - 游客购物车ID，登录成功后合并到用户购物车
+   * @param {string} options.ip - 客户端IP，用于登录日志和登录失败计数
+   * @param {string} options.userAgent - 客户端User-Agent，用于登录日志
    * @returns {Promise<Object>} 登录结果
    */
-  async login(username, password, sequelize) {
+  async login(username, password, sequelize, options = {}) {
+    // 登录日志公共字段，每次尝试（无论成功与否）都会记录
+    const attempt = {
+      userType: USER_TYPE.USER,
+      username,
+      ip: options.ip,
+      userAgent: options.userAgent
+    };
+
     try {
       this.logAction('用户登录尝试', { username });
 
@@ -52,55 +81,228 @@ class UserAuthService extends BaseService {
       });
 
       if (!user) {
+        await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: '用户不存在' }, sequelize);
+        await this.recordLoginFailure(username, options.ip);
         throw new Error('用户不存在');
       }
+      attempt.userId = user.id;
 
-      // 检查用户状态
-      if (!StatusHelper.isUserActive(user.status)) {
-        throw new Error(`用户状态异常: ${StatusHelper.getDescription('USER_STATUS', user.status)}`);
+      // 检查用户状态（等待邮箱验证的账户在密码校验通过后单独处理）
+      if (!StatusHelper.isUserActive(user.status) && !this.isPendingEmailVerification(user)) {
+        const reason = `用户状态异常: ${StatusHelper.getDescription('USER_STATUS', user.status)}`;
+        await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: reason }, sequelize);
+        throw new Error(reason);
       }
 
       // 验证密码
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
         // 记录登录失败
-        await this.recordLoginAttempt(user.id, COMMON_STATUS.FAILED, sequelize);
+        await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: '密码错误' }, sequelize);
+        await this.recordLoginFailure(username, options.ip);
         throw new Error('密码错误');
       }
 
-      // 生成令牌
-      const tokens = await this.generateTokens(user);
+      // 清除账号的登录失败次数
+      await this.clearLoginFailures(username);
 
-      // 更新最后登录时间
-      await user.update({
-        last_login: new Date(),
-        login_count: (user.login_count || 0) + 1
-      });
+      await this.checkEmailVerification(user, attempt, sequelize);
 
-      // 记录登录成功
-      await this.recordLoginAttempt(user.id, COMMON_STATUS.SUCCESS, sequelize);
+      return await this.completeLogin(user, attempt, sequelize, options);
 
-      // 清除敏感信息
-      const userInfo = this.sanitizeUserInfo(user);
+    } catch (error) {
+      this.logError('用户登录失败', error, { username });
+      throw error;
+    }
+  }
 
-      this.logAction('用户登录成功', { userId: user.id, username: user.username });
+  /**
+   * 发送短信验证码
+   * 注册场景要求注册配置开启短信验证且手机号未被注册；登录场景要求开启手机验证码，
+   * 手机号未注册时不发送短信但同样返回成功，避免通过该接口探测手机号是否已注册
+   * @param {string} phone - 手机号
+   * @param {string} scene - 使用场景（register/login）
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { expiresIn, resendAfter }
+   */
+  async sendSmsCode(phone, scene, sequelize) {
+    try {
+      const normalizedPhone = typeof phone === 'string' ? phone.trim() : phone;
+      this.smsService.validateSceneAndPhone(scene, normalizedPhone);
 
-      return {
-        user: userInfo,
-        tokens
-      };
+      const config = await this.registerConfigService.getRegisterConfig(sequelize);
+      const User = sequelize.models.User;
+
+      if (scene === 'register') {
+        if (!this.registerConfigService.getVerificationRules(config).requireSmsCode) {
+          throw new Error('注册未开启短信验证');
+        }
+
+        const existingUser = await User.findOne({ where: { phone: normalizedPhone }, attributes: ['id'] });
+        if (existingUser) {
+          throw new Error('手机号已被注册');
+        }
+
+        return await this.smsService.sendCode(scene, normalizedPhone);
+      }
+
+      if (config.phone_verification_code !== REGISTER_CONFIG.VERIFICATION_ON) {
+        throw new Error('短信登录未开启');
+      }
+
+      const user = await User.findOne({ where: { phone: normalizedPhone }, attributes: ['id'] });
+      if (!user) {
+        this.logAction('短信登录手机号未注册，跳过发送', { phone: this.smsService.maskPhone(normalizedPhone) });
+        return {
+          expiresIn: this.smsService.codeTtl,
+          resendAfter: this.smsService.resendInterval
+        };
+      }
+
+      return await this.smsService.sendCode(scene, normalizedPhone);
 
     } catch (error) {
-      this.logError('用户登录失败', error, { username });
+      this.logError('发送短信验证码失败', error, { scene });
+      throw error;
+    }
+  }
+
+  /**
+   * 手机号 + 短信验证码登录（注册配置开启手机验证码时可用）
+   * @param {string} phone - 手机号
+   * @param {string} smsCode - 短信验证码
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 登录选项，同 login
+   * @returns {Promise<Object>} 登录结果
+   */
+  async loginWithSms(phone, smsCode, sequelize, options = {}) {
+    const normalizedPhone = typeof phone === 'string' ? phone.trim() : phone;
+    const attempt = {
+      userType: USER_TYPE.USER,
+      username: normalizedPhone,
+      ip: options.ip,
+      userAgent: options.userAgent
+    };
+
+    try {
+      this.logAction('用户短信登录尝试', { phone: this.smsService.maskPhone(normalizedPhone) });
+
+      const config = await this.registerConfigService.getRegisterConfig(sequelize);
+      if (config.phone_verification_code !== REGISTER_CONFIG.VERIFICATION_ON) {
+        throw new Error('短信登录未开启');
+      }
+
+      try {
+        await this.smsService.verifyCode('login', normalizedPhone, smsCode);
+      } catch (verifyError) {
+        await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: verifyError.message }, sequelize);
+        throw verifyError;
+      }
+
+      const User = sequelize.models.User;
+      const user = await User.findOne({ where: { phone: normalizedPhone } });
+
+      if (!user) {
+        await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: '用户不存在' }, sequelize);
+        throw new Error('用户不存在');
+      }
+      attempt.userId = user.id;
+
+      if (!StatusHelper.isUserActive(user.status) && !this.isPendingEmailVerification(user)) {
+        const reason = `用户状态异常: ${StatusHelper.getDescription('USER_STATUS', user.status)}`;
+        await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: reason }, sequelize);
+        throw new Error(reason);
+      }
+
+      await this.checkEmailVerification(user, attempt, sequelize);
+
+      return await this.completeLogin(user, attempt, sequelize, options);
+
+    } catch (error) {
+      this.logError('用户短信登录失败', error, { phone: this.smsService.maskPhone(normalizedPhone) });
       throw error;
     }
   }
 
+  /**
+   * 是否为等待邮箱验证的账户（注册后未激活且邮箱未验证）
+   * @param {Object} user - 用户实例
+   * @returns {boolean} 是否等待邮箱验证
+   */
+  isPendingEmailVerification(user) {
+    return user.status === USER_STATUS.INACTIVE && !user.emailVerifiedAt;
+  }
+
+  /**
+   * 登录时检查邮箱验证状态
+   * 等待邮箱验证的账户：注册配置要求验证邮箱时拒绝登录，不要求时（如管理员关闭了开关）直接激活账户
+   * @param {Object} user - 用户实例
+   * @param {Object} attempt - 登录日志公共字段
+   * @param {Object} sequelize - 数据库实例
+   */
+  async checkEmailVerification(user, attempt, sequelize) {
+    if (!this.isPendingEmailVerification(user)) {
+      return;
+    }
+
+    const config = await this.registerConfigService.getRegisterConfig(sequelize);
+    if (this.emailVerificationService.isVerificationRequired(config)) {
+      await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.FAILED, failureReason: '邮箱未验证' }, sequelize);
+      throw new Error('邮箱未验证，请先完成邮箱验证');
+    }
+
+    await user.update({ status: USER_STATUS.ACTIVE });
+  }
+
+  /**
+   * 完成登录：生成令牌、更新登录信息、记录登录日志并合并游客购物车
+   * @param {Object} user - 用户实例
+   * @param {Object} attempt - 登录日志公共字段
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} options - 登录选项 { guestCartId, ip }
+   * @returns {Promise<Object>} 登录结果 { user, tokens }
+   */
+  async completeLogin(user, attempt, sequelize, options = {}) {
+    // 生成令牌
+    const tokens = await this.generateTokens(user);
+
+    // 更新最后登录时间
+    await user.update({
+      last_login: new Date(),
+      login_count: (user.login_count || 0) + 1,
+      lastLoginIp: options.ip || null
+    });
+
+    // 记录登录成功
+    await this.recordLoginAttempt({ ...attempt, success: COMMON_STATUS.SUCCESS }, sequelize);
+
+    // 合并游客购物车（合并失败不影响登录）
+    if (options.guestCartId) {
+      try {
+        await this.userCartService.mergeGuestCart(options.guestCartId, user.id, sequelize);
+      } catch (mergeError) {
+        this.logError('登录时合并游客购物车失败', mergeError, { userId: user.id });
+      }
+    }
+
+    // 清除敏感信息
+    const userInfo = this.sanitizeUserInfo(user);
+
+    this.logAction('用户登录成功', { userId: user.id, username: user.username });
+
+    return {
+      user: userInfo,
+      tokens
+    };
+  }
+
   /**
    * 用户注册
-   * @param {Object} userData - 用户数据
+   * 除用户名、邮箱和密码外，按当前注册配置校验真实姓名、手机号和短信验证码（图形/数字验证码由路由中间件校验）
+   * 注册后发送邮箱验证码；注册配置要求验证邮箱时账户为未激活状态且不签发令牌
+   * @param {Object} userData - 用户数据 { username, email, password, realName, phone, smsCode }
    * @param {Object} sequelize - 数据库实例
-   * @returns {Promise<Object>} 注册结果
+   * @returns {Promise<Object>} 注册结果 { user, tokens, emailVerificationRequired }
    */
   async register(userData, sequelize) {
     try {
@@ -135,6 +337,9 @@ class UserAuthService extends BaseService {
         throw new Error('注册数据验证失败: ' + validation.errors.map(e => e.message).join(', '));
       }
 
+      // 按注册配置校验真实姓名、手机号等必填字段
+      const { config, profile } = await this.registerConfigService.validateRegisterFields(userData, sequelize);
+
       const User = sequelize.models.User;
 
       // 检查用户名是否已存在
@@ -144,7 +349,8 @@ class UserAuthService extends BaseService {
             { username: userData.username },
             { email: userData.email }
           ]
-        }
+        },
+        paranoid: false // 已软删除的用户仍占用用户名和邮箱
       });
 
       if (existingUser) {
@@ -156,6 +362,22 @@ class UserAuthService extends BaseService {
         }
       }
 
+      if (profile.phone) {
+        const phoneOwner = await User.findOne({
+          where: { phone: profile.phone },
+          attributes: ['id'],
+          paranoid: false
+        });
+        if (phoneOwner) {
+          throw new Error('手机号已被注册');
+        }
+      }
+
+      // 账户信息可用后再消费验证码，避免用户名冲突等原因导致验证码白白失效
+      await this.registerConfigService.verifyRegisterCodes(userData, profile, config);
+
+      const emailVerificationRequired = this.emailVerificationService.isVerificationRequired(config);
+
       // 加密密码
       const hashedPassword = await bcrypt.hash(userData.password, this.saltRounds);
 
@@ -164,25 +386,45 @@ class UserAuthService extends BaseService {
         username: userData.username,
         email: userData.email,
         password: hashedPassword,
-        status: 'active',
+        phone: profile.phone,
+        realName: profile.realName,
+        // 要求验证邮箱时账户先处于未激活状态，验证通过后激活
+        status: emailVerificationRequired ? USER_STATUS.INACTIVE : USER_STATUS.ACTIVE,
         created_at: new Date()
       });
 
-      // 生成令牌
-      const tokens = await this.generateTokens(newUser);
+      // 发送邮箱验证码（发送失败不影响注册，用户可重新获取）
+      try {
+        await this.emailVerificationService.sendVerificationCode(newUser);
+      } catch (emailError) {
+        this.logError('发送邮箱验证码失败', emailError, { userId: newUser.id });
+      }
 
       // 清除敏感信息
       const userInfo = this.sanitizeUserInfo(newUser);
 
-      this.logAction('用户注册成功', { userId: newUser.id, username: newUser.username });
+      this.logAction('用户注册成功', { userId: newUser.id, username: newUser.username, emailVerificationRequired });
+
+      // 要求验证邮箱时不签发令牌，验证通过后再登录
+      if (emailVerificationRequired) {
+        return {
+          user: userInfo,
+          tokens: null,
+          emailVerificationRequired
+        };
+      }
+
+      // 生成令牌
+      const tokens = await this.generateTokens(newUser);
 
       return {
         user: userInfo,
-        tokens
+        tokens,
+        emailVerificationRequired
       };
 
     } catch (error) {
-      this.logError('用户注册失败', error, userData);
+      this.logError('用户注册失败', error, { username: userData.username, email: userData.email });
       throw error;
     }
   }
@@ -208,10 +450,15 @@ class UserAuthService extends BaseService {
       const User = sequelize.models.User;
       const user = await User.findByPk(decoded.id);
 
-      if (!user || user.status !== 'active') {
+      if (!user || !StatusHelper.isUserActive(user.status)) {
         throw new Error('用户不存在或状态异常');
       }
 
+      // 修改或重置密码前签发的刷新令牌已失效
+      if (TokenHelper.isIssuedBeforePasswordChange(decoded, user)) {
+        throw new Error('刷新令牌已失效，请重新登录');
+      }
+
       // 生成新令牌
       const tokens = await this.generateTokens(user);
 
@@ -313,25 +560,73 @@ class UserAuthService extends BaseService {
 
   /**
    * 记录登录尝试
-   * @param {number} userId - 用户ID
-   * @param {boolean} success - 是否成功
+   * @param {Object} attempt - 登录尝试信息 { userId, userType, username, ip, userAgent, success, failureReason }
    * @param {Object} sequelize - 数据库实例
    */
-  async recordLoginAttempt(userId, success, sequelize) {
+  async recordLoginAttempt(attempt, sequelize) {
+    await this.loginLogService.recordAttempt(attempt, sequelize);
+  }
+
+  /**
+   * 记录登录失败次数，达到阈值后登录需要验证码（计数失败不影响登录流程）
+   * @param {string} username - 登录账号
+   * @param {string} ip - 客户端IP
+   */
+  async recordLoginFailure(username, ip) {
     try {
-      const LoginLog = sequelize.models.LoginLog;
-      if (LoginLog) {
-        await LoginLog.create({
-          user_id: userId,
-          success,
-          created_at: new Date()
-        });
-      }
+      await this.captchaService.recordLoginFailure(username, ip);
     } catch (error) {
-      this.logError('记录登录日志失败', error);
+      this.logError('记录登录失败次数失败', error, { username });
     }
   }
 
+  /**
+   * 清除账号的登录失败次数（清除失败不影响登录流程）
+   * @param {string} username - 登录账号
+   */
+  async clearLoginFailures(username) {
+    try {
+      await this.captchaService.clearLoginFailures(username);
+    } catch (error) {
+      this.logError('清除登录失败次数失败', error, { username });
+    }
+  }
+
+  /**
+   * 获取用户登录历史
+   * @param {number} userId - 用户ID
+   * @param {Object} filters - 筛选条件 { success }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 登录记录和总数
+   */
+  async getLoginHistory(userId, filters, pagination, sequelize) {
+    return this.loginLogService.getLoginHistory(userId, filters, pagination, sequelize);
+  }
+
+  /**
+   * 找回密码：向用户邮箱发送重置链接，无论邮箱是否已注册都返回相同结果
+   * @param {string} email - 邮箱
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { expiresIn }
+   */
+  async forgotPassword(email, sequelize) {
+    return this.passwordResetService.requestReset(email, USER_TYPE.USER, sequelize, {
+      baseUrl: process.env.FRONTEND_URL
+    });
+  }
+
+  /**
+   * 重置密码：校验并消费重置令牌后设置新密码，此前签发的所有令牌失效
+   * @param {string} token - 重置令牌
+   * @param {string} newPassword - 新密码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { userId }
+   */
+  async resetPassword(token, newPassword, sequelize) {
+    return this.passwordResetService.resetPassword(token, newPassword, USER_TYPE.USER, sequelize);
+  }
+
   /**
    * 修改密码
    * @param {number} userId - 用户ID
@@ -388,6 +683,9 @@ class UserAuthService extends BaseService {
         password_updated_at: new Date()
       });
 
+      // 清除认证中间件缓存的用户信息，使修改前签发的令牌立即失效
+      await this.cache.delete(PREFIX.USER, userId);
+
       this.logAction('密码修改成功', { userId });
       return COMMON_STATUS.SUCCESS;
 
@@ -0,0 +1,513 @@
+/**
+ * 用户购物车服务
+ * 购物车热数据保存在Redis中，登录用户的购物车同步持久化到MySQL
+ * 未登录用户使用游客购物车ID（guestId）标识，登录时合并到用户购物车
+ * 修改购物车的读-改-写在同一购物车的分布式锁内执行，避免并发请求互相覆盖
+ * 购物车条目按 商品 + 规格 区分，启用规格的商品必须选择规格，价格和库存取所选规格
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const InventoryService = require('../common/InventoryService');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+const { COMMON_STATUS } = require('../../common/constants/status');
+
+// 只释放自己持有的锁的Lua脚本，避免锁超时后误删其他请求的锁
+const UNLOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+class UserCartService extends BaseService {
+  constructor() {
+    super();
+    this.inventoryService = new InventoryService();
+    this.maxItems = 100;                   // 购物车最多商品种类
+    this.maxQuantityPerItem = 99;          // 单个商品最多数量
+    this.userCartTtl = 7 * 24 * 3600;      // 用户购物车缓存时间（秒）
+    this.guestCartTtl = 30 * 24 * 3600;    // 游客购物车保存时间（秒）
+    this.guestIdPattern = /^[a-z0-9]{10,40}$/;
+    this.lockTtl = 10000;                  // 购物车锁的过期时间（毫秒）
+    this.lockWaitTimeout = 5000;           // 等待购物车锁的最长时间（毫秒）
+    this.lockRetryInterval = 50;           // 等待购物车锁的重试间隔（毫秒）
+  }
+
+  /**
+   * 生成游客购物车ID
+   * 持有该ID即可访问游客购物车并在登录时合并，必须使用密码学安全的随机数
+   * @returns {string} 游客购物车ID（32位十六进制）
+   */
+  generateGuestId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * 校验游客购物车ID格式
+   * @param {string} guestId - 游客购物车ID
+   * @returns {boolean} 是否有效
+   */
+  isValidGuestId(guestId) {
+    return typeof guestId === 'string' && this.guestIdPattern.test(guestId);
+  }
+
+  /**
+   * 获取购物车缓存键
+   * @param {Object} owner - 购物车归属 { userId } 或 { guestId }
+   * @returns {string} 缓存键
+   */
+  getCartKey(owner) {
+    return owner.userId ? `user_${owner.userId}` : `guest_${owner.guestId}`;
+  }
+
+  /**
+   * 在购物车锁内执行任务，保证同一购物车的读-改-写不会被并发请求覆盖
+   * @param {Object} owner - 购物车归属
+   * @param {Function} task - 任务函数
+   * @returns {Promise<*>} 任务返回值
+   */
+  async withCartLock(owner, task) {
+    const key = generateKey(PREFIX.LOCK, `cart:${this.getCartKey(owner)}`);
+    const token = crypto.randomBytes(16).toString('hex');
+    const deadline = Date.now() + this.lockWaitTimeout;
+
+    while (!(await redis.set(key, token, 'PX', this.lockTtl, 'NX'))) {
+      if (Date.now() >= deadline) {
+        throw new Error('购物车正在更新，请稍后重试');
+      }
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryInterval));
+    }
+
+    try {
+      return await task();
+    } finally {
+      await redis.eval(UNLOCK_SCRIPT, 1, key, token).catch(() => {});
+    }
+  }
+
+  /**
+   * 读取购物车原始数据（Redis优先，登录用户缓存未命中时从数据库加载）
+   * @param {Object} owner - 购物车归属
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 购物车条目 [{ productId, variantId, quantity, selected }]
+   */
+  async loadCart(owner, sequelize) {
+    const cached = await this.cache.get(PREFIX.CART, this.getCartKey(owner));
+    if (cached) {
+      return (cached.items || []).map(item => ({ ...item, variantId: item.variantId || null }));
+    }
+
+    if (!owner.userId) {
+      return [];
+    }
+
+    const Cart = sequelize.models.Cart;
+    const rows = await Cart.findAll({
+      where: { userId: owner.userId, deletedAt: null },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const items = rows.map(row => ({
+      productId: row.productId,
+      variantId: row.variantId || null,
+      quantity: row.quantity,
+      selected: row.selected
+    }));
+
+    await this.cache.set(PREFIX.CART, this.getCartKey(owner), { items }, this.userCartTtl);
+    return items;
+  }
+
+  /**
+   * 保存购物车（写入Redis，登录用户同时持久化到数据库）
+   * @param {Object} owner - 购物车归属
+   * @param {Array} items - 购物车条目
+   * @param {Object} sequelize - 数据库实例
+   */
+  async saveCart(owner, items, sequelize) {
+    if (owner.userId) {
+      await this.persistCart(owner.userId, items, sequelize);
+    }
+
+    const ttl = owner.userId ? this.userCartTtl : this.guestCartTtl;
+    await this.cache.set(PREFIX.CART, this.getCartKey(owner), { items }, ttl);
+  }
+
+  /**
+   * 将购物车同步到数据库
+   * 先软删除用户的全部记录，再按(userId, productId, variantId)唯一键插入或恢复购物车中的记录（未选规格时 variantId 存为0）
+   * @param {number} userId - 用户ID
+   * @param {Array} items - 购物车条目
+   * @param {Object} sequelize - 数据库实例
+   */
+  async persistCart(userId, items, sequelize) {
+    const Cart = sequelize.models.Cart;
+    const now = new Date();
+
+    await this.executeTransaction(async (transaction) => {
+      await Cart.update({ deletedAt: now, updatedAt: now }, { where: { userId, deletedAt: null }, transaction });
+
+      if (items.length > 0) {
+        await Cart.bulkCreate(items.map(item => ({
+          userId,
+          productId: item.productId,
+          variantId: item.variantId || 0,
+          quantity: item.quantity,
+          selected: item.selected,
+          createdAt: now,
+          updatedAt: now,
+          deletedAt: null
+        })), {
+          updateOnDuplicate: ['quantity', 'selected', 'updatedAt', 'deletedAt'],
+          transaction
+        });
+      }
+    }, sequelize);
+  }
+
+  /**
+   * 获取购物车详情（按商品最新价格和库存重新计算）
+   * @param {Object} owner - 购物车归属
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 购物车详情 { items, summary }
+   */
+  async getCart(owner, sequelize) {
+    try {
+      const items = await this.loadCart(owner, sequelize);
+      return await this.buildCartView(items, sequelize);
+    } catch (error) {
+      this.logError('获取购物车失败', error, owner);
+      throw error;
+    }
+  }
+
+  /**
+   * 添加商品到购物车
+   * @param {Object} owner - 购物车归属
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID（启用规格的商品必填）
+   * @param {number} quantity - 数量
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 购物车详情
+   */
+  async addItem(owner, productId, variantId, quantity, sequelize) {
+    try {
+      this.logAction('添加购物车商品', { ...owner, productId, variantId, quantity });
+
+      this.validateQuantity(quantity);
+      const { product, stock } = await this.getPurchasableLine(productId, variantId, sequelize);
+
+      const items = await this.withCartLock(owner, async () => {
+        const items = await this.loadCart(owner, sequelize);
+        const existing = this.findItem(items, productId, variantId);
+        const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+        this.validateQuantity(newQuantity);
+        if (newQuantity > stock) {
+          throw new Error(`商品库存不足: ${product.name}`);
+        }
+
+        if (existing) {
+          existing.quantity = newQuantity;
+        } else {
+          if (items.length >= this.maxItems) {
+            throw new Error(`购物车验证失败: 购物车最多只能添加${this.maxItems}种商品`);
+          }
+          items.push({ productId: product.id, variantId: variantId || null, quantity, selected: COMMON_STATUS.YES });
+        }
+
+        await this.saveCart(owner, items, sequelize);
+        return items;
+      });
+
+      return await this.buildCartView(items, sequelize);
+
+    } catch (error) {
+      this.logError('添加购物车商品失败', error, { ...owner, productId, variantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新购物车商品数量或勾选状态
+   * @param {Object} owner - 购物车归属
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID
+   * @param {Object} updateData - 更新数据 { quantity, selected }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 购物车详情
+   */
+  async updateItem(owner, productId, variantId, updateData, sequelize) {
+    try {
+      this.logAction('更新购物车商品', { ...owner, productId, variantId, ...updateData });
+
+      const items = await this.withCartLock(owner, async () => {
+        const items = await this.loadCart(owner, sequelize);
+        const existing = this.findItem(items, productId, variantId);
+        if (!existing) {
+          throw new Error('购物车商品不存在');
+        }
+
+        if (updateData.quantity !== undefined) {
+          this.validateQuantity(updateData.quantity);
+          const { product, stock } = await this.getPurchasableLine(productId, variantId, sequelize);
+          if (updateData.quantity > stock) {
+            throw new Error(`商品库存不足: ${product.name}`);
+          }
+          existing.quantity = updateData.quantity;
+        }
+
+        if (updateData.selected !== undefined) {
+          existing.selected = updateData.selected ? COMMON_STATUS.YES : COMMON_STATUS.NO;
+        }
+
+        await this.saveCart(owner, items, sequelize);
+        return items;
+      });
+
+      return await this.buildCartView(items, sequelize);
+
+    } catch (error) {
+      this.logError('更新购物车商品失败', error, { ...owner, productId, variantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 从购物车移除商品
+   * @param {Object} owner - 购物车归属
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 购物车详情
+   */
+  async removeItem(owner, productId, variantId, sequelize) {
+    try {
+      this.logAction('移除购物车商品', { ...owner, productId, variantId });
+
+      const remaining = await this.withCartLock(owner, async () => {
+        const items = await this.loadCart(owner, sequelize);
+        const target = this.findItem(items, productId, variantId);
+        const remaining = items.filter(item => item !== target);
+        if (remaining.length === items.length) {
+          throw new Error('购物车商品不存在');
+        }
+
+        await this.saveCart(owner, remaining, sequelize);
+        return remaining;
+      });
+
+      return await this.buildCartView(remaining, sequelize);
+
+    } catch (error) {
+      this.logError('移除购物车商品失败', error, { ...owner, productId, variantId });
+      throw error;
+    }
+  }
+
+  /**
+   * 清空购物车
+   * @param {Object} owner - 购物车归属
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 空购物车详情
+   */
+  async clearCart(owner, sequelize) {
+    try {
+      this.logAction('清空购物车', owner);
+
+      await this.withCartLock(owner, () => this.saveCart(owner, [], sequelize));
+      return await this.buildCartView([], sequelize);
+
+    } catch (error) {
+      this.logError('清空购物车失败', error, owner);
+      throw error;
+    }
+  }
+
+  /**
+   * 重新计算购物车
+   * 移除已失效商品，数量超出库存时按库存修正，并返回最新价格
+   * @param {Object} owner - 购物车归属
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 购物车详情及调整记录
+   */
+  async recalculateCart(owner, sequelize) {
+    try {
+      this.logAction('重新计算购物车', owner);
+
+      const { validItems, targets, adjustments } = await this.withCartLock(owner, async () => {
+        const items = await this.loadCart(owner, sequelize);
+        const targets = await this.inventoryService.loadPurchaseTargets(items, sequelize);
+        const adjustments = [];
+        const validItems = [];
+
+        items.forEach(item => {
+          const { error, stock } = this.inventoryService.resolvePurchaseLine(item, targets);
+          if (error || stock <= 0) {
+            adjustments.push({ productId: item.productId, variantId: item.variantId, action: 'removed' });
+            return;
+          }
+          if (item.quantity > stock) {
+            adjustments.push({ productId: item.productId, variantId: item.variantId, action: 'quantity_adjusted', from: item.quantity, to: stock });
+            item.quantity = stock;
+          }
+          validItems.push(item);
+        });
+
+        if (adjustments.length > 0) {
+          await this.saveCart(owner, validItems, sequelize);
+        }
+
+        return { validItems, targets, adjustments };
+      });
+
+      const cart = await this.buildCartView(validItems, sequelize, targets);
+      return { ...cart, adjustments };
+
+    } catch (error) {
+      this.logError('重新计算购物车失败', error, owner);
+      throw error;
+    }
+  }
+
+  /**
+   * 合并游客购物车到用户购物车
+   * 同一商品同一规格数量累加（不超过单品上限），合并后删除游客购物车
+   * @param {string} guestId - 游客购物车ID
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<number>} 合并的商品种类数
+   */
+  async mergeGuestCart(guestId, userId, sequelize) {
+    try {
+      if (!this.isValidGuestId(guestId)) {
+        return 0;
+      }
+
+      const guestOwner = { guestId };
+      const guestItems = await this.loadCart(guestOwner, sequelize);
+      if (guestItems.length === 0) {
+        return 0;
+      }
+
+      this.logAction('合并游客购物车', { guestId, userId, itemCount: guestItems.length });
+
+      const userOwner = { userId };
+      await this.withCartLock(userOwner, async () => {
+        const userItems = await this.loadCart(userOwner, sequelize);
+
+        guestItems.forEach(guestItem => {
+          const existing = this.findItem(userItems, guestItem.productId, guestItem.variantId);
+          if (existing) {
+            existing.quantity = Math.min(existing.quantity + guestItem.quantity, this.maxQuantityPerItem);
+          } else if (userItems.length < this.maxItems) {
+            userItems.push({ ...guestItem });
+          }
+        });
+
+        await this.saveCart(userOwner, userItems, sequelize);
+      });
+      await this.cache.delete(PREFIX.CART, this.getCartKey(guestOwner));
+
+      return guestItems.length;
+
+    } catch (error) {
+      this.logError('合并游客购物车失败', error, { guestId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 组装购物车视图：附加商品和规格信息、小计和汇总金额
+   * @param {Array} items - 购物车条目
+   * @param {Object} sequelize - 数据库实例
+   * @param {Object} targets - 已查询的商品和规格（可选）
+   * @returns {Promise<Object>} 购物车详情
+   */
+  async buildCartView(items, sequelize, targets = null) {
+    const loaded = targets || await this.inventoryService.loadPurchaseTargets(items, sequelize);
+
+    const viewItems = items.map(item => {
+      const { product, variant, error, stock } = this.inventoryService.resolvePurchaseLine(item, loaded);
+      const available = !error && stock >= item.quantity;
+      const priced = variant || product;
+      const price = priced ? parseFloat(priced.price) : 0;
+      const productImage = product && Array.isArray(product.images) && product.images.length > 0 ? product.images[0] : null;
+
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        selected: item.selected,
+        name: product ? product.name : null,
+        image: (variant && variant.image) || productImage,
+        sku: variant ? variant.sku : null,
+        options: variant ? variant.options : null,
+        shopId: product ? product.shopId : null,
+        price,
+        stock,
+        subtotal: parseFloat((price * item.quantity).toFixed(2)),
+        available
+      };
+    });
+
+    const checkoutItems = viewItems.filter(item => item.selected === COMMON_STATUS.YES && item.available);
+
+    return {
+      items: viewItems,
+      summary: {
+        itemCount: viewItems.length,
+        totalQuantity: viewItems.reduce((sum, item) => sum + item.quantity, 0),
+        selectedQuantity: checkoutItems.reduce((sum, item) => sum + item.quantity, 0),
+        totalAmount: parseFloat(checkoutItems.reduce((sum, item) => sum + item.subtotal, 0).toFixed(2))
+      }
+    };
+  }
+
+  /**
+   * 查找购物车中同一商品同一规格的条目
+   * @param {Array} items - 购物车条目
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID
+   * @returns {Object|undefined} 购物车条目
+   */
+  findItem(items, productId, variantId) {
+    return items.find(item => item.productId === productId && (item.variantId || null) === (variantId || null));
+  }
+
+  /**
+   * 获取可购买的商品或规格，不可购买时抛出错误
+   * @param {number} productId - 商品ID
+   * @param {number|null} variantId - 规格ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { product, variant, price, stock }
+   */
+  async getPurchasableLine(productId, variantId, sequelize) {
+    const line = { productId, variantId: variantId || null };
+    const targets = await this.inventoryService.loadPurchaseTargets([line], sequelize);
+    const resolved = this.inventoryService.resolvePurchaseLine(line, targets);
+
+    if (resolved.error) {
+      throw new Error(resolved.error);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 验证购买数量
+   * @param {number} quantity - 数量
+   */
+  validateQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error('购物车验证失败: 商品数量必须为正整数');
+    }
+
+    if (quantity > this.maxQuantityPerItem) {
+      throw new Error(`购物车验证失败: 单个商品数量不能超过${this.maxQuantityPerItem}`);
+    }
+  }
+}
+
+module.exports = UserCartService;
@@ -0,0 +1,197 @@
+/**
+ * 用户邮箱验证服务
+ * 注册后向用户邮箱发送验证码，用户提交验证码后记录邮箱验证时间并激活账户
+ * 验证码保存在Redis中（email:verify:<邮箱>），有错误次数限制；重发有冷却时间，且不暴露邮箱是否已注册
+ */
+
+const crypto = require('crypto');
+const BaseService = require('../base/BaseService');
+const VerificationCodeService = require('../common/VerificationCodeService');
+const EmailService = require('../common/EmailService');
+const { redis, PREFIX, generateKey } = require('../../common/redis');
+const { USER_STATUS, REGISTER_CONFIG } = require('../../common/constants/status');
+
+// 邮箱验证码场景
+const EMAIL_VERIFY_SCENE = 'email:verify';
+
+// 邮箱格式
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class UserEmailVerificationService extends BaseService {
+  constructor() {
+    super();
+    this.verificationCodeService = new VerificationCodeService();
+    this.emailService = new EmailService();
+    // 验证码有效期（秒）、重发间隔（秒）和最大错误次数
+    this.codeTtl = parseInt(process.env.EMAIL_VERIFICATION_TTL) || 600;
+    this.resendInterval = parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60;
+    this.maxAttempts = parseInt(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS) || 5;
+  }
+
+  /**
+   * 注册配置是否要求验证邮箱后才能登录
+   * @param {Object} config - 注册配置
+   * @returns {boolean} 是否要求验证
+   */
+  isVerificationRequired(config) {
+    return config.email_verification === REGISTER_CONFIG.VERIFICATION_ON;
+  }
+
+  /**
+   * 生成邮箱验证码并发送验证邮件，旧验证码失效
+   * @param {Object} user - 用户实例
+   * @returns {Promise<Object>} { expiresIn }
+   */
+  async sendVerificationCode(user) {
+    const code = String(crypto.randomInt(1000000)).padStart(6, '0');
+
+    await this.verificationCodeService.saveCode(EMAIL_VERIFY_SCENE, this.normalizeEmail(user.email), code, this.codeTtl);
+    await this.emailService.sendVerificationEmail(user.email, code, Math.ceil(this.codeTtl / 60));
+
+    this.logAction('发送邮箱验证码', { userId: user.id });
+
+    return { expiresIn: this.codeTtl };
+  }
+
+  /**
+   * 校验邮箱验证码，通过后记录验证时间，未激活账户同时激活
+   * @param {string} email - 邮箱
+   * @param {string} code - 验证码
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { userId, emailVerifiedAt, status }
+   */
+  async verifyEmail(email, code, sequelize) {
+    try {
+      this.logAction('邮箱验证', { email });
+
+      this.validateEmail(email);
+      if (!code) {
+        throw new Error('邮箱验证参数验证失败: 请填写验证码');
+      }
+
+      const result = await this.verificationCodeService.verifyCode(EMAIL_VERIFY_SCENE, this.normalizeEmail(email), code, {
+        maxAttempts: this.maxAttempts
+      });
+
+      if (result.expired) {
+        throw new Error('邮箱验证码已过期，请重新获取');
+      }
+      if (result.locked) {
+        throw new Error('邮箱验证码错误次数过多，请重新获取');
+      }
+      if (!result.valid) {
+        throw new Error('邮箱验证码错误');
+      }
+
+      const User = sequelize.models.User;
+      const user = await User.findOne({ where: { email: email.trim() } });
+
+      if (!user) {
+        throw new Error('用户不存在');
+      }
+
+      if (!user.emailVerifiedAt) {
+        const updateData = { emailVerifiedAt: new Date() };
+        // 只激活因等待邮箱验证而未激活的账户，被暂停或封禁的账户保持原状态
+        if (user.status === USER_STATUS.INACTIVE) {
+          updateData.status = USER_STATUS.ACTIVE;
+        }
+        await user.update(updateData);
+        await this.cache.delete(PREFIX.USER, user.id);
+      }
+
+      this.logAction('邮箱验证成功', { userId: user.id });
+
+      return {
+        userId: user.id,
+        emailVerifiedAt: user.emailVerifiedAt,
+        status: user.status
+      };
+
+    } catch (error) {
+      this.logError('邮箱验证失败', error, { email });
+      throw error;
+    }
+  }
+
+  /**
+   * 重新发送邮箱验证码
+   * 同一邮箱在冷却时间内只能请求一次；邮箱未注册或已验证时不发送邮件但同样返回成功，避免探测邮箱是否已注册
+   * @param {string} email - 邮箱
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { resendAfter }
+   */
+  async resendVerificationCode(email, sequelize) {
+    try {
+      this.logAction('重新发送邮箱验证码', { email });
+
+      this.validateEmail(email);
+
+      const cooldownKey = generateKey(PREFIX.VERIFY, `email-cooldown:${this.normalizeEmail(email)}`);
+      const acquired = await redis.set(cooldownKey, '1', 'EX', this.resendInterval, 'NX');
+      if (!acquired) {
+        const ttl = await redis.ttl(cooldownKey);
+        throw new Error(`验证邮件发送过于频繁，请${ttl > 0 ? ttl : this.resendInterval}秒后再试`);
+      }
+
+      // 查找账户和发送邮件在响应返回后于后台执行，
+      // 使邮箱是否已注册、邮件是否发送成功都不影响响应内容和耗时
+      setImmediate(() => {
+        this.resendToUnverified(email.trim(), sequelize);
+      });
+
+      return { resendAfter: this.resendInterval };
+
+    } catch (error) {
+      this.logError('重新发送邮箱验证码失败', error, { email });
+      throw error;
+    }
+  }
+
+  /**
+   * 向未验证邮箱的用户发送验证码（后台执行，失败只记录日志）
+   * @param {string} email - 邮箱
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<void>}
+   */
+  async resendToUnverified(email, sequelize) {
+    try {
+      const User = sequelize.models.User;
+      const user = await User.findOne({
+        where: { email },
+        attributes: ['id', 'email', 'emailVerifiedAt']
+      });
+
+      if (!user || user.emailVerifiedAt) {
+        this.logAction('邮箱未注册或已验证，跳过发送', { email });
+        return;
+      }
+
+      await this.sendVerificationCode(user);
+
+    } catch (error) {
+      this.logError('后台发送邮箱验证码失败', error, { email });
+    }
+  }
+
+  /**
+   * 校验邮箱格式
+   * @param {string} email - 邮箱
+   */
+  validateEmail(email) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      throw new Error('邮箱验证参数验证失败: 邮箱格式不正确');
+    }
+  }
+
+  /**
+   * 统一邮箱格式：去除空白并转为小写，作为验证码和冷却键的一部分
+   * @param {string} email - 邮箱
+   * @returns {string} 规范化后的邮箱
+   */
+  normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+}
+
+module.exports = UserEmailVerificationService;
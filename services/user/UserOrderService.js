@@ -0,0 +1,387 @@
+/**
+ * 用户订单服务
+ * 处理用户下单、订单查询、支付、取消和确认收货等业务逻辑
+ */
+
+const BaseService = require('../base/BaseService');
+const OrderService = require('../common/OrderService');
+const InventoryService = require('../common/InventoryService');
+const { Op } = require('sequelize');
+const { ORDER_STATUS, SHOP_STATUS, STOCK_MOVEMENT_TYPE } = require('../../common/constants/status');
+
+class UserOrderService extends BaseService {
+  constructor() {
+    super();
+    this.orderService = new OrderService();
+    this.inventoryService = new InventoryService();
+    this.maxItemsPerOrder = 50;      // 单次下单最多商品种类
+    this.maxQuantityPerItem = 999;   // 单个商品最多购买数量
+  }
+
+  /**
+   * 创建订单
+   * 按店铺拆分订单，并在同一事务中扣减库存、记录销售出库流水
+   * 在商品行锁内通过预占脚本原子地校验并占用库存，其他用户的有效库存预占不可被占用；
+   * 携带自己的预占ID时，下单成功后释放该预占
+   * 启用规格的商品必须指定 variantId，按规格价格计价并扣减规格库存
+   * @param {number} userId - 用户ID
+   * @param {Object} orderData - 下单数据 { items: [{ productId, variantId, quantity }], receiverName, receiverPhone, shippingAddress, remark, reservationId }
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Array>} 创建的订单列表
+   */
+  async createOrder(userId, orderData, sequelize) {
+    try {
+      this.logAction('用户下单', { userId, itemCount: orderData.items?.length });
+
+      this.validateOrderData(orderData);
+
+      const Shop = sequelize.models.Shop;
+      const Order = sequelize.models.Order;
+      const OrderItem = sequelize.models.OrderItem;
+
+      // 合并同一商品同一规格的购买数量
+      const lines = new Map();
+      orderData.items.forEach(item => {
+        const productId = parseInt(item.productId);
+        const variantId = this.parseVariantId(item.variantId);
+        const key = this.inventoryService.getLineKey(productId, variantId);
+        const line = lines.get(key) || { productId, variantId, quantity: 0 };
+        line.quantity += parseInt(item.quantity);
+        lines.set(key, line);
+      });
+
+      // 校验预占归属
+      if (orderData.reservationId) {
+        await this.inventoryService.getReservation(orderData.reservationId, userId);
+      }
+
+      // 下单期间占用库存的ID，事务结束后释放
+      const claimId = this.generateId();
+
+      const orders = await this.executeTransaction(async (transaction) => {
+        // 锁定商品和规格行，保证库存校验与扣减的一致性
+        const targets = await this.inventoryService.loadPurchaseTargets(
+          [...lines.values()],
+          sequelize,
+          { transaction, lock: true }
+        );
+
+        // 校验商品和规格可购买，单价和库存取规格（未启用规格时取商品）
+        const resolvedLines = [];
+        const stocks = new Map();
+        for (const [key, line] of lines) {
+          const resolved = this.inventoryService.resolvePurchaseLine(line, targets);
+          if (resolved.error) {
+            throw new Error(resolved.error);
+          }
+          resolvedLines.push({ ...line, ...resolved });
+          stocks.set(key, resolved.stock);
+        }
+
+        // 在行锁内原子地检查可售库存（扣除他人有效预占）并占用，
+        // 使并发的预占能看到本次下单数量，不会预占到已被本订单用掉的库存
+        const shortKey = await this.inventoryService.claimStock(
+          claimId,
+          lines,
+          stocks,
+          { excludeReservationId: orderData.reservationId || null }
+        );
+        if (shortKey) {
+          throw new Error(`商品库存不足: ${targets.products.get(lines.get(shortKey).productId).name}`);
+        }
+
+        // 校验店铺是否正常营业
+        const shopIds = [...new Set(resolvedLines.map(line => line.product.shopId))];
+        const shops = await Shop.findAll({
+          where: { id: { [Op.in]: shopIds }, deletedAt: null },
+          transaction
+        });
+        const shopMap = new Map(shops.map(shop => [shop.id, shop]));
+
+        const createdOrders = [];
+        for (const shopId of shopIds) {
+          const shop = shopMap.get(shopId);
+          if (!shop || shop.status !== SHOP_STATUS.ACTIVE) {
+            throw new Error(`店铺暂停营业: ${shopId}`);
+          }
+
+          const itemsData = resolvedLines
+            .filter(line => line.product.shopId === shopId)
+            .map(({ product, variant, price, quantity }) => {
+              const productImage = Array.isArray(product.images) && product.images.length > 0 ? product.images[0] : null;
+              return {
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                productName: product.name,
+                productImage: (variant && variant.image) || productImage,
+                variantSku: variant ? variant.sku : null,
+                variantOptions: variant ? variant.options : null,
+                price,
+                quantity,
+                subtotal: (price * quantity).toFixed(2)
+              };
+            });
+
+          const totalAmount = itemsData.reduce((sum, item) => sum + parseFloat(item.subtotal), 0);
+          const itemCount = itemsData.reduce((sum, item) => sum + item.quantity, 0);
+
+          const order = await Order.create({
+            orderNo: this.orderService.generateOrderNo(),
+            userId,
+            shopId,
+            merchantId: shop.merchantId,
+            status: ORDER_STATUS.PENDING,
+            totalAmount: totalAmount.toFixed(2),
+            itemCount,
+            receiverName: orderData.receiverName,
+            receiverPhone: orderData.receiverPhone,
+            shippingAddress: orderData.shippingAddress,
+            remark: orderData.remark || null
+          }, { transaction });
+
+          await OrderItem.bulkCreate(
+            itemsData.map(item => ({ ...item, orderId: order.id })),
+            { transaction }
+          );
+
+          // 扣减库存（选择规格时扣减规格库存并同步商品总库存）并记录销售出库流水
+          // 条件更新防止超卖；他人预占已在占用时扣除
+          for (const item of itemsData) {
+            try {
+              await this.inventoryService.changeStock({
+                productId: item.productId,
+                variantId: item.variantId,
+                quantity: -item.quantity,
+                type: STOCK_MOVEMENT_TYPE.SALE,
+                referenceType: 'order',
+                referenceId: order.id,
+                operatorId: userId,
+                extraFields: { saleCount: sequelize.literal(`saleCount + ${item.quantity}`) }
+              }, transaction, sequelize);
+            } catch (error) {
+              if (error.message.includes('库存不足')) {
+                throw new Error(`商品库存不足: ${item.productName}`);
+              }
+              throw error;
+            }
+          }
+
+          createdOrders.push(order);
+        }
+
+        return createdOrders;
+      }, sequelize).finally(() => (
+        // 事务已提交时库存已实际扣减，回滚时库存未变，两种情况都不再需要占用
+        this.inventoryService.releaseClaim(claimId, lines).catch(() => {})
+      ));
+
+      this.logAction('用户下单成功', { userId, orderIds: orders.map(order => order.id) });
+
+      // 库存已实际扣减，释放本次结算的预占（失败不影响下单结果，预占到期后也会自动失效）
+      if (orderData.reservationId) {
+        await this.inventoryService.releaseReservation(orderData.reservationId, userId).catch(() => {});
+      }
+
+      return Promise.all(orders.map(order => this.getUserOrderById(order.id, userId, sequelize)));
+
+    } catch (error) {
+      this.logError('用户下单失败', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户订单列表
+   * @param {number} userId - 用户ID
+   * @param {Object} filters - 筛选条件 { status }
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 订单列表和总数
+   */
+  async getUserOrders(userId, filters, pagination, sequelize) {
+    try {
+      this.logAction('获取用户订单列表', { userId, filters });
+
+      const Order = sequelize.models.Order;
+      const where = {
+        userId,
+        deletedAt: null,
+        ...this.buildWhereCondition(filters, ['status'])
+      };
+
+      const { count, rows } = await Order.findAndCountAll({
+        where,
+        include: [
+          { model: sequelize.models.OrderItem, as: 'items' },
+          // 历史订单仍需展示已删除店铺的信息
+          { model: sequelize.models.Shop, as: 'shop', attributes: ['id', 'name'], paranoid: false }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: pagination.limit,
+        offset: pagination.offset,
+        distinct: true
+      });
+
+      return {
+        orders: rows,
+        total: count
+      };
+
+    } catch (error) {
+      this.logError('获取用户订单列表失败', error, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户订单详情
+   * @param {number} orderId - 订单ID
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object|null>} 订单详情
+   */
+  async getUserOrderById(orderId, userId, sequelize) {
+    try {
+      const Order = sequelize.models.Order;
+
+      return await Order.findOne({
+        where: { id: orderId, userId, deletedAt: null },
+        include: [
+          { model: sequelize.models.OrderItem, as: 'items' },
+          { model: sequelize.models.Shop, as: 'shop', attributes: ['id', 'name', 'phone'], paranoid: false }
+        ]
+      });
+
+    } catch (error) {
+      this.logError('获取用户订单详情失败', error, { orderId, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 支付订单
+   * @param {number} orderId - 订单ID
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的订单
+   */
+  async payOrder(orderId, userId, sequelize) {
+    await this.orderService.changeOrderStatus(orderId, ORDER_STATUS.PAID, { userId }, {}, sequelize);
+    return this.getUserOrderById(orderId, userId, sequelize);
+  }
+
+  /**
+   * 取消订单（仅待支付订单可取消，取消后回补库存）
+   * @param {number} orderId - 订单ID
+   * @param {number} userId - 用户ID
+   * @param {string} reason - 取消原因
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的订单
+   */
+  async cancelOrder(orderId, userId, reason, sequelize) {
+    await this.orderService.changeOrderStatus(
+      orderId,
+      ORDER_STATUS.CANCELLED,
+      { userId },
+      { cancelReason: reason || null },
+      sequelize
+    );
+    return this.getUserOrderById(orderId, userId, sequelize);
+  }
+
+  /**
+   * 确认收货
+   * @param {number} orderId - 订单ID
+   * @param {number} userId - 用户ID
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} 更新后的订单
+   */
+  async confirmOrder(orderId, userId, sequelize) {
+    await this.orderService.changeOrderStatus(orderId, ORDER_STATUS.COMPLETED, { userId }, {}, sequelize);
+    return this.getUserOrderById(orderId, userId, sequelize);
+  }
+
+  /**
+   * 结算时预占库存
+   * 预占在有效期内不会被其他用户下单占用，下单时携带预占ID即可使用
+   * @param {number} userId - 用户ID
+   * @param {Array} items - 预占商品 [{ productId, variantId, quantity }]
+   * @param {Object} sequelize - 数据库实例
+   * @returns {Promise<Object>} { reservationId, expiresAt, items }
+   */
+  async reserveStock(userId, items, sequelize) {
+    return this.inventoryService.reserveStock(userId, items, sequelize);
+  }
+
+  /**
+   * 放弃结算，释放库存预占
+   * @param {string} reservationId - 预占ID
+   * @param {number} userId - 用户ID
+   * @returns {Promise<boolean>} 释放结果
+   */
+  async releaseReservation(reservationId, userId) {
+    return this.inventoryService.releaseReservation(reservationId, userId);
+  }
+
+  /**
+   * 验证下单数据
+   * @param {Object} orderData - 下单数据
+   */
+  validateOrderData(orderData) {
+    const validation = this.validateData(orderData, {
+      receiverName: { required: true, type: 'string', maxLength: 50 },
+      receiverPhone: {
+        required: true,
+        type: 'string',
+        pattern: /^1[3-9]\d{9}$/,
+        patternMessage: '收货人电话格式不正确'
+      },
+      shippingAddress: { required: true, type: 'string', maxLength: 500 },
+      remark: { type: 'string', maxLength: 500 }
+    });
+
+    if (!validation.isValid) {
+      throw new Error('订单数据验证失败: ' + validation.errors.map(e => e.message).join(', '));
+    }
+
+    const { items } = orderData;
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('订单数据验证失败: 订单商品不能为空');
+    }
+
+    if (items.length > this.maxItemsPerOrder) {
+      throw new Error(`订单数据验证失败: 单次最多购买${this.maxItemsPerOrder}种商品`);
+    }
+
+    items.forEach((item, index) => {
+      const productId = parseInt(item.productId);
+      const quantity = parseInt(item.quantity);
+      const variantId = this.parseVariantId(item.variantId);
+
+      if (!productId || productId <= 0) {
+        throw new Error(`订单数据验证失败: 第${index + 1}个商品ID无效`);
+      }
+      if (Number.isNaN(variantId)) {
+        throw new Error(`订单数据验证失败: 第${index + 1}个商品规格ID无效`);
+      }
+      if (!quantity || quantity <= 0 || quantity > this.maxQuantityPerItem) {
+        throw new Error(`订单数据验证失败: 第${index + 1}个商品数量必须在1到${this.maxQuantityPerItem}之间`);
+      }
+    });
+  }
+
+  /**
+   * 解析购买明细的规格ID
+   * @param {*} value - 规格ID
+   * @returns {number|null} 规格ID，未指定时返回null，格式无效时返回NaN
+   */
+  parseVariantId(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const variantId = parseInt(value);
+    return variantId > 0 ? variantId : NaN;
+  }
+}
+
+module.exports = UserOrderService;
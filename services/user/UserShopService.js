@@ -0,0 +1,116 @@
+/**
+ * 用户店铺服务
+ * 提供附近店铺查询：按空间索引过滤、按距离排序，并附加距离和营业状态
+ * 查询点会对齐到 geohash 网格中心，使同一网格内的请求结果完全一致，便于按 geohash 缓存
+ */
+
+const BaseService = require('../base/BaseService');
+const { Op } = require('sequelize');
+const { SHOP_STATUS } = require('../../common/constants/status');
+const { BusinessHoursHelper } = require('../../common/utils/businessHours');
+const { GeoHelper } = require('../../common/utils/geo');
+
+class UserShopService extends BaseService {
+  constructor() {
+    super();
+    this.defaultRadius = parseInt(process.env.GEO_NEARBY_DEFAULT_RADIUS) || 3000;     // 默认查询半径（米）
+    this.maxRadius = parseInt(process.env.GEO_NEARBY_MAX_RADIUS) || 50000;            // 最大查询半径（米）
+    this.geohashPrecision = parseInt(process.env.GEO_NEARBY_GEOHASH_PRECISION) || 7;  // 7位约153米×153米
+  }
+
+  /**
+   * 查询附近店铺
+   * @param {Object} params - { lat, lng, radius }，由 parseNearbyParams 解析
+   * @param {Object} pagination - 分页参数
+   * @param {Object} sequelize - 数据库连接对象
+   * @returns {Object} { items, total, center, radius }
+   */
+  async getNearbyShops(params, pagination, sequelize) {
+    try {
+      const { lat, lng, radius } = params;
+
+      this.logAction('查询附近店铺', { lat, lng, radius });
+
+      const Shop = sequelize.models.Shop;
+      const center = GeoHelper.toPoint({ lat, lng }, sequelize);
+      const distance = sequelize.fn('ST_Distance_Sphere', sequelize.col('location'), center);
+
+      const conditions = [sequelize.where(distance, { [Op.lte]: radius })];
+
+      // 先用外接矩形命中空间索引，再按球面距离精确过滤
+      const boundingBox = GeoHelper.toBoundingBox(lat, lng, radius, sequelize);
+      if (boundingBox) {
+        conditions.unshift(sequelize.where(sequelize.fn('MBRContains', boundingBox, sequelize.col('location')), 1));
+      }
+
+      const { count, rows } = await Shop.findAndCountAll({
+        where: {
+          status: SHOP_STATUS.ACTIVE,
+          coordinates: { [Op.ne]: null },
+          [Op.and]: conditions
+        },
+        attributes: [
+          'id', 'name', 'description', 'address', 'phone', 'logo', 'status', 'businessHours', 'timezone',
+          'coordinates', 'rating', 'reviewCount', [distance, 'distance']
+        ],
+        order: [[sequelize.literal('distance'), 'ASC'], ['id', 'ASC']],
+        limit: pagination.limit,
+        offset: pagination.offset
+      });
+
+      const items = rows.map(row => ({
+        ...BusinessHoursHelper.attachOpenStatus(row),
+        distance: Math.round(Number(row.get('distance')))
+      }));
+
+      return { items, total: count, center: { lat, lng }, radius };
+
+    } catch (error) {
+      this.logError('查询附近店铺失败', error, params);
+      throw error;
+    }
+  }
+
+  /**
+   * 解析附近查询参数，并把查询点对齐到 geohash 网格中心
+   * @param {Object} query - 查询参数 { lat, lng, radius }
+   * @returns {Object} { lat, lng, radius, geohash }
+   */
+  parseNearbyParams(query) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+
+    if (!GeoHelper.isValidCoordinates({ lat, lng })) {
+      throw new Error('附近查询参数验证失败: lat、lng 必须是有效的经纬度');
+    }
+
+    const radius = query.radius === undefined || query.radius === ''
+      ? this.defaultRadius
+      : Number(query.radius);
+
+    if (!Number.isInteger(radius) || radius <= 0 || radius > this.maxRadius) {
+      throw new Error(`附近查询参数验证失败: radius 必须是 1~${this.maxRadius} 之间的整数（米）`);
+    }
+
+    const geohash = GeoHelper.encodeGeohash(lat, lng, this.geohashPrecision);
+
+    return { ...GeoHelper.decodeGeohash(geohash), radius, geohash };
+  }
+
+  /**
+   * 生成附近查询的缓存键：geohash + 半径 + 分页（参数无效时的错误响应不会被缓存）
+   * @param {Object} query - 查询参数
+   * @param {Object} pagination - 分页参数
+   * @returns {string} 缓存键
+   */
+  buildNearbyCacheKey(query, pagination) {
+    try {
+      const { geohash, radius } = this.parseNearbyParams(query);
+      return `nearby:${geohash}:${radius}:${pagination.page}:${pagination.limit}`;
+    } catch (error) {
+      return 'nearby:invalid';
+    }
+  }
+}
+
+module.exports = UserShopService;